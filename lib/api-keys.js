@@ -0,0 +1,335 @@
+// API keys for the /api routes: per-key rate limits, daily generation quotas and usage accounting.
+// Keys and their daily usage live in one JSON file (API_KEYS_FILE). Only the sha256 of a key is
+// stored; the key itself is returned once, when it is created.
+// The key of the request being served is kept in an AsyncLocalStorage, so generation code deep in
+// a job can charge the quota of whoever started it (see chargeQuota).
+// EventSource streams and download links cannot send headers; they use short-lived stream tokens
+// instead of the key (see createStreamToken).
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+const API_KEYS_FILE = path.resolve(process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json'));
+const WRITE_DELAY_MS = 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+const USAGE_DAYS_KEPT = 90;
+const MAX_NAME_LENGTH = 120;
+const KEY_PREFIX = 'fk_';
+const STREAM_TOKEN_TTL_MS = 2 * 60 * 1000;
+// Tokens die with the process unless STREAM_TOKEN_SECRET is shared by every server
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name] || String(fallback), 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// 0 means unlimited; a key can override any of these
+const DEFAULT_LIMITS = {
+    requestsPerMinute: readLimit('API_RATE_LIMIT_PER_MINUTE', 60),
+    layoutsPerDay: readLimit('API_DAILY_LAYOUTS', 100),
+    imagesPerDay: readLimit('API_DAILY_IMAGES', 300),
+    textsPerDay: readLimit('API_DAILY_TEXTS', 300),
+    exportsPerDay: readLimit('API_DAILY_EXPORTS', 500)
+};
+// Quota kind -> limit that caps it. texts are the other model calls (design plans and rewrites),
+// exports the pages rendered by /api/export and mail merges
+const QUOTAS = { layouts: 'layoutsPerDay', images: 'imagesPerDay', texts: 'textsPerDay', exports: 'exportsPerDay' };
+
+let store = null;
+let loading = null;
+let writeTimer = null;
+let writing = Promise.resolve();
+// key id -> { start, count } for the current rate-limit window
+const windows = new Map();
+const context = new AsyncLocalStorage();
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function notFound() {
+    const error = new Error('API key not found');
+    error.status = 404;
+    return error;
+}
+
+function badRequest(message, details) {
+    const error = new Error(message);
+    error.status = 400;
+    if (details) error.details = details;
+    return error;
+}
+
+async function loadStore() {
+    if (store) return store;
+    if (!loading) {
+        loading = (async () => {
+            try {
+                const saved = JSON.parse(await fs.readFile(API_KEYS_FILE, 'utf8'));
+                store = { keys: saved.keys || [], usage: saved.usage || {} };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                store = { keys: [], usage: {} };
+            }
+            return store;
+        })();
+    }
+    return loading;
+}
+
+// Write the file atomically; writes are chained so they never interleave
+function writeStore() {
+    const cutoff = new Date(Date.now() - USAGE_DAYS_KEPT * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const days of Object.values(store.usage)) {
+        for (const day of Object.keys(days)) {
+            if (day < cutoff) delete days[day];
+        }
+    }
+    const data = JSON.stringify(store, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+        await fs.mkdir(path.dirname(API_KEYS_FILE), { recursive: true });
+        const temp = `${API_KEYS_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(temp, data);
+        await fs.rename(temp, API_KEYS_FILE);
+    });
+    return writing;
+}
+
+// Usage counters change on every request, so they are written shortly after the last change
+function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+        writeTimer = null;
+        writeStore().catch(error => logger.error('Failed to write API key usage', { error }));
+    }, WRITE_DELAY_MS);
+    writeTimer.unref();
+}
+
+function limitsOf(key) {
+    const limits = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_LIMITS)) {
+        limits[name] = key.limits && key.limits[name] !== null && key.limits[name] !== undefined ? key.limits[name] : fallback;
+    }
+    return limits;
+}
+
+function usageOf(key, day = today()) {
+    const days = store.usage[key.id] || (store.usage[key.id] = {});
+    return days[day] || (days[day] = { requests: 0, layouts: 0, images: 0, texts: 0, exports: 0, rateLimited: 0, quotaExceeded: 0 });
+}
+
+// The stored key without its hash
+function describeKey(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, effectiveLimits: limitsOf(key) };
+}
+
+// limits: { requestsPerMinute, layoutsPerDay, imagesPerDay, textsPerDay, exportsPerDay }; null restores the default
+function readLimits(input, base = {}) {
+    if (input === undefined) return base;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw badRequest('limits must be an object');
+    const errors = [];
+    const limits = { ...base };
+    for (const [name, value] of Object.entries(input)) {
+        if (!(name in DEFAULT_LIMITS)) {
+            errors.push(`Unknown limit ${name} (use ${Object.keys(DEFAULT_LIMITS).join(', ')})`);
+        } else if (value !== null && (!Number.isInteger(value) || value < 0)) {
+            errors.push(`limits.${name} must be a whole number >= 0 (0 = unlimited) or null for the default`);
+        } else {
+            limits[name] = value;
+        }
+    }
+    if (errors.length) throw badRequest('Invalid API key limits', errors);
+    return limits;
+}
+
+function readName(value, fallback) {
+    if (value === undefined && fallback) return fallback;
+    const name = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!name) throw badRequest('name must be a non-empty string');
+    return name;
+}
+
+async function listKeys() {
+    await loadStore();
+    return store.keys.map(describeKey);
+}
+
+// Returns the key record plus `key`, the secret itself (not stored anywhere)
+async function createKey(input = {}) {
+    await loadStore();
+    const secret = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const now = new Date().toISOString();
+    const key = {
+        id: crypto.randomUUID(),
+        name: readName(input.name),
+        prefix: secret.slice(0, KEY_PREFIX.length + 6),
+        hash: sha256(secret),
+        limits: readLimits(input.limits),
+        disabled: false,
+        createdAt: now,
+        updatedAt: now,
+        lastUsedAt: null
+    };
+    store.keys.push(key);
+    await writeStore();
+    return { ...describeKey(key), key: secret };
+}
+
+function findKey(id) {
+    const key = store.keys.find(entry => entry.id === id);
+    if (!key) throw notFound();
+    return key;
+}
+
+// Change a key's name, limits or disabled flag
+async function updateKey(id, input = {}) {
+    await loadStore();
+    const key = findKey(id);
+    const name = readName(input.name, key.name);
+    const limits = readLimits(input.limits, key.limits);
+    Object.assign(key, { name, limits, updatedAt: new Date().toISOString() });
+    if (input.disabled !== undefined) key.disabled = Boolean(input.disabled);
+    await writeStore();
+    return describeKey(key);
+}
+
+async function deleteKey(id) {
+    await loadStore();
+    findKey(id);
+    store.keys = store.keys.filter(key => key.id !== id);
+    delete store.usage[id];
+    windows.delete(id);
+    await writeStore();
+}
+
+// The key record for a secret, or null
+async function authenticate(secret) {
+    await loadStore();
+    const hash = sha256(String(secret));
+    return store.keys.find(key => key.hash === hash) || null;
+}
+
+// Count a request against the key's rate limit (fixed one-minute windows).
+// Returns { allowed, limit, remaining, resetAt (ms) }.
+function takeRequest(key) {
+    const { requestsPerMinute: limit } = limitsOf(key);
+    const now = Date.now();
+    let current = windows.get(key.id);
+    if (!current || now - current.start >= RATE_WINDOW_MS) {
+        current = { start: now, count: 0 };
+        windows.set(key.id, current);
+    }
+    const usage = usageOf(key);
+    const allowed = !limit || current.count < limit;
+    if (allowed) {
+        current.count++;
+        usage.requests++;
+        key.lastUsedAt = new Date(now).toISOString();
+    } else {
+        usage.rateLimited++;
+    }
+    scheduleWrite();
+    return { allowed, limit, remaining: limit ? Math.max(0, limit - current.count) : null, resetAt: current.start + RATE_WINDOW_MS };
+}
+
+// Run fn with `key` as the key being served
+function runWithKey(key, fn) {
+    return context.run(key, fn);
+}
+
+// Charge `count` generations of `kind` (layouts | images | texts | exports) to the key being
+// served, or throw a 429 when they do not fit in today's quota. Returns refund() for
+// generations that end up failing.
+// Without a key (API_AUTH=off, startup work) nothing is counted.
+function chargeQuota(kind, count = 1) {
+    const key = context.getStore();
+    if (!key || !store) return () => {};
+    const limit = limitsOf(key)[QUOTAS[kind]];
+    const usage = usageOf(key);
+    // Days recorded before a kind existed have no count for it
+    usage[kind] = usage[kind] || 0;
+    if (limit && usage[kind] + count > limit) {
+        usage.quotaExceeded++;
+        scheduleWrite();
+        const error = new Error(`Daily ${kind} quota of ${limit} is used up for this API key; it resets at 00:00 UTC`);
+        error.status = 429;
+        error.quota = { kind, limit, used: usage[kind] };
+        throw error;
+    }
+    usage[kind] += count;
+    scheduleWrite();
+    let refunded = false;
+    return () => {
+        if (refunded) return;
+        refunded = true;
+        usage[kind] = Math.max(0, usage[kind] - count);
+        scheduleWrite();
+    };
+}
+
+function signStreamToken(body) {
+    return crypto.createHmac('sha256', STREAM_TOKEN_SECRET).update(body).digest('base64url');
+}
+
+// A token that stands in for the key `keyId` (null for the admin token) on GET `urlPath` only,
+// for STREAM_TOKEN_TTL_MS. Returns { token, expiresAt }.
+function createStreamToken(keyId, urlPath) {
+    const expires = Date.now() + STREAM_TOKEN_TTL_MS;
+    const body = Buffer.from(JSON.stringify({ k: keyId, p: urlPath, e: expires })).toString('base64url');
+    return { token: `${body}.${signStreamToken(body)}`, expiresAt: new Date(expires).toISOString() };
+}
+
+// The key a valid token for `urlPath` stands in for: { key } (key null for the admin token), or
+// null when the token is forged, expired, for another path or for a deleted key
+async function authenticateStreamToken(token, urlPath) {
+    const [body = '', signature = ''] = String(token).split('.');
+    const given = Buffer.from(signature);
+    const expected = Buffer.from(signStreamToken(body));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.p !== urlPath || payload.e < Date.now()) return null;
+    if (payload.k === null) return { key: null };
+    await loadStore();
+    const key = store.keys.find(entry => entry.id === payload.k);
+    return key ? { key } : null;
+}
+
+// Today's usage and remaining quota plus the last `days` days of history
+async function getUsage(id, days = 30) {
+    await loadStore();
+    const key = findKey(id);
+    const limits = limitsOf(key);
+    const usage = usageOf(key);
+    const remaining = {};
+    for (const [kind, limitName] of Object.entries(QUOTAS)) {
+        remaining[kind] = limits[limitName] ? Math.max(0, limits[limitName] - (usage[kind] || 0)) : null;
+    }
+    const count = Math.min(USAGE_DAYS_KEPT, Math.max(1, parseInt(days, 10) || 30));
+    const history = Object.entries(store.usage[key.id] || {})
+        .sort((a, b) => b[0].localeCompare(a[0]))
+        .slice(0, count)
+        .map(([date, entry]) => ({ date, ...entry }));
+    return { key: describeKey(key), limits, today: { date: today(), ...usage, remaining }, history };
+}
+
+module.exports = {
+    listKeys,
+    createKey,
+    updateKey,
+    deleteKey,
+    authenticate,
+    takeRequest,
+    runWithKey,
+    chargeQuota,
+    createStreamToken,
+    authenticateStreamToken,
+    getUsage
+};
@@ -0,0 +1,272 @@
+// Content-addressed asset store with a generation cache on top.
+// Assets are files named by the sha256 of their bytes and served from /assets/:hash.
+// Cache entries map a generation request (e.g. provider + model + prompt + size) to the asset
+// it produced, so repeated requests are answered from disk instead of a paid API call.
+// When the store grows past ASSET_CACHE_MAX_MB the least recently used assets are evicted,
+// except those a registered guard reports as still in use (e.g. by saved projects or running
+// jobs) and those used in the last few minutes (e.g. by a request that has not saved them yet).
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+const ASSET_DIR = path.resolve(process.env.ASSET_DIR || path.join(__dirname, '..', 'data', 'assets'));
+const OBJECT_DIR = path.join(ASSET_DIR, 'objects');
+const INDEX_FILE = path.join(ASSET_DIR, 'index.json');
+const MAX_BYTES = parseFloat(process.env.ASSET_CACHE_MAX_MB || '500') * 1024 * 1024;
+const INDEX_WRITE_DELAY_MS = 1000;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+// Assets used this recently are never evicted: they may belong to work still in progress
+const IN_USE_MS = 15 * 60 * 1000;
+// The guard reads every project file, so eviction reuses its answer for a while. Anything that
+// became referenced since then was used within IN_USE_MS, so it is safe either way.
+const GUARD_TTL_MS = 60 * 1000;
+
+let index = null;
+let loading = null;
+let writeTimer = null;
+let writing = Promise.resolve();
+// Identical requests that are already being generated share one result
+const inFlight = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0 };
+let guard = async () => new Set();
+let guarded = null;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function assetUrl(hash) {
+    return `/assets/${hash}`;
+}
+
+function describeAsset(hash) {
+    const meta = index.assets[hash];
+    return { hash, url: assetUrl(hash), mime: meta.mime, size: meta.size };
+}
+
+async function loadIndex() {
+    if (index) return index;
+    if (!loading) {
+        loading = (async () => {
+            await fs.mkdir(OBJECT_DIR, { recursive: true });
+            try {
+                const saved = JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+                index = { assets: saved.assets || {}, cache: saved.cache || {} };
+            } catch (error) {
+                if (error.code !== 'ENOENT') logger.error('Asset index unreadable, starting empty', { error });
+                index = { assets: {}, cache: {} };
+            }
+            return index;
+        })();
+    }
+    return loading;
+}
+
+// Write the index shortly after the last change (atomically, via a temp file)
+function scheduleIndexWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+        writeTimer = null;
+        const data = JSON.stringify(index);
+        writing = writing.then(async () => {
+            const temp = `${INDEX_FILE}.${process.pid}.tmp`;
+            await fs.writeFile(temp, data);
+            await fs.rename(temp, INDEX_FILE);
+        }).catch(error => logger.error('Failed to write asset index', { error }));
+    }, INDEX_WRITE_DELAY_MS);
+    writeTimer.unref();
+}
+
+function totalBytes() {
+    return Object.values(index.assets).reduce((sum, meta) => sum + meta.size, 0);
+}
+
+async function deleteAsset(hash) {
+    delete index.assets[hash];
+    for (const [key, entry] of Object.entries(index.cache)) {
+        if (entry.asset === hash) delete index.cache[key];
+    }
+    await fs.rm(path.join(OBJECT_DIR, hash), { force: true });
+}
+
+// fn() resolves to a Set of asset hashes that eviction and purges must not delete
+function setAssetGuard(fn) {
+    guard = fn;
+    guarded = null;
+}
+
+// The guard's answer, at most GUARD_TTL_MS old (fresh: true asks again)
+async function protectedAssets(fresh) {
+    if (fresh || !guarded || Date.now() - guarded.at > GUARD_TTL_MS) {
+        guarded = { at: Date.now(), hashes: guard() };
+        guarded.hashes.catch(() => {
+            guarded = null;
+        });
+    }
+    return guarded.hashes;
+}
+
+// Drop least recently used assets until the store fits in MAX_BYTES again
+async function evictIfNeeded(keep) {
+    let size = totalBytes();
+    if (size <= MAX_BYTES) return;
+    const protectedHashes = await protectedAssets();
+    const inUseSince = Date.now() - IN_USE_MS;
+    const candidates = Object.entries(index.assets)
+        .filter(([hash, meta]) => hash !== keep && meta.lastUsedAt < inUseSince && !protectedHashes.has(hash))
+        .sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [hash, meta] of candidates) {
+        if (size <= MAX_BYTES) break;
+        await deleteAsset(hash);
+        size -= meta.size;
+        stats.evictions++;
+    }
+}
+
+// Store bytes and return { hash, url, mime, size }. Storing the same bytes twice is a no-op.
+async function putAsset(buffer, mime) {
+    await loadIndex();
+    const hash = sha256(buffer);
+    const now = Date.now();
+    if (index.assets[hash]) {
+        index.assets[hash].lastUsedAt = now;
+    } else {
+        await fs.writeFile(path.join(OBJECT_DIR, hash), buffer);
+        index.assets[hash] = { mime: mime || 'application/octet-stream', size: buffer.length, createdAt: now, lastUsedAt: now };
+        await evictIfNeeded(hash);
+    }
+    scheduleIndexWrite();
+    return describeAsset(hash);
+}
+
+// Read an asset: { hash, url, mime, size, buffer } or null
+async function getAsset(hash) {
+    if (!HASH_PATTERN.test(String(hash))) return null;
+    await loadIndex();
+    if (!index.assets[hash]) return null;
+    let buffer;
+    try {
+        buffer = await fs.readFile(path.join(OBJECT_DIR, hash));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        // The file went missing behind our back; forget it
+        await deleteAsset(hash);
+        scheduleIndexWrite();
+        return null;
+    }
+    index.assets[hash].lastUsedAt = Date.now();
+    scheduleIndexWrite();
+    return { ...describeAsset(hash), buffer };
+}
+
+// Hash of an /assets/:hash URL (relative or absolute), or null for any other URL
+function assetHashFromUrl(url) {
+    const match = String(url || '').match(/^(?:https?:\/\/[^/]+)?\/assets\/([a-f0-9]{64})$/);
+    return match ? match[1] : null;
+}
+
+// Return the cached asset for (kind, params), or produce and cache it.
+// produce() returns { buffer, mime } or an asset from putAsset(); `uncached: true` on the
+// result stores the asset without remembering it for these params (e.g. a fallback result).
+// Returns the asset plus `cached: true|false`.
+async function cachedAsset(kind, params, produce) {
+    await loadIndex();
+    const key = sha256(JSON.stringify([kind, params]));
+    const entry = index.cache[key];
+    if (entry && index.assets[entry.asset]) {
+        const now = Date.now();
+        entry.lastUsedAt = now;
+        entry.hits++;
+        index.assets[entry.asset].lastUsedAt = now;
+        stats.hits++;
+        scheduleIndexWrite();
+        return { ...describeAsset(entry.asset), cached: true };
+    }
+
+    if (inFlight.has(key)) return inFlight.get(key);
+    const pending = (async () => {
+        stats.misses++;
+        const result = await produce();
+        const asset = result.hash ? result : await putAsset(result.buffer, result.mime);
+        if (!result.uncached && index.assets[asset.hash]) {
+            const now = Date.now();
+            index.cache[key] = { kind, params, asset: asset.hash, createdAt: now, lastUsedAt: now, hits: 0 };
+            scheduleIndexWrite();
+        }
+        return { hash: asset.hash, url: asset.url, mime: asset.mime, size: asset.size, cached: false };
+    })();
+    inFlight.set(key, pending);
+    try {
+        return await pending;
+    } finally {
+        inFlight.delete(key);
+    }
+}
+
+// Summary and entries for the admin endpoint. options: { kind, limit }
+async function inspectCache(options = {}) {
+    await loadIndex();
+    const limit = Math.max(0, parseInt(options.limit, 10) || 100);
+    const entries = Object.entries(index.cache)
+        .filter(([, entry]) => !options.kind || entry.kind === options.kind)
+        .sort((a, b) => b[1].lastUsedAt - a[1].lastUsedAt);
+    const byKind = {};
+    for (const entry of Object.values(index.cache)) byKind[entry.kind] = (byKind[entry.kind] || 0) + 1;
+    return {
+        directory: ASSET_DIR,
+        assets: Object.keys(index.assets).length,
+        bytes: totalBytes(),
+        maxBytes: MAX_BYTES,
+        cacheEntries: Object.keys(index.cache).length,
+        byKind,
+        ...stats,
+        entries: entries.slice(0, limit).map(([key, entry]) => ({
+            key,
+            ...entry,
+            url: assetUrl(entry.asset),
+            size: index.assets[entry.asset] ? index.assets[entry.asset].size : 0,
+            createdAt: new Date(entry.createdAt).toISOString(),
+            lastUsedAt: new Date(entry.lastUsedAt).toISOString()
+        }))
+    };
+}
+
+// Delete cache entries and the assets they point to (guarded assets are kept).
+// options: { kind, key } narrow the purge; with neither, the whole store is emptied.
+async function purgeCache(options = {}) {
+    await loadIndex();
+    const protectedHashes = await protectedAssets(true);
+    let entries = 0;
+    let assets = 0;
+    const removeAsset = async hash => {
+        if (!index.assets[hash] || protectedHashes.has(hash)) return;
+        await deleteAsset(hash);
+        assets++;
+    };
+    if (!options.kind && !options.key) {
+        entries = Object.keys(index.cache).length;
+        index.cache = {};
+        for (const hash of Object.keys(index.assets)) await removeAsset(hash);
+    } else {
+        for (const [key, entry] of Object.entries(index.cache)) {
+            if ((options.key && key !== options.key) || (options.kind && entry.kind !== options.kind)) continue;
+            entries++;
+            delete index.cache[key];
+            await removeAsset(entry.asset);
+        }
+    }
+    scheduleIndexWrite();
+    return { entries, assets };
+}
+
+module.exports = {
+    sha256,
+    putAsset,
+    getAsset,
+    assetHashFromUrl,
+    cachedAsset,
+    inspectCache,
+    purgeCache,
+    setAssetGuard
+};
@@ -0,0 +1,231 @@
+// File-based brand kit store: one JSON file per kit under BRAND_KITS_DIR.
+// A kit holds a client's HEX palette, Google Fonts families and weights, logos (stored as
+// assets, see lib/assets.js) and tone-of-voice notes. lib/brand.js applies kits to design
+// specs and checks flyers against them.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+const BRAND_KITS_DIR = path.resolve(process.env.BRAND_KITS_DIR || path.join(__dirname, '..', 'data', 'brand-kits'));
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+const HEX_PATTERN = /^#?(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const ASSET_URL_PATTERN = /^\/assets\/([a-f0-9]{64})$/;
+const FONT_ROLES = new Set(['headline', 'body', 'accent']);
+const MAX_NAME_LENGTH = 120;
+const MAX_TONE_LENGTH = 2000;
+const MAX_COLORS = 24;
+const MAX_FONTS = 8;
+const MAX_LOGOS = 8;
+
+// Writes to one kit are queued so concurrent updates do not overwrite each other
+const queues = new Map();
+
+function notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+function badRequest(message, details) {
+    const error = new Error(message);
+    error.status = 400;
+    if (details) error.details = details;
+    return error;
+}
+
+function kitFile(id) {
+    if (!ID_PATTERN.test(String(id))) throw notFound('Brand kit not found');
+    return path.join(BRAND_KITS_DIR, `${id}.json`);
+}
+
+async function readKit(id) {
+    try {
+        return JSON.parse(await fs.readFile(kitFile(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw notFound('Brand kit not found');
+        throw error;
+    }
+}
+
+async function writeKit(kit) {
+    await fs.mkdir(BRAND_KITS_DIR, { recursive: true });
+    const file = kitFile(kit.id);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(kit, null, 2));
+    await fs.rename(temp, file);
+}
+
+function cleanText(value, maxLength) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '';
+}
+
+// "#abc" / "AABBCC" -> "#AABBCC"
+function normalizeHex(value) {
+    let digits = String(value).trim().replace(/^#/, '');
+    if (digits.length === 3) digits = digits.split('').map(c => c + c).join('');
+    return `#${digits.toUpperCase()}`;
+}
+
+function slug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'logo';
+}
+
+// colors: ["#HEX", ...] or [{ name, hex }, ...]
+function readColors(input, errors) {
+    if (!Array.isArray(input)) {
+        errors.push('colors must be an array of HEX colors or { name, hex } objects');
+        return [];
+    }
+    if (input.length > MAX_COLORS) errors.push(`colors can hold at most ${MAX_COLORS} entries`);
+    return input.slice(0, MAX_COLORS).map((entry, i) => {
+        const hex = typeof entry === 'string' ? entry : entry && entry.hex;
+        if (typeof hex !== 'string' || !HEX_PATTERN.test(hex.trim())) {
+            errors.push(`colors[${i}] must be a HEX color like #1A73E8 (got ${JSON.stringify(hex)})`);
+            return null;
+        }
+        return { name: cleanText(entry && entry.name, MAX_NAME_LENGTH) || null, hex: normalizeHex(hex) };
+    }).filter(Boolean);
+}
+
+// fonts: ["Family", ...] or [{ family, weights?, role? }, ...]; weights default to 400 and 700
+function readFonts(input, errors) {
+    if (!Array.isArray(input)) {
+        errors.push('fonts must be an array of Google Fonts families or { family, weights, role } objects');
+        return [];
+    }
+    if (input.length > MAX_FONTS) errors.push(`fonts can hold at most ${MAX_FONTS} entries`);
+    return input.slice(0, MAX_FONTS).map((entry, i) => {
+        const font = typeof entry === 'string' ? { family: entry } : entry || {};
+        const family = cleanText(font.family, MAX_NAME_LENGTH).replace(/["']/g, '');
+        if (!family) {
+            errors.push(`fonts[${i}].family must be a Google Fonts family name`);
+            return null;
+        }
+        const weights = font.weights === undefined ? [400, 700] : font.weights;
+        if (!Array.isArray(weights) || !weights.length || weights.some(w => !Number.isInteger(Number(w)) || w < 100 || w > 900)) {
+            errors.push(`fonts[${i}].weights must be a list of weights between 100 and 900`);
+            return null;
+        }
+        if (font.role !== undefined && font.role !== null && !FONT_ROLES.has(font.role)) {
+            errors.push(`fonts[${i}].role must be one of ${[...FONT_ROLES].join(', ')}`);
+            return null;
+        }
+        return { family, weights: [...new Set(weights.map(Number))].sort((a, b) => a - b), role: font.role || null };
+    }).filter(Boolean);
+}
+
+// logos: [{ name, url (/assets/:hash), width, height }]; the server stores uploads as assets first
+function readLogos(input, errors) {
+    if (!Array.isArray(input)) {
+        errors.push('logos must be an array');
+        return [];
+    }
+    if (input.length > MAX_LOGOS) errors.push(`logos can hold at most ${MAX_LOGOS} entries`);
+    const ids = new Set();
+    return input.slice(0, MAX_LOGOS).map((logo, i) => {
+        if (!logo || !ASSET_URL_PATTERN.test(String(logo.url))) {
+            errors.push(`logos[${i}] must be an uploaded image`);
+            return null;
+        }
+        const name = cleanText(logo.name, MAX_NAME_LENGTH) || `Logo ${i + 1}`;
+        let id = slug(name);
+        for (let n = 2; ids.has(id); n++) id = `${slug(name)}-${n}`;
+        ids.add(id);
+        return { id, name, url: logo.url, width: Number(logo.width) || null, height: Number(logo.height) || null };
+    }).filter(Boolean);
+}
+
+// Build the stored fields of a kit from a create/update body; fields left out keep `base`'s value
+function readKitContent(input, base = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw badRequest('Brand kit must be a JSON object');
+    const errors = [];
+    const name = input.name !== undefined ? cleanText(input.name, MAX_NAME_LENGTH) : base.name;
+    if (!name) errors.push('name must be a non-empty string');
+    const content = {
+        name,
+        colors: input.colors !== undefined ? readColors(input.colors, errors) : base.colors || [],
+        fonts: input.fonts !== undefined ? readFonts(input.fonts, errors) : base.fonts || [],
+        logos: input.logos !== undefined ? readLogos(input.logos, errors) : base.logos || [],
+        tone: input.tone !== undefined ? String(input.tone || '').trim().slice(0, MAX_TONE_LENGTH) : base.tone || '',
+        // Greys, black and white count as on-brand unless the kit says otherwise
+        allowNeutrals: input.allowNeutrals !== undefined ? input.allowNeutrals !== false : base.allowNeutrals !== false
+    };
+    if (!content.colors.length) errors.push('colors must contain at least one brand color');
+    if (errors.length) throw badRequest('Invalid brand kit', errors);
+    return content;
+}
+
+async function listBrandKits() {
+    let files;
+    try {
+        files = await fs.readdir(BRAND_KITS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const kits = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+            kits.push(JSON.parse(await fs.readFile(path.join(BRAND_KITS_DIR, file), 'utf8')));
+        } catch (error) {
+            logger.warn('Skipping unreadable brand kit file', { file, error });
+        }
+    }
+    return kits.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getBrandKit(id) {
+    return readKit(id);
+}
+
+// extra: { ownerId (API key id) }
+async function createBrandKit(input, extra = {}) {
+    const now = new Date().toISOString();
+    const kit = { id: crypto.randomUUID(), ownerId: extra.ownerId || null, ...readKitContent(input), createdAt: now, updatedAt: now };
+    await writeKit(kit);
+    return kit;
+}
+
+// Change some fields of a kit; the others are kept
+function updateBrandKit(id, input) {
+    const previous = queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const kit = await readKit(id);
+        const updated = { ...kit, ...readKitContent(input, kit), updatedAt: new Date().toISOString() };
+        await writeKit(updated);
+        return updated;
+    });
+    queues.set(id, next);
+    next.finally(() => {
+        if (queues.get(id) === next) queues.delete(id);
+    }).catch(() => {});
+    return next;
+}
+
+async function deleteBrandKit(id) {
+    const file = kitFile(id);
+    await readKit(id);
+    await fs.rm(file, { force: true });
+}
+
+// Asset hashes of every kit's logos (kept safe from cache eviction)
+async function referencedAssets() {
+    const refs = new Set();
+    for (const kit of await listBrandKits()) {
+        for (const logo of kit.logos || []) {
+            const match = String(logo.url).match(ASSET_URL_PATTERN);
+            if (match) refs.add(match[1]);
+        }
+    }
+    return refs;
+}
+
+module.exports = {
+    listBrandKits,
+    getBrandKit,
+    createBrandKit,
+    updateBrandKit,
+    deleteBrandKit,
+    referencedAssets
+};
@@ -0,0 +1,297 @@
+// Applying brand kits (see lib/brand-kits.js) to design specs and checking flyers against them.
+// applyBrandKit() snaps a spec's colors and fonts to the kit and embeds the kit as `spec.brand`,
+// so every later stage (renderer prompt, logos, resizes, compliance checks) works from the spec.
+const cheerio = require('cheerio');
+const { parseStyle, serializeStyle, parseColor, findColors } = require('./css');
+const { describeElement } = require('./html-validator');
+
+// Colors within this CIE76 distance of a brand color count as that color (rounding, hsl() etc.)
+const BRAND_COLOR_TOLERANCE = 3;
+// Channel spread up to which a color counts as a neutral grey
+const NEUTRAL_SPREAD = 10;
+const COLOR_PROPERTY = /color|background|border|outline|shadow|fill|stroke|text-decoration/;
+const GENERIC_FAMILIES = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'inherit', 'initial', 'unset']);
+const ASSET_URL_PATTERN = /^\/assets\/[a-f0-9]{64}$/;
+
+function linearChannel(c) {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+// sRGB -> CIE L*a*b* (D65)
+function toLab({ r, g, b }) {
+    const [R, G, B] = [r, g, b].map(linearChannel);
+    const xyz = [
+        (R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047,
+        R * 0.2126 + G * 0.7152 + B * 0.0722,
+        (R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883
+    ].map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+    return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+function labDistance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function isNeutral({ r, g, b }) {
+    return Math.max(r, g, b) - Math.min(r, g, b) <= NEUTRAL_SPREAD;
+}
+
+function paletteOf(brand) {
+    return (brand.colors || [])
+        .map(entry => ({ ...entry, color: parseColor(entry.hex) }))
+        .filter(entry => entry.color)
+        .map(entry => ({ ...entry, lab: toLab(entry.color) }));
+}
+
+// Closest palette entry to a color: { hex, name, distance }
+function nearestBrandColor(color, palette) {
+    const lab = toLab(color);
+    let best = null;
+    for (const entry of palette) {
+        const distance = labDistance(lab, entry.lab);
+        if (!best || distance < best.distance) best = { hex: entry.hex, name: entry.name, distance };
+    }
+    return best;
+}
+
+// The nearest brand color when `color` is off-brand, or null when it is fine
+function offBrand(color, palette, allowNeutrals) {
+    if (color.a === 0 || !palette.length) return null;
+    if (allowNeutrals !== false && isNeutral(color)) return null;
+    const nearest = nearestBrandColor(color, palette);
+    return nearest.distance <= BRAND_COLOR_TOLERANCE ? null : nearest;
+}
+
+// A brand color with the alpha of the color it replaces
+function withAlpha(hex, alpha) {
+    if (alpha >= 1) return hex;
+    const { r, g, b } = parseColor(hex);
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 100) / 100})`;
+}
+
+// The part of a kit a spec carries along
+function brandSnapshot(kit) {
+    return {
+        id: kit.id || null,
+        name: kit.name,
+        colors: kit.colors || [],
+        fonts: kit.fonts || [],
+        logos: kit.logos || [],
+        tone: kit.tone || '',
+        allowNeutrals: kit.allowNeutrals !== false
+    };
+}
+
+function findFont(fonts, family) {
+    const wanted = String(family || '').toLowerCase();
+    return fonts.find(font => font.family.toLowerCase() === wanted) || null;
+}
+
+// Brand font for a typography key (headline_font, body_font, ...); fonts without a role are
+// used in order: the first for headlines, the second for body text
+function brandFontFor(key, current, fonts) {
+    const kept = findFont(fonts, current);
+    if (kept) return kept.family;
+    const role = key.replace(/_font$/, '');
+    const byRole = fonts.find(font => font.role === role);
+    if (byRole) return byRole.family;
+    if (role === 'headline') return fonts[0].family;
+    return (fonts.find(font => font.role === 'body') || fonts[1] || fonts[0]).family;
+}
+
+// Return a copy of the spec using only the kit's colors (and neutrals, when allowed) and fonts,
+// with the kit as `spec.brand`
+function applyBrandKit(spec, kit) {
+    const brand = brandSnapshot(kit);
+    const palette = paletteOf(brand);
+    const colors = {};
+    for (const [key, value] of Object.entries(spec.colors || {})) {
+        const color = parseColor(value);
+        const nearest = color ? offBrand(color, palette, brand.allowNeutrals) : null;
+        colors[key] = nearest ? withAlpha(nearest.hex, color.a) : value;
+    }
+    const typography = { ...spec.typography };
+    if (brand.fonts.length) {
+        for (const [key, value] of Object.entries(typography)) {
+            if (key.endsWith('_font')) typography[key] = brandFontFor(key, value, brand.fonts);
+        }
+    }
+    return { ...spec, colors, typography, brand };
+}
+
+function aspectRatio(logo) {
+    if (!logo.width || !logo.height) return null;
+    return `${Math.round(logo.width / logo.height * 100) / 100}:1`;
+}
+
+// Prompt section with the kit's rules. options.logos: explain how to place logos (renderer only)
+function brandPrompt(brand, options = {}) {
+    const colors = brand.colors.map(color => `${color.hex}${color.name ? ` (${color.name})` : ''}`).join(', ');
+    const lines = [
+        `**BRAND KIT (${brand.name}):**`,
+        `* Colors: use only these brand colors${brand.allowNeutrals ? ', plus black, white and greys' : ''}; rgba() versions of them are fine for translucency: ${colors}.`
+    ];
+    if (brand.fonts.length) {
+        const fonts = brand.fonts.map(font => `${font.family} (weights ${font.weights.join(', ')}${font.role ? `, for ${font.role} text` : ''})`).join('; ');
+        lines.push(`* Fonts: use only these Google Fonts families and weights: ${fonts}.`);
+    }
+    if (brand.logos.length && options.logos) {
+        const logos = brand.logos.map(logo => `"${logo.id}" (${logo.name}${aspectRatio(logo) ? `, aspect ratio ${aspectRatio(logo)}` : ''})`).join(', ');
+        lines.push(`* Logo: place the brand logo once where it is clearly visible, as \`<img src="" x-prompt="Brand logo" transparent="true" data-brand-logo="ID">\` with an explicit z-index and size that keep its aspect ratio. The image is filled in automatically. Logos: ${logos}.`);
+    } else if (brand.logos.length) {
+        lines.push('* The brand logo is added to the layout separately; do not describe it in visual_elements.');
+    }
+    if (brand.tone) lines.push(`* Tone of voice for all text: ${brand.tone}`);
+    return lines.join('\n');
+}
+
+// Fill img[data-brand-logo] elements with the kit's logo images
+function placeBrandLogos(html, brand) {
+    if (!brand || !/data-brand-logo/.test(html)) return html;
+    const $ = cheerio.load(html, null, false);
+    const logos = (brand.logos || []).filter(logo => ASSET_URL_PATTERN.test(String(logo.url)));
+    $('img[data-brand-logo]').each((i, el) => {
+        const logo = logos.find(candidate => candidate.id === el.attribs['data-brand-logo']) || logos[0];
+        if (!logo) {
+            // No logo to show: leave it to image generation
+            $(el).removeAttr('data-brand-logo');
+            return;
+        }
+        $(el).attr('data-brand-logo', logo.id).attr('src', logo.url).attr('transparent', 'true').attr('alt', logo.name);
+        if (!el.attribs['x-prompt']) $(el).attr('x-prompt', `Brand logo: ${logo.name}`);
+    });
+    return $.html();
+}
+
+// Families and weights named by a Google Fonts CSS link: [{ family, weights }]
+function fontsFromUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return [];
+    }
+    return parsed.searchParams.getAll('family').map(param => {
+        const [name, axes] = param.split(':');
+        let weights = [400];
+        if (axes && axes.includes('@')) {
+            const [axisNames, values] = axes.split('@');
+            const position = axisNames.split(',').indexOf('wght');
+            if (position !== -1) {
+                weights = values.split(';')
+                    .flatMap(tuple => String(tuple.split(',')[position] || '').split('..'))
+                    .map(Number)
+                    .filter(Number.isFinite);
+            }
+        }
+        return { family: name.trim(), weights };
+    });
+}
+
+function firstFamily(value) {
+    return String(value).split(',')[0].replace(/["']/g, '').trim();
+}
+
+// Check the inline CSS colors and fonts of flyer HTML against a brand.
+// Returns { kit, compliant, colorsChecked, fontsChecked, offBrandColors, offBrandFonts, issues }
+// where issues are { type: 'color' | 'font' | 'font-weight', element, ... }.
+function checkBrandCompliance(html, brand) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const palette = paletteOf(brand);
+    const fonts = brand.fonts || [];
+    const issues = [];
+    let colorsChecked = 0;
+    let fontsChecked = 0;
+
+    $('*').each((i, el) => {
+        const style = parseStyle(el.attribs.style);
+        for (const [property, value] of Object.entries(style)) {
+            if (COLOR_PROPERTY.test(property)) {
+                for (const found of findColors(value)) {
+                    colorsChecked++;
+                    const nearest = offBrand(found.color, palette, brand.allowNeutrals);
+                    if (nearest) {
+                        issues.push({ type: 'color', element: describeElement(el), property, value: found.text, nearest: nearest.hex, distance: Math.round(nearest.distance * 10) / 10 });
+                    }
+                }
+            }
+            if (property === 'font-family' && fonts.length) {
+                const family = firstFamily(value);
+                if (!family || GENERIC_FAMILIES.has(family.toLowerCase())) continue;
+                fontsChecked++;
+                if (!findFont(fonts, family)) {
+                    issues.push({ type: 'font', element: describeElement(el), source: 'font-family', value: family, allowed: fonts.map(font => font.family) });
+                }
+            }
+        }
+
+        const fontUrl = el.attribs['data-font-url'];
+        if (fontUrl && fonts.length) {
+            for (const used of fontsFromUrl(fontUrl)) {
+                fontsChecked++;
+                const font = findFont(fonts, used.family);
+                if (!font) {
+                    issues.push({ type: 'font', element: describeElement(el), source: 'data-font-url', value: used.family, allowed: fonts.map(f => f.family) });
+                    continue;
+                }
+                const weights = used.weights.filter(weight => !font.weights.includes(weight));
+                if (weights.length) {
+                    issues.push({ type: 'font-weight', element: describeElement(el), source: 'data-font-url', value: font.family, weights, allowed: font.weights });
+                }
+            }
+        }
+    });
+
+    const offBrandColors = issues.filter(issue => issue.type === 'color').length;
+    return {
+        kit: { id: brand.id || null, name: brand.name },
+        compliant: issues.length === 0,
+        colorsChecked,
+        fontsChecked,
+        offBrandColors,
+        offBrandFonts: issues.length - offBrandColors,
+        issues
+    };
+}
+
+// Replace every off-brand inline color with the nearest brand color (keeping its alpha).
+// Returns { html, changes: [{ element, property, from, to }] }
+function snapToBrandColors(html, brand) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const palette = paletteOf(brand);
+    const changes = [];
+
+    $('[style]').each((i, el) => {
+        const style = parseStyle(el.attribs.style);
+        let changed = false;
+        for (const [property, value] of Object.entries(style)) {
+            if (!COLOR_PROPERTY.test(property)) continue;
+            let next = value;
+            // Right to left, so earlier indexes stay valid
+            for (const found of findColors(value).reverse()) {
+                const nearest = offBrand(found.color, palette, brand.allowNeutrals);
+                if (!nearest) continue;
+                const replacement = withAlpha(nearest.hex, found.color.a);
+                next = next.slice(0, found.index) + replacement + next.slice(found.index + found.text.length);
+                changes.push({ element: describeElement(el), property, from: found.text, to: replacement });
+            }
+            if (next !== value) {
+                style[property] = next;
+                changed = true;
+            }
+        }
+        if (changed) $(el).attr('style', serializeStyle(style));
+    });
+
+    return { html: changes.length ? $.html() : html, changes };
+}
+
+module.exports = {
+    brandSnapshot,
+    applyBrandKit,
+    brandPrompt,
+    placeBrandLogos,
+    checkBrandCompliance,
+    snapToBrandColors
+};
@@ -0,0 +1,182 @@
+// Small CSS helpers for working with the inline styles of generated flyers
+
+const NAMED_COLORS = {
+    transparent: [0, 0, 0, 0],
+    black: [0, 0, 0, 1],
+    white: [255, 255, 255, 1],
+    red: [255, 0, 0, 1],
+    green: [0, 128, 0, 1],
+    blue: [0, 0, 255, 1],
+    yellow: [255, 255, 0, 1],
+    orange: [255, 165, 0, 1],
+    purple: [128, 0, 128, 1],
+    pink: [255, 192, 203, 1],
+    gray: [128, 128, 128, 1],
+    grey: [128, 128, 128, 1],
+    silver: [192, 192, 192, 1],
+    gold: [255, 215, 0, 1],
+    navy: [0, 0, 128, 1],
+    teal: [0, 128, 128, 1],
+    maroon: [128, 0, 0, 1],
+    beige: [245, 245, 220, 1],
+    ivory: [255, 255, 240, 1],
+    crimson: [220, 20, 60, 1],
+    coral: [255, 127, 80, 1],
+    brown: [165, 42, 42, 1],
+    cyan: [0, 255, 255, 1],
+    magenta: [255, 0, 255, 1]
+};
+
+// "color: red; font-size: 12px" -> { color: 'red', 'font-size': '12px' }
+function parseStyle(styleText) {
+    const style = {};
+    if (!styleText) return style;
+    for (const declaration of splitTopLevel(styleText, ';')) {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) continue;
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        const value = declaration.slice(colon + 1).replace(/!important\s*$/i, '').trim();
+        if (property && value) style[property] = value;
+    }
+    return style;
+}
+
+function serializeStyle(style) {
+    return Object.entries(style).map(([property, value]) => `${property}: ${value}`).join('; ') + (Object.keys(style).length ? ';' : '');
+}
+
+// Split on a separator, ignoring separators nested inside parentheses or quotes
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const ch of String(text)) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (ch === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) return [l * 255, l * 255, l * 255];
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hue = t => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [hue(h + 1 / 3) * 255, hue(h) * 255, hue(h - 1 / 3) * 255];
+}
+
+// Parse a CSS color into { r, g, b, a } (0-255, alpha 0-1), or null if it is not one we understand
+function parseColor(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim().toLowerCase();
+
+    if (NAMED_COLORS[text]) {
+        const [r, g, b, a] = NAMED_COLORS[text];
+        return { r, g, b, a };
+    }
+
+    const hex = text.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) digits = digits.split('').map(c => c + c).join('');
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    const fn = text.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (fn) {
+        const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const alphaPart = parts[3];
+        const a = alphaPart === undefined ? 1 : clamp(alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100 : parseFloat(alphaPart), 0, 1);
+        if (fn[1].startsWith('rgb')) {
+            const channel = part => clamp(part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part), 0, 255);
+            return { r: channel(parts[0]), g: channel(parts[1]), b: channel(parts[2]), a };
+        }
+        const [r, g, b] = hslToRgb(parseFloat(parts[0]), clamp(parseFloat(parts[1]) / 100, 0, 1), clamp(parseFloat(parts[2]) / 100, 0, 1));
+        return { r, g, b, a };
+    }
+
+    return null;
+}
+
+const COLOR_TOKEN_RE = new RegExp(`#[0-9a-f]{3,8}\\b|(?:rgba?|hsla?)\\([^)]*\\)|\\b(?:${Object.keys(NAMED_COLORS).join('|')})\\b`, 'gi');
+
+// Every color in a CSS value: [{ text, index, color: { r, g, b, a } }].
+// Text inside url(...) is skipped, so image URLs are never mistaken for colors.
+function findColors(value) {
+    const text = String(value || '');
+    const masked = text.replace(/url\((?:[^()]|\([^()]*\))*\)/gi, match => ' '.repeat(match.length));
+    const colors = [];
+    let match;
+    COLOR_TOKEN_RE.lastIndex = 0;
+    while ((match = COLOR_TOKEN_RE.exec(masked))) {
+        const color = parseColor(match[0]);
+        if (color) colors.push({ text: text.substr(match.index, match[0].length), index: match.index, color });
+    }
+    return colors;
+}
+
+function toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Resolve a CSS length to px. Percentages resolve against `base`; em/rem against `fontSize`.
+function parseLength(value, base = 0, fontSize = 16, viewport = { width: 0, height: 0 }) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim().toLowerCase();
+    if (text === '' || text === 'auto' || text === 'none') return null;
+    const match = text.match(/^(-?[\d.]+)(px|%|em|rem|vw|vh|pt)?$/);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    switch (match[2]) {
+        case '%': return number / 100 * base;
+        case 'em': return number * fontSize;
+        case 'rem': return number * 16;
+        case 'vw': return number / 100 * viewport.width;
+        case 'vh': return number / 100 * viewport.height;
+        case 'pt': return number * 96 / 72;
+        default: return number;
+    }
+}
+
+module.exports = {
+    parseStyle,
+    serializeStyle,
+    splitTopLevel,
+    parseColor,
+    findColors,
+    toHex,
+    parseLength
+};
@@ -0,0 +1,252 @@
+// Post-processing for background-removal cut-outs, built on sharp: alpha threshold, edge
+// feathering, trimming to the subject with padding, drop shadow, background replacement
+// (solid color, gradient, blurred original or another image) and PNG/WebP output.
+const sharp = require('sharp');
+const { parseColor, toHex } = require('./css');
+
+const FORMATS = { png: 'image/png', webp: 'image/webp' };
+const BACKGROUND_TYPES = new Set(['color', 'gradient', 'blur', 'image']);
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+const MIN_SIGMA = 0.3;
+
+const DEFAULT_OPTIONS = {
+    threshold: 0,
+    feather: 0,
+    trim: false,
+    padding: 0,
+    format: 'png',
+    quality: 90,
+    background: null,
+    shadow: null
+};
+
+const DEFAULT_SHADOW = { color: '#000000', opacity: 0.4, blur: 12, offsetX: 0, offsetY: 8 };
+
+// Read a number option, recording an error when it is outside [min, max]
+function readNumber(value, fallback, min, max, label, errors) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        errors.push(`${label} must be a number between ${min} and ${max}`);
+        return fallback;
+    }
+    return number;
+}
+
+function readColor(value, fallback, label, errors) {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (!parseColor(value)) {
+        errors.push(`${label} must be a CSS color like #FFFFFF or rgba(0, 0, 0, 0.5)`);
+        return fallback;
+    }
+    return value;
+}
+
+function readBackground(input, errors) {
+    if (input === undefined || input === null || input === false || input.type === 'none') return null;
+    if (typeof input !== 'object' || !BACKGROUND_TYPES.has(input.type)) {
+        errors.push(`background.type must be one of none, ${[...BACKGROUND_TYPES].join(', ')}`);
+        return null;
+    }
+    switch (input.type) {
+        case 'color':
+            return { type: 'color', color: readColor(input.color, '#FFFFFF', 'background.color', errors) };
+        case 'gradient': {
+            const colors = Array.isArray(input.colors) ? input.colors : [];
+            if (colors.length < 2 || colors.length > 8) errors.push('background.colors must list 2 to 8 colors');
+            return {
+                type: 'gradient',
+                colors: colors.slice(0, 8).map((color, i) => readColor(color, '#FFFFFF', `background.colors[${i}]`, errors)),
+                angle: readNumber(input.angle, 180, -360, 360, 'background.angle', errors)
+            };
+        }
+        case 'blur':
+            return { type: 'blur', radius: readNumber(input.radius, 20, 1, 100, 'background.radius', errors) };
+        default:
+            if (typeof input.image !== 'string' || !input.image) errors.push('background.image must be an image data URL or /assets/ URL');
+            return { type: 'image', image: input.image };
+    }
+}
+
+function readShadow(input, errors) {
+    if (!input) return null;
+    const shadow = input === true ? {} : input;
+    return {
+        color: readColor(shadow.color, DEFAULT_SHADOW.color, 'shadow.color', errors),
+        opacity: readNumber(shadow.opacity, DEFAULT_SHADOW.opacity, 0, 1, 'shadow.opacity', errors),
+        blur: readNumber(shadow.blur, DEFAULT_SHADOW.blur, 0, 100, 'shadow.blur', errors),
+        offsetX: readNumber(shadow.offsetX, DEFAULT_SHADOW.offsetX, -500, 500, 'shadow.offsetX', errors),
+        offsetY: readNumber(shadow.offsetY, DEFAULT_SHADOW.offsetY, -500, 500, 'shadow.offsetY', errors)
+    };
+}
+
+// Normalize request options; throws a 400 listing every problem.
+// A background image is left as given (data URL or /assets/ URL) for the caller to load.
+function readCutoutOptions(input = {}) {
+    if (typeof input !== 'object' || Array.isArray(input)) input = {};
+    const errors = [];
+    const format = input.format === undefined ? DEFAULT_OPTIONS.format : String(input.format).toLowerCase();
+    if (!FORMATS[format]) errors.push(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    const options = {
+        threshold: Math.round(readNumber(input.threshold, DEFAULT_OPTIONS.threshold, 0, 255, 'threshold', errors)),
+        feather: readNumber(input.feather, DEFAULT_OPTIONS.feather, 0, 50, 'feather', errors),
+        trim: Boolean(input.trim),
+        padding: Math.round(readNumber(input.padding, DEFAULT_OPTIONS.padding, 0, 1000, 'padding', errors)),
+        format: FORMATS[format] ? format : DEFAULT_OPTIONS.format,
+        quality: Math.round(readNumber(input.quality, DEFAULT_OPTIONS.quality, 1, 100, 'quality', errors)),
+        background: readBackground(input.background, errors),
+        shadow: readShadow(input.shadow, errors)
+    };
+    if (errors.length) {
+        const error = new Error('Invalid background removal options');
+        error.status = 400;
+        error.details = errors;
+        throw error;
+    }
+    return options;
+}
+
+// True when the options ask for anything beyond the plain PNG cut-out
+function needsProcessing(options) {
+    return JSON.stringify(options) !== JSON.stringify(DEFAULT_OPTIONS);
+}
+
+function sharpColor(value) {
+    const { r, g, b, a } = parseColor(value);
+    return { r: Math.round(r), g: Math.round(g), b: Math.round(b), alpha: a };
+}
+
+function blank(width, height) {
+    return sharp({ create: { width, height, channels: 4, background: TRANSPARENT } });
+}
+
+// Bounding box of the pixels with any opacity, or null for an empty image
+function subjectBox(alpha, width, height) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!alpha[y * width + x]) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            if (y > bottom) bottom = y;
+        }
+    }
+    return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// CSS angle (0deg points up, 90deg right) -> SVG gradient vector in the unit box
+function gradientSvg(width, height, background) {
+    const radians = background.angle * Math.PI / 180;
+    const dx = Math.sin(radians) / 2;
+    const dy = -Math.cos(radians) / 2;
+    const stops = background.colors.map((value, i) => {
+        const color = parseColor(value);
+        const offset = i / (background.colors.length - 1);
+        return `<stop offset="${offset}" stop-color="${toHex(color)}" stop-opacity="${color.a}"/>`;
+    }).join('');
+    return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><defs><linearGradient id="g" x1="${0.5 - dx}" y1="${0.5 - dy}" x2="${0.5 + dx}" y2="${0.5 + dy}">${stops}</linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/></svg>`);
+}
+
+async function backgroundLayer(background, size, source) {
+    const { width, height } = size;
+    switch (background.type) {
+        case 'color':
+            return sharp({ create: { width, height, channels: 4, background: sharpColor(background.color) } }).png().toBuffer();
+        case 'gradient':
+            return sharp(gradientSvg(width, height, background)).resize(width, height, { fit: 'fill' }).png().toBuffer();
+        case 'blur':
+            // The original photo, cropped like the subject; padding mirrors its edges
+            return sharp(source.original)
+                .resize(source.width, source.height, { fit: 'fill' })
+                .extract(source.box)
+                .extend({ top: source.padding, bottom: source.padding, left: source.padding, right: source.padding, extendWith: 'mirror' })
+                .blur(Math.max(MIN_SIGMA, background.radius / 2))
+                .png()
+                .toBuffer();
+        default:
+            return sharp(source.backgroundImage).resize(width, height, { fit: 'cover' }).png().toBuffer();
+    }
+}
+
+// The subject's silhouette in the shadow color, blurred and offset
+async function shadowLayer(subject, size, shadow) {
+    const { width, height } = size;
+    const color = sharpColor(shadow.color);
+    const pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels[i * 4] = color.r;
+        pixels[i * 4 + 1] = color.g;
+        pixels[i * 4 + 2] = color.b;
+        pixels[i * 4 + 3] = Math.round(subject[i * 4 + 3] * shadow.opacity * color.alpha);
+    }
+    let layer = sharp(pixels, { raw: { width, height, channels: 4 } });
+    if (shadow.blur / 2 >= MIN_SIGMA) layer = layer.blur(shadow.blur / 2);
+    // sharp runs extract before extend within one pipeline, so shift in two passes
+    const { offsetX: dx, offsetY: dy } = shadow;
+    const shifted = await layer
+        .extend({ top: Math.max(dy, 0), bottom: Math.max(-dy, 0), left: Math.max(dx, 0), right: Math.max(-dx, 0), background: TRANSPARENT })
+        .png()
+        .toBuffer();
+    return sharp(shifted)
+        .extract({ left: Math.max(-dx, 0), top: Math.max(-dy, 0), width, height })
+        .png()
+        .toBuffer();
+}
+
+// Apply the options to a cut-out (PNG with alpha). `original` is the photo the cut-out came
+// from (for the blurred background); extra.backgroundImage holds the bytes of an image background.
+// Returns { buffer, mime, width, height }.
+async function processCutout(cutout, original, options, extra = {}) {
+    const { data, info } = await sharp(cutout).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    let alpha = Buffer.alloc(width * height);
+    for (let i = 0; i < alpha.length; i++) {
+        const value = data[i * 4 + 3];
+        alpha[i] = value < options.threshold ? 0 : value;
+    }
+    if (options.feather / 2 >= MIN_SIGMA) {
+        alpha = await sharp(alpha, { raw: { width, height, channels: 1 } }).blur(options.feather / 2).extractChannel(0).raw().toBuffer();
+    }
+    for (let i = 0; i < alpha.length; i++) data[i * 4 + 3] = alpha[i];
+
+    let box = { left: 0, top: 0, width, height };
+    if (options.trim) {
+        box = subjectBox(alpha, width, height);
+        if (!box) {
+            const error = new Error('No subject left to trim to (the cut-out is fully transparent)');
+            error.status = 422;
+            throw error;
+        }
+    }
+    const pad = options.padding;
+    const size = { width: box.width + 2 * pad, height: box.height + 2 * pad };
+    const subject = await sharp(data, { raw: { width, height, channels: 4 } })
+        .extract(box)
+        .extend({ top: pad, bottom: pad, left: pad, right: pad, background: TRANSPARENT })
+        .raw()
+        .toBuffer();
+
+    const layers = [];
+    if (options.shadow) layers.push({ input: await shadowLayer(subject, size, options.shadow) });
+    layers.push({ input: subject, raw: { width: size.width, height: size.height, channels: 4 } });
+    const base = options.background
+        ? await backgroundLayer(options.background, size, { original, width, height, box, padding: pad, backgroundImage: extra.backgroundImage })
+        : await blank(size.width, size.height).png().toBuffer();
+
+    const composed = sharp(base).composite(layers);
+    const buffer = options.format === 'webp'
+        ? await composed.webp({ quality: options.quality, alphaQuality: 100 }).toBuffer()
+        : await composed.png().toBuffer();
+    return { buffer, mime: FORMATS[options.format], width: size.width, height: size.height };
+}
+
+module.exports = {
+    readCutoutOptions,
+    needsProcessing,
+    processCutout
+};
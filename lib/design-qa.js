@@ -0,0 +1,582 @@
+// Automated design QA for finished flyers: text that overflows its container or the flyer,
+// stickers (img[x-prompt]) painted over text, and text/background contrast (WCAG 2.x).
+// The checks run on the layout the exporter renders (lib/render-svg.js), so the report matches
+// the exported file. Transforms and rounded corners are ignored; image pixels are sampled so
+// transparent parts of a sticker or photo count as what is behind them.
+// Elements are numbered in document order with the flyer root as 0, which is the order of
+// [root, ...root.querySelectorAll('*')] in the browser.
+const cheerio = require('cheerio');
+const sharp = require('sharp');
+const { prepareFlyer, layoutFlyer, backgroundLayers, paintOrderKey } = require('./render-svg');
+const { parseStyle, serializeStyle, findColors, toHex } = require('./css');
+const { describeElement } = require('./html-validator');
+
+// Overflow smaller than this (px) is layout rounding, not a problem
+const OVERFLOW_TOLERANCE = 1;
+// Share of a text covered by a sticker from which the overlap counts, and from which it is an error
+const MIN_COVERAGE = 0.1;
+const ERROR_COVERAGE = 0.3;
+// WCAG 2.x minimum contrast (AA); large text is 24px, or 18.66px (14pt) when bold
+const NORMAL_TEXT_RATIO = 4.5;
+const LARGE_TEXT_RATIO = 3;
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+const PENALTIES = { error: 15, warning: 5 };
+const MIN_FONT_SCALE = 0.5;
+const MIN_FONT_PX = 8;
+const MAX_FIX_ROUNDS = 3;
+// Images are decoded at this size (longest side) for sampling
+const SAMPLE_SIZE = 96;
+const MAX_BACKDROPS = 16;
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+function round(n, digits = 2) {
+    const f = Math.pow(10, digits);
+    return Math.round(n * f) / f;
+}
+
+function linearChannel(c) {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function luminance({ r, g, b }) {
+    return 0.2126 * linearChannel(r) + 0.7152 * linearChannel(g) + 0.0722 * linearChannel(b);
+}
+
+function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// `top` painted with `alpha` over an opaque `bottom`
+function blend(top, bottom, alpha) {
+    const a = Math.max(0, Math.min(1, alpha));
+    return {
+        r: top.r * a + bottom.r * (1 - a),
+        g: top.g * a + bottom.g * (1 - a),
+        b: top.b * a + bottom.b * (1 - a),
+        a: 1
+    };
+}
+
+function mix(color, target, t) {
+    return { r: color.r + (target.r - color.r) * t, g: color.g + (target.g - color.g) * t, b: color.b + (target.b - color.b) * t, a: 1 };
+}
+
+function intersect(a, b) {
+    if (!a || !b) return a || b;
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+    const w = Math.min(a.x + a.w, b.x + b.w) - x;
+    const h = Math.min(a.y + a.h, b.y + b.h) - y;
+    return { x, y, w: Math.max(0, w), h: Math.max(0, h) };
+}
+
+function union(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+}
+
+function contains(rect, point) {
+    return Boolean(rect) && point.x >= rect.x && point.x < rect.x + rect.w && point.y >= rect.y && point.y < rect.y + rect.h;
+}
+
+function roundRect(rect) {
+    return { x: round(rect.x, 1), y: round(rect.y, 1), w: round(rect.w, 1), h: round(rect.h, 1) };
+}
+
+// Evenly spread sample points inside a rectangle
+function gridPoints(rect, cols, rows) {
+    const points = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            points.push({ x: rect.x + rect.w * (col + 0.5) / cols, y: rect.y + rect.h * (row + 0.5) / rows });
+        }
+    }
+    return points;
+}
+
+// Decode an image (data URL) to small raw RGBA for sampling; null when sharp cannot read it
+async function decodeSample(href) {
+    try {
+        const buffer = Buffer.from(href.slice(href.indexOf(',') + 1), 'base64');
+        const { data, info } = await sharp(buffer)
+            .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        return { data, width: info.width, height: info.height };
+    } catch (error) {
+        return null;
+    }
+}
+
+// The image pixel drawn at `point` for an image painted into `rect` with object-fit `fit`,
+// or null outside the drawn area. Without a sample the image counts as opaque grey.
+function samplePixel(paint, samples, point) {
+    const sample = samples.get(paint.image.href);
+    if (!sample) return contains(paint.rect, point) ? { r: 128, g: 128, b: 128, a: 1 } : null;
+    const { rect } = paint;
+    let sx = rect.w / sample.width;
+    let sy = rect.h / sample.height;
+    let ox = rect.x;
+    let oy = rect.y;
+    if (paint.fit === 'cover' || paint.fit === 'contain') {
+        const scale = paint.fit === 'cover' ? Math.max(sx, sy) : Math.min(sx, sy);
+        sx = scale;
+        sy = scale;
+        ox = rect.x + (rect.w - sample.width * scale) / 2;
+        oy = rect.y + (rect.h - sample.height * scale) / 2;
+    }
+    const u = Math.floor((point.x - ox) / sx);
+    const v = Math.floor((point.y - oy) / sy);
+    if (u < 0 || v < 0 || u >= sample.width || v >= sample.height) return null;
+    const i = (v * sample.width + u) * 4;
+    return { r: sample.data[i], g: sample.data[i + 1], b: sample.data[i + 2], a: sample.data[i + 3] / 255 };
+}
+
+// Flatten the laid-out flyer into paint order: backgrounds, images and text runs with absolute
+// rectangles, the visible part (after overflow clipping) and the chain of boxes above them
+function collectPaints(layout, images, indexOf) {
+    const paints = [];
+    const visit = (box, ox, oy, clip, opacity, path) => {
+        const rect = { x: ox + box.x, y: oy + box.y, w: box.w, h: box.h };
+        const ownOpacity = parseFloat(box.style.opacity);
+        const alpha = opacity * (Number.isFinite(ownOpacity) ? Math.max(0, Math.min(1, ownOpacity)) : 1);
+        const chain = [...path, box];
+        const base = { rect, visible: intersect(rect, clip), opacity: alpha, element: indexOf(box), path: chain };
+
+        if (box.tag === 'img') {
+            const fit = box.style['object-fit'] || 'fill';
+            if (box.image) {
+                paints.push({ ...base, kind: 'image', image: box.image, fit: fit === 'scale-down' ? 'contain' : fit, sticker: box.el.attribs['x-prompt'] !== undefined });
+            }
+        } else {
+            const background = backgroundLayers(box.style);
+            if (background.color && background.color.a > 0) paints.push({ ...base, kind: 'color', color: background.color });
+            for (const layer of background.layers.slice().reverse()) {
+                if (layer.gradient) {
+                    const colors = findColors(layer.gradient).map(found => found.color);
+                    if (colors.length) paints.push({ ...base, kind: 'gradient', colors });
+                } else if (layer.url && images.get(layer.url)) {
+                    const size = box.style['background-size'] || (box.style.background || '').match(/\/\s*(cover|contain)/)?.[1] || 'cover';
+                    paints.push({ ...base, kind: 'image', image: images.get(layer.url), fit: /contain/.test(size) ? 'contain' : 'cover', sticker: false });
+                }
+            }
+        }
+
+        const childClip = /hidden|clip/.test(box.style.overflow || '') ? intersect(clip, rect) : clip;
+        const ordered = box.children
+            .map((child, index) => ({ child, index, key: paintOrderKey(child) }))
+            .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.index - b.index)
+            .map(entry => entry.child);
+        for (const child of ordered) {
+            if (child.kind !== 'text') {
+                visit(child, rect.x, rect.y, childClip, alpha, chain);
+                continue;
+            }
+            for (const line of child.layout.lines) {
+                for (const segment of line.segments) {
+                    if (!segment.text.trim() || !segment.el) continue;
+                    const textRect = { x: rect.x + child.x + segment.x, y: rect.y + child.y + line.y, w: segment.width, h: line.height };
+                    paints.push({
+                        kind: 'text',
+                        rect: textRect,
+                        visible: intersect(textRect, childClip),
+                        clip: childClip,
+                        opacity: alpha,
+                        element: indexOf(segment.el),
+                        el: segment.el,
+                        ts: segment.ts,
+                        container: rect,
+                        path: [...chain, child]
+                    });
+                }
+            }
+        }
+    };
+    visit(layout.box, 0, 0, null, 1, []);
+    return paints;
+}
+
+// Keep at most MAX_BACKDROPS distinct colors, spread over the luminance range
+function spreadColors(colors) {
+    const unique = [...new Map(colors.map(color => [toHex(color), color])).values()];
+    if (unique.length <= MAX_BACKDROPS) return unique;
+    unique.sort((a, b) => luminance(a) - luminance(b));
+    return Array.from({ length: MAX_BACKDROPS }, (_, i) => unique[Math.round(i * (unique.length - 1) / (MAX_BACKDROPS - 1))]);
+}
+
+// Possible colors behind `point` from everything painted before paints[before]. The flyer sits on
+// white; a gradient contributes each of its stops, since the exact one under the text is unknown.
+function backdropsAt(paints, before, point, samples) {
+    let colors = [WHITE];
+    for (let i = 0; i < before; i++) {
+        const paint = paints[i];
+        if (paint.kind === 'text' || !contains(paint.visible, point)) continue;
+        if (paint.kind === 'color') {
+            colors = colors.map(color => blend(paint.color, color, paint.color.a * paint.opacity));
+        } else if (paint.kind === 'gradient') {
+            colors = spreadColors(colors.flatMap(color => paint.colors.map(stop => blend(stop, color, stop.a * paint.opacity))));
+        } else {
+            const pixel = samplePixel(paint, samples, point);
+            if (pixel) colors = colors.map(color => blend(pixel, color, pixel.a * paint.opacity));
+        }
+    }
+    return colors;
+}
+
+function requiredRatio(ts) {
+    const large = ts.size >= LARGE_TEXT_PX || (ts.size >= LARGE_BOLD_TEXT_PX && ts.weight >= 700);
+    return large ? LARGE_TEXT_RATIO : NORMAL_TEXT_RATIO;
+}
+
+// The text color closest to `color` that reaches `required` against every backdrop: mixed towards
+// black or white, whichever needs less; pure black or white when neither gets there
+function readableColor(color, backdrops, required) {
+    const worst = candidate => Math.min(...backdrops.map(backdrop => contrastRatio(candidate, backdrop)));
+    let best = null;
+    for (const target of [BLACK, WHITE]) {
+        for (let step = 1; step <= 10; step++) {
+            const candidate = mix(color, target, step / 10);
+            if (worst(candidate) >= required) {
+                if (!best || step < best.step) best = { step, color: candidate };
+                break;
+            }
+        }
+    }
+    if (best) return best.color;
+    return worst(BLACK) >= worst(WHITE) ? BLACK : WHITE;
+}
+
+function textPreview($, el) {
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+// Group text runs by element, keeping paint indexes
+function textByElement(paints) {
+    const groups = new Map();
+    paints.forEach((paint, index) => {
+        if (paint.kind !== 'text') return;
+        if (!groups.has(paint.element)) groups.set(paint.element, { el: paint.el, runs: [] });
+        groups.get(paint.element).runs.push({ paint, index });
+    });
+    return groups;
+}
+
+function checkOverflow(groups, bounds, $) {
+    const issues = [];
+    for (const [element, group] of groups) {
+        const first = group.runs[0].paint;
+        const text = group.runs.map(run => run.paint.rect).reduce(union);
+        // Tightest area the text has to stay in, and what it is
+        const limits = [['container', first.container], ['clip', first.clip], ['flyer', bounds]].filter(([, rect]) => rect);
+        const area = limits.map(([, rect]) => rect).reduce(intersect);
+        const overflow = {
+            left: Math.max(0, area.x - text.x),
+            right: Math.max(0, text.x + text.w - (area.x + area.w)),
+            top: Math.max(0, area.y - text.y),
+            bottom: Math.max(0, text.y + text.h - (area.y + area.h))
+        };
+        if (Object.values(overflow).every(amount => amount <= OVERFLOW_TOLERANCE)) continue;
+
+        const outside = limits.filter(([, rect]) => {
+            const inside = intersect(rect, text);
+            return inside.w < text.w - OVERFLOW_TOLERANCE || inside.h < text.h - OVERFLOW_TOLERANCE;
+        }).map(([name]) => name);
+        const cut = outside.includes('flyer') || outside.includes('clip');
+        // Shrink until the text is as large as its visible part
+        const visibleW = text.w - overflow.left - overflow.right;
+        const visibleH = text.h - overflow.top - overflow.bottom;
+        const scale = Math.min(visibleW / text.w, visibleH / text.h) * 0.95;
+        const size = first.ts.size;
+        const fontSize = Math.max(MIN_FONT_PX, Math.floor(size * Math.max(MIN_FONT_SCALE, scale)));
+        const where = cut ? (outside.includes('flyer') ? 'runs off the flyer' : 'is clipped by its container') : 'overflows its container';
+        issues.push({
+            id: `overflow-${element}`,
+            type: 'overflow',
+            severity: cut ? 'error' : 'warning',
+            element,
+            tag: group.el.name,
+            selector: describeElement(group.el),
+            text: textPreview($, group.el),
+            message: `Text "${textPreview($, group.el)}" ${where} by ${Math.round(Math.max(...Object.values(overflow)))}px`,
+            rect: roundRect(text),
+            overflow: Object.fromEntries(Object.entries(overflow).map(([side, amount]) => [side, round(amount, 1)])),
+            outside,
+            fix: visibleW > 0 && visibleH > 0 && fontSize < size
+                ? { action: 'shrink-font', element, fontSize, description: `Shrink the font from ${round(size, 1)}px to ${fontSize}px` }
+                : null
+        });
+    }
+    return issues;
+}
+
+// How to move a sticker behind a text: lower the z-index of the sticker's branch below the text's
+// branch where the two meet. A negative z-index needs the meeting element to be a stacking context
+// (isolation: isolate), or the sticker would disappear behind its background in the browser.
+function sendBehindFix(sticker, text, describe) {
+    let depth = 0;
+    while (depth < sticker.path.length && depth < text.path.length && sticker.path[depth] === text.path[depth]) depth++;
+    const branch = sticker.path[depth];
+    const other = text.path[depth];
+    if (!branch || !other || depth === 0) return null;
+    const stacking = other.kind !== 'text' && (other.positioned || other.hasZ);
+    const zIndex = stacking ? other.z - 1 : -1;
+    const element = describe(branch);
+    const fix = { action: 'send-behind', element, zIndex, description: `Set z-index: ${zIndex} on ${describeElement(branch.el)}` };
+    if (!branch.positioned) fix.position = 'relative';
+    if (zIndex < 0) fix.isolate = describe(sticker.path[depth - 1]);
+    return fix;
+}
+
+function checkOverlap(paints, groups, samples, $, describe) {
+    const issues = [];
+    paints.forEach((sticker, stickerIndex) => {
+        if (sticker.kind !== 'image' || !sticker.sticker || !sticker.visible) return;
+        for (const [element, group] of groups) {
+            let covered = 0;
+            let total = 0;
+            let firstRun = null;
+            for (const { paint, index } of group.runs) {
+                const points = gridPoints(paint.rect, 6, 3);
+                total += points.length;
+                if (index > stickerIndex) continue;
+                for (const point of points) {
+                    if (!contains(sticker.visible, point)) continue;
+                    const pixel = samplePixel(sticker, samples, point);
+                    if (pixel && pixel.a * sticker.opacity >= 0.5) {
+                        covered++;
+                        if (!firstRun) firstRun = paint;
+                    }
+                }
+            }
+            const coverage = total ? covered / total : 0;
+            if (coverage < MIN_COVERAGE) continue;
+            const text = textPreview($, group.el);
+            const rect = group.runs.map(run => run.paint.rect).reduce(union);
+            issues.push({
+                id: `overlap-${sticker.element}-${element}`,
+                type: 'overlap',
+                severity: coverage >= ERROR_COVERAGE ? 'error' : 'warning',
+                element,
+                tag: group.el.name,
+                selector: describeElement(group.el),
+                text,
+                sticker: sticker.element,
+                stickerSelector: describeElement(sticker.path[sticker.path.length - 1].el),
+                message: `Sticker covers ${Math.round(coverage * 100)}% of the text "${text}"`,
+                rect: roundRect(intersect(rect, sticker.visible)),
+                coverage: round(coverage),
+                fix: sendBehindFix(sticker, firstRun, describe)
+            });
+        }
+    });
+    return issues;
+}
+
+function checkContrast(paints, groups, samples, $) {
+    const issues = [];
+    for (const [element, group] of groups) {
+        let worst = null;
+        const backdrops = [];
+        let required = LARGE_TEXT_RATIO;
+        let shadow = false;
+        for (const { paint, index } of group.runs) {
+            if (!paint.visible || !paint.visible.w || !paint.visible.h) continue;
+            const need = requiredRatio(paint.ts);
+            required = Math.max(required, need);
+            shadow = shadow || Boolean(paint.ts.shadow);
+            for (const point of gridPoints(paint.visible, 4, 2)) {
+                for (const backdrop of backdropsAt(paints, index, point, samples)) {
+                    const color = blend(paint.ts.color, backdrop, paint.ts.color.a * paint.opacity);
+                    const ratio = contrastRatio(color, backdrop);
+                    backdrops.push(backdrop);
+                    if (!worst || ratio / need < worst.ratio / worst.required) worst = { ratio, required: need, color, backdrop, ts: paint.ts };
+                }
+            }
+        }
+        if (!worst || worst.ratio >= worst.required) continue;
+
+        const text = textPreview($, group.el);
+        const fixed = readableColor(worst.ts.color, spreadColors(backdrops), required);
+        const severe = worst.ratio < worst.required / 1.5;
+        issues.push({
+            id: `contrast-${element}`,
+            type: 'contrast',
+            // A text shadow usually keeps low-contrast text legible
+            severity: severe && !shadow ? 'error' : 'warning',
+            element,
+            tag: group.el.name,
+            selector: describeElement(group.el),
+            text,
+            message: `Text "${text}" has a contrast ratio of ${round(worst.ratio, 1)}:1 (needs ${worst.required}:1)${shadow ? '; it has a text shadow' : ''}`,
+            rect: roundRect(group.runs.map(run => run.paint.rect).reduce(union)),
+            ratio: round(worst.ratio),
+            required: worst.required,
+            color: toHex(worst.color),
+            background: toHex(worst.backdrop),
+            fix: toHex(fixed) !== toHex(worst.ts.color)
+                ? { action: 'set-color', element, color: toHex(fixed), description: `Change the text color to ${toHex(fixed)}` }
+                : null
+        });
+    }
+    return issues;
+}
+
+// Lay out a prepared flyer and list what it paints, with element indexes
+function layoutPaints(prepared) {
+    const layout = layoutFlyer(prepared);
+    const elements = [prepared.root, ...prepared.$(prepared.root).find('*').get()];
+    const indexes = new Map(elements.map((el, i) => [el, i]));
+    // layoutFlyer lays out a copy of the root element
+    const indexOf = node => (node === layout.box ? 0 : indexes.get(node.el || node) ?? 0);
+    return { layout, paints: collectPaints(layout, prepared.images, indexOf), indexOf };
+}
+
+// Check a prepared flyer (see prepareFlyer). Returns
+// { score (0-100), passed (no errors), width, height, checked, byType, bySeverity, issues }
+// where issues are { id, type: overflow | overlap | contrast, severity: error | warning, element,
+// tag, selector, text, message, rect, fix: { action, element, description, ... } | null, ... }.
+async function checkDesign(prepared) {
+    const { layout, paints, indexOf } = layoutPaints(prepared);
+
+    const hrefs = new Set(paints.filter(paint => paint.kind === 'image').map(paint => paint.image.href));
+    const samples = new Map();
+    await Promise.all([...hrefs].map(async href => samples.set(href, await decodeSample(href))));
+
+    const groups = textByElement(paints);
+    const bounds = { x: 0, y: 0, w: layout.width, h: layout.height };
+    const issues = [
+        ...checkOverflow(groups, bounds, prepared.$),
+        ...checkOverlap(paints, groups, samples, prepared.$, indexOf),
+        ...checkContrast(paints, groups, samples, prepared.$)
+    ];
+    const penalty = issues.reduce((sum, issue) => sum + PENALTIES[issue.severity], 0);
+    const byType = { overflow: 0, overlap: 0, contrast: 0 };
+    const bySeverity = { error: 0, warning: 0 };
+    issues.forEach(issue => {
+        byType[issue.type]++;
+        bySeverity[issue.severity]++;
+    });
+    return {
+        score: Math.max(0, 100 - penalty),
+        passed: !issues.some(issue => issue.severity === 'error'),
+        width: round(layout.width, 1),
+        height: round(layout.height, 1),
+        checked: { texts: groups.size, stickers: paints.filter(paint => paint.kind === 'image' && paint.sticker).length },
+        byType,
+        bySeverity,
+        issues
+    };
+}
+
+// Check flyer HTML. options.resolveImage maps app URLs (/assets/...) for the loader.
+// Returns the report of checkDesign plus `warnings` from loading fonts and images.
+async function analyzeFlyer(html, options = {}) {
+    const prepared = await prepareFlyer(html, { resolveImage: options.resolveImage });
+    return { ...await checkDesign(prepared), warnings: prepared.warnings };
+}
+
+// Where the text of each element ends up in flyer HTML: Map of element index -> { rect, fontSize }
+async function measureTexts(html, options = {}) {
+    const prepared = await prepareFlyer(html, { resolveImage: options.resolveImage });
+    const sizes = new Map();
+    for (const [element, group] of textByElement(layoutPaints(prepared).paints)) {
+        const rect = group.runs.map(run => run.paint.rect).reduce(union);
+        sizes.set(element, { rect: roundRect(rect), fontSize: group.runs[0].paint.ts.size });
+    }
+    return sizes;
+}
+
+// Apply issue fixes to flyer HTML. Returns { html, changes: [{ id, element, property, from, to }] }
+function applyDesignFixes(html, issues) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const root = $.root().children().filter((i, el) => el.type === 'tag').first();
+    const elements = [root.get(0), ...root.find('*').get()];
+    const changes = [];
+    const lowered = new Map();
+
+    const write = (id, el, property, value) => {
+        const style = parseStyle(el.attribs.style);
+        const from = style[property] || null;
+        if (from === value) return;
+        if (value === null) delete style[property];
+        else style[property] = value;
+        if (Object.keys(style).length) $(el).attr('style', serializeStyle(style));
+        else $(el).removeAttr('style');
+        changes.push({ id, element: describeElement(el), property, from, to: value });
+    };
+    const set = (id, index, property, value) => {
+        if (elements[index]) write(id, elements[index], property, value);
+    };
+    // Spans may only set z-index (see lib/html-validator.js), so text styles go on the text
+    // element around them, and a span's own copy is dropped so the new value shows
+    const setText = (id, index, property, value) => {
+        let el = elements[index];
+        if (!el) return;
+        while (el.name === 'span' && el.parent && el.parent.type === 'tag') {
+            write(id, el, property, null);
+            el = el.parent;
+        }
+        write(id, el, property, value);
+    };
+    const shrunk = new Map();
+
+    for (const issue of issues) {
+        const fix = issue.fix;
+        if (!fix) continue;
+        if (fix.action === 'shrink-font') {
+            // Spans sharing a parent share its font size: keep the smallest one asked for
+            const el = elements[fix.element];
+            const owner = el && $(el).closest(':not(span)').get(0);
+            if (shrunk.has(owner) && shrunk.get(owner) <= fix.fontSize) continue;
+            shrunk.set(owner, fix.fontSize);
+            setText(issue.id, fix.element, 'font-size', `${fix.fontSize}px`);
+        } else if (fix.action === 'set-color') {
+            setText(issue.id, fix.element, 'color', fix.color);
+        } else if (fix.action === 'send-behind') {
+            // A sticker over several texts goes behind all of them
+            if (lowered.has(fix.element) && lowered.get(fix.element) <= fix.zIndex) continue;
+            lowered.set(fix.element, fix.zIndex);
+            if (fix.position) set(issue.id, fix.element, 'position', fix.position);
+            set(issue.id, fix.element, 'z-index', String(fix.zIndex));
+            if (fix.isolate !== undefined) set(issue.id, fix.isolate, 'isolation', 'isolate');
+        }
+    }
+    return { html: changes.length ? $.html() : html, changes };
+}
+
+// Fix the issues named by `ids` (all fixable issues when ids is null) and check again. Fixes are
+// estimates (text does not shrink exactly in proportion), so this repeats for issues that remain,
+// up to MAX_FIX_ROUNDS times. options.types limits the fixes to some issue types (e.g. ['overflow']).
+// Returns { html, report, changes }.
+async function fixDesign(html, options = {}) {
+    const ids = Array.isArray(options.ids) ? new Set(options.ids.map(String)) : null;
+    const types = Array.isArray(options.types) ? new Set(options.types) : null;
+    let report = await analyzeFlyer(html, options);
+    const changes = [];
+    for (let attempt = 0; attempt < MAX_FIX_ROUNDS; attempt++) {
+        const selected = report.issues.filter(issue => issue.fix && (!ids || ids.has(issue.id)) && (!types || types.has(issue.type)));
+        if (!selected.length) break;
+        const fixed = applyDesignFixes(html, selected);
+        if (!fixed.changes.length) break;
+        html = fixed.html;
+        changes.push(...fixed.changes);
+        report = await analyzeFlyer(html, options);
+    }
+    return { html, report, changes };
+}
+
+module.exports = {
+    checkDesign,
+    analyzeFlyer,
+    measureTexts,
+    applyDesignFixes,
+    fixDesign,
+    contrastRatio
+};
@@ -0,0 +1,192 @@
+// Design spec schema, parsing and repair.
+// A design spec is the JSON hand-off between the planner stage (free-text brief -> spec)
+// and the renderer stage (spec -> flyer HTML).
+
+const REQUIRED_COLOR_KEYS = ['background', 'primary_text', 'accent'];
+const REQUIRED_TYPOGRAPHY_KEYS = ['headline_font', 'body_font'];
+const MAX_VISUAL_ELEMENTS = 8;
+
+// Example spec used in the planner prompt so the model sees the exact shape we expect
+const EXAMPLE_DESIGN_SPEC = {
+    theme_concept: 'Timeless Elegance Revival',
+    colors: {
+        background: '#1A1A1A',
+        primary_text: '#F5F5DC',
+        accent: '#B8860B',
+        container_bg: 'rgba(242, 242, 242, 0.85)'
+    },
+    typography: {
+        headline_font: 'Playfair Display',
+        headline_style: 'uppercase 700',
+        body_font: 'Source Sans Pro'
+    },
+    visual_elements: [
+        'Elegant metallic foil stamp (e.g., embossed laurel wreath or monogram)',
+        'Whispers of abstract gilded brushstrokes',
+        'Subtle, textured background overlay reminiscent of fine silk or linen',
+        'Geometric accent shape with a soft, iridescent gradient (e.g., a rounded hexagon)'
+    ],
+    content: {
+        headline: 'An Evening of Timeless Elegance',
+        subheadline: 'Annual Charity Gala',
+        body: 'Join us for a night of music, fine dining and giving back.',
+        details: ['Saturday, June 14 · 7 PM', 'The Grand Ballroom, 12 Park Avenue'],
+        call_to_action: 'RSVP by June 1'
+    },
+    css_suggestions: 'Apply subtle text-shadow to headlines for refined depth: text-shadow: 0 1px 3px rgba(0,0,0,0.2); Use box-shadow on card elements for a delicate lift: box-shadow: 0 4px 15px rgba(0,0,0,0.1); Incorporate elegant border-radius on containers for a softer feel: border-radius: 8px; Consider subtle linear gradients for backgrounds or accent elements, e.g., background: linear-gradient(135deg, #B8860B, #DAA520);'
+};
+
+const HEX_COLOR_RE = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const FUNC_COLOR_RE = /^(?:rgba?|hsla?)\(\s*[-\d.%\s,/]+\)$/i;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isCssColor(value) {
+    return typeof value === 'string' && (HEX_COLOR_RE.test(value) || FUNC_COLOR_RE.test(value));
+}
+
+// Extract the first JSON object from model output (handles ```json fences and stray prose)
+function parseDesignSpec(text) {
+    if (isPlainObject(text)) return text;
+    if (typeof text !== 'string') {
+        throw new Error('Design spec must be a JSON object or string');
+    }
+    const cleaned = text.replace(/```[a-zA-Z]*\s*/g, '').replace(/```/g, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object found in design spec output');
+    }
+    return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+// Normalize a color value the model commonly gets slightly wrong ("B8860B", " #fff ")
+function repairColor(value) {
+    if (typeof value !== 'string') return value;
+    let color = value.trim();
+    if (/^(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(color)) color = `#${color}`;
+    return color;
+}
+
+// Strip quotes and fallback stacks from a font name ("'Lato', sans-serif" -> "Lato")
+function repairFontName(value) {
+    if (typeof value !== 'string') return value;
+    return value.split(',')[0].replace(/["']/g, '').trim();
+}
+
+// Best-effort structural repair. Never invents colors or fonts; only reshapes what is there.
+function repairDesignSpec(input) {
+    const spec = isPlainObject(input) ? { ...input } : {};
+
+    if (typeof spec.theme_concept === 'string') spec.theme_concept = spec.theme_concept.trim();
+
+    if (isPlainObject(spec.colors)) {
+        const colors = {};
+        for (const [key, value] of Object.entries(spec.colors)) {
+            colors[key] = repairColor(value);
+        }
+        spec.colors = colors;
+    }
+
+    if (isPlainObject(spec.typography)) {
+        const typography = { ...spec.typography };
+        for (const key of Object.keys(typography)) {
+            if (key.endsWith('_font')) typography[key] = repairFontName(typography[key]);
+        }
+        spec.typography = typography;
+    }
+
+    if (typeof spec.visual_elements === 'string') {
+        spec.visual_elements = spec.visual_elements.split(/\n|;/);
+    }
+    if (Array.isArray(spec.visual_elements)) {
+        spec.visual_elements = spec.visual_elements
+            .map(item => (isPlainObject(item) ? item.description || item.prompt : item))
+            .filter(isNonEmptyString)
+            .map(item => item.trim())
+            .slice(0, MAX_VISUAL_ELEMENTS);
+    }
+
+    if (typeof spec.content === 'string') {
+        spec.content = { headline: spec.content };
+    }
+
+    if (Array.isArray(spec.css_suggestions)) {
+        spec.css_suggestions = spec.css_suggestions.filter(isNonEmptyString).join(' ');
+    }
+
+    return spec;
+}
+
+// Validate a spec against the renderer's expectations. Returns a list of human-readable errors.
+function validateDesignSpec(spec) {
+    const errors = [];
+    if (!isPlainObject(spec)) {
+        return ['spec must be a JSON object'];
+    }
+
+    if (!isNonEmptyString(spec.theme_concept)) {
+        errors.push('theme_concept must be a non-empty string');
+    }
+
+    if (!isPlainObject(spec.colors)) {
+        errors.push('colors must be an object');
+    } else {
+        for (const key of REQUIRED_COLOR_KEYS) {
+            if (!(key in spec.colors)) errors.push(`colors.${key} is required`);
+        }
+        for (const [key, value] of Object.entries(spec.colors)) {
+            if (!isCssColor(value)) errors.push(`colors.${key} must be a HEX, rgb(a) or hsl(a) color (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    if (!isPlainObject(spec.typography)) {
+        errors.push('typography must be an object');
+    } else {
+        for (const key of REQUIRED_TYPOGRAPHY_KEYS) {
+            if (!isNonEmptyString(spec.typography[key])) errors.push(`typography.${key} must be a Google Font family name`);
+        }
+        for (const [key, value] of Object.entries(spec.typography)) {
+            if (typeof value !== 'string') errors.push(`typography.${key} must be a string`);
+        }
+    }
+
+    if (!Array.isArray(spec.visual_elements)) {
+        errors.push('visual_elements must be an array of descriptions');
+    } else {
+        if (spec.visual_elements.length === 0) errors.push('visual_elements must contain at least one description');
+        if (spec.visual_elements.length > MAX_VISUAL_ELEMENTS) errors.push(`visual_elements must contain at most ${MAX_VISUAL_ELEMENTS} descriptions`);
+        spec.visual_elements.forEach((item, i) => {
+            if (!isNonEmptyString(item)) errors.push(`visual_elements[${i}] must be a non-empty string`);
+        });
+    }
+
+    if (!isPlainObject(spec.content)) {
+        errors.push('content must be an object');
+    } else {
+        if (!isNonEmptyString(spec.content.headline)) errors.push('content.headline must be a non-empty string');
+        for (const [key, value] of Object.entries(spec.content)) {
+            const ok = typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+            if (!ok) errors.push(`content.${key} must be a string or an array of strings`);
+        }
+    }
+
+    if (spec.css_suggestions !== undefined && typeof spec.css_suggestions !== 'string') {
+        errors.push('css_suggestions must be a string');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    EXAMPLE_DESIGN_SPEC,
+    parseDesignSpec,
+    repairDesignSpec,
+    validateDesignSpec
+};
@@ -0,0 +1,164 @@
+// Export finished flyers to PNG, JPEG, PDF or SVG at an exact output size
+const sharp = require('sharp');
+const { prepareFlyer, layoutFlyer, renderFlyerSvg } = require('./render-svg');
+const { checkDesign } = require('./design-qa');
+const { buildPdf } = require('./pdf');
+
+const FORMATS = {
+    png: { contentType: 'image/png', extension: 'png' },
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    svg: { contentType: 'image/svg+xml', extension: 'svg' }
+};
+const UNITS_PER_INCH = { in: 1, mm: 25.4, cm: 2.54, pt: 72 };
+const CSS_PX_PER_INCH = 96;
+const DEFAULT_PRINT_DPI = 300;
+const MAX_SIDE_PX = 12000;
+const MAX_PIXELS = 60 * 1000 * 1000;
+// Per export request; every page is a full render, every remote image a network fetch
+const MAX_PAGES = parseInt(process.env.EXPORT_MAX_PAGES || '20', 10);
+const MAX_REMOTE_IMAGES = parseInt(process.env.EXPORT_MAX_REMOTE_IMAGES || '20', 10);
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Work out the output raster size (px) and PDF page size (pt) for one page.
+// size: { width, height, unit: px|in|mm|cm|pt, dpi }; a missing side keeps the flyer's aspect ratio.
+function resolveOutputSize(size, naturalWidth, naturalHeight) {
+    const unit = size.unit || 'px';
+    if (unit !== 'px' && !UNITS_PER_INCH[unit]) {
+        throw badRequest(`Unsupported unit "${unit}". Use px, in, mm, cm or pt.`);
+    }
+    let width = size.width !== undefined && size.width !== null && size.width !== '' ? Number(size.width) : null;
+    let height = size.height !== undefined && size.height !== null && size.height !== '' ? Number(size.height) : null;
+    if ((width !== null && !(width > 0)) || (height !== null && !(height > 0))) {
+        throw badRequest('width and height must be positive numbers');
+    }
+
+    const ratio = naturalWidth / naturalHeight;
+    if (width === null && height === null) {
+        if (unit !== 'px') throw badRequest('A print size needs at least a width or a height');
+        width = naturalWidth;
+        height = naturalHeight;
+    } else if (width === null) {
+        width = height * ratio;
+    } else if (height === null) {
+        height = width / ratio;
+    }
+
+    let pixelWidth;
+    let pixelHeight;
+    let pageWidth;
+    let pageHeight;
+    if (unit === 'px') {
+        pixelWidth = width;
+        pixelHeight = height;
+        pageWidth = width * 72 / CSS_PX_PER_INCH;
+        pageHeight = height * 72 / CSS_PX_PER_INCH;
+    } else {
+        const dpi = Number(size.dpi) || DEFAULT_PRINT_DPI;
+        const inchesWide = width / UNITS_PER_INCH[unit];
+        const inchesHigh = height / UNITS_PER_INCH[unit];
+        pixelWidth = inchesWide * dpi;
+        pixelHeight = inchesHigh * dpi;
+        pageWidth = inchesWide * 72;
+        pageHeight = inchesHigh * 72;
+    }
+
+    pixelWidth = Math.max(1, Math.round(pixelWidth));
+    pixelHeight = Math.max(1, Math.round(pixelHeight));
+    if (pixelWidth > MAX_SIDE_PX || pixelHeight > MAX_SIDE_PX || pixelWidth * pixelHeight > MAX_PIXELS) {
+        throw badRequest(`Requested output of ${pixelWidth}x${pixelHeight}px is too large`);
+    }
+    return { pixelWidth, pixelHeight, pageWidth, pageHeight };
+}
+
+async function rasterize(svg, format, options) {
+    let image = sharp(Buffer.from(svg), { limitInputPixels: MAX_PIXELS });
+    if (format === 'jpeg' || options.background) {
+        image = image.flatten({ background: options.background || '#ffffff' });
+    }
+    if (format === 'png') return image.png().toBuffer();
+    return image.jpeg({ quality: options.quality, mozjpeg: true }).toBuffer();
+}
+
+// Export one or more flyer pages.
+// request: { pages: [html], format, width, height, unit, dpi, fit, quality, background, resolveImage, qa }
+// Returns { buffer, contentType, extension, warnings, width, height, qa }; with request.qa, `qa` holds
+// the design QA report of each page (see lib/design-qa.js), otherwise null.
+async function exportFlyer(request) {
+    const format = request.format === 'jpg' ? 'jpeg' : (request.format || 'png');
+    if (!FORMATS[format]) {
+        throw badRequest(`Unsupported format "${request.format}". Use png, jpeg, pdf or svg.`);
+    }
+    const pages = request.pages || [];
+    if (!pages.length || pages.some(html => typeof html !== 'string' || !html.trim())) {
+        throw badRequest('Provide the flyer HTML to export');
+    }
+    if (pages.length > MAX_PAGES) {
+        throw badRequest(`An export can have at most ${MAX_PAGES} pages`);
+    }
+    if (pages.length > 1 && format !== 'pdf') {
+        throw badRequest('Only PDF exports can contain more than one page');
+    }
+    const fit = request.fit || 'contain';
+    if (!['contain', 'cover', 'fill'].includes(fit)) {
+        throw badRequest('fit must be contain, cover or fill');
+    }
+    const quality = Math.min(100, Math.max(1, parseInt(request.quality, 10) || 92));
+
+    const warnings = [];
+    const rendered = [];
+    const qa = [];
+    const remoteImages = { remaining: MAX_REMOTE_IMAGES };
+    for (const html of pages) {
+        const prepared = await prepareFlyer(html, { resolveImage: request.resolveImage, remoteImages });
+        warnings.push(...prepared.warnings);
+        if (request.qa) qa.push(await checkDesign(prepared));
+        // The natural size gives the aspect ratio for sizes with one side missing
+        const natural = layoutFlyer(prepared);
+        const size = resolveOutputSize(request, natural.width, natural.height);
+        const svg = renderFlyerSvg(prepared, {
+            width: size.pixelWidth,
+            height: size.pixelHeight,
+            fit,
+            background: request.background,
+            // SVG keeps real text with the fonts embedded; raster/PDF output draws glyph outlines
+            textMode: format === 'svg' ? 'text' : 'paths'
+        });
+        rendered.push({ svg: svg.svg, size });
+    }
+
+    const [first] = rendered;
+    let buffer;
+    if (format === 'svg') {
+        buffer = Buffer.from(first.svg);
+    } else if (format === 'pdf') {
+        const pdfPages = [];
+        for (const page of rendered) {
+            const jpeg = await rasterize(page.svg, 'jpeg', { quality, background: request.background });
+            pdfPages.push({ jpeg, ...page.size });
+        }
+        buffer = buildPdf(pdfPages);
+    } else {
+        buffer = await rasterize(first.svg, format, { quality, background: request.background });
+    }
+
+    return {
+        buffer,
+        ...FORMATS[format],
+        warnings: [...new Set(warnings)],
+        width: first.size.pixelWidth,
+        height: first.size.pixelHeight,
+        qa: request.qa ? qa : null
+    };
+}
+
+module.exports = {
+    MAX_PAGES,
+    exportFlyer,
+    resolveOutputSize
+};
@@ -0,0 +1,4 @@
+// node-fetch v3 is ESM-only; load it lazily so the rest of the server can stay CommonJS
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+module.exports = fetch;
@@ -0,0 +1,125 @@
+// Google Fonts loader for server-side rendering/export.
+// Resolves a span's data-font-url (a fonts.googleapis.com CSS link) to the TrueType files it names,
+// parsed with opentype.js so text can be measured and embedded.
+const opentype = require('opentype.js');
+const fetch = require('./fetch');
+
+const ALLOWED_CSS_HOST = 'fonts.googleapis.com';
+const ALLOWED_FONT_HOST = 'fonts.gstatic.com';
+const FETCH_TIMEOUT_MS = 10000;
+
+// Failures are remembered for a short while only, so a network hiccup does not stop a font
+// from being embedded until the server restarts
+const FAILURE_TTL_MS = 60 * 1000;
+const CSS_CACHE_MAX = 200;
+const FILE_CACHE_MAX = 64;
+
+// url -> { promise: Promise<faces[]>, failedAt }, least recently used first
+const cssCache = new Map();
+// font file url -> { promise: Promise<{ data, font }>, failedAt }
+const fileCache = new Map();
+
+// The cached result of load() for key, loading it when missing or when it failed a while ago.
+// Maps keep insertion order, so re-inserting on use makes the first entry the least recently used.
+function cached(cache, max, key, load) {
+    let entry = cache.get(key);
+    if (entry && entry.failedAt && Date.now() - entry.failedAt > FAILURE_TTL_MS) entry = null;
+    cache.delete(key);
+    if (!entry) {
+        entry = { promise: load(), failedAt: null };
+        entry.promise.catch(() => {
+            entry.failedAt = Date.now();
+        });
+    }
+    cache.set(key, entry);
+    while (cache.size > max) cache.delete(cache.keys().next().value);
+    return entry.promise;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Parse the @font-face blocks of a Google Fonts stylesheet
+function parseFontFaces(css) {
+    const faces = [];
+    const blocks = css.match(/@font-face\s*{[^}]*}/g) || [];
+    for (const block of blocks) {
+        const family = (block.match(/font-family:\s*['"]?([^;'"]+)['"]?\s*;/) || [])[1];
+        const weight = parseInt((block.match(/font-weight:\s*(\d+)/) || [])[1] || '400', 10);
+        const style = (block.match(/font-style:\s*(\w+)/) || [])[1] || 'normal';
+        const src = (block.match(/src:\s*url\(([^)]+)\)/) || [])[1];
+        if (family && src) {
+            faces.push({ family: family.trim(), weight, style, src: src.replace(/['"]/g, '') });
+        }
+    }
+    return faces;
+}
+
+async function loadFontFile(src) {
+    return cached(fileCache, FILE_CACHE_MAX, src, async () => {
+        if (hostOf(src) !== ALLOWED_FONT_HOST) {
+            throw new Error(`Font file host not allowed: ${src}`);
+        }
+        const response = await fetchWithTimeout(src);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch font file: ${response.status}`);
+        }
+        const data = Buffer.from(await response.arrayBuffer());
+        const font = opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        return { data, font };
+    });
+}
+
+// Load every face declared by a Google Fonts CSS link.
+// Returns [{ family, weight, style, data (TTF Buffer), font (opentype.Font) }]
+async function loadGoogleFont(cssUrl) {
+    return cached(cssCache, CSS_CACHE_MAX, cssUrl, async () => {
+        if (hostOf(cssUrl) !== ALLOWED_CSS_HOST) {
+            throw new Error(`Font URL must point to ${ALLOWED_CSS_HOST}: ${cssUrl}`);
+        }
+        // Without a browser User-Agent Google Fonts serves TrueType, which opentype.js can parse
+        const response = await fetchWithTimeout(cssUrl, { headers: { 'User-Agent': 'flyer-generator' } });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch font CSS: ${response.status}`);
+        }
+        const faces = parseFontFaces(await response.text());
+        if (!faces.length) {
+            throw new Error(`No @font-face rules found in ${cssUrl}`);
+        }
+        return Promise.all(faces.map(async face => ({ ...face, ...(await loadFontFile(face.src)) })));
+    });
+}
+
+// Load a set of font URLs, collecting failures as warnings instead of failing the export
+async function loadGoogleFonts(urls) {
+    const faces = [];
+    const warnings = [];
+    await Promise.all([...new Set(urls)].map(async url => {
+        try {
+            faces.push(...await loadGoogleFont(url));
+        } catch (error) {
+            warnings.push(`Font not embedded (${url}): ${error.message}`);
+        }
+    }));
+    return { faces, warnings };
+}
+
+module.exports = {
+    loadGoogleFonts,
+    parseFontFaces
+};
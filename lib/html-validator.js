@@ -0,0 +1,185 @@
+// Sanitizer and rule checker for model-generated flyer HTML.
+// sanitizeFlyerHtml() removes anything that could run code or load foreign documents;
+// validateFlyerHtml() reports where the HTML breaks the renderer prompt's rules so the
+// model can be asked to fix them.
+const cheerio = require('cheerio');
+const { parseStyle, parseLength } = require('./css');
+
+const ALLOWED_TAGS = new Set(['div', 'span', 'img']);
+// Removed together with their content
+const DANGEROUS_TAGS = new Set(['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'link', 'meta', 'base', 'form', 'input', 'button', 'textarea', 'select', 'option', 'svg', 'math', 'template', 'noscript', 'audio', 'video', 'source', 'track', 'canvas']);
+const URL_ATTRIBUTES = new Set(['src', 'href', 'xlink:href', 'action', 'formaction', 'poster', 'background', 'srcset', 'data']);
+const SAFE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp|avif);/i;
+const GOOGLE_FONT_URL = /^https:\/\/fonts\.googleapis\.com\/css2?\?/;
+
+function describeElement(el) {
+    const attribs = el.attribs || {};
+    const id = attribs.id ? `#${attribs.id}` : '';
+    const cls = attribs.class ? `.${attribs.class.trim().split(/\s+/).join('.')}` : '';
+    const prompt = attribs['x-prompt'] ? `[x-prompt="${attribs['x-prompt'].slice(0, 40)}"]` : '';
+    return `${el.name}${id}${cls}${prompt}`;
+}
+
+function textPreview(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > 40 ? `${clean.slice(0, 40)}…` : clean;
+}
+
+function isUnsafeUrl(value) {
+    const normalized = String(value).replace(/[\s\u0000-\u001f]+/g, '').toLowerCase();
+    if (/^(javascript|vbscript):/.test(normalized)) return true;
+    if (normalized.startsWith('data:') && !SAFE_DATA_URL.test(normalized)) return true;
+    return false;
+}
+
+// Neutralize dangerous constructs inside an inline style attribute
+function sanitizeStyle(style) {
+    return style
+        .replace(/expression\s*\(/gi, 'invalid(')
+        .replace(/url\(\s*['"]?\s*(?:javascript|vbscript):(?:[^()]|\([^()]*\))*\)/gi, 'none')
+        .replace(/url\(\s*['"]?\s*data:(?!image\/)(?:[^()]|\([^()]*\))*\)/gi, 'none')
+        .replace(/-moz-binding\s*:[^;]*/gi, '')
+        .replace(/behavior\s*:[^;]*/gi, '');
+}
+
+// Strip scripts, event handlers, embedded documents and script URLs.
+// Returns { html, removed: [description, ...] }
+function sanitizeFlyerHtml(html) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const removed = [];
+
+    $('*').each((i, el) => {
+        if (DANGEROUS_TAGS.has(el.name)) {
+            removed.push(`<${el.name}> element`);
+            $(el).remove();
+        }
+    });
+
+    // HTML comments can hide conditional markup for old browsers; drop them
+    $.root().find('*').addBack().contents().each((i, node) => {
+        if (node.type === 'comment' || node.type === 'directive') $(node).remove();
+    });
+
+    $('*').each((i, el) => {
+        for (const [name, value] of Object.entries(el.attribs || {})) {
+            const lower = name.toLowerCase();
+            if (lower.startsWith('on')) {
+                removed.push(`${lower} handler on <${el.name}>`);
+                $(el).removeAttr(name);
+            } else if (lower === 'srcdoc') {
+                removed.push(`srcdoc on <${el.name}>`);
+                $(el).removeAttr(name);
+            } else if (URL_ATTRIBUTES.has(lower) && isUnsafeUrl(value)) {
+                removed.push(`unsafe ${lower} URL on <${el.name}>`);
+                $(el).removeAttr(name);
+            } else if (lower === 'style') {
+                const clean = sanitizeStyle(value);
+                if (clean !== value) {
+                    removed.push(`unsafe CSS in style on <${el.name}>`);
+                    $(el).attr('style', clean);
+                }
+            }
+        }
+    });
+
+    return { html: $.html().trim(), removed };
+}
+
+// Check the HTML against the renderer prompt's rules.
+// options.allowImageSrc accepts images that already have a source (edits of a finished flyer).
+// options.canvas ({ width, height } in px, see lib/sizes.js) is the size the root must have.
+// Returns [{ rule, message, element }]
+function validateFlyerHtml(html, options = {}) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const violations = [];
+    const add = (rule, message, el) => violations.push({ rule, message, element: el ? describeElement(el) : null });
+
+    const roots = $.root().children().toArray();
+    const strayText = $.root().contents().toArray().filter(node => node.type === 'text' && node.data.trim());
+    if (roots.length !== 1 || strayText.length || (roots[0] && roots[0].name !== 'div')) {
+        add('single-root', 'Output must be a single root <div> containing the whole flyer.', null);
+    }
+    if (options.canvas && roots[0]) {
+        const rootStyle = parseStyle(roots[0].attribs.style);
+        const width = parseLength(rootStyle.width);
+        const height = parseLength(rootStyle.height);
+        if (width === null || height === null || Math.abs(width - options.canvas.width) > 1 || Math.abs(height - options.canvas.height) > 1) {
+            add('canvas-size', `The main <div> must be exactly ${options.canvas.width}px wide and ${options.canvas.height}px tall (found ${rootStyle.width || 'no width'} × ${rootStyle.height || 'no height'}).`, roots[0]);
+        }
+    }
+
+    $('*').each((i, el) => {
+        const tag = el.name;
+        const attribs = el.attribs || {};
+        const style = parseStyle(attribs.style);
+
+        if (DANGEROUS_TAGS.has(tag)) {
+            add('no-javascript', `<${tag}> is not allowed; no JavaScript, styles or embedded documents.`, el);
+            return;
+        }
+        if (Object.keys(attribs).some(name => name.toLowerCase().startsWith('on'))) {
+            add('no-javascript', `<${tag}> has an event handler attribute; no JavaScript is allowed.`, el);
+        }
+        if (!ALLOWED_TAGS.has(tag)) {
+            add('allowed-elements', `<${tag}> is not allowed; use only <div>, <span> and <img>.`, el);
+            return;
+        }
+
+        const z = style['z-index'];
+        if (z === undefined || z === 'auto' || !/^-?\d+$/.test(z)) {
+            add('z-index', `<${tag}> must have an explicit integer z-index (found ${z === undefined ? 'none' : `"${z}"`}).`, el);
+        }
+
+        if (tag === 'span') {
+            const fontUrl = attribs['data-font-url'];
+            if (!fontUrl) {
+                add('span-font-url', '<span> must have a data-font-url attribute with the Google Fonts link for its font.', el);
+            } else if (!GOOGLE_FONT_URL.test(fontUrl)) {
+                add('span-font-url', `data-font-url must be a https://fonts.googleapis.com/css2 link (found "${fontUrl.slice(0, 60)}").`, el);
+            }
+            const styling = Object.keys(style).filter(property => property !== 'z-index');
+            if (styling.length) {
+                add('span-no-styling', `<span> must only set z-index; move ${styling.join(', ')} to the parent element.`, el);
+            }
+        }
+
+        if (tag === 'img') {
+            if (!attribs['x-prompt'] || !attribs['x-prompt'].trim()) {
+                add('img-x-prompt', '<img> must have a non-empty x-prompt describing the image to generate.', el);
+            }
+            if (attribs.transparent !== 'true' && attribs.transparent !== 'false') {
+                add('img-transparent', '<img> must have transparent="true" or transparent="false".', el);
+            }
+            if (attribs.src && !options.allowImageSrc) {
+                add('img-empty-src', '<img> must have src="" (images are generated afterwards).', el);
+            }
+        }
+    });
+
+    // Text must always be wrapped in a span
+    $('*').each((i, el) => {
+        if (el.name === 'span' || DANGEROUS_TAGS.has(el.name)) return;
+        for (const node of el.children || []) {
+            if (node.type === 'text' && node.data.trim()) {
+                add('text-in-span', `Text "${textPreview(node.data)}" must be wrapped in a <span>.`, el);
+            }
+        }
+    });
+
+    return violations;
+}
+
+// Group violations for prompts and reports: { rule: count }
+function countByRule(violations) {
+    return violations.reduce((counts, violation) => {
+        counts[violation.rule] = (counts[violation.rule] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+module.exports = {
+    describeElement,
+    sanitizeFlyerHtml,
+    validateFlyerHtml,
+    countByRule
+};
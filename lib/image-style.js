@@ -0,0 +1,177 @@
+// Image style profiles and seeds, so the images on one flyer look like one set and can be
+// reproduced. A flyer's style profile ({ style: preset, prompt: extra style words,
+// negativePrompt }) lives on its root element and is combined with every x-prompt; every
+// generated <img> records what was actually sent, so it can be regenerated exactly:
+//   root: data-x-image-style, data-x-image-style-prompt, data-x-image-style-negative
+//   img:  x-negative-prompt (its own negative prompt, optional), data-x-image-prompt,
+//         data-x-image-negative-prompt, data-x-image-seed, data-x-image-model, data-x-image-size
+//         and data-x-image-seed-locked="true" when regenerations must keep the seed
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+const MAX_SEED = 2147483647;
+const MAX_STYLE_TEXT = 500;
+
+const STYLE_PRESETS = {
+    'flat-vector': {
+        name: 'Flat vector',
+        prompt: 'flat vector illustration, clean geometric shapes, solid colors, crisp edges, minimal shading',
+        negativePrompt: 'photo, photorealistic, 3d render, texture, noise, gradients, blurry'
+    },
+    '3d-clay': {
+        name: '3D clay',
+        prompt: '3D clay render, soft plasticine look, rounded shapes, soft studio lighting, subtle shadows',
+        negativePrompt: 'photo, flat illustration, line art, harsh shadows, noise'
+    },
+    'watercolor': {
+        name: 'Watercolor',
+        prompt: 'watercolor painting, soft washes, visible paper texture, loose brush strokes, bleeding edges',
+        negativePrompt: 'photo, 3d render, vector, hard edges, neon colors'
+    },
+    'photo': {
+        name: 'Photograph',
+        prompt: 'professional photograph, natural lighting, shallow depth of field, high detail',
+        negativePrompt: 'illustration, cartoon, painting, 3d render, drawing, text, watermark'
+    },
+    'line-art': {
+        name: 'Line art',
+        prompt: 'minimal line art, single-weight ink outlines, lots of negative space, no fill',
+        negativePrompt: 'photo, shading, color fills, texture, 3d render'
+    },
+    'paper-cut': {
+        name: 'Paper cut',
+        prompt: 'layered paper cut-out art, stacked paper layers, soft drop shadows between layers',
+        negativePrompt: 'photo, line art, glossy, metallic, noise'
+    },
+    'retro-print': {
+        name: 'Retro print',
+        prompt: 'retro screen print, limited color palette, halftone dots, slightly misregistered inks',
+        negativePrompt: 'photo, 3d render, glossy, gradients, modern minimal'
+    }
+};
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function cleanText(value, label) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') throw badRequest(`${label} must be a string`);
+    return value.replace(/\s+/g, ' ').trim().slice(0, MAX_STYLE_TEXT);
+}
+
+// Presets for GET /api/image-styles
+function listImageStyles() {
+    return Object.entries(STYLE_PRESETS).map(([style, preset]) => ({ style, ...preset }));
+}
+
+// Read a style profile from a request: a preset name or { style, prompt, negativePrompt }.
+// Returns the profile, or null when there is none; throws a 400 for unknown presets.
+function readImageStyle(input) {
+    if (input === undefined || input === null || input === '') return null;
+    const raw = typeof input === 'string' ? { style: input } : input;
+    if (typeof raw !== 'object' || Array.isArray(raw)) throw badRequest('imageStyle must be a preset name or { style, prompt, negativePrompt }');
+    const style = raw.style ? String(raw.style) : null;
+    if (style && !STYLE_PRESETS[style]) {
+        throw badRequest(`Unknown image style "${style}". Use ${Object.keys(STYLE_PRESETS).join(', ')}`);
+    }
+    const profile = { style, prompt: cleanText(raw.prompt, 'imageStyle.prompt'), negativePrompt: cleanText(raw.negativePrompt, 'imageStyle.negativePrompt') };
+    return profile.style || profile.prompt || profile.negativePrompt ? profile : null;
+}
+
+function rootOf($) {
+    return $.root().children().filter((i, el) => el.type === 'tag').first();
+}
+
+// The style profile stored on a flyer's root element, or null
+function imageStyleOf(html) {
+    const root = rootOf(cheerio.load(String(html || ''), null, false));
+    if (!root.length) return null;
+    const style = root.attr('data-x-image-style');
+    return readImageStyle({
+        style: STYLE_PRESETS[style] ? style : null,
+        prompt: root.attr('data-x-image-style-prompt') || '',
+        negativePrompt: root.attr('data-x-image-style-negative') || ''
+    });
+}
+
+// Store a style profile on a flyer's root element (null removes it)
+function setImageStyle(html, profile) {
+    const $ = cheerio.load(html, null, false);
+    const root = rootOf($);
+    if (!root.length) return html;
+    const attributes = {
+        'data-x-image-style': profile && profile.style,
+        'data-x-image-style-prompt': profile && profile.prompt,
+        'data-x-image-style-negative': profile && profile.negativePrompt
+    };
+    for (const [name, value] of Object.entries(attributes)) {
+        if (value) root.attr(name, value);
+        else root.removeAttr(name);
+    }
+    return $.html();
+}
+
+function joinTerms(...parts) {
+    const terms = parts.flatMap(part => String(part || '').split(',')).map(term => term.trim()).filter(Boolean);
+    return [...new Map(terms.map(term => [term.toLowerCase(), term])).values()].join(', ');
+}
+
+// The prompt and negative prompt actually sent for an x-prompt under a style profile
+function styledPrompt(prompt, profile, negativePrompt) {
+    const preset = profile && profile.style ? STYLE_PRESETS[profile.style] : null;
+    return {
+        prompt: [String(prompt).trim(), preset && preset.prompt, profile && profile.prompt].filter(Boolean).join(', '),
+        negativePrompt: joinTerms(preset && preset.negativePrompt, profile && profile.negativePrompt, negativePrompt)
+    };
+}
+
+function randomSeed() {
+    return crypto.randomInt(0, MAX_SEED);
+}
+
+// Seed used when none is given: derived from what is generated, so the same request gets the
+// same image (and the cached one) again
+function defaultSeed(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest().readUInt32BE(0) & MAX_SEED;
+}
+
+// A seed from a request or an attribute; throws a 400 unless it is a whole number 0..MAX_SEED
+function readSeed(value, label = 'seed') {
+    const seed = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) throw badRequest(`${label} must be a whole number from 0 to ${MAX_SEED}`);
+    return seed;
+}
+
+// The seed an <img> element's regenerations must keep (locked), or null
+function lockedSeed(attribs) {
+    if (attribs['data-x-image-seed-locked'] !== 'true') return null;
+    const seed = Number(attribs['data-x-image-seed']);
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED ? seed : null;
+}
+
+// Record a generation ({ prompt, negativePrompt, seed, model, width, height }) on an <img> element
+function recordGeneration(el, generation) {
+    el.attr('data-x-image-prompt', generation.prompt);
+    if (generation.negativePrompt) el.attr('data-x-image-negative-prompt', generation.negativePrompt);
+    else el.removeAttr('data-x-image-negative-prompt');
+    el.attr('data-x-image-seed', String(generation.seed));
+    el.attr('data-x-image-model', generation.model);
+    el.attr('data-x-image-size', `${generation.width}x${generation.height}`);
+}
+
+module.exports = {
+    MAX_SEED,
+    listImageStyles,
+    readImageStyle,
+    imageStyleOf,
+    setImageStyle,
+    styledPrompt,
+    randomSeed,
+    defaultSeed,
+    readSeed,
+    lockedSeed,
+    recordGeneration
+};
@@ -0,0 +1,179 @@
+// In-memory background jobs with Server-Sent Events progress streams.
+// A job keeps its latest state on the server, so a client can reconnect (e.g. after a
+// page reload) and pick up where it left off from a fresh snapshot.
+const crypto = require('crypto');
+
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MINUTES || '60', 10) * 60 * 1000;
+const KEEPALIVE_MS = 15000;
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+const jobs = new Map();
+
+// state: the public, JSON-serializable part of the job (the runner owns its fields).
+// ownerId is the id of the API key that started the job (null without one).
+function createJob(state = {}, ownerId = null) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        ownerId,
+        controller: new AbortController(),
+        listeners: new Set(),
+        finishedAt: null,
+        state: { status: 'queued', createdAt: now, updatedAt: now, ...state }
+    };
+    job.state.id = job.id;
+    jobs.set(job.id, job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function isFinished(job) {
+    return TERMINAL_STATUSES.has(job.state.status);
+}
+
+// Merge changes into the job state and push an event to every subscriber
+function emit(job, event, data, changes) {
+    if (changes) Object.assign(job.state, changes);
+    job.state.updatedAt = new Date().toISOString();
+    if (isFinished(job) && !job.finishedAt) job.finishedAt = Date.now();
+    for (const listener of job.listeners) listener(event, data);
+}
+
+function cancelJob(job) {
+    if (isFinished(job)) return false;
+    job.controller.abort();
+    return true;
+}
+
+// Stream a job over SSE: a `snapshot` event first, then live events until the job finishes.
+// snapshot(job) builds the payload sent on (re)connect.
+function streamJob(job, req, res, snapshot) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('snapshot', snapshot(job));
+    if (isFinished(job)) {
+        res.end();
+        return;
+    }
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    const listener = (event, data) => {
+        send(event, data);
+        if (isFinished(job)) close();
+    };
+    function close() {
+        clearInterval(keepalive);
+        job.listeners.delete(listener);
+        res.end();
+    }
+    job.listeners.add(listener);
+    req.on('close', close);
+}
+
+function cancelledError() {
+    const error = new Error('Job was cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) throw cancelledError();
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(cancelledError());
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(cancelledError());
+        }
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Rate limits, provider outages and dropped connections are worth another try;
+// bad requests and missing credentials are not
+function isRetryableError(error) {
+    if (error.cancelled || error.name === 'AbortError') return false;
+    if (error.upstreamStatus) return error.upstreamStatus === 408 || error.upstreamStatus === 429 || error.upstreamStatus >= 500;
+    return error.name === 'FetchError';
+}
+
+// Call fn(attempt) until it succeeds, retrying retryable errors with exponential backoff and jitter.
+// options: { retries, baseDelayMs, signal, onRetry(error, attempt, delayMs) }
+async function retryWithBackoff(fn, options = {}) {
+    const { retries = 2, baseDelayMs = 1000, signal, onRetry } = options;
+    for (let attempt = 1; ; attempt++) {
+        throwIfCancelled(signal);
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (signal && signal.aborted) throw cancelledError();
+            if (attempt > retries || !isRetryableError(error)) throw error;
+            const delayMs = Math.round(baseDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5));
+            if (onRetry) onRetry(error, attempt, delayMs);
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+// Run worker(item, index) over items with at most `limit` in flight. Stops picking up new
+// items once the signal is aborted. Worker errors are the worker's to handle.
+async function runWithConcurrency(items, limit, worker, signal) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length && !(signal && signal.aborted)) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+// Hashes of the /assets/:hash files named in the state of any job still kept (running, or
+// finished with results that can still be fetched or downloaded)
+function referencedAssets() {
+    const refs = new Set();
+    const re = /\/assets\/([a-f0-9]{64})/g;
+    for (const job of jobs.values()) {
+        const state = JSON.stringify(job.state);
+        let match;
+        while ((match = re.exec(state))) refs.add(match[1]);
+    }
+    return refs;
+}
+
+// Forget finished jobs after JOB_TTL_MINUTES
+setInterval(() => {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+}, 60 * 1000).unref();
+
+module.exports = {
+    createJob,
+    getJob,
+    isFinished,
+    emit,
+    cancelJob,
+    streamJob,
+    throwIfCancelled,
+    retryWithBackoff,
+    runWithConcurrency,
+    referencedAssets
+};
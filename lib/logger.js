@@ -0,0 +1,99 @@
+// Structured logs: one JSON object per line ({ time, level, msg, requestId?, jobId?, ...fields }),
+// info and debug on stdout, warnings and errors on stderr. LOG_LEVEL (debug, info, warn, error;
+// default info) sets the lowest level written.
+// The request being served (and the job it started) is kept in an AsyncLocalStorage, so every
+// line logged while serving it carries its requestId, however deep in a job it is written.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Incoming X-Request-Id values are used when they look like ids, so callers can correlate logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const MAX_STRING_LENGTH = 2000;
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Errors keep their message, name, status and code; the stack only for unexpected (5xx) errors
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+    const serialized = { name: error.name, message: error.message };
+    for (const key of ['status', 'code', 'upstreamStatus', 'details']) {
+        if (error[key] !== undefined) serialized[key] = error[key];
+    }
+    if (!error.status || error.status >= 500) serialized.stack = error.stack;
+    return serialized;
+}
+
+// Long strings (prompts, HTML) are cut, so one log line never holds a whole flyer
+function serializeValue(value) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) return `${value.slice(0, MAX_STRING_LENGTH)}… (${value.length} characters)`;
+    return value;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+    const entry = { time: new Date().toISOString(), level, msg: message, ...context.getStore() };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = serializeValue(value);
+    }
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+// Run fn with fields added to every line it logs (e.g. { jobId } for a background job)
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// The requestId of the request being served, or null
+function currentRequestId() {
+    const store = context.getStore();
+    return (store && store.requestId) || null;
+}
+
+// Express middleware: give every request an id (X-Request-Id, echoed in the response), log it
+// when it finishes and call onFinish(req, res, durationMs), e.g. to record metrics.
+// Query strings are not logged, since they may hold ?api_key=.
+function requestLogger(onFinish) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const started = process.hrtime.bigint();
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+            if (onFinish) onFinish(req, res, durationMs);
+            const level = res.statusCode >= 500 ? 'error' : (req.path.startsWith('/api/') ? 'info' : 'debug');
+            write(level, 'request', {
+                requestId,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs: Math.round(durationMs)
+            });
+        });
+        context.run({ requestId }, next);
+    };
+}
+
+module.exports = {
+    logger,
+    withLogContext,
+    currentRequestId,
+    requestLogger
+};
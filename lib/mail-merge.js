@@ -0,0 +1,312 @@
+// Mail merge: one flyer per row of a dataset. Text in a template flyer holds {{field}}
+// placeholders (or spans are marked as placeholders by index); every row fills them with its
+// values. Datasets are CSV (first line = column names; comma, semicolon or tab separated) or
+// JSON (an array of objects).
+const cheerio = require('cheerio');
+const { measureTexts, applyDesignFixes, fixDesign } = require('./design-qa');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const DELIMITERS = [',', ';', '\t'];
+const MAX_FIELD_LENGTH = 100;
+const MAX_FILENAME_LENGTH = 80;
+// A filled text may grow this much (px) before it is shrunk back to its height in the design
+const REFIT_TOLERANCE = 2;
+const MAX_REFIT_ROUNDS = 3;
+const MIN_REFIT_SCALE = 0.5;
+
+function badRequest(message, details) {
+    const error = new Error(message);
+    error.status = 400;
+    if (details) error.details = details;
+    return error;
+}
+
+// Pick the delimiter that splits the header line most often (quoted text does not count)
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    for (const delimiter of DELIMITERS) {
+        const count = header.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+// Parse CSV (RFC 4180: quoted fields may hold delimiters, "" and line breaks) into records,
+// each { line, cells } with the line the record starts on. Blank lines are skipped.
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+    const endCell = () => {
+        cells.push(cell);
+        cell = '';
+    };
+    const endRecord = () => {
+        endCell();
+        if (cells.length > 1 || cells[0] !== '') records.push({ line: start, cells });
+        cells = [];
+        start = line;
+    };
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                if (c === '\n') line++;
+                cell += c;
+            }
+        } else if (c === '"' && cell === '') {
+            quoted = true;
+        } else if (c === delimiter) {
+            endCell();
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            cell += c;
+        }
+    }
+    if (quoted) throw badRequest(`CSV has an unclosed quote (record starting on line ${start})`);
+    if (cell !== '' || cells.length) endRecord();
+    return records;
+}
+
+function readColumns(names) {
+    const columns = names.map(name => String(name).trim());
+    const errors = [];
+    columns.forEach((name, i) => {
+        if (!name) errors.push(`Column ${i + 1} has no name`);
+        else if (name.length > MAX_FIELD_LENGTH) errors.push(`Column name "${name.slice(0, 20)}…" is longer than ${MAX_FIELD_LENGTH} characters`);
+        else if (columns.indexOf(name) !== i) errors.push(`Column "${name}" appears more than once`);
+    });
+    if (errors.length) throw badRequest('Invalid dataset columns', errors);
+    return columns;
+}
+
+function csvDataset(text) {
+    const records = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!records.length) throw badRequest('The CSV is empty');
+    const columns = readColumns(records[0].cells);
+    const rows = records.slice(1).map(({ line, cells }) => {
+        // Spreadsheets often drop empty trailing cells, so short records are padded
+        if (cells.length > columns.length) {
+            return { line, values: {}, error: `Line ${line} has ${cells.length} values but there are ${columns.length} columns` };
+        }
+        const values = {};
+        columns.forEach((column, i) => { values[column] = cells[i] === undefined ? '' : cells[i]; });
+        return { line, values, error: null };
+    });
+    return { columns, rows };
+}
+
+function jsonDataset(records) {
+    const errors = [];
+    const columns = [];
+    records.forEach((record, i) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            errors.push(`Row ${i + 1} is not an object`);
+            return;
+        }
+        for (const key of Object.keys(record)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    });
+    if (errors.length) throw badRequest('Invalid dataset', errors.slice(0, 10));
+    readColumns(columns);
+    const rows = records.map(record => {
+        const values = {};
+        let error = null;
+        for (const column of columns) {
+            const value = record[column];
+            if (value === undefined || value === null) {
+                values[column] = '';
+            } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+                values[column] = String(value);
+            } else {
+                error = `Value of "${column}" is not text or a number`;
+            }
+        }
+        return { values, error };
+    });
+    return { columns, rows };
+}
+
+// Read a dataset: a JSON array of objects, or a string of CSV or JSON.
+// Returns { columns, rows: [{ values: { column: text }, error, line? }] }; rows that cannot be
+// used carry an error instead of failing the whole dataset.
+function readDataset(data, maxRows) {
+    let dataset;
+    if (Array.isArray(data)) {
+        dataset = jsonDataset(data);
+    } else if (typeof data === 'string' && data.trim()) {
+        const text = data.trim();
+        if (text.startsWith('[')) {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                throw badRequest(`The dataset is not valid JSON: ${error.message}`);
+            }
+            if (!Array.isArray(parsed)) throw badRequest('A JSON dataset must be an array of objects');
+            dataset = jsonDataset(parsed);
+        } else {
+            dataset = csvDataset(data);
+        }
+    } else {
+        throw badRequest('data must be CSV text or a JSON array of objects');
+    }
+    if (!dataset.rows.length) throw badRequest('The dataset has no rows');
+    if (maxRows && dataset.rows.length > maxRows) throw badRequest(`A mail merge can have at most ${maxRows} rows (got ${dataset.rows.length})`);
+    return dataset;
+}
+
+function textNodes($) {
+    return $.root().find('*').contents().toArray().filter(node => node.type === 'text');
+}
+
+// Names of the {{field}} placeholders in a text, in order of first use
+function fieldsInText(text, fields = []) {
+    for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!fields.includes(match[1])) fields.push(match[1]);
+    }
+    return fields;
+}
+
+// Names of the {{field}} placeholders in a flyer's text, in order of first use
+function placeholderFields(html) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const fields = [];
+    for (const node of textNodes($)) fieldsInText(node.data, fields);
+    return fields;
+}
+
+// Turn spans into placeholders: marks are [{ span, field }], span being the index of the span
+// (the same numbering as /api/refine-layout/text). The whole text of the span is replaced; spans
+// holding other elements cannot be marked, so element numbering stays the same as the design's.
+function markPlaceholders(html, marks) {
+    if (marks === undefined || marks === null) return html;
+    if (!Array.isArray(marks)) throw badRequest('placeholders must be a list of { span, field }');
+    const $ = cheerio.load(html, null, false);
+    const spans = $('span');
+    const errors = [];
+    marks.forEach((mark, i) => {
+        const index = Number(mark && mark.span);
+        const field = mark && typeof mark.field === 'string' ? mark.field.trim() : '';
+        if (!Number.isInteger(index) || !spans.eq(index).length) errors.push(`placeholders[${i}]: span ${mark && mark.span} not found`);
+        else if (spans.eq(index).children().length) errors.push(`placeholders[${i}]: span ${index} holds other elements; mark a span that holds only text`);
+        else if (!field || /[{}]/.test(field) || field.length > MAX_FIELD_LENGTH) errors.push(`placeholders[${i}]: field must be a column name`);
+        else spans.eq(index).text(`{{${field}}}`);
+    });
+    if (errors.length) throw badRequest('Invalid placeholders', errors);
+    return $.html();
+}
+
+// Throw a 400 when the flyer uses placeholders the dataset has no column for
+function checkFields(fields, columns) {
+    if (!fields.length) throw badRequest('The design has no placeholders: put {{column}} in its text or mark spans as placeholders');
+    const missing = fields.filter(field => !columns.includes(field));
+    if (missing.length) {
+        throw badRequest(`The dataset has no column for ${missing.map(field => `{{${field}}}`).join(', ')}`, [`Columns: ${columns.join(', ')}`]);
+    }
+}
+
+// Fill the placeholders with one row's values (the text is escaped when the HTML is written)
+function fillPlaceholders(html, values) {
+    const $ = cheerio.load(html, null, false);
+    for (const node of textNodes($)) {
+        node.data = node.data.replace(PLACEHOLDER_PATTERN, (match, field) => (field in values ? values[field] : match));
+    }
+    return $.html();
+}
+
+// Indexes of the elements whose own text holds placeholders (numbered like lib/design-qa.js)
+function placeholderElements(html) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const root = $.root().children().filter((i, el) => el.type === 'tag').first();
+    const elements = [root.get(0), ...root.find('*').get()];
+    return elements
+        .map((el, index) => (el && el.children.some(node => node.type === 'text' && fieldsInText(node.data).length) ? index : -1))
+        .filter(index => index >= 0);
+}
+
+// Fill one row into the template and re-fit its text. Every filled text is shrunk until it is no
+// taller than in the design (options.reference: measureTexts of the design, before placeholders
+// were marked), then text that still overflows its container or the flyer is shrunk like design
+// QA does. options: { reference, elements (placeholderElements of the template), resolveImage }.
+// Returns { html, refitted (texts shrunk), warnings (overflow that is left) }.
+async function mergeRow(template, values, options) {
+    let html = fillPlaceholders(template, values);
+    const refitted = new Set();
+    for (let attempt = 0; attempt < MAX_REFIT_ROUNDS; attempt++) {
+        const sizes = await measureTexts(html, options);
+        const issues = [];
+        for (const element of options.elements) {
+            const before = options.reference.get(element);
+            const after = sizes.get(element);
+            if (!before || !after || after.rect.h <= before.rect.h + REFIT_TOLERANCE) continue;
+            // Text area grows with the square of the font size
+            const fontSize = Math.floor(Math.max(before.fontSize * MIN_REFIT_SCALE, after.fontSize * Math.sqrt(before.rect.h / after.rect.h) * 0.97));
+            if (fontSize < after.fontSize) issues.push({ id: `refit-${element}`, fix: { action: 'shrink-font', element, fontSize } });
+        }
+        const fixed = applyDesignFixes(html, issues);
+        if (!fixed.changes.length) break;
+        html = fixed.html;
+        issues.forEach(issue => refitted.add(issue.fix.element));
+    }
+    const fitted = await fixDesign(html, { types: ['overflow'], resolveImage: options.resolveImage });
+    fitted.changes.forEach(change => refitted.add(Number(change.id.split('-')[1])));
+    return {
+        html: fitted.html,
+        refitted: refitted.size,
+        warnings: fitted.report.issues.filter(issue => issue.type === 'overflow').map(issue => issue.message)
+    };
+}
+
+// File name (without extension) for a row from a template like "{{venue}}-{{date}}";
+// {{#}} is the row number. Falls back to flyer-001 style names.
+function rowFilename(template, values, number, digits) {
+    const fallback = `flyer-${String(number).padStart(digits, '0')}`;
+    if (!template) return fallback;
+    const name = template
+        .replace(PLACEHOLDER_PATTERN, (match, field) => (field === '#' ? String(number).padStart(digits, '0') : values[field] || ''))
+        .replace(/[^\w.-]+/g, '-')
+        .replace(/^[-.]+|-+$/g, '')
+        .slice(0, MAX_FILENAME_LENGTH);
+    return name || fallback;
+}
+
+// CSV text for a list of records (arrays of cells), quoting where needed
+function formatCsv(records) {
+    const cell = value => {
+        const text = String(value === null || value === undefined ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return records.map(record => record.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    formatCsv,
+    readDataset,
+    fieldsInText,
+    placeholderFields,
+    markPlaceholders,
+    checkFields,
+    fillPlaceholders,
+    placeholderElements,
+    mergeRow,
+    rowFilename
+};
@@ -0,0 +1,104 @@
+// In-process metrics in the Prometheus text format (served from GET /metrics). Counters and
+// histograms are kept per label set in memory and start from zero when the server starts.
+const REGISTRY = [];
+// Seconds; provider calls range from a cached lookup to a minute-long image generation
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 80];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelValues(names, labels = {}) {
+    return names.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+function register(metric) {
+    REGISTRY.push(metric);
+    return metric;
+}
+
+// counter('name', 'help', ['label']) -> { inc(labels, amount = 1) }
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+        inc(labels, amount = 1) {
+            const values = labelValues(labelNames, labels);
+            const key = JSON.stringify(values);
+            series.set(key, { values, value: ((series.get(key) || {}).value || 0) + amount });
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { values, value } of series.values()) lines.push(`${name}${formatLabels(labelNames, values)} ${value}`);
+            return lines;
+        }
+    });
+}
+
+// histogram('name', 'help', ['label'], buckets) -> { observe(labels, value) }
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register({
+        observe(labels, value) {
+            const values = labelValues(labelNames, labels);
+            const key = JSON.stringify(values);
+            if (!series.has(key)) series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const entry = series.get(key);
+            buckets.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { values, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[i]}`));
+                lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+// gauge('name', 'help', collect) where collect() returns the current value when scraped
+function gauge(name, help, collect) {
+    return register({
+        render() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`];
+        }
+    });
+}
+
+const metrics = {
+    httpRequests: counter('flyer_http_requests_total', 'HTTP requests by route and status code.', ['method', 'route', 'status']),
+    httpDuration: histogram('flyer_http_request_duration_seconds', 'HTTP request duration by route.', ['method', 'route']),
+    providerRequests: counter('flyer_provider_requests_total', 'Text and image provider calls by outcome (success, error, aborted).', ['provider', 'kind', 'outcome']),
+    providerDuration: histogram('flyer_provider_request_duration_seconds', 'Text and image provider call duration.', ['provider', 'kind']),
+    providerRetries: counter('flyer_provider_retries_total', 'Provider calls retried after an error.', ['provider', 'kind']),
+    backgroundRemovals: counter('flyer_background_removal_total', 'Background removals by outcome (success, fallback to the original image, error).', ['outcome']),
+    backgroundRemovalDuration: histogram('flyer_background_removal_duration_seconds', 'Background removal duration.'),
+    tokens: counter('flyer_estimated_tokens_total', 'Estimated text tokens sent (input) and received (output).', ['provider', 'direction']),
+    images: counter('flyer_images_generated_total', 'Images generated by a provider (cache hits excluded).', ['provider']),
+    cost: counter('flyer_estimated_cost_usd_total', 'Estimated provider cost in US dollars.', ['provider', 'kind'])
+};
+
+gauge('flyer_process_uptime_seconds', 'Seconds since the server started.', () => Math.round(process.uptime()));
+gauge('flyer_process_resident_memory_bytes', 'Resident memory of the server process.', () => process.memoryUsage().rss);
+
+// All metrics in the Prometheus text exposition format
+function renderMetrics() {
+    return `${REGISTRY.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+    metrics,
+    renderMetrics
+};
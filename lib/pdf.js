@@ -0,0 +1,59 @@
+// Minimal PDF writer: one full-bleed JPEG image per page.
+// pages: [{ jpeg (Buffer), pixelWidth, pixelHeight, pageWidth, pageHeight (points) }]
+function buildPdf(pages) {
+    const objects = [];
+    const addObject = body => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    // Reserve 1 (catalog) and 2 (page tree); fill them in once page ids are known
+    addObject(null);
+    addObject(null);
+
+    const pageIds = pages.map((page, i) => {
+        const imageId = addObject(Buffer.concat([
+            Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`),
+            page.jpeg,
+            Buffer.from('\nendstream')
+        ]));
+        const w = page.pageWidth.toFixed(2);
+        const h = page.pageHeight.toFixed(2);
+        const drawing = `q ${w} 0 0 ${h} 0 0 cm /Im${i} Do Q`;
+        const contentId = addObject(`<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream`);
+        return addObject(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im${i} ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'binary')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+        const chunk = Buffer.concat([
+            Buffer.from(`${i + 1} 0 obj\n`),
+            Buffer.isBuffer(body) ? body : Buffer.from(body),
+            Buffer.from('\nendobj\n')
+        ]);
+        offsets.push(offset);
+        offset += chunk.length;
+        chunks.push(chunk);
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(xref + '\n'));
+    return Buffer.concat(chunks);
+}
+
+module.exports = { buildPdf };
@@ -0,0 +1,266 @@
+// File-based project store: one JSON file per project under PROJECTS_DIR.
+// A project keeps every version of a flyer (brief, design spec, canvas size, HTML and the
+// assets the HTML uses). Versions are never modified; restoring an old version appends a copy of it.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+const { sanitizeFlyerHtml } = require('./html-validator');
+
+const PROJECTS_DIR = path.resolve(process.env.PROJECTS_DIR || path.join(__dirname, '..', 'data', 'projects'));
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+const MAX_NAME_LENGTH = 120;
+const VERSION_SOURCES = new Set(['generate', 'edit', 'restore', 'fork', 'import', 'resize']);
+
+// Writes to one project are queued so concurrent updates do not lose versions
+const queues = new Map();
+
+function notFound(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function projectFile(id) {
+    if (!ID_PATTERN.test(String(id))) throw notFound('Project not found');
+    return path.join(PROJECTS_DIR, `${id}.json`);
+}
+
+async function readProject(id) {
+    try {
+        return JSON.parse(await fs.readFile(projectFile(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw notFound('Project not found');
+        throw error;
+    }
+}
+
+async function writeProject(project) {
+    await fs.mkdir(PROJECTS_DIR, { recursive: true });
+    const file = projectFile(project.id);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(project, null, 2));
+    await fs.rename(temp, file);
+}
+
+// Run fn(project) against the latest saved copy and save its changes, one update at a time
+function updateProject(id, fn) {
+    const previous = queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const project = await readProject(id);
+        const result = await fn(project);
+        project.updatedAt = new Date().toISOString();
+        await writeProject(project);
+        return result === undefined ? project : result;
+    });
+    queues.set(id, next);
+    next.finally(() => {
+        if (queues.get(id) === next) queues.delete(id);
+    }).catch(() => {});
+    return next;
+}
+
+function cleanName(name, fallback) {
+    const text = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+    return (text || fallback || 'Untitled flyer').slice(0, MAX_NAME_LENGTH);
+}
+
+// Hashes of the /assets/:hash images and backgrounds an HTML string uses
+function assetRefs(html) {
+    const refs = new Set();
+    const re = /\/assets\/([a-f0-9]{64})/g;
+    let match;
+    while ((match = re.exec(String(html || '')))) refs.add(match[1]);
+    return [...refs];
+}
+
+function makeVersion(project, content) {
+    if (content.source !== undefined && !VERSION_SOURCES.has(content.source)) {
+        throw badRequest(`source must be one of ${[...VERSION_SOURCES].join(', ')}`);
+    }
+    if (content.html !== undefined && content.html !== null && typeof content.html !== 'string') {
+        throw badRequest('html must be a string');
+    }
+    const latest = project.versions[project.versions.length - 1];
+    // The UI renders stored HTML, so it is sanitized whichever way it arrives (including copies
+    // of versions saved before imports were checked)
+    const html = typeof content.html === 'string' ? sanitizeFlyerHtml(content.html).html : content.html;
+    return {
+        version: latest ? latest.version + 1 : 1,
+        createdAt: new Date().toISOString(),
+        source: content.source || 'edit',
+        note: typeof content.note === 'string' ? content.note.slice(0, 500) : null,
+        // Unchanged parts carry over from the previous version
+        brief: content.brief !== undefined ? content.brief : (latest ? latest.brief : null),
+        spec: content.spec !== undefined ? content.spec : (latest ? latest.spec : null),
+        canvas: content.canvas !== undefined ? content.canvas : (latest ? latest.canvas || null : null),
+        html: html !== undefined ? html : (latest ? latest.html : null),
+        validation: content.validation || null,
+        usage: content.usage || null,
+        assets: assetRefs(html !== undefined ? html : (latest ? latest.html : null)),
+        ...(content.restoredFrom ? { restoredFrom: content.restoredFrom } : {})
+    };
+}
+
+function summarize(project) {
+    const latest = project.versions[project.versions.length - 1] || null;
+    return {
+        id: project.id,
+        name: project.name,
+        ownerId: project.ownerId || null,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+        forkedFrom: project.forkedFrom,
+        versions: project.versions.length,
+        currentVersion: latest ? latest.version : null,
+        brief: latest ? latest.brief : null
+    };
+}
+
+async function listProjects() {
+    let files;
+    try {
+        files = await fs.readdir(PROJECTS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const projects = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+            projects.push(summarize(JSON.parse(await fs.readFile(path.join(PROJECTS_DIR, file), 'utf8'))));
+        } catch (error) {
+            logger.warn('Skipping unreadable project file', { file, error });
+        }
+    }
+    return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function getProject(id) {
+    return readProject(id);
+}
+
+function findVersion(project, version) {
+    const found = project.versions.find(v => v.version === Number(version));
+    if (!found) throw notFound(`Version ${version} not found`);
+    return found;
+}
+
+async function getVersion(id, version) {
+    return findVersion(await readProject(id), version);
+}
+
+// content: { name, brief, spec, canvas, html, validation, usage, source, note }; a first version is
+// recorded when any of brief/spec/html is given. extra: { ownerId (API key id), forkedFrom }
+async function createProject(content = {}, extra = {}) {
+    const now = new Date().toISOString();
+    const project = {
+        id: crypto.randomUUID(),
+        name: cleanName(content.name, content.spec && content.spec.content && content.spec.content.headline),
+        ownerId: extra.ownerId || null,
+        createdAt: now,
+        updatedAt: now,
+        forkedFrom: extra.forkedFrom || null,
+        versions: []
+    };
+    if (content.brief !== undefined || content.spec !== undefined || content.html !== undefined) {
+        project.versions.push(makeVersion(project, { source: 'generate', ...content }));
+    }
+    await writeProject(project);
+    return project;
+}
+
+async function addVersion(id, content) {
+    return updateProject(id, project => {
+        const version = makeVersion(project, content);
+        project.versions.push(version);
+        return version;
+    });
+}
+
+async function renameProject(id, name) {
+    if (typeof name !== 'string' || !name.trim()) throw badRequest('name must be a non-empty string');
+    return updateProject(id, project => {
+        project.name = cleanName(name);
+    });
+}
+
+async function deleteProject(id) {
+    const file = projectFile(id);
+    await readProject(id);
+    await fs.rm(file, { force: true });
+}
+
+// Copy one version (default: the latest) into a brand-new project owned by options.ownerId
+async function forkProject(id, options = {}) {
+    const source = await readProject(id);
+    const version = options.version !== undefined
+        ? findVersion(source, options.version)
+        : source.versions[source.versions.length - 1];
+    return createProject({
+        name: options.name || `${source.name} (copy)`,
+        brief: version ? version.brief : undefined,
+        spec: version ? version.spec : undefined,
+        canvas: version ? version.canvas || null : undefined,
+        html: version ? version.html : undefined,
+        source: 'fork'
+    }, { ownerId: options.ownerId, forkedFrom: { projectId: source.id, version: version ? version.version : null } });
+}
+
+// Make an old version current again by appending a copy of it
+async function restoreVersion(id, versionNumber) {
+    return updateProject(id, project => {
+        const old = findVersion(project, versionNumber);
+        const version = makeVersion(project, {
+            brief: old.brief,
+            spec: old.spec,
+            canvas: old.canvas || null,
+            html: old.html,
+            validation: old.validation,
+            source: 'restore',
+            restoredFrom: old.version
+        });
+        project.versions.push(version);
+        return version;
+    });
+}
+
+// Every asset hash any saved version uses (kept safe from cache eviction)
+async function referencedAssets() {
+    const refs = new Set();
+    let files;
+    try {
+        files = await fs.readdir(PROJECTS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return refs;
+        throw error;
+    }
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+            const project = JSON.parse(await fs.readFile(path.join(PROJECTS_DIR, file), 'utf8'));
+            project.versions.forEach(version => (version.assets || []).forEach(hash => refs.add(hash)));
+        } catch (error) {
+            // listProjects() reports unreadable files
+        }
+    }
+    return refs;
+}
+
+module.exports = {
+    listProjects,
+    getProject,
+    getVersion,
+    createProject,
+    addVersion,
+    renameProject,
+    deleteProject,
+    forkProject,
+    restoreVersion,
+    referencedAssets
+};
@@ -0,0 +1,135 @@
+// Fetching images from URLs that users hand us (remote imageUrl, <img src> in exported flyers).
+// Only public http(s) hosts are reachable: private, loopback, link-local and other reserved
+// addresses are refused, also after redirects and at connect time (so DNS rebinding does not
+// get around the check). Downloads are capped in time and size and must have an allowed
+// image content type.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('./fetch');
+
+const TIMEOUT_MS = parseInt(process.env.REMOTE_FETCH_TIMEOUT_MS || '10000', 10);
+const MAX_BYTES = parseFloat(process.env.REMOTE_FETCH_MAX_MB || '10') * 1024 * 1024;
+const CONTENT_TYPES = new Set((process.env.REMOTE_FETCH_CONTENT_TYPES || 'image/png,image/jpeg,image/webp,image/gif,image/avif')
+    .split(',').map(type => type.trim().toLowerCase()).filter(Boolean));
+const MAX_REDIRECTS = 3;
+
+// Special-purpose ranges from the IANA IPv4/IPv6 registries (the IPv4 rules also match
+// IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1)
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blocked.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    blocked.addSubnet(address, prefix, 'ipv6');
+}
+
+function fetchError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for the HTTP agents: the address actually connected to is checked
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            const blockedError = fetchError(`${hostname} resolves to a private or reserved address`);
+            blockedError.code = 'EBLOCKED';
+            return callback(blockedError);
+        }
+        callback(null, address, family);
+    });
+}
+
+const agents = {
+    'http:': new http.Agent({ lookup: safeLookup }),
+    'https:': new https.Agent({ lookup: safeLookup })
+};
+
+// Parse and vet a URL before connecting; literal IPs never reach the agent's lookup
+async function checkUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw fetchError('Invalid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw fetchError('Only http and https URLs can be fetched');
+    if (url.username || url.password) throw fetchError('URLs with credentials cannot be fetched');
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [host]
+        : await dns.promises.lookup(host, { all: true }).then(
+            entries => entries.map(entry => entry.address),
+            () => { throw fetchError(`Could not resolve ${host}`); }
+        );
+    if (addresses.some(isBlockedAddress)) throw fetchError(`${host} is a private or reserved address`);
+    return url;
+}
+
+// Download an image; returns { buffer, contentType }.
+// Throws with status 400 for URLs and responses we refuse and 502 when the remote end fails.
+// options: { maxBytes, timeoutMs, contentTypes (Set) } override the REMOTE_FETCH_* settings.
+async function fetchRemoteImage(value, options = {}) {
+    const maxBytes = options.maxBytes || MAX_BYTES;
+    const contentTypes = options.contentTypes || CONTENT_TYPES;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs || TIMEOUT_MS);
+    try {
+        let url = await checkUrl(value);
+        for (let redirects = 0; ; redirects++) {
+            let response;
+            try {
+                response = await fetch(url.href, { agent: agents[url.protocol], redirect: 'manual', size: maxBytes, signal: controller.signal });
+            } catch (error) {
+                if (controller.signal.aborted) throw fetchError('Timed out fetching the image', 502);
+                throw fetchError(`Could not fetch the image: ${error.message}`, error.code === 'EBLOCKED' ? 400 : 502);
+            }
+
+            if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+                if (redirects >= MAX_REDIRECTS) throw fetchError('Too many redirects', 502);
+                url = await checkUrl(new URL(response.headers.get('location'), url).href);
+                continue;
+            }
+            if (!response.ok) throw fetchError(`The image URL answered HTTP ${response.status}`, 502);
+
+            const contentType = String(response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            if (!contentTypes.has(contentType)) {
+                throw fetchError(`Content type ${contentType || '(none)'} is not allowed (allowed: ${[...contentTypes].join(', ')})`);
+            }
+            const tooLarge = fetchError(`The image is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+            if (Number(response.headers.get('content-length')) > maxBytes) throw tooLarge;
+            try {
+                return { buffer: Buffer.from(await response.arrayBuffer()), contentType };
+            } catch (error) {
+                if (error.type === 'max-size') throw tooLarge;
+                if (controller.signal.aborted) throw fetchError('Timed out fetching the image', 502);
+                throw fetchError(`Could not fetch the image: ${error.message}`, 502);
+            }
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    fetchRemoteImage,
+    isBlockedAddress
+};
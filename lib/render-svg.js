@@ -0,0 +1,1425 @@
+// Server-side renderer for generated flyers: HTML -> SVG.
+// This is not a browser. It implements the subset of HTML/CSS the renderer prompt asks the model
+// for (absolutely/relatively positioned div/span/img with inline styles, explicit z-index,
+// Google fonts via data-font-url) plus the common flow/flex patterns models tend to add.
+const cheerio = require('cheerio');
+const sharp = require('sharp');
+const { fetchRemoteImage } = require('./remote-fetch');
+const { loadGoogleFonts } = require('./fonts');
+const { parseStyle, splitTopLevel, parseColor, parseLength } = require('./css');
+
+const DEFAULT_FLYER_WIDTH = 800;
+const DEFAULT_FONT_SIZE = 16;
+const REMOTE_IMAGE_TIMEOUT_MS = 15000;
+const REMOTE_IMAGE_MAX_BYTES = 15 * 1024 * 1024;
+const INLINE_TAGS = new Set(['span', 'b', 'strong', 'i', 'em', 'u', 'a', 'small', 'sup', 'sub', 'font', 'br']);
+const GENERIC_FAMILIES = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui']);
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// ---------------------------------------------------------------------------
+// Preparation (async): fonts and images
+// ---------------------------------------------------------------------------
+
+function findRoot($) {
+    return $.root().children().filter((i, el) => el.type === 'tag').first();
+}
+
+function backgroundUrls(styleText) {
+    const urls = [];
+    const re = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+    let match;
+    while ((match = re.exec(styleText || ''))) urls.push(match[2]);
+    return urls;
+}
+
+// Resolve an image reference to { href (data URL), width, height }.
+// `budget` ({ remaining }) caps the remote fetches; it may be shared by several flyers.
+async function loadImage(src, budget) {
+    let buffer;
+    if (src.startsWith('data:')) {
+        const match = src.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+        if (!match) throw new Error('invalid data URL');
+        buffer = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+    } else if (/^https?:\/\//i.test(src)) {
+        if (budget) {
+            if (budget.remaining <= 0) throw new Error('too many remote images in this export');
+            budget.remaining--;
+        }
+        ({ buffer } = await fetchRemoteImage(src, { timeoutMs: REMOTE_IMAGE_TIMEOUT_MS, maxBytes: REMOTE_IMAGE_MAX_BYTES }));
+    } else {
+        throw new Error('only data: and http(s) image sources can be exported');
+    }
+    const metadata = await sharp(buffer).metadata();
+    // Re-encode as PNG so every renderer (librsvg, browsers) can read it
+    const png = metadata.format === 'png' || metadata.format === 'jpeg' ? buffer : await sharp(buffer).png().toBuffer();
+    const mime = metadata.format === 'jpeg' ? 'image/jpeg' : 'image/png';
+    return { href: `data:${mime};base64,${png.toString('base64')}`, width: metadata.width, height: metadata.height };
+}
+
+// Parse flyer HTML and load everything the renderer needs.
+// `resolveImage(src)` may be passed to map app-specific URLs to data/http URLs first, and
+// `remoteImages` ({ remaining }) to limit how many images are fetched over the network.
+async function prepareFlyer(html, options = {}) {
+    const $ = cheerio.load(String(html || ''), null, false);
+    const root = findRoot($);
+    if (!root.length) {
+        throw new Error('Flyer HTML has no root element');
+    }
+
+    const warnings = [];
+    const fontUrls = [];
+    $('[data-font-url]').each((i, el) => fontUrls.push($(el).attr('data-font-url')));
+    const fonts = await loadGoogleFonts(fontUrls);
+    warnings.push(...fonts.warnings);
+
+    const sources = new Set();
+    $('img').each((i, el) => {
+        const src = $(el).attr('src');
+        if (src) sources.add(src);
+        else warnings.push(`Image has no src and was skipped${$(el).attr('x-prompt') ? ` (x-prompt: ${$(el).attr('x-prompt').slice(0, 60)})` : ''}`);
+    });
+    $('[style]').each((i, el) => backgroundUrls($(el).attr('style')).forEach(url => sources.add(url)));
+
+    const images = new Map();
+    await Promise.all([...sources].map(async src => {
+        try {
+            const resolved = options.resolveImage ? await options.resolveImage(src) : src;
+            images.set(src, await loadImage(resolved, options.remoteImages));
+        } catch (error) {
+            warnings.push(`Image not exported (${src.slice(0, 60)}): ${error.message}`);
+        }
+    }));
+
+    return { $, root: root.get(0), faces: fonts.faces, images, warnings };
+}
+
+// ---------------------------------------------------------------------------
+// Text styles and measurement
+// ---------------------------------------------------------------------------
+
+function parseFontFamily(value) {
+    const families = splitTopLevel(value, ',').map(f => f.replace(/["']/g, '').trim()).filter(Boolean);
+    const generic = families.find(f => GENERIC_FAMILIES.has(f.toLowerCase())) || 'sans-serif';
+    const family = families.find(f => !GENERIC_FAMILIES.has(f.toLowerCase())) || null;
+    return { family, generic };
+}
+
+function parseFontWeight(value, parentWeight) {
+    if (!value) return parentWeight;
+    const text = String(value).toLowerCase();
+    if (text === 'normal') return 400;
+    if (text === 'bold') return 700;
+    if (text === 'bolder') return Math.min(900, parentWeight + 300);
+    if (text === 'lighter') return Math.max(100, parentWeight - 300);
+    const number = parseInt(text, 10);
+    return Number.isFinite(number) ? number : parentWeight;
+}
+
+// Expand the `font` shorthand: [style] [weight] size[/line-height] family
+function expandFontShorthand(style) {
+    if (!style.font) return style;
+    const match = style.font.match(/^(.*?)([\d.]+(?:px|em|rem|%|pt))(?:\s*\/\s*([\d.]+(?:px|em|rem|%)?))?\s+(.+)$/);
+    if (!match) return style;
+    const expanded = { ...style };
+    for (const token of match[1].trim().split(/\s+/).filter(Boolean)) {
+        if (token === 'italic' || token === 'oblique') expanded['font-style'] = expanded['font-style'] || token;
+        else if (/^(bold|bolder|lighter|\d{3})$/.test(token)) expanded['font-weight'] = expanded['font-weight'] || token;
+    }
+    expanded['font-size'] = expanded['font-size'] || match[2];
+    if (match[3]) expanded['line-height'] = expanded['line-height'] || match[3];
+    expanded['font-family'] = expanded['font-family'] || match[4];
+    return expanded;
+}
+
+function parseShadow(value) {
+    if (!value || value === 'none') return null;
+    const first = splitTopLevel(value, ',')[0];
+    const colorMatch = first.match(/(#[0-9a-fA-F]{3,8}|(?:rgba?|hsla?)\([^)]*\)|\b[a-z]+\b(?![\d.]))/);
+    const color = colorMatch ? parseColor(colorMatch[1]) : null;
+    const numbers = first.replace(colorMatch ? colorMatch[1] : '', '').trim().split(/\s+/).map(n => parseFloat(n) || 0);
+    return {
+        dx: numbers[0] || 0,
+        dy: numbers[1] || 0,
+        blur: numbers[2] || 0,
+        spread: numbers[3] || 0,
+        color: color || { r: 0, g: 0, b: 0, a: 0.5 },
+        inset: /\binset\b/.test(first)
+    };
+}
+
+function inheritTextStyle(parent, rawStyle, el, viewport) {
+    const style = expandFontShorthand(rawStyle);
+    const ts = { ...parent };
+    if (style['font-family']) Object.assign(ts, parseFontFamily(style['font-family']));
+    if (style['font-size']) {
+        const size = parseLength(style['font-size'], parent.size, parent.size, viewport);
+        if (size) ts.size = size;
+    }
+    ts.weight = parseFontWeight(style['font-weight'], parent.weight);
+    if (style['font-style']) ts.italic = /italic|oblique/.test(style['font-style']);
+    if (style.color && parseColor(style.color)) ts.color = parseColor(style.color);
+    if (style['line-height']) ts.lineHeight = style['line-height'];
+    if (style['letter-spacing']) ts.letterSpacingRaw = style['letter-spacing'];
+    if (style['text-transform']) ts.transform = style['text-transform'];
+    if (style['text-align']) ts.align = style['text-align'];
+    if (style['text-shadow']) ts.shadow = parseShadow(style['text-shadow']);
+    if (style['white-space']) ts.whiteSpace = style['white-space'];
+    if (el && el.attribs && el.attribs['data-font-url']) ts.fontUrl = el.attribs['data-font-url'];
+    ts.letterSpacing = ts.letterSpacingRaw && ts.letterSpacingRaw !== 'normal'
+        ? (parseLength(ts.letterSpacingRaw, 0, ts.size, viewport) || 0)
+        : 0;
+    return ts;
+}
+
+const ROOT_TEXT_STYLE = {
+    family: null,
+    generic: 'serif',
+    size: DEFAULT_FONT_SIZE,
+    weight: 400,
+    italic: false,
+    color: { r: 0, g: 0, b: 0, a: 1 },
+    lineHeight: 'normal',
+    letterSpacingRaw: null,
+    letterSpacing: 0,
+    transform: 'none',
+    align: 'left',
+    shadow: null,
+    whiteSpace: 'normal',
+    fontUrl: null
+};
+
+// Pick the loaded face that best matches a text style (same family and style, closest weight)
+function pickFace(faces, ts) {
+    if (!ts.family) return null;
+    const family = ts.family.toLowerCase();
+    const candidates = faces.filter(face => face.family.toLowerCase() === family);
+    if (!candidates.length) return null;
+    const styled = candidates.filter(face => (face.style === 'italic') === ts.italic);
+    const pool = styled.length ? styled : candidates;
+    return pool.reduce((best, face) => (Math.abs(face.weight - ts.weight) < Math.abs(best.weight - ts.weight) ? face : best));
+}
+
+function applyTextTransform(text, transform) {
+    if (transform === 'uppercase') return text.toUpperCase();
+    if (transform === 'lowercase') return text.toLowerCase();
+    if (transform === 'capitalize') return text.replace(/(^|\s)(\S)/g, (m, s, c) => s + c.toUpperCase());
+    return text;
+}
+
+// Rough per-character advance (in em) for when a font could not be loaded
+function estimateAdvance(ch) {
+    if (ch === ' ') return 0.28;
+    if (/[A-Z]/.test(ch)) return ch === 'I' ? 0.3 : (ch === 'M' || ch === 'W' ? 0.85 : 0.66);
+    if (/[a-z]/.test(ch)) return /[ijlft]/.test(ch) ? 0.28 : (/[mw]/.test(ch) ? 0.78 : 0.52);
+    if (/[0-9]/.test(ch)) return 0.56;
+    if (/[.,:;'!|]/.test(ch)) return 0.26;
+    return 0.55;
+}
+
+function measureText(text, ts, faces) {
+    const face = pickFace(faces, ts);
+    const spacing = ts.letterSpacing * text.length;
+    if (face) {
+        return face.font.getAdvanceWidth(text, ts.size, { kerning: true }) + spacing;
+    }
+    const weightFactor = ts.weight >= 600 ? 1.07 : 1;
+    let em = 0;
+    for (const ch of text) em += estimateAdvance(ch);
+    return em * ts.size * weightFactor + spacing;
+}
+
+function fontMetrics(ts, faces) {
+    const face = pickFace(faces, ts);
+    if (face) {
+        const upm = face.font.unitsPerEm;
+        return { ascent: face.font.ascender / upm * ts.size, descent: -face.font.descender / upm * ts.size, face };
+    }
+    return { ascent: 0.8 * ts.size, descent: 0.2 * ts.size, face: null };
+}
+
+function lineHeightOf(ts) {
+    const raw = String(ts.lineHeight || 'normal').trim();
+    if (raw === 'normal') return 1.2 * ts.size;
+    if (/^[\d.]+$/.test(raw)) return parseFloat(raw) * ts.size;
+    return parseLength(raw, ts.size, ts.size) || 1.2 * ts.size;
+}
+
+// ---------------------------------------------------------------------------
+// Inline (text) layout
+// ---------------------------------------------------------------------------
+
+function isInlineElement(el, style) {
+    if (el.type === 'text') return true;
+    if (el.type !== 'tag') return false;
+    const display = style.display;
+    if (style.position === 'absolute' || style.position === 'fixed') return false;
+    if (display) return display === 'inline';
+    return INLINE_TAGS.has(el.name);
+}
+
+// Flatten inline content into word/space/break tokens, each carrying its text style and the
+// element its text belongs to
+function collectInlineTokens(nodes, ts, ctx, tokens = []) {
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            const text = node.data.replace(/&nbsp;/g, ' ');
+            const pre = /^pre/.test(ts.whiteSpace);
+            const parts = pre ? text.split(/(\n)/) : text.split(/([ \t\r\n]+)/);
+            for (const part of parts) {
+                if (!part) continue;
+                if (pre && part === '\n') tokens.push({ type: 'break', ts });
+                else if (!pre && /^[ \t\r\n]+$/.test(part)) tokens.push({ type: 'space', ts, el: node.parent });
+                else tokens.push({ type: 'word', text: applyTextTransform(part, ts.transform), ts, el: node.parent });
+            }
+        } else if (node.type === 'tag') {
+            if (node.name === 'br') {
+                tokens.push({ type: 'break', ts });
+                continue;
+            }
+            const style = parseStyle(node.attribs.style);
+            if (style.display === 'none') continue;
+            const childTs = inheritTextStyle(ts, style, node, ctx.viewport);
+            collectInlineTokens(node.children || [], childTs, ctx, tokens);
+        }
+    }
+    return tokens;
+}
+
+function hasVisibleText(tokens) {
+    return tokens.some(token => token.type === 'word');
+}
+
+// Break tokens into lines that fit `width` (Infinity = max-content)
+function breakLines(tokens, width, ctx) {
+    const lines = [];
+    let line = { items: [], width: 0 };
+    let pendingSpace = null;
+
+    const pushLine = () => {
+        lines.push(line);
+        line = { items: [], width: 0 };
+        pendingSpace = null;
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'break') {
+            pushLine();
+        } else if (token.type === 'space') {
+            if (line.items.length) pendingSpace = token;
+        } else {
+            const wordWidth = measureText(token.text, token.ts, ctx.faces);
+            const spaceWidth = pendingSpace ? measureText(' ', pendingSpace.ts, ctx.faces) : 0;
+            const nowrap = token.ts.whiteSpace === 'nowrap' || token.ts.whiteSpace === 'pre';
+            if (line.items.length && !nowrap && line.width + spaceWidth + wordWidth > width + 0.5) {
+                pushLine();
+            }
+            if (pendingSpace && line.items.length) {
+                line.items.push({ text: ' ', ts: pendingSpace.ts, el: pendingSpace.el, width: spaceWidth });
+                line.width += spaceWidth;
+            }
+            line.items.push({ text: token.text, ts: token.ts, el: token.el, width: wordWidth });
+            line.width += wordWidth;
+            pendingSpace = null;
+        }
+    }
+    if (line.items.length || !lines.length) lines.push(line);
+    return lines;
+}
+
+// Lay out inline tokens in a box of the given width. Coordinates are relative to the text block.
+function layoutText(tokens, width, align, blockTs, ctx) {
+    const lines = breakLines(tokens, width, ctx);
+    let y = 0;
+    let maxWidth = 0;
+    const laidOut = lines.map(line => {
+        const styles = line.items.length ? line.items.map(item => item.ts) : [blockTs];
+        const height = Math.max(...styles.map(lineHeightOf));
+        const metrics = styles.map(ts => fontMetrics(ts, ctx.faces));
+        const ascent = Math.max(...metrics.map(m => m.ascent));
+        const descent = Math.max(...metrics.map(m => m.descent));
+        const baseline = y + (height - (ascent + descent)) / 2 + ascent;
+
+        let x = 0;
+        if (Number.isFinite(width)) {
+            if (align === 'center') x = (width - line.width) / 2;
+            else if (align === 'right' || align === 'end') x = width - line.width;
+        }
+
+        // Merge neighbouring items with the same style into segments
+        const segments = [];
+        for (const item of line.items) {
+            const last = segments[segments.length - 1];
+            if (last && last.ts === item.ts) {
+                last.text += item.text;
+                last.width += item.width;
+            } else {
+                segments.push({ text: item.text, ts: item.ts, el: item.el, x, width: item.width });
+            }
+            x += item.width;
+        }
+
+        maxWidth = Math.max(maxWidth, line.width);
+        const result = { y, height, baseline, width: line.width, segments };
+        y += height;
+        return result;
+    });
+    return { lines: laidOut, width: maxWidth, height: y };
+}
+
+// ---------------------------------------------------------------------------
+// Box layout
+// ---------------------------------------------------------------------------
+
+function expandBoxShorthand(value) {
+    const parts = String(value || '').trim().split(/\s+/).filter(Boolean);
+    if (!parts.length) return [null, null, null, null];
+    const [t, r = t, b = t, l = r] = parts;
+    return [t, r, b, l];
+}
+
+function resolveSides(style, property, basis, ts, viewport) {
+    const [t, r, b, l] = expandBoxShorthand(style[property]);
+    const side = (name, fallback) => {
+        const value = style[`${property}-${name}`] !== undefined ? style[`${property}-${name}`] : fallback;
+        if (value === 'auto') return 'auto';
+        return parseLength(value, basis, ts.size, viewport) || 0;
+    };
+    return { top: side('top', t), right: side('right', r), bottom: side('bottom', b), left: side('left', l) };
+}
+
+function borderOf(style, ts, viewport) {
+    const shorthand = style.border && style.border !== 'none' ? style.border : null;
+    let width = 0;
+    let color = null;
+    let dashed = false;
+    if (shorthand) {
+        const widthMatch = shorthand.match(/(-?[\d.]+(?:px|em|rem)?)/);
+        width = widthMatch ? parseLength(widthMatch[1], 0, ts.size, viewport) || 0 : 1;
+        const colorPart = shorthand.replace(/(-?[\d.]+(?:px|em|rem)?)|\b(solid|dashed|dotted|double)\b/g, '').trim();
+        color = parseColor(colorPart) || ts.color;
+        dashed = /dashed|dotted/.test(shorthand);
+    }
+    if (style['border-width']) width = parseLength(style['border-width'].split(/\s+/)[0], 0, ts.size, viewport) || 0;
+    if (style['border-color']) color = parseColor(style['border-color']) || color;
+    if (style['border-style']) dashed = /dashed|dotted/.test(style['border-style']);
+    if (style['border-style'] === 'none') width = 0;
+    if (width && !color) color = ts.color;
+    return { width, color, dashed };
+}
+
+function zIndexOf(style) {
+    const z = parseInt(style['z-index'], 10);
+    return Number.isFinite(z) ? z : 0;
+}
+
+function clampSize(value, style, minKey, maxKey, basis, ts, viewport) {
+    const min = parseLength(style[minKey], basis, ts.size, viewport);
+    const max = parseLength(style[maxKey], basis, ts.size, viewport);
+    if (max !== null && value > max) value = max;
+    if (min !== null && value < min) value = min;
+    return value;
+}
+
+// Max-content width of an element's border box, used for shrink-to-fit sizing
+function maxContentWidth(el, parentTs, ctx, cbWidth) {
+    if (el.type === 'text') {
+        const tokens = collectInlineTokens([el], parentTs, ctx);
+        return hasVisibleText(tokens) ? layoutText(tokens, Infinity, 'left', parentTs, ctx).width : 0;
+    }
+    const style = parseStyle(el.attribs.style);
+    const ts = inheritTextStyle(parentTs, style, el, ctx.viewport);
+    const padding = resolveSides(style, 'padding', cbWidth, ts, ctx.viewport);
+    const border = borderOf(style, ts, ctx.viewport);
+    const extra = padding.left + padding.right + border.width * 2;
+    const explicit = parseLength(style.width, cbWidth, ts.size, ctx.viewport);
+    const borderBox = style['box-sizing'] === 'border-box';
+    if (explicit !== null) return borderBox ? explicit : explicit + extra;
+
+    if (el.name === 'img') {
+        const image = ctx.images.get(el.attribs.src);
+        const attrWidth = parseFloat(el.attribs.width);
+        return (Number.isFinite(attrWidth) ? attrWidth : (image ? image.width : 0)) + extra;
+    }
+
+    const children = (el.children || []).filter(child => child.type === 'text' || child.type === 'tag');
+    const flowChildren = children.filter(child => child.type === 'text' || !/absolute|fixed/.test(parseStyle(child.attribs.style).position || ''));
+    const display = style.display || '';
+    const isRow = /flex/.test(display) && !/column/.test(style['flex-direction'] || '');
+
+    let content = 0;
+    if (isRow) {
+        const gap = parseLength(style['column-gap'] || style.gap, 0, ts.size, ctx.viewport) || 0;
+        content = flowChildren.reduce((sum, child) => sum + maxContentWidth(child, ts, ctx, cbWidth), 0) + gap * Math.max(0, flowChildren.length - 1);
+    } else {
+        let inlineRun = [];
+        const flushRun = () => {
+            if (inlineRun.length) {
+                const tokens = collectInlineTokens(inlineRun, ts, ctx);
+                if (hasVisibleText(tokens)) content = Math.max(content, layoutText(tokens, Infinity, 'left', ts, ctx).width);
+                inlineRun = [];
+            }
+        };
+        for (const child of flowChildren) {
+            const childStyle = child.type === 'tag' ? parseStyle(child.attribs.style) : {};
+            if (isInlineElement(child, childStyle)) {
+                inlineRun.push(child);
+            } else {
+                flushRun();
+                content = Math.max(content, maxContentWidth(child, ts, ctx, cbWidth));
+            }
+        }
+        flushRun();
+    }
+    return content + extra;
+}
+
+// Lay out an element. Returns a box whose x/y are relative to the parent's border box
+// (set by the caller) and whose children/text are positioned relative to this box.
+// ctx: { faces, images, viewport }; opts: { cbWidth, cbHeight, availWidth, ts, shrink, forcedWidth, forcedHeight }
+function layoutElement(el, opts, ctx) {
+    const style = parseStyle(el.attribs.style);
+    if (style.display === 'none' || style.visibility === 'hidden') return null;
+
+    const ts = inheritTextStyle(opts.ts, style, el, ctx.viewport);
+    const position = style.position || 'static';
+    const absolute = position === 'absolute' || position === 'fixed';
+    const padding = resolveSides(style, 'padding', opts.cbWidth, ts, ctx.viewport);
+    const margin = resolveSides(style, 'margin', opts.cbWidth, ts, ctx.viewport);
+    const border = borderOf(style, ts, ctx.viewport);
+    const borderBox = style['box-sizing'] === 'border-box';
+    const extraX = padding.left + padding.right + border.width * 2;
+    const extraY = padding.top + padding.bottom + border.width * 2;
+    const marginX = (margin.left === 'auto' ? 0 : margin.left) + (margin.right === 'auto' ? 0 : margin.right);
+
+    const box = {
+        el,
+        tag: el.name,
+        style,
+        ts,
+        position,
+        positioned: position !== 'static',
+        z: zIndexOf(style),
+        hasZ: style['z-index'] !== undefined && style['z-index'] !== 'auto',
+        padding,
+        margin,
+        border,
+        x: 0,
+        y: 0,
+        w: 0,
+        h: 0,
+        children: [],
+        text: null,
+        image: null
+    };
+
+    const toBorderBox = (value, extra) => (borderBox ? value : value + extra);
+    const left = parseLength(style.left, opts.cbWidth, ts.size, ctx.viewport);
+    const right = parseLength(style.right, opts.cbWidth, ts.size, ctx.viewport);
+    const top = parseLength(style.top, opts.cbHeight || 0, ts.size, ctx.viewport);
+    const bottom = parseLength(style.bottom, opts.cbHeight || 0, ts.size, ctx.viewport);
+    const inset = style.inset !== undefined ? expandBoxShorthand(style.inset).map(v => parseLength(v, opts.cbWidth, ts.size, ctx.viewport)) : null;
+    box.offsets = {
+        left: left !== null ? left : (inset ? inset[3] : null),
+        right: right !== null ? right : (inset ? inset[1] : null),
+        top: top !== null ? top : (inset ? inset[0] : null),
+        bottom: bottom !== null ? bottom : (inset ? inset[2] : null)
+    };
+
+    // --- width
+    let width = parseLength(style.width, opts.cbWidth, ts.size, ctx.viewport);
+    if (opts.forcedWidth !== undefined) {
+        width = opts.forcedWidth;
+    } else if (width !== null) {
+        width = toBorderBox(width, extraX);
+    } else if (absolute && box.offsets.left !== null && box.offsets.right !== null) {
+        width = opts.cbWidth - box.offsets.left - box.offsets.right - marginX;
+    } else if (el.name === 'img') {
+        width = null; // resolved below from the image's aspect ratio
+    } else if (absolute || opts.shrink || /inline/.test(style.display || '') || style.float === 'left' || style.float === 'right') {
+        width = Math.min(maxContentWidth(el, opts.ts, ctx, opts.cbWidth), Math.max(0, opts.availWidth - marginX));
+    } else {
+        width = Math.max(0, opts.availWidth - marginX);
+    }
+
+    // --- explicit height
+    let height = null;
+    if (opts.forcedHeight !== undefined) {
+        height = opts.forcedHeight;
+    } else if (style.height !== undefined && !(String(style.height).endsWith('%') && !opts.cbHeight)) {
+        height = parseLength(style.height, opts.cbHeight || 0, ts.size, ctx.viewport);
+        if (height !== null) height = toBorderBox(height, extraY);
+    }
+    if (height === null && absolute && box.offsets.top !== null && box.offsets.bottom !== null && opts.cbHeight) {
+        height = opts.cbHeight - box.offsets.top - box.offsets.bottom;
+    }
+
+    // --- images
+    if (el.name === 'img') {
+        const image = ctx.images.get(el.attribs.src) || null;
+        const attrWidth = parseFloat(el.attribs.width);
+        const attrHeight = parseFloat(el.attribs.height);
+        if (width === null && Number.isFinite(attrWidth)) width = attrWidth;
+        if (height === null && Number.isFinite(attrHeight)) height = attrHeight;
+        const ratio = image && image.width && image.height ? image.width / image.height : 1;
+        if (width === null && height === null) {
+            width = image ? Math.min(image.width, opts.availWidth) : Math.min(300, opts.availWidth);
+        }
+        if (width === null) width = height * ratio;
+        if (height === null) height = width / ratio;
+        box.image = image;
+        box.w = clampSize(width, style, 'min-width', 'max-width', opts.cbWidth, ts, ctx.viewport);
+        box.h = clampSize(height, style, 'min-height', 'max-height', opts.cbHeight || 0, ts, ctx.viewport);
+        return box;
+    }
+
+    width = clampSize(width, style, 'min-width', 'max-width', opts.cbWidth, ts, ctx.viewport);
+    if (height === null && style['aspect-ratio']) {
+        const [a, b = 1] = style['aspect-ratio'].split('/').map(parseFloat);
+        if (a && b) height = width * b / a;
+    }
+    box.w = width;
+
+    const contentWidth = Math.max(0, width - extraX);
+    const contentHeight = height !== null ? Math.max(0, height - extraY) : null;
+    const innerX = border.width + padding.left;
+    const innerY = border.width + padding.top;
+
+    const children = (el.children || []).filter(child => child.type === 'text' || child.type === 'tag');
+    const flow = [];
+    const absolutes = [];
+    for (const child of children) {
+        if (child.type === 'tag') {
+            const childStyle = parseStyle(child.attribs.style);
+            if (childStyle.position === 'absolute' || childStyle.position === 'fixed') {
+                absolutes.push(child);
+                continue;
+            }
+        }
+        flow.push(child);
+    }
+
+    // Group inline children into anonymous text items; everything else is a block item
+    const items = [];
+    let inlineRun = [];
+    const flushRun = () => {
+        if (inlineRun.length) {
+            const tokens = collectInlineTokens(inlineRun, ts, ctx);
+            if (hasVisibleText(tokens)) items.push({ tokens });
+            inlineRun = [];
+        }
+    };
+    for (const child of flow) {
+        const childStyle = child.type === 'tag' ? parseStyle(child.attribs.style) : {};
+        if (isInlineElement(child, childStyle)) inlineRun.push(child);
+        else {
+            flushRun();
+            items.push({ el: child });
+        }
+    }
+    flushRun();
+
+    const display = style.display || 'block';
+    let usedHeight;
+    if (/flex/.test(display)) {
+        usedHeight = layoutFlex(box, items, { contentWidth, contentHeight, innerX, innerY }, ctx);
+    } else if (/grid/.test(display)) {
+        usedHeight = layoutGrid(box, items, { contentWidth, contentHeight, innerX, innerY }, ctx);
+    } else {
+        usedHeight = layoutBlockFlow(box, items, { contentWidth, contentHeight, innerX, innerY }, ctx);
+    }
+
+    box.h = height !== null ? height : usedHeight + extraY;
+    box.h = clampSize(box.h, style, 'min-height', 'max-height', opts.cbHeight || 0, ts, ctx.viewport);
+
+    // Absolutely positioned children use this element's padding box as containing block
+    const cbWidth = box.w - border.width * 2;
+    const cbHeight = box.h - border.width * 2;
+    for (const child of absolutes) {
+        const childBox = layoutElement(child, { cbWidth, cbHeight, availWidth: cbWidth, ts }, ctx);
+        if (!childBox) continue;
+        const o = childBox.offsets;
+        const m = childBox.margin;
+        const ml = m.left === 'auto' ? 0 : m.left;
+        const mt = m.top === 'auto' ? 0 : m.top;
+        const mr = m.right === 'auto' ? 0 : m.right;
+        const mb = m.bottom === 'auto' ? 0 : m.bottom;
+        if (o.left !== null) childBox.x = border.width + o.left + ml;
+        else if (o.right !== null) childBox.x = border.width + cbWidth - o.right - childBox.w - mr;
+        else childBox.x = innerX + ml;
+        if (o.top !== null) childBox.y = border.width + o.top + mt;
+        else if (o.bottom !== null) childBox.y = border.width + cbHeight - o.bottom - childBox.h - mb;
+        else childBox.y = innerY + mt;
+        // margin: auto with both offsets centers the box
+        if (m.left === 'auto' && m.right === 'auto' && o.left !== null && o.right !== null) {
+            childBox.x = border.width + o.left + (cbWidth - o.left - o.right - childBox.w) / 2;
+        }
+        if (m.top === 'auto' && m.bottom === 'auto' && o.top !== null && o.bottom !== null) {
+            childBox.y = border.width + o.top + (cbHeight - o.top - o.bottom - childBox.h) / 2;
+        }
+        box.children.push(childBox);
+    }
+
+    return box;
+}
+
+// Shift relatively positioned boxes by their offsets
+function applyRelativeOffset(childBox) {
+    if (childBox.position !== 'relative') return;
+    const o = childBox.offsets;
+    if (o.left !== null) childBox.x += o.left;
+    else if (o.right !== null) childBox.x -= o.right;
+    if (o.top !== null) childBox.y += o.top;
+    else if (o.bottom !== null) childBox.y -= o.bottom;
+}
+
+function makeTextItem(tokens, width, ts, ctx) {
+    const layout = layoutText(tokens, width, ts.align, ts, ctx);
+    return { kind: 'text', x: 0, y: 0, w: width, h: layout.height, layout, ts };
+}
+
+function layoutBlockFlow(box, items, area, ctx) {
+    let cursor = 0;
+    for (const item of items) {
+        if (item.tokens) {
+            const text = makeTextItem(item.tokens, area.contentWidth, box.ts, ctx);
+            text.x = area.innerX;
+            text.y = area.innerY + cursor;
+            box.children.push(text);
+            cursor += text.h;
+            continue;
+        }
+        if (item.el.type !== 'tag') continue;
+        const childBox = layoutElement(item.el, {
+            cbWidth: area.contentWidth,
+            cbHeight: area.contentHeight,
+            availWidth: area.contentWidth,
+            ts: box.ts
+        }, ctx);
+        if (!childBox) continue;
+        const m = childBox.margin;
+        let x = area.innerX + (m.left === 'auto' ? 0 : m.left);
+        if (m.left === 'auto' && m.right === 'auto') x = area.innerX + (area.contentWidth - childBox.w) / 2;
+        else if (m.left === 'auto') x = area.innerX + area.contentWidth - childBox.w - (m.right === 'auto' ? 0 : m.right);
+        else if (/inline/.test(childBox.style.display || '') || childBox.tag === 'img') {
+            // Inline-level boxes follow text-align of the parent
+            if (box.ts.align === 'center') x = area.innerX + (area.contentWidth - childBox.w) / 2;
+            else if (box.ts.align === 'right' || box.ts.align === 'end') x = area.innerX + area.contentWidth - childBox.w;
+        }
+        const mt = m.top === 'auto' ? 0 : m.top;
+        const mb = m.bottom === 'auto' ? 0 : m.bottom;
+        childBox.x = x;
+        childBox.y = area.innerY + cursor + mt;
+        cursor += mt + childBox.h + mb;
+        applyRelativeOffset(childBox);
+        box.children.push(childBox);
+    }
+    return cursor;
+}
+
+function distribute(justify, free, count) {
+    // Returns [leading offset, extra gap between items]
+    if (free <= 0 || !count) return [0, 0];
+    switch (justify) {
+        case 'center': return [free / 2, 0];
+        case 'flex-end':
+        case 'end':
+        case 'right': return [free, 0];
+        case 'space-between': return count > 1 ? [0, free / (count - 1)] : [0, 0];
+        case 'space-around': return [free / count / 2, free / count];
+        case 'space-evenly': return [free / (count + 1), free / (count + 1)];
+        default: return [0, 0];
+    }
+}
+
+function flexGrowOf(style) {
+    if (style['flex-grow'] !== undefined) return parseFloat(style['flex-grow']) || 0;
+    if (style.flex !== undefined) {
+        const first = String(style.flex).trim().split(/\s+/)[0];
+        if (first === 'auto') return 1;
+        if (first === 'none') return 0;
+        return parseFloat(first) || 0;
+    }
+    return 0;
+}
+
+function layoutFlex(box, items, area, ctx) {
+    const style = box.style;
+    const column = /column/.test(style['flex-direction'] || '');
+    const wrap = /^wrap/.test(style['flex-wrap'] || '') || /wrap/.test(style['flex-flow'] || '');
+    const justify = style['justify-content'] || 'flex-start';
+    const alignItems = style['align-items'] || 'stretch';
+    const gapParts = String(style.gap || '').trim().split(/\s+/);
+    const rowGap = parseLength(style['row-gap'] || gapParts[0], area.contentHeight || 0, box.ts.size, ctx.viewport) || 0;
+    const columnGap = parseLength(style['column-gap'] || gapParts[1] || gapParts[0], area.contentWidth, box.ts.size, ctx.viewport) || 0;
+
+    const buildItem = (item, forcedWidth, forcedHeight) => {
+        if (item.tokens) {
+            const width = forcedWidth !== undefined ? forcedWidth : Math.min(layoutText(item.tokens, Infinity, 'left', box.ts, ctx).width, area.contentWidth);
+            const text = makeTextItem(item.tokens, width, box.ts, ctx);
+            text.flexGrow = 0;
+            return text;
+        }
+        if (item.el.type !== 'tag') return null;
+        const shrink = !column || (alignItems !== 'stretch');
+        const childBox = layoutElement(item.el, {
+            cbWidth: area.contentWidth,
+            cbHeight: area.contentHeight,
+            availWidth: area.contentWidth,
+            ts: box.ts,
+            shrink,
+            forcedWidth,
+            forcedHeight
+        }, ctx);
+        if (childBox) childBox.flexGrow = flexGrowOf(childBox.style);
+        return childBox;
+    };
+
+    let built = items.map(item => ({ item, box: buildItem(item) })).filter(entry => entry.box);
+    const outerMain = b => (column ? b.h + marginSum(b, 'top', 'bottom') : b.w + marginSum(b, 'left', 'right'));
+    const mainGap = column ? rowGap : columnGap;
+    const crossGap = column ? columnGap : rowGap;
+    const mainSize = column ? area.contentHeight : area.contentWidth;
+
+    // Split into flex lines
+    const lines = [];
+    let current = [];
+    let used = 0;
+    for (const entry of built) {
+        const size = outerMain(entry.box);
+        if (wrap && current.length && mainSize !== null && used + mainGap + size > mainSize) {
+            lines.push(current);
+            current = [];
+            used = 0;
+        }
+        used += (current.length ? mainGap : 0) + size;
+        current.push(entry);
+    }
+    if (current.length) lines.push(current);
+
+    // Distribute free space to growing items, then re-layout them at their new size
+    if (mainSize !== null) {
+        for (const line of lines) {
+            const total = line.reduce((sum, entry) => sum + outerMain(entry.box), 0) + mainGap * (line.length - 1);
+            const grow = line.reduce((sum, entry) => sum + (entry.box.flexGrow || 0), 0);
+            const free = mainSize - total;
+            if (grow > 0 && free > 0) {
+                for (const entry of line) {
+                    if (!entry.box.flexGrow) continue;
+                    const extra = free * entry.box.flexGrow / grow;
+                    entry.box = column
+                        ? buildItem(entry.item, entry.box.w, entry.box.h + extra)
+                        : buildItem(entry.item, entry.box.w + extra);
+                }
+            }
+        }
+    }
+
+    let crossCursor = 0;
+    for (const line of lines) {
+        const lineCross = Math.max(0, ...line.map(entry => (column ? entry.box.w + marginSum(entry.box, 'left', 'right') : entry.box.h + marginSum(entry.box, 'top', 'bottom'))));
+        const crossSize = lines.length === 1 && !column && area.contentHeight !== null ? area.contentHeight
+            : (lines.length === 1 && column ? area.contentWidth : lineCross);
+        const total = line.reduce((sum, entry) => sum + outerMain(entry.box), 0) + mainGap * (line.length - 1);
+        const [lead, between] = mainSize !== null ? distribute(justify, mainSize - total, line.length) : [0, 0];
+
+        let mainCursor = lead;
+        for (const entry of line) {
+            const b = entry.box;
+            const selfAlign = (b.style && b.style['align-self']) || alignItems;
+            const itemCross = column ? b.w + marginSum(b, 'left', 'right') : b.h + marginSum(b, 'top', 'bottom');
+            let crossOffset = 0;
+            if (selfAlign === 'center') crossOffset = (crossSize - itemCross) / 2;
+            else if (selfAlign === 'flex-end' || selfAlign === 'end') crossOffset = crossSize - itemCross;
+
+            if (column) {
+                b.x = area.innerX + crossCursor + crossOffset + marginOf(b, 'left');
+                b.y = area.innerY + mainCursor + marginOf(b, 'top');
+            } else {
+                b.x = area.innerX + mainCursor + marginOf(b, 'left');
+                b.y = area.innerY + crossCursor + crossOffset + marginOf(b, 'top');
+                if (selfAlign === 'stretch' && b.kind !== 'text' && b.style && b.style.height === undefined && crossSize > b.h) {
+                    b.h = crossSize - marginSum(b, 'top', 'bottom');
+                }
+            }
+            applyRelativeOffset(b);
+            box.children.push(b);
+            mainCursor += outerMain(b) + mainGap + between;
+        }
+        crossCursor += crossSize + crossGap;
+    }
+    const crossUsed = Math.max(0, crossCursor - crossGap);
+
+    if (column) {
+        const mainUsed = Math.max(0, ...lines.map(line => line.reduce((sum, entry) => sum + outerMain(entry.box), 0) + mainGap * (line.length - 1)));
+        return mainUsed;
+    }
+    return crossUsed;
+}
+
+function marginOf(b, side) {
+    if (!b.margin) return 0;
+    return b.margin[side] === 'auto' ? 0 : b.margin[side];
+}
+
+function marginSum(b, a, c) {
+    return marginOf(b, a) + marginOf(b, c);
+}
+
+// Minimal grid: equal-width columns from grid-template-columns, rows as tall as their tallest item
+function layoutGrid(box, items, area, ctx) {
+    const template = box.style['grid-template-columns'] || '';
+    const repeat = template.match(/repeat\(\s*(\d+)/);
+    const columns = Math.max(1, repeat ? parseInt(repeat[1], 10) : splitTopLevel(template, ' ').filter(Boolean).length || 1);
+    const gapParts = String(box.style.gap || '').trim().split(/\s+/);
+    const rowGap = parseLength(box.style['row-gap'] || gapParts[0], 0, box.ts.size, ctx.viewport) || 0;
+    const columnGap = parseLength(box.style['column-gap'] || gapParts[1] || gapParts[0], area.contentWidth, box.ts.size, ctx.viewport) || 0;
+    const cellWidth = (area.contentWidth - columnGap * (columns - 1)) / columns;
+
+    let y = 0;
+    for (let i = 0; i < items.length; i += columns) {
+        const row = items.slice(i, i + columns).map(item => (item.tokens
+            ? makeTextItem(item.tokens, cellWidth, box.ts, ctx)
+            : (item.el.type === 'tag' ? layoutElement(item.el, { cbWidth: cellWidth, cbHeight: null, availWidth: cellWidth, ts: box.ts }, ctx) : null)));
+        let rowHeight = 0;
+        row.forEach((b, col) => {
+            if (!b) return;
+            b.x = area.innerX + col * (cellWidth + columnGap) + marginOf(b, 'left');
+            b.y = area.innerY + y + marginOf(b, 'top');
+            applyRelativeOffset(b);
+            rowHeight = Math.max(rowHeight, b.h + marginSum(b, 'top', 'bottom'));
+            box.children.push(b);
+        });
+        y += rowHeight + rowGap;
+    }
+    return Math.max(0, y - rowGap);
+}
+
+// ---------------------------------------------------------------------------
+// Painting
+// ---------------------------------------------------------------------------
+
+// Color attributes: fill / stroke use "<name>-opacity"; stop-color and flood-color pair with stop-/flood-opacity
+function fillAttrs(color, attribute = 'fill') {
+    if (!color) return `${attribute}="none"`;
+    const a = color.a === undefined ? 1 : color.a;
+    const opacityAttribute = attribute.endsWith('-color') ? attribute.replace('-color', '-opacity') : `${attribute}-opacity`;
+    return `${attribute}="rgb(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)})"${a < 1 ? ` ${opacityAttribute}="${round(a)}"` : ''}`;
+}
+
+function borderRadii(style, w, h, ts, viewport) {
+    const raw = (style['border-radius'] || '').split('/')[0].trim();
+    const [tl, tr, br, bl] = expandBoxShorthand(raw);
+    const corner = (value, name) => {
+        const v = style[`border-${name}-radius`] !== undefined ? style[`border-${name}-radius`] : value;
+        if (!v) return { rx: 0, ry: 0 };
+        const first = String(v).trim().split(/\s+/)[0];
+        if (first.endsWith('%')) return { rx: parseFloat(first) / 100 * w, ry: parseFloat(first) / 100 * h };
+        const r = parseLength(first, w, ts.size, viewport) || 0;
+        return { rx: r, ry: r };
+    };
+    const radii = [corner(tl, 'top-left'), corner(tr, 'top-right'), corner(br, 'bottom-right'), corner(bl, 'bottom-left')];
+    // Scale down overlapping radii like browsers do
+    const factor = Math.min(1,
+        w / Math.max(1e-6, radii[0].rx + radii[1].rx), w / Math.max(1e-6, radii[3].rx + radii[2].rx),
+        h / Math.max(1e-6, radii[0].ry + radii[3].ry), h / Math.max(1e-6, radii[1].ry + radii[2].ry));
+    return radii.map(r => ({ rx: r.rx * factor, ry: r.ry * factor }));
+}
+
+// SVG markup for a (rounded) rectangle with the given extra attributes
+function shape(x, y, w, h, radii, attrs) {
+    const [tl, tr, br, bl] = radii;
+    const same = [tr, br, bl].every(r => r.rx === tl.rx && r.ry === tl.ry);
+    if (same) {
+        const rounded = tl.rx || tl.ry ? ` rx="${round(tl.rx)}" ry="${round(tl.ry)}"` : '';
+        return `<rect x="${round(x)}" y="${round(y)}" width="${round(Math.max(0, w))}" height="${round(Math.max(0, h))}"${rounded} ${attrs}/>`;
+    }
+    const d = [
+        `M${round(x + tl.rx)},${round(y)}`,
+        `H${round(x + w - tr.rx)}`, tr.rx ? `A${round(tr.rx)},${round(tr.ry)} 0 0 1 ${round(x + w)},${round(y + tr.ry)}` : '',
+        `V${round(y + h - br.ry)}`, br.rx ? `A${round(br.rx)},${round(br.ry)} 0 0 1 ${round(x + w - br.rx)},${round(y + h)}` : '',
+        `H${round(x + bl.rx)}`, bl.rx ? `A${round(bl.rx)},${round(bl.ry)} 0 0 1 ${round(x)},${round(y + h - bl.ry)}` : '',
+        `V${round(y + tl.ry)}`, tl.rx ? `A${round(tl.rx)},${round(tl.ry)} 0 0 1 ${round(x + tl.rx)},${round(y)}` : '',
+        'Z'
+    ].filter(Boolean).join(' ');
+    return `<path d="${d}" ${attrs}/>`;
+}
+
+function parseAngle(text) {
+    const match = String(text).trim().match(/^(-?[\d.]+)(deg|rad|turn|grad)$/);
+    if (!match) return null;
+    const n = parseFloat(match[1]);
+    if (match[2] === 'rad') return n * 180 / Math.PI;
+    if (match[2] === 'turn') return n * 360;
+    if (match[2] === 'grad') return n * 0.9;
+    return n;
+}
+
+function parseStops(parts) {
+    const stops = parts.map(part => {
+        const match = part.match(/^(.*?)(?:\s+(-?[\d.]+)(%|px)?)?(?:\s+(-?[\d.]+)(%|px)?)?$/);
+        const color = parseColor(match ? match[1].trim() : part);
+        const offset = match && match[2] !== undefined ? (match[3] === '%' || !match[3] ? parseFloat(match[2]) / 100 : null) : null;
+        return { color, offset };
+    }).filter(stop => stop.color);
+    if (!stops.length) return stops;
+    if (stops[0].offset === null) stops[0].offset = 0;
+    if (stops[stops.length - 1].offset === null) stops[stops.length - 1].offset = 1;
+    // Evenly spread stops without explicit positions
+    for (let i = 1; i < stops.length; i++) {
+        if (stops[i].offset !== null) continue;
+        let j = i;
+        while (stops[j].offset === null) j++;
+        const start = stops[i - 1].offset;
+        const step = (stops[j].offset - start) / (j - i + 1);
+        for (let k = i; k < j; k++) stops[k].offset = start + step * (k - i + 1);
+    }
+    return stops;
+}
+
+function stopsMarkup(stops) {
+    return stops.map(stop => `<stop offset="${round(Math.max(0, Math.min(1, stop.offset)))}" ${fillAttrs(stop.color, 'stop-color')}/>`).join('');
+}
+
+// Build a gradient definition for a box; returns the paint server id or null
+function gradientDef(value, x, y, w, h, out) {
+    const match = value.match(/^(repeating-)?(linear|radial)-gradient\((.*)\)$/s);
+    if (!match) return null;
+    const args = splitTopLevel(match[3], ',');
+    const id = out.id('g');
+
+    if (match[2] === 'linear') {
+        let angle = 180;
+        let first = args[0];
+        const parsedAngle = parseAngle(first);
+        if (parsedAngle !== null) {
+            angle = parsedAngle;
+            args.shift();
+        } else if (/^to\s/.test(first)) {
+            const dir = first.replace(/^to\s+/, '');
+            const sx = /left/.test(dir) ? -1 : (/right/.test(dir) ? 1 : 0);
+            const sy = /top/.test(dir) ? -1 : (/bottom/.test(dir) ? 1 : 0);
+            if (sx && sy) {
+                angle = Math.atan2(sx * h, -sy * w) * 180 / Math.PI;
+            } else {
+                angle = sx === 1 ? 90 : sx === -1 ? 270 : sy === -1 ? 0 : 180;
+            }
+            args.shift();
+        }
+        const stops = parseStops(args);
+        if (!stops.length) return null;
+        const rad = angle * Math.PI / 180;
+        const dx = Math.sin(rad);
+        const dy = -Math.cos(rad);
+        const length = Math.abs(w * dx) + Math.abs(h * dy);
+        const cx = x + w / 2;
+        const cy = y + h / 2;
+        out.defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${round(cx - dx * length / 2)}" y1="${round(cy - dy * length / 2)}" x2="${round(cx + dx * length / 2)}" y2="${round(cy + dy * length / 2)}">${stopsMarkup(stops)}</linearGradient>`);
+        return id;
+    }
+
+    let shapeArg = '';
+    if (!parseColor(args[0].split(/\s+/)[0])) shapeArg = args.shift();
+    const stops = parseStops(args);
+    if (!stops.length) return null;
+    const at = shapeArg.match(/at\s+(\S+)(?:\s+(\S+))?/);
+    const pos = (token, size) => {
+        if (!token || token === 'center') return size / 2;
+        if (token === 'left' || token === 'top') return 0;
+        if (token === 'right' || token === 'bottom') return size;
+        return parseLength(token, size) || size / 2;
+    };
+    const cx = x + pos(at && at[1], w);
+    const cy = y + pos(at && (at[2] || 'center'), h);
+    const farthest = Math.max(
+        Math.hypot(cx - x, cy - y), Math.hypot(x + w - cx, cy - y),
+        Math.hypot(cx - x, y + h - cy), Math.hypot(x + w - cx, y + h - cy));
+    if (/circle/.test(shapeArg)) {
+        out.defs.push(`<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${round(cx)}" cy="${round(cy)}" r="${round(farthest)}">${stopsMarkup(stops)}</radialGradient>`);
+    } else {
+        // Ellipse: in bounding-box units a radius of 1/sqrt(2) reaches the corners (farthest-corner)
+        out.defs.push(`<radialGradient id="${id}" gradientUnits="objectBoundingBox" cx="${round((cx - x) / Math.max(1e-6, w))}" cy="${round((cy - y) / Math.max(1e-6, h))}" r="0.7071">${stopsMarkup(stops)}</radialGradient>`);
+    }
+    return id;
+}
+
+function backgroundLayers(style) {
+    const layers = [];
+    let color = style['background-color'] ? parseColor(style['background-color']) : null;
+    const shorthand = style.background || '';
+    const image = style['background-image'] || '';
+    for (const source of [shorthand, image]) {
+        for (const layer of splitTopLevel(source, ',')) {
+            const gradient = layer.match(/(?:repeating-)?(?:linear|radial)-gradient\(.*\)/s);
+            const url = layer.match(/url\(\s*(['"]?)([^'")]+)\1\s*\)/);
+            if (gradient) layers.push({ gradient: gradient[0] });
+            else if (url) layers.push({ url: url[2] });
+            else if (source === shorthand && !color) {
+                const tokens = splitTopLevel(layer, ' ');
+                for (const token of tokens) {
+                    const parsed = parseColor(token);
+                    if (parsed) color = parsed;
+                }
+            }
+        }
+    }
+    return { color, layers };
+}
+
+function filterDef(style, out) {
+    const filters = [];
+    const value = style.filter || '';
+    const blur = value.match(/blur\(\s*([\d.]+)px\s*\)/);
+    if (blur) filters.push(`<feGaussianBlur stdDeviation="${round(parseFloat(blur[1]))}"/>`);
+    const drop = value.match(/drop-shadow\((.*)\)/);
+    if (drop) {
+        const shadow = parseShadow(drop[1]);
+        if (shadow) filters.push(`<feDropShadow dx="${round(shadow.dx)}" dy="${round(shadow.dy)}" stdDeviation="${round(shadow.blur / 2)}" ${fillAttrs(shadow.color, 'flood-color')}/>`);
+    }
+    if (!filters.length) return null;
+    const id = out.id('f');
+    out.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">${filters.join('')}</filter>`);
+    return id;
+}
+
+function shadowFilter(shadow, out) {
+    const id = out.id('f');
+    out.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${round(shadow.dx)}" dy="${round(shadow.dy)}" stdDeviation="${round(shadow.blur / 2)}" ${fillAttrs(shadow.color, 'flood-color')}/></filter>`);
+    return id;
+}
+
+// CSS clip-path basic shapes -> clipPath id (in absolute coordinates)
+function clipPathDef(value, x, y, w, h, out) {
+    const match = String(value).match(/^(polygon|circle|ellipse|inset)\((.*)\)$/s);
+    if (!match) return null;
+    const px = (token, size) => parseLength(token, size) || 0;
+    let markup = null;
+    if (match[1] === 'polygon') {
+        const points = splitTopLevel(match[2], ',').filter(p => !/^(nonzero|evenodd)$/.test(p)).map(point => {
+            const [a, b] = point.trim().split(/\s+/);
+            return `${round(x + px(a, w))},${round(y + px(b, h))}`;
+        });
+        markup = `<polygon points="${points.join(' ')}"/>`;
+    } else if (match[1] === 'circle' || match[1] === 'ellipse') {
+        const [radiusPart, atPart] = match[2].split(/\s+at\s+/);
+        const radii = radiusPart.trim().split(/\s+/).filter(Boolean);
+        const [ax = '50%', ay = '50%'] = (atPart || '').trim().split(/\s+/).filter(Boolean);
+        const cx = x + (ax === 'center' ? w / 2 : px(ax, w));
+        const cy = y + (ay === 'center' ? h / 2 : px(ay, h));
+        if (match[1] === 'circle') {
+            const r = radii[0] ? px(radii[0], Math.hypot(w, h) / Math.SQRT2) : Math.min(w, h) / 2;
+            markup = `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}"/>`;
+        } else {
+            const rx = radii[0] ? px(radii[0], w) : w / 2;
+            const ry = radii[1] ? px(radii[1], h) : h / 2;
+            markup = `<ellipse cx="${round(cx)}" cy="${round(cy)}" rx="${round(rx)}" ry="${round(ry)}"/>`;
+        }
+    } else {
+        const [inner, roundPart] = match[2].split(/\s+round\s+/);
+        const [t, r, b, l] = expandBoxShorthand(inner).map((v, i) => px(v, i % 2 ? w : h));
+        const radius = roundPart ? px(roundPart.trim().split(/\s+/)[0], w) : 0;
+        markup = `<rect x="${round(x + l)}" y="${round(y + t)}" width="${round(w - l - r)}" height="${round(h - t - b)}" rx="${round(radius)}"/>`;
+    }
+    const id = out.id('c');
+    out.defs.push(`<clipPath id="${id}" clipPathUnits="userSpaceOnUse">${markup}</clipPath>`);
+    return id;
+}
+
+// CSS transform (origin: center) -> SVG transform attribute in absolute coordinates
+function transformAttr(value, x, y, w, h, style) {
+    if (!value || value === 'none') return '';
+    const ops = [];
+    const re = /(\w+)\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(value))) {
+        const args = match[2].split(/[\s,]+/).filter(Boolean);
+        switch (match[1]) {
+            case 'translate':
+                ops.push(`translate(${round(parseLength(args[0], w) || 0)} ${round(parseLength(args[1] || '0', h) || 0)})`);
+                break;
+            case 'translateX':
+                ops.push(`translate(${round(parseLength(args[0], w) || 0)} 0)`);
+                break;
+            case 'translateY':
+                ops.push(`translate(0 ${round(parseLength(args[0], h) || 0)})`);
+                break;
+            case 'rotate':
+                ops.push(`rotate(${round(parseAngle(args[0]) || 0)})`);
+                break;
+            case 'scale':
+                ops.push(`scale(${parseFloat(args[0]) || 1} ${parseFloat(args[1] || args[0]) || 1})`);
+                break;
+            case 'scaleX':
+                ops.push(`scale(${parseFloat(args[0]) || 1} 1)`);
+                break;
+            case 'scaleY':
+                ops.push(`scale(1 ${parseFloat(args[0]) || 1})`);
+                break;
+            case 'skewX':
+                ops.push(`skewX(${round(parseAngle(args[0]) || 0)})`);
+                break;
+            case 'skewY':
+                ops.push(`skewY(${round(parseAngle(args[0]) || 0)})`);
+                break;
+        }
+    }
+    if (!ops.length) return '';
+    const [ox, oy] = (style['transform-origin'] || '50% 50%').split(/\s+/);
+    const originWord = (token, size, fallback) => {
+        if (!token || token === 'center') return size / 2;
+        if (token === 'left' || token === 'top') return 0;
+        if (token === 'right' || token === 'bottom') return size;
+        const v = parseLength(token, size);
+        return v === null ? fallback : v;
+    };
+    const cx = x + originWord(ox, w, w / 2);
+    const cy = y + originWord(oy, h, h / 2);
+    return ` transform="translate(${round(cx)} ${round(cy)}) ${ops.join(' ')} translate(${round(-cx)} ${round(-cy)})"`;
+}
+
+// Serialize glyph outlines ourselves; opentype.js' toPathData() can emit NaN when rounding
+function pathData(path) {
+    return path.commands.map(c => {
+        switch (c.type) {
+            case 'M': return `M${round(c.x)} ${round(c.y)}`;
+            case 'L': return `L${round(c.x)} ${round(c.y)}`;
+            case 'Q': return `Q${round(c.x1)} ${round(c.y1)} ${round(c.x)} ${round(c.y)}`;
+            case 'C': return `C${round(c.x1)} ${round(c.y1)} ${round(c.x2)} ${round(c.y2)} ${round(c.x)} ${round(c.y)}`;
+            case 'Z': return 'Z';
+            default: return '';
+        }
+    }).join('');
+}
+
+function fontFamilyAttr(ts) {
+    return ts.family ? `'${escapeXml(ts.family)}', ${ts.generic}` : ts.generic;
+}
+
+function paintText(item, ox, oy, out) {
+    const parts = [];
+    for (const line of item.layout.lines) {
+        for (const segment of line.segments) {
+            if (!segment.text.trim()) continue;
+            const ts = segment.ts;
+            const x = ox + item.x + segment.x;
+            const y = oy + item.y + line.baseline;
+            const face = out.textMode === 'paths' ? pickFace(out.faces, ts) : null;
+            let markup;
+            if (face) {
+                let d = '';
+                if (ts.letterSpacing) {
+                    let cursor = x;
+                    for (const ch of segment.text) {
+                        d += pathData(face.font.getPath(ch, cursor, y, ts.size));
+                        cursor += face.font.getAdvanceWidth(ch, ts.size) + ts.letterSpacing;
+                    }
+                } else {
+                    d = pathData(face.font.getPath(segment.text, x, y, ts.size, { kerning: true }));
+                }
+                markup = `<path d="${d}" ${fillAttrs(ts.color)}/>`;
+            } else {
+                // Estimated widths can be off for fonts we could not load; anchor lone segments so alignment holds
+                const align = item.ts.align;
+                let anchor = '';
+                let textX = x;
+                if (line.segments.length === 1 && Number.isFinite(item.w)) {
+                    if (align === 'center') {
+                        anchor = ' text-anchor="middle"';
+                        textX = ox + item.x + item.w / 2;
+                    } else if (align === 'right' || align === 'end') {
+                        anchor = ' text-anchor="end"';
+                        textX = ox + item.x + item.w;
+                    }
+                }
+                const spacing = ts.letterSpacing ? ` letter-spacing="${round(ts.letterSpacing)}"` : '';
+                markup = `<text x="${round(textX)}" y="${round(y)}"${anchor} font-family="${fontFamilyAttr(ts)}" font-size="${round(ts.size)}" font-weight="${ts.weight}"${ts.italic ? ' font-style="italic"' : ''}${spacing} ${fillAttrs(ts.color)} xml:space="preserve">${escapeXml(segment.text)}</text>`;
+            }
+            if (ts.shadow) {
+                markup = `<g filter="url(#${shadowFilter(ts.shadow, out)})">${markup}</g>`;
+            }
+            parts.push(markup);
+        }
+    }
+    return parts.join('');
+}
+
+// Stacking order within an element: negative z, in-flow blocks, inline text, then z >= 0 positioned
+function paintOrderKey(child) {
+    if (child.kind === 'text') return [2, 0];
+    const stacking = child.positioned || child.hasZ;
+    if (!stacking) return [1, 0];
+    if (child.z < 0) return [0, child.z];
+    return [3, child.z];
+}
+
+function paintBox(box, ox, oy, out) {
+    const x = ox + box.x;
+    const y = oy + box.y;
+    const { w, h, style } = box;
+    const viewport = out.viewport;
+    const radii = borderRadii(style, w, h, box.ts, viewport);
+
+    const layers = [];
+
+    const boxShadow = parseShadow(style['box-shadow']);
+    if (boxShadow && !boxShadow.inset) {
+        const blurId = out.id('f');
+        out.defs.push(`<filter id="${blurId}" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur stdDeviation="${round(boxShadow.blur / 2)}"/></filter>`);
+        layers.push(shape(x + boxShadow.dx - boxShadow.spread, y + boxShadow.dy - boxShadow.spread, w + boxShadow.spread * 2, h + boxShadow.spread * 2, radii, `${fillAttrs(boxShadow.color)} filter="url(#${blurId})"`));
+    }
+
+    if (box.tag === 'img') {
+        if (box.image) {
+            const fit = style['object-fit'] || 'fill';
+            const aspect = fit === 'cover' ? 'xMidYMid slice' : (fit === 'contain' || fit === 'scale-down' ? 'xMidYMid meet' : 'none');
+            const rounded = radii.some(r => r.rx || r.ry);
+            let clip = '';
+            if (rounded || fit === 'cover') {
+                const clipId = out.id('c');
+                out.defs.push(`<clipPath id="${clipId}" clipPathUnits="userSpaceOnUse">${shape(x, y, w, h, radii, '')}</clipPath>`);
+                clip = ` clip-path="url(#${clipId})"`;
+            }
+            layers.push(`<image x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" preserveAspectRatio="${aspect}" href="${box.image.href}" xlink:href="${box.image.href}"${clip}/>`);
+        }
+    } else {
+        const background = backgroundLayers(style);
+        if (background.color && background.color.a > 0) {
+            layers.push(shape(x, y, w, h, radii, fillAttrs(background.color)));
+        }
+        for (const layer of background.layers.slice().reverse()) {
+            if (layer.gradient) {
+                const id = gradientDef(layer.gradient, x, y, w, h, out);
+                if (id) layers.push(shape(x, y, w, h, radii, `fill="url(#${id})"`));
+            } else if (layer.url && out.images.get(layer.url)) {
+                const image = out.images.get(layer.url);
+                const size = style['background-size'] || (style.background || '').match(/\/\s*(cover|contain)/)?.[1] || 'cover';
+                const clipId = out.id('c');
+                out.defs.push(`<clipPath id="${clipId}" clipPathUnits="userSpaceOnUse">${shape(x, y, w, h, radii, '')}</clipPath>`);
+                layers.push(`<image x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" preserveAspectRatio="${/contain/.test(size) ? 'xMidYMid meet' : 'xMidYMid slice'}" href="${image.href}" xlink:href="${image.href}" clip-path="url(#${clipId})"/>`);
+            }
+        }
+    }
+
+    if (box.border.width > 0 && box.border.color) {
+        const half = box.border.width / 2;
+        const inner = radii.map(r => ({ rx: Math.max(0, r.rx - half), ry: Math.max(0, r.ry - half) }));
+        const dash = box.border.dashed ? ` stroke-dasharray="${round(box.border.width * 3)} ${round(box.border.width * 2)}"` : '';
+        layers.push(shape(x + half, y + half, w - box.border.width, h - box.border.width, inner, `fill="none" ${fillAttrs(box.border.color, 'stroke')} stroke-width="${round(box.border.width)}"${dash}`));
+    }
+
+    // Children in stacking order (stable for equal keys)
+    const ordered = box.children
+        .map((child, index) => ({ child, index, key: paintOrderKey(child) }))
+        .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.index - b.index)
+        .map(entry => entry.child);
+    let content = ordered.map(child => (child.kind === 'text' ? paintText(child, x, y, out) : paintBox(child, x, y, out))).join('');
+    if (content && /hidden|clip/.test(style.overflow || '')) {
+        const clipId = out.id('c');
+        out.defs.push(`<clipPath id="${clipId}" clipPathUnits="userSpaceOnUse">${shape(x, y, w, h, radii, '')}</clipPath>`);
+        content = `<g clip-path="url(#${clipId})">${content}</g>`;
+    }
+    layers.push(content);
+
+    let inner = layers.join('');
+    const attrs = [];
+    const opacity = parseFloat(style.opacity);
+    if (Number.isFinite(opacity) && opacity < 1) attrs.push(`opacity="${round(Math.max(0, opacity))}"`);
+    const clipId = style['clip-path'] ? clipPathDef(style['clip-path'], x, y, w, h, out) : null;
+    if (clipId) attrs.push(`clip-path="url(#${clipId})"`);
+    const filterId = filterDef(style, out);
+    if (filterId) attrs.push(`filter="url(#${filterId})"`);
+    if (style['mix-blend-mode'] && style['mix-blend-mode'] !== 'normal') attrs.push(`style="mix-blend-mode: ${escapeXml(style['mix-blend-mode'])}"`);
+    if (attrs.length) inner = `<g ${attrs.join(' ')}>${inner}</g>`;
+
+    const transform = transformAttr(style.transform, x, y, w, h, style);
+    return transform ? `<g${transform}>${inner}</g>` : inner;
+}
+
+function fontFaceCss(faces) {
+    const seen = new Set();
+    return faces.filter(face => {
+        const key = `${face.family}|${face.weight}|${face.style}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).map(face => `@font-face{font-family:'${face.family}';font-style:${face.style};font-weight:${face.weight};src:url(data:font/ttf;base64,${face.data.toString('base64')}) format('truetype');}`).join('');
+}
+
+// Lay out the prepared flyer and return its natural size
+function layoutFlyer(prepared) {
+    const el = prepared.root;
+    const style = parseStyle(el.attribs.style);
+    const viewportGuess = { width: DEFAULT_FLYER_WIDTH, height: DEFAULT_FLYER_WIDTH };
+    const width = parseLength(style.width, DEFAULT_FLYER_WIDTH, DEFAULT_FONT_SIZE, viewportGuess) || DEFAULT_FLYER_WIDTH;
+    const explicitHeight = parseLength(style.height, 0, DEFAULT_FONT_SIZE, viewportGuess);
+    const viewport = { width, height: explicitHeight || width };
+    const ctx = { faces: prepared.faces, images: prepared.images, viewport };
+
+    // The root is placed at the origin regardless of how it was positioned on the page
+    const rootEl = {
+        ...el,
+        attribs: {
+            ...el.attribs,
+            style: Object.entries(style)
+                .filter(([key]) => !['left', 'right', 'top', 'bottom', 'margin', 'transform', 'inset'].includes(key) && !key.startsWith('margin-'))
+                .map(([key, value]) => `${key}: ${value}`).join('; ')
+        }
+    };
+    const box = layoutElement(rootEl, {
+        cbWidth: width,
+        cbHeight: explicitHeight || null,
+        availWidth: width,
+        ts: ROOT_TEXT_STYLE,
+        forcedWidth: style['box-sizing'] === 'border-box' || !style.width ? width : undefined
+    }, ctx);
+    return { box, width: box.w, height: box.h, viewport };
+}
+
+// Render a prepared flyer to an SVG string.
+// options: { width, height (output px, default natural), fit: contain|cover|fill, background (CSS color), textMode: 'paths'|'text' }
+function renderFlyerSvg(prepared, options = {}) {
+    const layout = layoutFlyer(prepared);
+    const outWidth = Math.round(options.width || layout.width);
+    const outHeight = Math.round(options.height || layout.height);
+    let counter = 0;
+    const out = {
+        defs: [],
+        faces: prepared.faces,
+        images: prepared.images,
+        viewport: layout.viewport,
+        textMode: options.textMode || 'paths',
+        id: prefix => `${prefix}${++counter}`
+    };
+
+    const content = paintBox(layout.box, 0, 0, out);
+    const aspect = options.fit === 'fill' ? 'none' : (options.fit === 'cover' ? 'xMidYMid slice' : 'xMidYMid meet');
+    const background = options.background ? parseColor(options.background) : null;
+    const styleBlock = out.textMode === 'text' && prepared.faces.length ? `<style>${fontFaceCss(prepared.faces)}</style>` : '';
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${outWidth}" height="${outHeight}" viewBox="0 0 ${outWidth} ${outHeight}">`
+        + (background ? `<rect width="100%" height="100%" ${fillAttrs(background)}/>` : '')
+        + `<svg x="0" y="0" width="${outWidth}" height="${outHeight}" viewBox="0 0 ${round(layout.width)} ${round(layout.height)}" preserveAspectRatio="${aspect}" overflow="hidden">`
+        + `<defs>${styleBlock}${out.defs.join('')}</defs>`
+        + content
+        + '</svg></svg>';
+
+    return { svg, width: outWidth, height: outHeight, naturalWidth: layout.width, naturalHeight: layout.height };
+}
+
+module.exports = {
+    prepareFlyer,
+    layoutFlyer,
+    renderFlyerSvg,
+    backgroundLayers,
+    paintOrderKey
+};
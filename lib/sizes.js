@@ -0,0 +1,140 @@
+// Canvas size presets for flyers.
+// A canvas is the size of the flyer's root <div> in CSS px, plus the margins text must stay
+// inside. Print presets are laid out at 96 px per inch with their bleed added on every side;
+// exporting them in mm or inches (at 300 dpi by default) gives a print-resolution file.
+
+const CSS_PX_PER_INCH = 96;
+const UNITS_PER_INCH = { in: 1, mm: 25.4 };
+const MIN_SIDE_PX = 50;
+const MAX_SIDE_PX = 4000;
+
+// width/height are px unless `unit` is given; bleed and safe use the same unit.
+// safe is the margin (from the trim edge) that text and key visuals must stay inside.
+const SIZE_PRESETS = {
+    'instagram-post': { name: 'Instagram post', category: 'social', width: 1080, height: 1080, safe: 60 },
+    'instagram-portrait': { name: 'Instagram portrait', category: 'social', width: 1080, height: 1350, safe: 60 },
+    // The top and bottom of a story are covered by the profile bar and the reply field
+    'instagram-story': { name: 'Instagram story', category: 'social', width: 1080, height: 1920, safe: { top: 250, right: 60, bottom: 340, left: 60 } },
+    // Mobile crops the sides of a cover and the profile picture covers the lower left on desktop
+    'facebook-cover': { name: 'Facebook cover', category: 'social', width: 1640, height: 624, safe: { top: 40, right: 180, bottom: 40, left: 180 } },
+    'a4': { name: 'A4 print', category: 'print', unit: 'mm', width: 210, height: 297, bleed: 3, safe: 5 },
+    'us-letter': { name: 'US Letter print', category: 'print', unit: 'in', width: 8.5, height: 11, bleed: 0.125, safe: 0.25 },
+    'web-leaderboard': { name: 'Leaderboard banner', category: 'web', width: 728, height: 90, safe: 6 },
+    'web-medium-rectangle': { name: 'Medium rectangle banner', category: 'web', width: 300, height: 250, safe: 10 },
+    'web-skyscraper': { name: 'Wide skyscraper banner', category: 'web', width: 160, height: 600, safe: 8 },
+    'web-billboard': { name: 'Billboard banner', category: 'web', width: 970, height: 250, safe: 12 }
+};
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function toPx(value, unit) {
+    return unit ? value / UNITS_PER_INCH[unit] * CSS_PX_PER_INCH : value;
+}
+
+function margins(value) {
+    if (value && typeof value === 'object') {
+        return { top: value.top || 0, right: value.right || 0, bottom: value.bottom || 0, left: value.left || 0 };
+    }
+    const all = Number(value) || 0;
+    return { top: all, right: all, bottom: all, left: all };
+}
+
+// Turn a preset-like definition into a canvas:
+// { preset, name, width, height, bleed, safe: { top, right, bottom, left }, print }
+// where every length is px and `safe` is measured from the canvas edge (bleed included).
+function buildCanvas(id, definition) {
+    const unit = definition.unit || null;
+    const bleed = Math.round(toPx(definition.bleed || 0, unit));
+    const safe = margins(definition.safe);
+    const canvas = {
+        preset: id,
+        name: definition.name,
+        width: Math.round(toPx(definition.width, unit)) + 2 * bleed,
+        height: Math.round(toPx(definition.height, unit)) + 2 * bleed,
+        bleed,
+        safe: {
+            top: bleed + Math.round(toPx(safe.top, unit)),
+            right: bleed + Math.round(toPx(safe.right, unit)),
+            bottom: bleed + Math.round(toPx(safe.bottom, unit)),
+            left: bleed + Math.round(toPx(safe.left, unit))
+        },
+        // Physical size for exporting, bleed included
+        print: unit ? {
+            unit,
+            width: definition.width + 2 * (definition.bleed || 0),
+            height: definition.height + 2 * (definition.bleed || 0),
+            trimWidth: definition.width,
+            trimHeight: definition.height,
+            bleed: definition.bleed || 0
+        } : null
+    };
+    if (canvas.width < MIN_SIDE_PX || canvas.height < MIN_SIDE_PX || canvas.width > MAX_SIDE_PX || canvas.height > MAX_SIDE_PX) {
+        throw badRequest(`Canvas sides must be between ${MIN_SIDE_PX} and ${MAX_SIDE_PX}px (got ${canvas.width}x${canvas.height}px)`);
+    }
+    return canvas;
+}
+
+// Read a request's `size`: a preset id, { preset }, or { preset: 'custom', width, height, unit?, bleed?, safe? }.
+// Returns null when no size is given (the model picks one). Throws a 400 for anything else.
+function resolveCanvas(size) {
+    if (size === undefined || size === null || size === '') return null;
+    const request = typeof size === 'string' ? { preset: size } : size;
+    if (typeof request !== 'object' || Array.isArray(request)) {
+        throw badRequest('size must be a preset id or { preset, width, height, unit }');
+    }
+
+    if (request.preset && request.preset !== 'custom') {
+        const preset = SIZE_PRESETS[request.preset];
+        if (!preset) {
+            throw badRequest(`Unknown size preset "${request.preset}". Use custom or one of: ${Object.keys(SIZE_PRESETS).join(', ')}`);
+        }
+        return buildCanvas(request.preset, preset);
+    }
+
+    const unit = request.unit || 'px';
+    if (unit !== 'px' && !UNITS_PER_INCH[unit]) throw badRequest(`Unsupported unit "${unit}". Use px, mm or in.`);
+    const width = Number(request.width);
+    const height = Number(request.height);
+    const bleed = request.bleed === undefined ? 0 : Number(request.bleed);
+    if (!(width > 0) || !(height > 0)) throw badRequest('A custom size needs a positive width and height');
+    if (!(bleed >= 0)) throw badRequest('bleed must be zero or a positive number');
+    return buildCanvas('custom', {
+        name: `Custom ${width} × ${height}${unit === 'px' ? 'px' : ` ${unit}`}`,
+        unit: unit === 'px' ? null : unit,
+        width,
+        height,
+        bleed,
+        safe: request.safe === undefined ? 0 : request.safe
+    });
+}
+
+// Every preset, resolved, for the size picker
+function listSizePresets() {
+    return Object.entries(SIZE_PRESETS).map(([id, preset]) => ({ ...buildCanvas(id, preset), category: preset.category }));
+}
+
+// Renderer prompt section describing the canvas
+function canvasPrompt(canvas) {
+    const { width, height, safe, bleed } = canvas;
+    const lines = [
+        '**CANVAS:**',
+        `* The main container \`<div>\` must be exactly ${width}px wide and ${height}px tall (\`position: relative; width: ${width}px; height: ${height}px; overflow: hidden;\`). Format: ${canvas.name}.`,
+        '* Size and position every element in px for this canvas, and scale the text so it reads well at this size.',
+        `* Keep all text and key visuals inside the safe zone: ${safe.top}px from the top, ${safe.right}px from the right, ${safe.bottom}px from the bottom and ${safe.left}px from the left edge.`
+    ];
+    if (bleed) {
+        lines.push(`* The outer ${bleed}px on every side is bleed that is trimmed off after printing: extend backgrounds to the canvas edge, but put nothing important there.`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    SIZE_PRESETS,
+    resolveCanvas,
+    listSizePresets,
+    canvasPrompt
+};
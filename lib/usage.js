@@ -0,0 +1,121 @@
+// Usage and cost estimates per generation. Work done for one flyer (a flyer job, a refinement,
+// an image regeneration) is added up in a usage record kept in an AsyncLocalStorage, so the
+// provider helpers deep in a job can count against it without it being passed around.
+// Text tokens are estimated from the prompt and output lengths (providers are not asked for
+// their counts); images count only when a provider made them, cache hits are free. Prices are
+// rough list prices in US dollars; COST_RATES overrides them per provider, e.g.
+// {"together": {"perImage": 0.003}, "gemini": {"inputPer1M": 1.25, "outputPer1M": 10}}.
+const { AsyncLocalStorage } = require('async_hooks');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_RATES = {
+    gemini: { inputPer1M: 1.25, outputPer1M: 10, perImage: 0 },
+    openai: { inputPer1M: 2.5, outputPer1M: 10, perImage: 0.04 },
+    together: { inputPer1M: 0.88, outputPer1M: 0.88, perImage: 0.003 },
+    huggingface: { inputPer1M: 0, outputPer1M: 0, perImage: 0 },
+    mock: { inputPer1M: 0, outputPer1M: 0, perImage: 0 }
+};
+
+const context = new AsyncLocalStorage();
+
+function readRates() {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(process.env.COST_RATES || '{}');
+    } catch (error) {
+        logger.warn('COST_RATES is not valid JSON, using the default rates', { error });
+    }
+    const table = {};
+    for (const name of new Set([...Object.keys(DEFAULT_RATES), ...Object.keys(overrides)])) {
+        table[name] = { inputPer1M: 0, outputPer1M: 0, perImage: 0, ...DEFAULT_RATES[name], ...overrides[name] };
+    }
+    return table;
+}
+
+const RATES = readRates();
+
+function ratesOf(provider) {
+    return RATES[provider] || { inputPer1M: 0, outputPer1M: 0, perImage: 0 };
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function createUsage() {
+    return { textCalls: 0, inputTokens: 0, outputTokens: 0, images: 0, cachedImages: 0, backgroundRemovals: 0, costUsd: 0, estimated: true };
+}
+
+// Run fn with usage (see createUsage) collecting everything it generates
+function withUsage(usage, fn) {
+    return context.run(usage, fn);
+}
+
+function currentUsage() {
+    return context.getStore() || null;
+}
+
+// Count one text provider call
+function recordText(provider, prompt, output) {
+    const inputTokens = estimateTokens(prompt);
+    const outputTokens = estimateTokens(output);
+    const rates = ratesOf(provider);
+    const cost = (inputTokens * rates.inputPer1M + outputTokens * rates.outputPer1M) / 1e6;
+    metrics.tokens.inc({ provider, direction: 'input' }, inputTokens);
+    metrics.tokens.inc({ provider, direction: 'output' }, outputTokens);
+    metrics.cost.inc({ provider, kind: 'text' }, cost);
+    const usage = currentUsage();
+    if (!usage) return;
+    usage.textCalls++;
+    usage.inputTokens += inputTokens;
+    usage.outputTokens += outputTokens;
+    usage.costUsd += cost;
+}
+
+// Count one image: made by the provider, or served from the cache (cached: true)
+function recordImage(provider, cached) {
+    const usage = currentUsage();
+    if (cached) {
+        if (usage) usage.cachedImages++;
+        return;
+    }
+    const cost = ratesOf(provider).perImage;
+    metrics.images.inc({ provider });
+    metrics.cost.inc({ provider, kind: 'image' }, cost);
+    if (!usage) return;
+    usage.images++;
+    usage.costUsd += cost;
+}
+
+// Count one background removal run locally (it costs nothing but time)
+function recordBackgroundRemoval() {
+    const usage = currentUsage();
+    if (usage) usage.backgroundRemovals++;
+}
+
+// What was added to usage since before (a copy of it taken earlier), e.g. for one step of a job
+function usageSince(usage, before) {
+    const delta = { ...usage };
+    for (const key of Object.keys(delta)) {
+        if (typeof delta[key] === 'number') delta[key] -= before[key];
+    }
+    return summarizeUsage(delta);
+}
+
+// A copy of a usage record to store or send, with the cost rounded to a hundredth of a cent
+function summarizeUsage(usage) {
+    return usage ? { ...usage, costUsd: Math.round(usage.costUsd * 1e4) / 1e4 } : null;
+}
+
+module.exports = {
+    createUsage,
+    withUsage,
+    currentUsage,
+    recordText,
+    recordImage,
+    recordBackgroundRemoval,
+    summarizeUsage,
+    usageSince
+};
@@ -0,0 +1,143 @@
+// Minimal ZIP reader and writer (stored and deflated entries, no ZIP64 or encryption).
+// readZip() is used for batch uploads, so it enforces limits against zip bombs.
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+function badZip(message) {
+    const error = new Error(`Invalid ZIP file: ${message}`);
+    error.status = 400;
+    return error;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const stop = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw badZip('end of central directory not found');
+}
+
+// Files in a ZIP archive: [{ name, data }]. Folders are skipped.
+// options: { maxEntries, maxBytes (total uncompressed size) }
+function readZip(buffer, options = {}) {
+    const maxEntries = options.maxEntries || 1000;
+    const maxBytes = options.maxBytes || 500 * 1024 * 1024;
+    if (buffer.length < 22) throw badZip('too short');
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count > maxEntries) throw badZip(`more than ${maxEntries} entries`);
+
+    const files = [];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) throw badZip('broken central directory');
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) throw badZip(`${name} is encrypted`);
+
+        total += size;
+        if (total > maxBytes) throw badZip(`contents are larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) throw badZip(`broken entry ${name}`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) {
+            data = Buffer.from(compressed);
+        } else if (method === 8) {
+            // The declared size caps the output, so an entry cannot inflate past what was counted
+            try {
+                data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(size, 1) });
+            } catch (error) {
+                throw badZip(`${name} is damaged (${error.message})`);
+            }
+        } else {
+            throw badZip(`${name} uses unsupported compression method ${method}`);
+        }
+        if (data.length !== size) throw badZip(`${name} is damaged`);
+        files.push({ name, data });
+    }
+    return files;
+}
+
+// DOS date/time fields of a Date
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Build a ZIP archive from [{ name, data (Buffer | string) }]. Already compressed formats
+// (PNG, WebP, JPEG, PDF) are stored as they are; everything else is deflated.
+function createZip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data));
+        const store = /\.(png|webp|jpe?g|gif|pdf|zip)$/i.test(file.name);
+        const body = store ? data : zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(store ? 0 : 8, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, body);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(store ? 0 : 8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + body.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+    readZip,
+    createZip
+};
@@ -0,0 +1,51 @@
+// Google Gemini adapter (text only)
+const fetch = require('../lib/fetch');
+
+const DEFAULT_TEXT_MODEL = 'gemini-2.5-pro';
+
+function isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+}
+
+async function generateText({ prompt, model, json }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is not set.");
+    }
+
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model || DEFAULT_TEXT_MODEL}:generateContent?key=${apiKey}`;
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            contents: [{
+                parts: [{ text: prompt }]
+            }],
+            ...(json ? { generationConfig: { responseMimeType: 'application/json' } } : {})
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Gemini API Error: ${response.status} - ${errorText}`);
+        error.upstreamStatus = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+    if (data.candidates && data.candidates[0].content) {
+        return data.candidates[0].content.parts[0].text;
+    } else {
+        throw new Error("Invalid response structure from Gemini API");
+    }
+}
+
+module.exports = {
+    name: 'gemini',
+    defaultTextModel: DEFAULT_TEXT_MODEL,
+    isConfigured,
+    generateText
+};
@@ -0,0 +1,76 @@
+// Hugging Face adapter (Inference API for images; text via the OpenAI-compatible router)
+const fetch = require('../lib/fetch');
+const { chatCompletion } = require('./openai');
+
+const INFERENCE_URL = 'https://api-inference.huggingface.co/models';
+const ROUTER_URL = 'https://router.huggingface.co/v1';
+const DEFAULT_IMAGE_MODEL = 'black-forest-labs/FLUX.1-schnell';
+const DEFAULT_TEXT_MODEL = 'meta-llama/Llama-3.3-70B-Instruct';
+
+function isConfigured() {
+    return Boolean(process.env.HF_API_TOKEN);
+}
+
+function requireToken() {
+    const token = process.env.HF_API_TOKEN;
+    if (!token) {
+        throw new Error("HF_API_TOKEN is not set.");
+    }
+    return token;
+}
+
+async function generateText({ prompt, model, json }) {
+    return chatCompletion({
+        baseUrl: ROUTER_URL,
+        apiKey: requireToken(),
+        model: model || DEFAULT_TEXT_MODEL,
+        prompt,
+        json,
+        label: 'Hugging Face'
+    });
+}
+
+// The Inference API answers text-to-image requests with the raw image bytes.
+// IMAGE_GEN_API_URL overrides the endpoint (e.g. a dedicated Inference Endpoint).
+async function generateImage({ prompt, negativePrompt, seed, model, width, height, signal }) {
+    const token = requireToken();
+    const url = model
+        ? `${INFERENCE_URL}/${model}`
+        : (process.env.IMAGE_GEN_API_URL || `${INFERENCE_URL}/${DEFAULT_IMAGE_MODEL}`);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Accept': 'image/png'
+        },
+        body: JSON.stringify({
+            inputs: prompt,
+            parameters: { width, height, seed, negative_prompt: negativePrompt || undefined }
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`Hugging Face Error: ${response.status} - ${errorText}`);
+        error.upstreamStatus = response.status;
+        throw error;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.startsWith('image/')) {
+        throw new Error(`Invalid response from Hugging Face (content-type ${contentType || 'unknown'})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+module.exports = {
+    name: 'huggingface',
+    defaultTextModel: DEFAULT_TEXT_MODEL,
+    defaultImageModel: DEFAULT_IMAGE_MODEL,
+    isConfigured,
+    generateText,
+    generateImage
+};
@@ -0,0 +1,69 @@
+// Provider registry.
+// Text providers implement generateText({ prompt, model, json }) -> string.
+// Image providers implement generateImage({ prompt, negativePrompt, seed, model, width, height, signal }) -> Buffer
+// (encoded image); negativePrompt (may be empty) and seed are passed on where the API supports them, and
+// signal is an optional AbortSignal for cancelled jobs.
+// Which provider/model is used comes from the request, then the environment, then the defaults below.
+const gemini = require('./gemini');
+const openai = require('./openai');
+const together = require('./together');
+const huggingface = require('./huggingface');
+const mock = require('./mock');
+
+const PROVIDERS = { gemini, openai, together, huggingface, mock };
+
+const DEFAULT_TEXT_PROVIDER = 'gemini';
+const DEFAULT_IMAGE_PROVIDER = 'together';
+
+function unknownProvider(kind, name) {
+    const supported = Object.values(PROVIDERS)
+        .filter(provider => typeof provider[kind === 'text' ? 'generateText' : 'generateImage'] === 'function')
+        .map(provider => provider.name);
+    const error = new Error(`Unknown ${kind} provider "${name}". Supported: ${supported.join(', ')}`);
+    error.status = 400;
+    return error;
+}
+
+// Resolve { provider, model } for text generation
+function resolveTextProvider(options = {}) {
+    const name = options.provider || process.env.TEXT_PROVIDER || DEFAULT_TEXT_PROVIDER;
+    const provider = PROVIDERS[name];
+    if (!provider || typeof provider.generateText !== 'function') throw unknownProvider('text', name);
+    const envModel = name === (process.env.TEXT_PROVIDER || DEFAULT_TEXT_PROVIDER) ? process.env.TEXT_MODEL : undefined;
+    return { provider, model: options.model || envModel || provider.defaultTextModel };
+}
+
+// Resolve { provider, model } for image generation
+function resolveImageProvider(options = {}) {
+    const name = options.provider || process.env.IMAGE_PROVIDER || DEFAULT_IMAGE_PROVIDER;
+    const provider = PROVIDERS[name];
+    if (!provider || typeof provider.generateImage !== 'function') throw unknownProvider('image', name);
+    const envModel = name === (process.env.IMAGE_PROVIDER || DEFAULT_IMAGE_PROVIDER) ? process.env.IMAGE_MODEL : undefined;
+    return { provider, model: options.model || envModel || provider.defaultImageModel };
+}
+
+// Summary for GET /api/providers
+function describeProviders() {
+    return {
+        defaults: {
+            text: resolveTextProvider().provider.name,
+            textModel: resolveTextProvider().model,
+            image: resolveImageProvider().provider.name,
+            imageModel: resolveImageProvider().model
+        },
+        providers: Object.values(PROVIDERS).map(provider => ({
+            name: provider.name,
+            text: typeof provider.generateText === 'function',
+            image: typeof provider.generateImage === 'function',
+            configured: provider.isConfigured(),
+            defaultTextModel: provider.defaultTextModel,
+            defaultImageModel: provider.defaultImageModel
+        }))
+    };
+}
+
+module.exports = {
+    resolveTextProvider,
+    resolveImageProvider,
+    describeProviders
+};
@@ -0,0 +1,140 @@
+// Deterministic offline provider for development and tests.
+// Text: returns the example design spec for JSON requests, the unchanged HTML for refinements,
+// the upper-cased text for text rewrites and a canned flyer built from the spec found in the
+// prompt otherwise, sized to the canvas the prompt asks for. Images: a placeholder PNG whose color
+// is derived from the prompt and stripe angle from the seed.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { EXAMPLE_DESIGN_SPEC, parseDesignSpec, repairDesignSpec, validateDesignSpec } = require('../lib/design-spec');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function fontUrl(family, weight) {
+    return `https://fonts.googleapis.com/css2?family=${encodeURIComponent(family).replace(/%20/g, '+')}:wght@${weight}&display=swap`;
+}
+
+// Use the design spec embedded in a renderer prompt when there is a valid one
+function specFromPrompt(prompt) {
+    const start = prompt.indexOf('{', prompt.lastIndexOf('User Requirements:'));
+    if (start === -1) return EXAMPLE_DESIGN_SPEC;
+    try {
+        const spec = repairDesignSpec(parseDesignSpec(prompt.slice(start)));
+        return validateDesignSpec(spec).length ? EXAMPLE_DESIGN_SPEC : spec;
+    } catch (error) {
+        return EXAMPLE_DESIGN_SPEC;
+    }
+}
+
+// The canvas size a prompt asks for (see canvasPrompt() in lib/sizes.js), or null
+function canvasFromPrompt(prompt) {
+    const match = prompt.match(/must be exactly (\d+)px wide and (\d+)px tall/);
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+// Give the root <div> the requested canvas size
+function withCanvasSize(html, canvas) {
+    if (!canvas) return html;
+    return html.replace(/^(\s*<div[^>]*?style=")([^"]*)/, (all, start, style) => {
+        const rest = style.replace(/(^|;)\s*(width|height)\s*:[^;]*/g, '').replace(/^;\s*/, '');
+        return `${start}width: ${canvas.width}px; height: ${canvas.height}px; ${rest}`;
+    });
+}
+
+function cannedFlyerHtml(spec, canvas = { width: 800, height: 1000 }) {
+    const { colors, typography, content, visual_elements: visuals } = spec;
+    const headlineFont = typography.headline_font;
+    const bodyFont = typography.body_font;
+    const lines = [content.subheadline, content.body]
+        .concat(Array.isArray(content.details) ? content.details : [content.details])
+        .concat(content.call_to_action)
+        .filter(Boolean);
+
+    const stickerSlots = [
+        'left: 24px; top: 24px; width: 160px; height: 160px;',
+        'right: 24px; top: 24px; width: 160px; height: 160px;',
+        'left: 24px; bottom: 24px; width: 180px; height: 180px;',
+        'right: 24px; bottom: 24px; width: 180px; height: 180px;'
+    ];
+    const stickers = visuals.slice(0, stickerSlots.length).map((prompt, i) =>
+        `    <img src="" x-prompt="${escapeHtml(prompt)}" transparent="true" style="position: absolute; ${stickerSlots[i]} z-index: 2;">`
+    ).join('\n');
+
+    const bodyLines = lines.map((line, i) =>
+        `        <div style="position: relative; z-index: 4; font-family: '${escapeHtml(bodyFont)}', sans-serif; font-size: 22px; margin-top: ${i === 0 ? 24 : 8}px;"><span data-font-url="${fontUrl(bodyFont, 400)}" style="z-index: 5;">${escapeHtml(line)}</span></div>`
+    ).join('\n');
+
+    return `<div id="poster" style="position: relative; width: ${canvas.width}px; height: ${canvas.height}px; overflow: hidden; background: ${colors.background}; z-index: 0;">
+    <div style="position: absolute; inset: 0; background: linear-gradient(160deg, ${colors.background} 40%, ${colors.accent}); opacity: 0.6; z-index: 1;"></div>
+${stickers}
+    <div style="position: absolute; left: 80px; right: 80px; top: 260px; text-align: center; color: ${colors.primary_text}; z-index: 3;">
+        <div style="position: relative; z-index: 4; font-family: '${escapeHtml(headlineFont)}', serif; font-size: 64px; font-weight: 700; line-height: 1.1;"><span data-font-url="${fontUrl(headlineFont, 700)}" style="z-index: 5;">${escapeHtml(content.headline)}</span></div>
+${bodyLines}
+    </div>
+</div>`;
+}
+
+// Refinement prompts carry the current HTML and an instruction; the mock makes no change
+function currentHtmlFromPrompt(prompt) {
+    const match = prompt.match(/\nCurrent HTML:\n([\s\S]*?)\n\nInstruction:/);
+    return match ? match[1] : null;
+}
+
+async function generateText({ prompt, json }) {
+    if (json) {
+        return JSON.stringify(EXAMPLE_DESIGN_SPEC, null, 2);
+    }
+    const rewrite = prompt.match(/\nText to rewrite: ([\s\S]*?)\n\nInstruction:/);
+    if (rewrite) {
+        return rewrite[1].toUpperCase();
+    }
+    const canvas = canvasFromPrompt(prompt);
+    const current = currentHtmlFromPrompt(prompt);
+    return current ? withCanvasSize(current, canvas) : cannedFlyerHtml(specFromPrompt(prompt), canvas || undefined);
+}
+
+// MOCK_IMAGE_DELAY_MS simulates provider latency, e.g. to watch job progress or cancel a job
+function delay(signal) {
+    const ms = parseInt(process.env.MOCK_IMAGE_DELAY_MS || '0', 10);
+    if (!ms) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            }, { once: true });
+        }
+    });
+}
+
+async function generateImage({ prompt, seed, width, height, signal }) {
+    await delay(signal);
+    const hash = crypto.createHash('sha256').update(String(prompt)).digest();
+    // The seed turns the stripes, so rerolled images differ while keeping the prompt's color
+    const angle = Number.isInteger(seed) ? seed % 180 : 45;
+    const fill = `rgb(${hash[0]}, ${hash[1]}, ${hash[2]})`;
+    const stripe = `rgb(${255 - hash[0]}, ${255 - hash[1]}, ${255 - hash[2]})`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <defs><pattern id="p" width="32" height="32" patternUnits="userSpaceOnUse" patternTransform="rotate(${angle})"><rect width="12" height="32" fill="${stripe}" fill-opacity="0.35"/></pattern></defs>
+        <rect width="100%" height="100%" fill="${fill}"/>
+        <rect width="100%" height="100%" fill="url(#p)"/>
+    </svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+    name: 'mock',
+    defaultTextModel: 'mock-layout',
+    defaultImageModel: 'mock-placeholder',
+    isConfigured: () => true,
+    generateText,
+    generateImage
+};
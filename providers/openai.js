@@ -0,0 +1,142 @@
+// OpenAI-compatible adapter (text and images).
+// Works with api.openai.com and with local servers that speak the same protocol,
+// e.g. Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1).
+const sharp = require('sharp');
+const fetch = require('../lib/fetch');
+
+// Sizes OpenAI's own image models accept; other models (local servers) get the exact slot size
+const MODEL_SIZES = [
+    [/^gpt-image-/, [[1024, 1024], [1536, 1024], [1024, 1536]]],
+    [/^dall-e-3$/, [[1024, 1024], [1792, 1024], [1024, 1792]]],
+    [/^dall-e-2$/, [[1024, 1024]]]
+];
+
+// Shared by the Together and Hugging Face adapters, whose text APIs are OpenAI-compatible too
+async function chatCompletion({ baseUrl, apiKey, model, prompt, json, label }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            ...(json ? { response_format: { type: 'json_object' } } : {})
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`${label} API Error: ${response.status} - ${errorText}`);
+        error.upstreamStatus = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+    if (data.choices && data.choices[0] && data.choices[0].message) {
+        return data.choices[0].message.content;
+    } else {
+        throw new Error(`Invalid response structure from ${label} API`);
+    }
+}
+
+// POST /images/generations and return the decoded image bytes
+async function imageGeneration({ baseUrl, apiKey, model, prompt, width, height, extraBody, label, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/images/generations`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model,
+            prompt,
+            n: 1,
+            ...extraBody
+        }),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        const error = new Error(`${label} Error: ${response.status} - ${errorText}`);
+        error.upstreamStatus = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+    if (data.data && data.data[0] && data.data[0].b64_json) {
+        return Buffer.from(data.data[0].b64_json, 'base64');
+    } else {
+        throw new Error(`Invalid response from ${label}`);
+    }
+}
+
+function baseUrl() {
+    return process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+}
+
+// A custom base URL (local server) does not need a key
+function isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+}
+
+async function generateText({ prompt, model, json }) {
+    if (!isConfigured()) {
+        throw new Error("OPENAI_API_KEY or OPENAI_BASE_URL is not set.");
+    }
+    return chatCompletion({
+        baseUrl: baseUrl(),
+        apiKey: process.env.OPENAI_API_KEY,
+        model: model || process.env.OPENAI_TEXT_MODEL || 'gpt-4o',
+        prompt,
+        json,
+        label: 'OpenAI-compatible'
+    });
+}
+
+// The supported size closest to the slot's aspect ratio, or null when the model takes any size
+function requestSize(model, width, height) {
+    const entry = MODEL_SIZES.find(([pattern]) => pattern.test(model));
+    if (!entry) return null;
+    const ratio = Math.log(width / height);
+    return entry[1].reduce((best, size) => (Math.abs(Math.log(size[0] / size[1]) - ratio) < Math.abs(Math.log(best[0] / best[1]) - ratio) ? size : best));
+}
+
+// The Images API has no seed or negative prompt; things to avoid are added to the prompt.
+// OpenAI's models only make a few sizes: the nearest one is requested and cropped to the slot.
+async function generateImage({ prompt, negativePrompt, model, width, height, signal }) {
+    if (!isConfigured()) {
+        throw new Error("OPENAI_API_KEY or OPENAI_BASE_URL is not set.");
+    }
+    model = model || process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+    const size = requestSize(model, width, height);
+    const image = await imageGeneration({
+        baseUrl: baseUrl(),
+        apiKey: process.env.OPENAI_API_KEY,
+        model,
+        prompt: negativePrompt ? `${prompt}. Avoid: ${negativePrompt}` : prompt,
+        // gpt-image models always return base64 and reject response_format
+        extraBody: {
+            size: size ? `${size[0]}x${size[1]}` : `${width}x${height}`,
+            ...(/^gpt-image-/.test(model) ? {} : { response_format: 'b64_json' })
+        },
+        label: 'OpenAI-compatible image API',
+        signal
+    });
+    const meta = await sharp(image).metadata();
+    if (meta.width === width && meta.height === height) return image;
+    return sharp(image).resize(width, height, { fit: 'cover' }).png().toBuffer();
+}
+
+module.exports = {
+    name: 'openai',
+    get defaultTextModel() { return process.env.OPENAI_TEXT_MODEL || 'gpt-4o'; },
+    get defaultImageModel() { return process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1'; },
+    isConfigured,
+    generateText,
+    generateImage,
+    chatCompletion,
+    imageGeneration
+};
@@ -0,0 +1,63 @@
+// Together AI adapter (FLUX image generation; text via its OpenAI-compatible chat API)
+const { chatCompletion, imageGeneration } = require('./openai');
+
+const BASE_URL = 'https://api.together.xyz/v1';
+const DEFAULT_IMAGE_MODEL = 'black-forest-labs/FLUX.1-schnell-Free';
+const DEFAULT_TEXT_MODEL = 'meta-llama/Llama-3.3-70B-Instruct-Turbo';
+
+function isConfigured() {
+    return Boolean(process.env.TOGETHER_API_KEY);
+}
+
+function requireKey() {
+    const apiKey = process.env.TOGETHER_API_KEY;
+    if (!apiKey) {
+        throw new Error("TOGETHER_API_KEY is not set.");
+    }
+    return apiKey;
+}
+
+async function generateText({ prompt, model, json }) {
+    return chatCompletion({
+        baseUrl: BASE_URL,
+        apiKey: requireKey(),
+        model: model || DEFAULT_TEXT_MODEL,
+        prompt,
+        json,
+        label: 'Together AI'
+    });
+}
+
+async function generateImage({ prompt, negativePrompt, seed, model, width, height, signal }) {
+    const apiKey = requireKey();
+
+    // Together AI requires dimensions to be multiples of 16
+    // Round to nearest multiple of 16
+    const roundToMultiple16 = (num) => Math.round((num || 1024) / 16) * 16;
+
+    return imageGeneration({
+        baseUrl: BASE_URL,
+        apiKey,
+        model: model || DEFAULT_IMAGE_MODEL,
+        prompt,
+        extraBody: {
+            width: roundToMultiple16(width),
+            height: roundToMultiple16(height),
+            seed,
+            negative_prompt: negativePrompt || undefined,
+            output_format: 'png',
+            response_format: 'base64'
+        },
+        label: 'Together AI',
+        signal
+    });
+}
+
+module.exports = {
+    name: 'together',
+    defaultTextModel: DEFAULT_TEXT_MODEL,
+    defaultImageModel: DEFAULT_IMAGE_MODEL,
+    isConfigured,
+    generateText,
+    generateImage
+};
@@ -0,0 +1,159 @@
+// API key support for the bundled pages. The server wants a key on /api routes (unless
+// API_AUTH=off); it is kept in localStorage and sent in the Authorization header by apiFetch().
+// When the server answers 401 a dialog asks for a key and the request is sent again.
+// EventSource streams and download links cannot send headers, so they use a short-lived token
+// for their URL from POST /api/stream-tokens instead (ApiEventSource, apiDownload).
+(() => {
+    const STORAGE_KEY = 'flyerApiKey';
+    let pendingKey = null;
+
+    function storedKey() {
+        return localStorage.getItem(STORAGE_KEY) || '';
+    }
+
+    function buildKeyDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'api-key-dialog';
+        dialog.innerHTML = `
+            <form method="dialog">
+                <p class="api-key-reason"></p>
+                <label>API key <input type="password" name="key" autocomplete="off" required></label>
+                <menu>
+                    <button type="submit" class="btn" value="cancel" formnovalidate>Cancel</button>
+                    <button type="submit" class="btn" value="save">Save</button>
+                </menu>
+            </form>`;
+        document.body.appendChild(dialog);
+        return dialog;
+    }
+
+    // Ask for a key in a dialog; resolves to the saved key, or '' when the dialog is cancelled.
+    // Requests failing at the same time share one dialog.
+    function askForKey(reason) {
+        if (pendingKey) return pendingKey;
+        const dialog = document.querySelector('dialog.api-key-dialog') || buildKeyDialog();
+        const input = dialog.querySelector('input');
+        dialog.querySelector('.api-key-reason').textContent = reason;
+        input.value = '';
+        pendingKey = new Promise(resolve => {
+            dialog.addEventListener('close', () => {
+                const key = dialog.returnValue === 'save' ? input.value.trim() : '';
+                if (key) localStorage.setItem(STORAGE_KEY, key);
+                pendingKey = null;
+                resolve(key);
+            }, { once: true });
+        });
+        dialog.showModal();
+        input.focus();
+        return pendingKey;
+    }
+
+    // fetch() for /api routes with the stored key; a 401 asks for a key and retries once
+    async function apiFetch(url, init = {}) {
+        const send = key => {
+            const headers = new Headers(init.headers);
+            if (key) headers.set('Authorization', `Bearer ${key}`);
+            return fetch(url, { ...init, headers });
+        };
+        const usedKey = storedKey();
+        const response = await send(usedKey);
+        if (response.status !== 401) return response;
+        // Another request may have asked for the key in the meantime
+        if (storedKey() && storedKey() !== usedKey) return send(storedKey());
+        const { error } = await response.clone().json().catch(() => ({}));
+        const key = await askForKey(error || 'This server needs an API key.');
+        return key ? send(key) : response;
+    }
+
+    // The URL of a job's event stream or download with a fresh token
+    async function tokenUrl(path) {
+        const response = await apiFetch('/api/stream-tokens', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ path })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not authorize the request');
+        return data.url;
+    }
+
+    // Download a job's result (e.g. a ZIP) through a temporary link
+    async function apiDownload(path) {
+        const link = document.createElement('a');
+        link.href = await tokenUrl(path);
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    // EventSource for an /api stream. Every connection gets a fresh token, so a stream that drops
+    // after its token expired reconnects; it gives up (CLOSED + error) when a fresh connection fails.
+    class ApiEventSource extends EventTarget {
+        constructor(path) {
+            super();
+            this.path = path;
+            this.readyState = EventSource.CONNECTING;
+            this.onerror = null;
+            this.types = new Set();
+            this.source = null;
+            this.connect();
+        }
+
+        async connect() {
+            let url;
+            try {
+                url = await tokenUrl(this.path);
+            } catch (error) {
+                this.fail();
+                return;
+            }
+            if (this.readyState === EventSource.CLOSED) return;
+            const source = new EventSource(url);
+            let opened = false;
+            this.source = source;
+            this.types.forEach(type => this.forward(type));
+            source.onopen = () => {
+                opened = true;
+                this.readyState = EventSource.OPEN;
+            };
+            source.onerror = () => {
+                if (source.readyState !== EventSource.CLOSED) {
+                    this.readyState = EventSource.CONNECTING;
+                    return;
+                }
+                if (opened && this.readyState !== EventSource.CLOSED) this.connect();
+                else this.fail();
+            };
+        }
+
+        forward(type) {
+            this.source.addEventListener(type, event => {
+                this.dispatchEvent(new MessageEvent(type, { data: event.data, lastEventId: event.lastEventId }));
+            });
+        }
+
+        addEventListener(type, listener, options) {
+            if (!this.types.has(type)) {
+                this.types.add(type);
+                if (this.source) this.forward(type);
+            }
+            super.addEventListener(type, listener, options);
+        }
+
+        fail() {
+            if (this.readyState === EventSource.CLOSED) return;
+            this.close();
+            if (this.onerror) this.onerror(new Event('error'));
+        }
+
+        close() {
+            this.readyState = EventSource.CLOSED;
+            if (this.source) this.source.close();
+        }
+    }
+
+    window.apiFetch = apiFetch;
+    window.apiDownload = apiDownload;
+    window.ApiEventSource = ApiEventSource;
+})();
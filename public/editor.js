@@ -0,0 +1,616 @@
+// Visual editor for generated flyers (used by script.js).
+// It relies on the structure the renderer prompt guarantees: positioned div/img elements with
+// an explicit z-index, and text in span[data-font-url] whose styling lives on the parent.
+// Edits only change inline styles and attributes the server accepts, so serializeFlyer()
+// output can be saved as a project version or exported like any generated flyer.
+
+const EDITOR_SNAP_PX = 6;
+const EDITOR_MIN_SIZE = 10;
+const EDITOR_HISTORY_LIMIT = 100;
+const EDITOR_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+const EDITOR_ATTRIBUTES = ['contenteditable', 'spellcheck'];
+const GENERIC_FONTS = /^(serif|sans-serif|monospace|cursive|fantasy|system-ui)$/;
+
+function googleFontUrl(family, weight) {
+    return `https://fonts.googleapis.com/css2?family=${encodeURIComponent(family).replace(/%20/g, '+')}:wght@${weight}&display=swap`;
+}
+
+// Load a data-font-url stylesheet so the preview shows the font
+function loadFontStylesheet(url) {
+    if (!url || [...document.querySelectorAll('link[data-flyer-font]')].some(link => link.href === url)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = url;
+    link.dataset.flyerFont = '';
+    document.head.appendChild(link);
+}
+
+function rgbToHex(value, fallback) {
+    const match = String(value).match(/rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:\s*[,/]\s*([\d.]+))?/);
+    if (!match || Number(match[4]) === 0) return fallback;
+    return `#${match.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Family and weight of a text span, read from its data-font-url (or the rendered font)
+function spanFont(span) {
+    const url = span.getAttribute('data-font-url') || '';
+    const family = url.match(/[?&]family=([^:&]+)/);
+    const weight = url.match(/wght@(\d+)/);
+    const computed = getComputedStyle(span);
+    return {
+        family: family ? decodeURIComponent(family[1].replace(/\+/g, ' ')) : computed.fontFamily.split(',')[0].replace(/['"]/g, '').trim(),
+        weight: weight ? weight[1] : computed.fontWeight
+    };
+}
+
+// 'Family', plus the generic fallback of the current font stack
+function fontStack(family, current) {
+    const generic = String(current || '').split(',').map(part => part.trim()).find(part => GENERIC_FONTS.test(part));
+    return `'${family}'${generic ? `, ${generic}` : ''}`;
+}
+
+// Flyer HTML from a copy of the editor's container, without editor UI or editing attributes.
+// The copy is modified.
+function serializeFlyer(copy) {
+    copy.querySelectorAll('[data-editor-ui]').forEach(el => el.remove());
+    copy.querySelectorAll('*').forEach(el => EDITOR_ATTRIBUTES.forEach(name => el.removeAttribute(name)));
+    return copy.innerHTML.trim();
+}
+
+// Edit the flyer inside `container`. options.onChange() is called whenever the selection or
+// the undo history changes.
+function createFlyerEditor(container, options = {}) {
+    const onChange = options.onChange || (() => {});
+    let active = false;
+    let snapping = true;
+    let selected = null;
+    let overlay = null;
+    let gesture = null;
+    let editing = null;
+    let initial = null;
+    let past = [];
+    let future = [];
+
+    const notify = () => onChange();
+    const flyerRoot = () => [...container.children].find(el => !el.hasAttribute('data-editor-ui')) || null;
+    const snapshot = () => serializeFlyer(container.cloneNode(true));
+    const isRoot = el => el === flyerRoot();
+
+    // --- History ----------------------------------------------------------
+
+    function record(before) {
+        if (before === snapshot()) return;
+        past.push(before);
+        if (past.length > EDITOR_HISTORY_LIMIT) past.shift();
+        future = [];
+        notify();
+    }
+
+    // Run a change as one undoable step
+    function change(fn) {
+        if (!selected) return;
+        const before = snapshot();
+        fn(selected);
+        record(before);
+        updateOverlay();
+    }
+
+    function pathOf(el) {
+        const path = [];
+        const root = flyerRoot();
+        while (el && el !== root && el.parentElement) {
+            path.unshift([...el.parentElement.children].indexOf(el));
+            el = el.parentElement;
+        }
+        return path;
+    }
+
+    function elementAtPath(path) {
+        let el = flyerRoot();
+        for (const index of path) el = el ? el.children[index] : null;
+        return el || null;
+    }
+
+    // Put a snapshot back on screen, keeping the selection where it still exists
+    function restore(html) {
+        const path = selected ? pathOf(selected) : null;
+        [...container.childNodes]
+            .filter(node => !(node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-editor-ui')))
+            .forEach(node => node.remove());
+        container.insertAdjacentHTML('afterbegin', html);
+        select(path ? elementAtPath(path) : null);
+    }
+
+    function undo() {
+        finishTextEdit(false);
+        if (!past.length) return;
+        future.push(snapshot());
+        restore(past.pop());
+        notify();
+    }
+
+    function redo() {
+        finishTextEdit(false);
+        if (!future.length) return;
+        past.push(snapshot());
+        restore(future.pop());
+        notify();
+    }
+
+    // --- Selection and overlay -------------------------------------------
+
+    // Position of an element relative to the container, in pixels
+    function relativeRect(el) {
+        const box = el.getBoundingClientRect();
+        const outer = container.getBoundingClientRect();
+        return {
+            left: box.left - outer.left - container.clientLeft,
+            top: box.top - outer.top - container.clientTop,
+            width: box.width,
+            height: box.height
+        };
+    }
+
+    function createOverlay() {
+        overlay = document.createElement('div');
+        overlay.setAttribute('data-editor-ui', '');
+        overlay.className = 'editor-overlay';
+        const frame = document.createElement('div');
+        frame.className = 'editor-frame';
+        frame.hidden = true;
+        EDITOR_HANDLES.forEach(handle => {
+            const grip = document.createElement('div');
+            grip.className = `editor-handle editor-handle-${handle}`;
+            grip.dataset.handle = handle;
+            frame.appendChild(grip);
+        });
+        overlay.appendChild(frame);
+        container.appendChild(overlay);
+    }
+
+    function updateOverlay() {
+        if (!overlay) return;
+        const frame = overlay.querySelector('.editor-frame');
+        if (!selected || !selected.isConnected) {
+            frame.hidden = true;
+            return;
+        }
+        const box = relativeRect(selected);
+        Object.assign(frame.style, {
+            left: `${box.left}px`,
+            top: `${box.top}px`,
+            width: `${box.width}px`,
+            height: `${box.height}px`
+        });
+        frame.classList.toggle('is-root', isRoot(selected));
+        frame.hidden = false;
+    }
+
+    function showGuide(axis, at) {
+        const guide = document.createElement('div');
+        guide.className = `editor-guide editor-guide-${axis}`;
+        guide.style[axis === 'x' ? 'left' : 'top'] = `${at}px`;
+        overlay.appendChild(guide);
+    }
+
+    function clearGuides() {
+        if (overlay) overlay.querySelectorAll('.editor-guide').forEach(guide => guide.remove());
+    }
+
+    // Text is moved and styled through the element around its span
+    function selectableFrom(target) {
+        const root = flyerRoot();
+        let el = target instanceof Element ? target.closest('div, img, span') : null;
+        while (el && el.tagName === 'SPAN') el = el.parentElement;
+        return el && root && root.contains(el) ? el : null;
+    }
+
+    function select(el) {
+        selected = el || null;
+        updateOverlay();
+        notify();
+    }
+
+    // Spans inside the selection; their parents carry the text styling
+    function selectedSpans() {
+        if (!selected || selected.tagName === 'IMG') return [];
+        return [...selected.querySelectorAll('span')];
+    }
+
+    function selectionInfo() {
+        if (!selected) return null;
+        const spans = selectedSpans();
+        const font = spans.length ? spanFont(spans[0]) : null;
+        const image = selected.tagName === 'IMG';
+        return {
+            type: isRoot(selected) ? 'flyer' : image ? 'image' : spans.length ? 'text' : 'box',
+            isRoot: isRoot(selected),
+            hasText: spans.length > 0,
+            family: font ? font.family : '',
+            weight: font ? font.weight : '',
+            color: spans.length ? rgbToHex(getComputedStyle(spans[0].parentElement).color, '#000000') : null,
+            background: image ? null : rgbToHex(getComputedStyle(selected).backgroundColor, '#ffffff'),
+            zIndex: selected.style.zIndex
+        };
+    }
+
+    // --- Moving and resizing ---------------------------------------------
+
+    // Anchor an element by left/top with a fixed width (and height where it was stretched or set),
+    // so moving and resizing are plain pixel changes. Returns { left, top, width, height }.
+    function pinPosition(el) {
+        const style = el.style;
+        const computed = getComputedStyle(el);
+        const width = parseFloat(computed.width);
+        const height = parseFloat(computed.height);
+        const stretched = style.top && style.top !== 'auto' && style.bottom && style.bottom !== 'auto';
+        if (computed.position === 'absolute') {
+            style.left = `${el.offsetLeft - parseFloat(computed.marginLeft || 0)}px`;
+            style.top = `${el.offsetTop - parseFloat(computed.marginTop || 0)}px`;
+        } else {
+            if (computed.position === 'static') style.position = 'relative';
+            style.left = `${parseFloat(computed.left) || 0}px`;
+            style.top = `${parseFloat(computed.top) || 0}px`;
+        }
+        style.right = '';
+        style.bottom = '';
+        style.width = `${width}px`;
+        if (stretched || style.height || el.tagName === 'IMG') style.height = `${height}px`;
+        return { left: parseFloat(style.left), top: parseFloat(style.top), width, height };
+    }
+
+    // Lines to snap to: the flyer's edges and center, and those of every other element
+    function snapTargets(el) {
+        const xs = [];
+        const ys = [];
+        const add = box => {
+            xs.push(box.left, box.left + box.width / 2, box.left + box.width);
+            ys.push(box.top, box.top + box.height / 2, box.top + box.height);
+        };
+        const root = flyerRoot();
+        add(relativeRect(root));
+        root.querySelectorAll('div, img').forEach(other => {
+            if (!el.contains(other) && !other.contains(el)) add(relativeRect(other));
+        });
+        return { xs, ys };
+    }
+
+    // The closest { delta, at } that puts one of `lines` on a target, within EDITOR_SNAP_PX
+    function nearestSnap(lines, targets) {
+        let best = null;
+        for (const line of lines) {
+            for (const target of targets) {
+                const delta = target - line;
+                if (Math.abs(delta) <= EDITOR_SNAP_PX && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                    best = { delta, at: target };
+                }
+            }
+        }
+        return best;
+    }
+
+    // dx/dy are screen pixels; the preview may show the flyer scaled down (gesture.scale)
+    function moveBy(dx, dy, free) {
+        const { start, rect, targets, scale } = gesture;
+        clearGuides();
+        if (snapping && !free) {
+            const snapX = nearestSnap([rect.left + dx, rect.left + dx + rect.width / 2, rect.left + dx + rect.width], targets.xs);
+            const snapY = nearestSnap([rect.top + dy, rect.top + dy + rect.height / 2, rect.top + dy + rect.height], targets.ys);
+            if (snapX) {
+                dx += snapX.delta;
+                showGuide('x', snapX.at);
+            }
+            if (snapY) {
+                dy += snapY.delta;
+                showGuide('y', snapY.at);
+            }
+        }
+        selected.style.left = `${Math.round(start.left + dx / scale)}px`;
+        selected.style.top = `${Math.round(start.top + dy / scale)}px`;
+    }
+
+    // Resize from one of the eight handles; Shift keeps the proportions
+    function resizeBy(dx, dy, event) {
+        const { start, rect, targets, handle, scale } = gesture;
+        clearGuides();
+        if (snapping && !event.altKey) {
+            const edges = [
+                ['e', 'x', rect.left + rect.width + dx, snap => { dx += snap.delta; }],
+                ['w', 'x', rect.left + dx, snap => { dx += snap.delta; }],
+                ['s', 'y', rect.top + rect.height + dy, snap => { dy += snap.delta; }],
+                ['n', 'y', rect.top + dy, snap => { dy += snap.delta; }]
+            ];
+            for (const [side, axis, line, apply] of edges) {
+                if (!handle.includes(side)) continue;
+                const snap = nearestSnap([line], axis === 'x' ? targets.xs : targets.ys);
+                if (snap) {
+                    apply(snap);
+                    showGuide(axis, snap.at);
+                }
+            }
+        }
+        dx /= scale;
+        dy /= scale;
+        let width = start.width + (handle.includes('e') ? dx : handle.includes('w') ? -dx : 0);
+        let height = start.height + (handle.includes('s') ? dy : handle.includes('n') ? -dy : 0);
+        if (event.shiftKey && handle.length === 2 && start.width && start.height) {
+            height = width * start.height / start.width;
+        }
+        width = Math.round(Math.max(EDITOR_MIN_SIZE, width));
+        height = Math.round(Math.max(EDITOR_MIN_SIZE, height));
+        if (handle.includes('w')) selected.style.left = `${Math.round(start.left + start.width - width)}px`;
+        if (handle.includes('n')) selected.style.top = `${Math.round(start.top + start.height - height)}px`;
+        selected.style.width = `${width}px`;
+        if (handle !== 'e' && handle !== 'w') selected.style.height = `${height}px`;
+    }
+
+    function onPointerMove(event) {
+        const dx = event.clientX - gesture.startX;
+        const dy = event.clientY - gesture.startY;
+        if (!gesture.moved) {
+            if (Math.abs(dx) + Math.abs(dy) < 3) return;
+            gesture.moved = true;
+            gesture.start = pinPosition(selected);
+            gesture.rect = relativeRect(selected);
+            gesture.scale = selected.offsetWidth ? gesture.rect.width / selected.offsetWidth : 1;
+            gesture.targets = snapTargets(selected);
+        }
+        if (gesture.handle) {
+            resizeBy(dx, dy, event);
+        } else {
+            moveBy(dx, dy, event.altKey);
+        }
+        updateOverlay();
+    }
+
+    function onPointerUp() {
+        document.removeEventListener('pointermove', onPointerMove);
+        document.removeEventListener('pointerup', onPointerUp);
+        document.removeEventListener('pointercancel', onPointerUp);
+        clearGuides();
+        if (gesture && gesture.moved) record(gesture.before);
+        gesture = null;
+    }
+
+    function onPointerDown(event) {
+        if (!active || event.button !== 0) return;
+        if (editing && editing.span.contains(event.target)) return;
+        finishTextEdit(false);
+
+        const handle = event.target.dataset ? event.target.dataset.handle : null;
+        if (!handle) select(selectableFrom(event.target));
+        if (!selected || isRoot(selected)) return;
+
+        event.preventDefault();
+        gesture = { handle, startX: event.clientX, startY: event.clientY, before: snapshot(), moved: false };
+        document.addEventListener('pointermove', onPointerMove);
+        document.addEventListener('pointerup', onPointerUp);
+        document.addEventListener('pointercancel', onPointerUp);
+    }
+
+    // --- Inline text editing ---------------------------------------------
+
+    function startTextEdit(span) {
+        finishTextEdit(false);
+        editing = { span, before: snapshot(), text: span.textContent };
+        span.setAttribute('contenteditable', 'true');
+        span.setAttribute('spellcheck', 'false');
+        span.addEventListener('keydown', onTextKey);
+        span.addEventListener('blur', onTextBlur);
+        span.focus();
+        const range = document.createRange();
+        range.selectNodeContents(span);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Keep the edited text as plain text; an emptied span gets its old text back
+    function finishTextEdit(cancel) {
+        if (!editing) return;
+        const { span, before, text } = editing;
+        editing = null;
+        span.removeEventListener('keydown', onTextKey);
+        span.removeEventListener('blur', onTextBlur);
+        span.removeAttribute('contenteditable');
+        span.removeAttribute('spellcheck');
+        const edited = span.textContent.replace(/\s+/g, ' ').trim();
+        span.textContent = cancel || !edited ? text : edited;
+        record(before);
+        updateOverlay();
+    }
+
+    function onTextKey(event) {
+        if (event.key === 'Enter' || event.key === 'Escape') {
+            event.preventDefault();
+            finishTextEdit(event.key === 'Escape');
+        }
+    }
+
+    function onTextBlur() {
+        finishTextEdit(false);
+    }
+
+    function onDoubleClick(event) {
+        if (!active) return;
+        const span = event.target instanceof Element ? event.target.closest('span') : null;
+        const root = flyerRoot();
+        if (span && root && root.contains(span)) startTextEdit(span);
+    }
+
+    // --- Styling and arrangement -----------------------------------------
+
+    // options: { family, weight }; a missing value keeps each span's own
+    function setFont(options) {
+        const family = String(options.family || '').replace(/['";]/g, '').trim();
+        const weight = options.weight ? String(options.weight) : '';
+        change(() => selectedSpans().forEach(span => {
+            const current = spanFont(span);
+            const host = span.parentElement;
+            const nextFamily = family || current.family;
+            const nextWeight = weight || current.weight;
+            const url = googleFontUrl(nextFamily, nextWeight);
+            host.style.fontFamily = fontStack(nextFamily, getComputedStyle(host).fontFamily);
+            host.style.fontWeight = nextWeight;
+            span.setAttribute('data-font-url', url);
+            loadFontStylesheet(url);
+        }));
+    }
+
+    function setTextColor(color) {
+        change(() => new Set(selectedSpans().map(span => span.parentElement)).forEach(host => {
+            host.style.color = color;
+        }));
+    }
+
+    function setBackground(color) {
+        if (!selected || selected.tagName === 'IMG') return;
+        change(el => { el.style.background = color; });
+    }
+
+    function zIndexOf(el) {
+        return parseInt(el.style.zIndex, 10) || 0;
+    }
+
+    // where: 'forward' | 'backward' | 'front' | 'back' (relative to the element's siblings)
+    function arrange(where) {
+        if (!selected || isRoot(selected)) return;
+        change(el => {
+            const siblings = [...el.parentElement.children].filter(other => other !== el).map(zIndexOf);
+            const z = zIndexOf(el);
+            const next = {
+                forward: z + 1,
+                backward: z - 1,
+                front: Math.max(z, ...siblings, 0) + 1,
+                back: Math.min(z, ...siblings) - 1
+            }[where];
+            el.style.zIndex = String(Math.max(0, next));
+        });
+    }
+
+    function duplicate() {
+        if (!selected || isRoot(selected)) return;
+        change(el => {
+            const start = pinPosition(el);
+            const copy = el.cloneNode(true);
+            copy.style.left = `${start.left + 10}px`;
+            copy.style.top = `${start.top + 10}px`;
+            el.after(copy);
+            selected = copy;
+        });
+        notify();
+    }
+
+    function remove() {
+        if (!selected || isRoot(selected)) return;
+        change(el => el.remove());
+        select(null);
+    }
+
+    function nudge(dx, dy) {
+        if (!selected || isRoot(selected)) return;
+        change(el => {
+            const start = pinPosition(el);
+            el.style.left = `${start.left + dx}px`;
+            el.style.top = `${start.top + dy}px`;
+        });
+    }
+
+    // --- Keyboard --------------------------------------------------------
+
+    function onKeyDown(event) {
+        if (!active || editing) return;
+        const field = event.target instanceof Element && event.target.closest('input, textarea, select, [contenteditable]');
+        if (field) return;
+        const command = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+        const step = event.shiftKey ? 10 : 1;
+        const arrows = { arrowleft: [-step, 0], arrowright: [step, 0], arrowup: [0, -step], arrowdown: [0, step] };
+
+        if (command && key === 'z') {
+            event.shiftKey ? redo() : undo();
+        } else if (command && key === 'y') {
+            redo();
+        } else if (command && key === 'd') {
+            duplicate();
+        } else if (key === 'delete' || key === 'backspace') {
+            remove();
+        } else if (key === 'escape') {
+            select(null);
+        } else if (arrows[key] && selected) {
+            nudge(...arrows[key]);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    function onResize() {
+        if (active) updateOverlay();
+    }
+
+    container.addEventListener('pointerdown', onPointerDown);
+    container.addEventListener('dblclick', onDoubleClick);
+    document.addEventListener('keydown', onKeyDown);
+    window.addEventListener('resize', onResize);
+
+    // --- Lifecycle -------------------------------------------------------
+
+    function start() {
+        if (active || !flyerRoot()) return;
+        active = true;
+        initial = snapshot();
+        past = [];
+        future = [];
+        container.querySelectorAll('span[data-font-url]').forEach(span => loadFontStylesheet(span.getAttribute('data-font-url')));
+        container.classList.add('editing');
+        createOverlay();
+        notify();
+    }
+
+    // Leave edit mode; the flyer stays as it is
+    function stop() {
+        if (!active) return;
+        finishTextEdit(false);
+        if (gesture) onPointerUp();
+        active = false;
+        selected = null;
+        past = [];
+        future = [];
+        if (overlay) overlay.remove();
+        overlay = null;
+        container.classList.remove('editing');
+        notify();
+    }
+
+    // Throw away every edit of this session and leave edit mode
+    function discard() {
+        if (!active) return;
+        finishTextEdit(true);
+        restore(initial);
+        stop();
+    }
+
+    return {
+        get active() { return active; },
+        start,
+        stop,
+        discard,
+        undo,
+        redo,
+        canUndo: () => past.length > 0,
+        canRedo: () => future.length > 0,
+        isDirty: () => active && snapshot() !== initial,
+        serialize: snapshot,
+        // Reposition the selection frame after the flyer moved or was rescaled
+        refresh: updateOverlay,
+        selectionInfo,
+        setSnapping: value => { snapping = Boolean(value); },
+        setFont,
+        setTextColor,
+        setBackground,
+        arrange,
+        duplicate,
+        remove
+    };
+}
@@ -1,10 +1,291 @@
 document.addEventListener('DOMContentLoaded', () => {
     const generateBtn = document.getElementById('generate-btn');
+    const renderBtn = document.getElementById('render-btn');
     const userInput = document.getElementById('user-input');
     const posterContainer = document.getElementById('poster-container');
     const loadingIndicator = document.getElementById('loading-indicator');
     const loadingText = document.getElementById('loading-text');
+    const specSection = document.getElementById('spec-section');
+    const specColors = document.getElementById('spec-colors');
+    const specTypography = document.getElementById('spec-typography');
+    const specJson = document.getElementById('spec-json');
+    const specError = document.getElementById('spec-error');
+    const layoutReport = document.getElementById('layout-report');
+    const exportBar = document.getElementById('export-bar');
+    const exportWidth = document.getElementById('export-width');
+    const exportHeight = document.getElementById('export-height');
+    const exportUnit = document.getElementById('export-unit');
+    const exportNote = document.getElementById('export-note');
+    const exportButtons = exportBar.querySelectorAll('button[data-format]');
+    const cancelBtn = document.getElementById('cancel-btn');
+    const projectSelect = document.getElementById('project-select');
+    const projectRename = document.getElementById('project-rename');
+    const projectFork = document.getElementById('project-fork');
+    const projectDelete = document.getElementById('project-delete');
+    const versionList = document.getElementById('version-list');
+    const compareBtn = document.getElementById('compare-btn');
+    const compareSection = document.getElementById('compare-section');
+    const compareClose = document.getElementById('compare-close');
+    const refineSection = document.getElementById('refine-section');
+    const refineHistory = document.getElementById('refine-history');
+    const refineInput = document.getElementById('refine-input');
+    const refineBtn = document.getElementById('refine-btn');
+    const refineUndo = document.getElementById('refine-undo');
+    const selectionPanel = document.getElementById('selection-panel');
+    const selectionLabel = document.getElementById('selection-label');
+    const selectionInput = document.getElementById('selection-input');
+    const selectionApply = document.getElementById('selection-apply');
+    const selectionAi = document.getElementById('selection-ai');
+    const selectionClear = document.getElementById('selection-clear');
+    const editorBar = document.getElementById('editor-bar');
+    const editToggle = document.getElementById('edit-toggle');
+    const editorStatus = document.getElementById('editor-status');
+    const editorActions = document.getElementById('editor-actions');
+    const editorUndo = document.getElementById('editor-undo');
+    const editorRedo = document.getElementById('editor-redo');
+    const editorSnap = document.getElementById('editor-snap');
+    const editorDiscard = document.getElementById('editor-discard');
+    const editorTools = document.getElementById('editor-tools');
+    const editorSelection = document.getElementById('editor-selection');
+    const editorFont = document.getElementById('editor-font');
+    const editorWeight = document.getElementById('editor-weight');
+    const editorColor = document.getElementById('editor-color');
+    const editorFill = document.getElementById('editor-fill');
+    const editorArrange = editorTools.querySelectorAll('button[data-arrange]');
+    const editorDuplicate = document.getElementById('editor-duplicate');
+    const editorDelete = document.getElementById('editor-delete');
+    const sizePreset = document.getElementById('size-preset');
+    const customSize = document.getElementById('custom-size');
+    const customWidth = document.getElementById('custom-width');
+    const customHeight = document.getElementById('custom-height');
+    const customUnit = document.getElementById('custom-unit');
+    const resizeSection = document.getElementById('resize-section');
+    const resizeOptions = document.getElementById('resize-options');
+    const resizeBtn = document.getElementById('resize-btn');
+    const previewSection = document.getElementById('preview-section');
+    const canvasGuides = document.getElementById('canvas-guides');
+    const guideTrim = document.getElementById('guide-trim');
+    const guideSafe = document.getElementById('guide-safe');
+    const brandKitSelect = document.getElementById('brand-kit');
+    const brandEdit = document.getElementById('brand-edit');
+    const brandNew = document.getElementById('brand-new');
+    const brandSection = document.getElementById('brand-section');
+    const brandTitle = document.getElementById('brand-title');
+    const brandClose = document.getElementById('brand-close');
+    const brandName = document.getElementById('brand-name');
+    const brandColors = document.getElementById('brand-colors');
+    const brandFonts = document.getElementById('brand-fonts');
+    const brandTone = document.getElementById('brand-tone');
+    const brandNeutrals = document.getElementById('brand-neutrals');
+    const brandLogos = document.getElementById('brand-logos');
+    const brandLogoFiles = document.getElementById('brand-logo-files');
+    const brandError = document.getElementById('brand-error');
+    const brandSave = document.getElementById('brand-save');
+    const brandDelete = document.getElementById('brand-delete');
+    const brandReport = document.getElementById('brand-report');
+    const brandReportText = document.getElementById('brand-report-text');
+    const brandIssues = document.getElementById('brand-issues');
+    const brandSnap = document.getElementById('brand-snap');
+    const qaSection = document.getElementById('qa-section');
+    const qaHighlight = document.getElementById('qa-highlight');
+    const qaRun = document.getElementById('qa-run');
+    const qaFixAll = document.getElementById('qa-fix-all');
+    const qaSummary = document.getElementById('qa-summary');
+    const qaIssues = document.getElementById('qa-issues');
+    const selectionPlaceholder = document.getElementById('selection-placeholder');
+    const mergeSection = document.getElementById('merge-section');
+    const mergeFields = document.getElementById('merge-fields');
+    const mergeFile = document.getElementById('merge-file');
+    const mergeData = document.getElementById('merge-data');
+    const mergeFilename = document.getElementById('merge-filename');
+    const mergeFormat = document.getElementById('merge-format');
+    const mergeBtn = document.getElementById('merge-btn');
+    const mergeCancel = document.getElementById('merge-cancel');
+    const mergeDownload = document.getElementById('merge-download');
+    const mergeStatus = document.getElementById('merge-status');
+    const mergeErrors = document.getElementById('merge-errors');
+    const imageStyle = document.getElementById('image-style');
+    const imageStylePrompt = document.getElementById('image-style-prompt');
+    const imageStyleNegative = document.getElementById('image-style-negative');
+    const selectionGeneration = document.getElementById('selection-generation');
+    const selectionReroll = document.getElementById('selection-reroll');
+    const selectionLock = document.getElementById('selection-lock');
 
+    const JOB_STORAGE_KEY = 'flyerJobId';
+    const PROJECT_STORAGE_KEY = 'flyerProjectId';
+    const BRAND_STORAGE_KEY = 'flyerBrandKitId';
+    let currentProject = null;
+    let currentVersion = null;
+    let currentSpec = null;
+    let currentJobId = null;
+    let eventSource = null;
+    let jobImages = [];
+    // Refinements made since the flyer was loaded: [{ label, before, versionBefore, outcome }]
+    let refinements = [];
+    let selected = null;
+    let flyerReady = false;
+    let sizePresets = [];
+    // Canvas of the flyer on screen: { preset, name, width, height, bleed, safe, print } or null
+    let currentCanvas = null;
+    let brandKitList = [];
+    // Kit open in the brand kit form (null for a new one) and its logos: { name, url } or { name, image }
+    let editingKit = null;
+    let editingLogos = [];
+    // Design QA report of the flyer on screen (see /api/qa) and the number of the latest check
+    let qaReport = null;
+    let qaRequest = 0;
+    // Mail merge job being followed: { id, rows } and its event stream
+    let mergeJob = null;
+    let mergeEvents = null;
+    const editor = createFlyerEditor(posterContainer, { onChange: updateEditorBar });
+
+    function setBusy(busy, text) {
+        generateBtn.disabled = busy;
+        renderBtn.disabled = busy;
+        exportButtons.forEach(button => { button.disabled = busy; });
+        [refineBtn, selectionApply, selectionAi, selectionPlaceholder].forEach(button => { button.disabled = busy; });
+        refineUndo.disabled = busy || !refinements.length;
+        editToggle.disabled = busy;
+        resizeBtn.disabled = busy || !resizeOptions.querySelector('input:checked');
+        brandSnap.disabled = busy;
+        [qaRun, qaFixAll, ...qaIssues.querySelectorAll('button')].forEach(button => { button.disabled = busy; });
+        mergeBtn.disabled = busy || Boolean(mergeEvents);
+        projectSelect.disabled = busy;
+        updateProjectButtons();
+        loadingIndicator.classList.toggle('hidden', !busy);
+        if (text) loadingText.textContent = text;
+    }
+
+    function showSpecError(message) {
+        specError.textContent = message || '';
+        specError.classList.toggle('hidden', !message);
+    }
+
+    // Summarize the validator report returned with a generated layout
+    function showLayoutReport(validation) {
+        if (!validation) {
+            layoutReport.classList.add('hidden');
+            return;
+        }
+        const parts = [];
+        const repairs = validation.attempts.length - 1;
+        if (validation.valid) {
+            parts.push('Layout passed all checks');
+        } else {
+            const rules = Object.entries(validation.byRule).map(([rule, count]) => `${rule} ×${count}`).join(', ');
+            parts.push(`Layout has ${validation.violations.length} rule violation(s): ${rules}`);
+        }
+        if (repairs > 0) parts.push(`after ${repairs} repair attempt(s)`);
+        if (validation.removed.length) parts.push(`— removed unsafe markup: ${validation.removed.join(', ')}`);
+        layoutReport.textContent = parts.join(' ');
+        layoutReport.classList.toggle('warning', !validation.valid || validation.removed.length > 0);
+        layoutReport.classList.remove('hidden');
+    }
+
+    // The export, refine and editing tools are available once there is a finished flyer.
+    // Any edit session ends here, because the flyer on screen is being replaced.
+    function setFlyerReady(ready) {
+        flyerReady = ready;
+        editor.stop();
+        exportBar.classList.toggle('hidden', !ready);
+        refineSection.classList.toggle('hidden', !ready);
+        editorBar.classList.toggle('hidden', !ready);
+        resizeSection.classList.toggle('hidden', !ready);
+        mergeSection.classList.toggle('hidden', !ready);
+        if (!ready) {
+            clearSelection();
+            showDesignQa(null);
+        }
+    }
+
+    // Build a readable message from an API error response ({ error, details })
+    async function readError(response, fallback) {
+        try {
+            const data = await response.json();
+            const details = Array.isArray(data.details) ? `\n- ${data.details.join('\n- ')}` : '';
+            return `${data.error || fallback}${details}`;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    function toHexForPicker(value) {
+        if (/^#[0-9a-fA-F]{6}$/.test(value)) return value;
+        if (/^#[0-9a-fA-F]{3}$/.test(value)) return '#' + value.slice(1).split('').map(c => c + c).join('');
+        return null;
+    }
+
+    function syncJson() {
+        specJson.value = JSON.stringify(currentSpec, null, 2);
+    }
+
+    // Render editable color and font fields from the current spec
+    function renderSpecFields() {
+        specColors.innerHTML = '';
+        specTypography.innerHTML = '';
+
+        Object.entries(currentSpec.colors || {}).forEach(([key, value]) => {
+            const row = document.createElement('label');
+            row.className = 'spec-field';
+            row.innerHTML = `<span></span><input type="color"><input type="text">`;
+            row.querySelector('span').textContent = key;
+            const picker = row.querySelector('input[type="color"]');
+            const text = row.querySelector('input[type="text"]');
+            text.value = value;
+            const hex = toHexForPicker(value);
+            if (hex) picker.value = hex; else picker.disabled = true;
+
+            picker.addEventListener('input', () => {
+                text.value = picker.value.toUpperCase();
+                currentSpec.colors[key] = text.value;
+                syncJson();
+            });
+            text.addEventListener('change', () => {
+                currentSpec.colors[key] = text.value.trim();
+                const nextHex = toHexForPicker(text.value.trim());
+                picker.disabled = !nextHex;
+                if (nextHex) picker.value = nextHex;
+                syncJson();
+            });
+            specColors.appendChild(row);
+        });
+
+        Object.entries(currentSpec.typography || {}).forEach(([key, value]) => {
+            const row = document.createElement('label');
+            row.className = 'spec-field';
+            row.innerHTML = `<span></span><span></span><input type="text">`;
+            row.querySelector('span').textContent = key;
+            const text = row.querySelector('input[type="text"]');
+            text.value = value;
+            text.addEventListener('change', () => {
+                currentSpec.typography[key] = text.value.trim();
+                syncJson();
+            });
+            specTypography.appendChild(row);
+        });
+
+        syncJson();
+    }
+
+    function showSpec(spec) {
+        currentSpec = spec;
+        renderSpecFields();
+        showSpecError('');
+        specSection.classList.remove('hidden');
+    }
+
+    // Edits made directly in the JSON textarea replace the spec and refresh the fields
+    specJson.addEventListener('change', () => {
+        try {
+            currentSpec = JSON.parse(specJson.value);
+            renderSpecFields();
+            showSpecError('');
+        } catch (e) {
+            showSpecError(`Spec JSON is invalid: ${e.message}`);
+        }
+    });
+
+    // Step 1: Plan the design spec from the brief
     generateBtn.addEventListener('click', async () => {
         const requirements = userInput.value.trim();
         if (!requirements) {
@@ -12,89 +293,1486 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        setBusy(true, 'Planning design...');
+        try {
+            const planResponse = await apiFetch('/api/plan-design', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ requirements, brandKitId: brandKitSelect.value || undefined })
+            });
+
+            if (!planResponse.ok) throw new Error(await readError(planResponse, 'Failed to plan design'));
+
+            const planData = await planResponse.json();
+            showSpec(planData.spec);
+        } catch (error) {
+            console.error('Error:', error);
+            alert(`An error occurred while planning the flyer. Please try again.\n\n${error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    });
+
+    // Step 2: Render the (possibly edited) spec into a flyer.
+    // The server runs the whole pipeline as a job; we only follow its progress stream.
+    renderBtn.addEventListener('click', async () => {
+        if (!currentSpec) return;
+
         // Reset state
         posterContainer.innerHTML = '';
-        generateBtn.disabled = true;
-        loadingIndicator.classList.remove('hidden');
-        loadingText.textContent = 'Generating layout with Gemini...';
+        setFlyerReady(false);
+        resetRefinements();
+        showSpecError('');
+        showLayoutReport(null);
+        showBrandReport(null);
+        setBusy(true, 'Starting...');
 
         try {
-            // Step 1: Generate Layout
-            const layoutResponse = await fetch('/api/generate-layout', {
+            const response = await apiFetch('/api/flyers', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ requirements })
-            });
-
-            if (!layoutResponse.ok) throw new Error('Failed to generate layout');
-            
-            const layoutData = await layoutResponse.json();
-            posterContainer.innerHTML = layoutData.html;
-
-            // Step 2: Process Images
-            const images = posterContainer.querySelectorAll('img[x-prompt]');
-            if (images.length > 0) {
-                loadingText.textContent = `Generating ${images.length} images...`;
-                
-                for (let i = 0; i < images.length; i++) {
-                    const img = images[i];
-                    const prompt = img.getAttribute('x-prompt');
-                    const isTransparent = img.getAttribute('transparent') === 'true';
-                    const width = img.width || img.clientWidth || 300; // Default or computed width
-                    const height = img.height || img.clientHeight || 300;
-
-                    console.log({
-                        'width' : width,
-                        'height' : height,
-                        'prompt' : prompt,
-                        'isTransparent' : isTransparent
-                    });
-                    loadingText.textContent = `Generating image ${i + 1} of ${images.length}...`;
-
-                    try {
-                        // Generate Image
-                        const imageResponse = await fetch('/api/generate-image', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ prompt, width, height, isTransparent })
-                        });
-
-                        if (!imageResponse.ok) throw new Error('Failed to generate image');
-                        const imageData = await imageResponse.json();
-                        let imageUrl = imageData.url;
-
-                        // Remove Background if requested
-                        /*if (isTransparent) {
-                            loadingText.textContent = `Removing background for image ${i + 1}...`;
-                            const bgResponse = await fetch('/api/remove-bg', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ imageUrl })
-                            });
-                            
-                            if (bgResponse.ok) {
-                                const bgData = await bgResponse.json();
-                                imageUrl = bgData.url;
-                            }
-                        }*/
-
-                        // Update Image
-                        img.src = imageUrl;
-                        img.setAttribute('data-x-image-generated', '1');
-                        
-                    } catch (imgError) {
-                        console.error('Error processing image:', imgError);
-                        img.alt = 'Image generation failed';
-                    }
+                // New versions go to the selected project; without one the server creates a project
+                body: JSON.stringify({
+                    spec: currentSpec,
+                    brief: userInput.value.trim(),
+                    size: selectedSize(),
+                    brandKitId: brandKitSelect.value || undefined,
+                    imageStyle: selectedImageStyle(),
+                    projectId: currentProject ? currentProject.id : undefined
+                })
+            });
+
+            if (!response.ok) {
+                const message = await readError(response, 'Failed to start flyer generation');
+                setBusy(false);
+                if (response.status === 400) {
+                    showSpecError(message);
+                    return;
                 }
+                throw new Error(message);
             }
 
+            const job = await response.json();
+            watchJob(job.id);
         } catch (error) {
             console.error('Error:', error);
+            setBusy(false);
             alert('An error occurred while generating the flyer. Please try again.');
+        }
+    });
+
+    cancelBtn.addEventListener('click', async () => {
+        if (!currentJobId) return;
+        cancelBtn.disabled = true;
+        loadingText.textContent = 'Cancelling...';
+        try {
+            await apiFetch(`/api/flyers/${currentJobId}/cancel`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error cancelling:', error);
+        }
+    });
+
+    const STAGE_TEXT = {
+        planning: 'Planning design...',
+        layout: 'Generating layout...',
+        images: 'Generating images...'
+    };
+
+    function showImageProgress() {
+        const done = jobImages.filter(image => image.status === 'done' || image.status === 'failed').length;
+        loadingText.textContent = `Generating images (${done} of ${jobImages.length} done)...`;
+    }
+
+    // Put a finished image into the flyer; images map to img[x-prompt] in document order
+    function applyImage(image) {
+        const img = posterContainer.querySelectorAll('img[x-prompt]')[image.index];
+        if (!img) return;
+        if (image.status === 'done' && image.url) {
+            img.src = image.url;
+            img.setAttribute('data-x-image-generated', '1');
+        } else if (image.status === 'failed') {
+            img.alt = 'Image generation failed';
+        }
+    }
+
+    function showLayout(html, validation, images) {
+        posterContainer.innerHTML = html;
+        showLayoutReport(validation);
+        jobImages = images || [];
+        jobImages.forEach(applyImage);
+    }
+
+    function stopWatching() {
+        if (eventSource) eventSource.close();
+        eventSource = null;
+        cancelBtn.classList.add('hidden');
+    }
+
+    function finishJob(state, live) {
+        stopWatching();
+        setBusy(false);
+        if (state.status !== 'failed' && posterContainer.innerHTML.trim()) {
+            setFlyerReady(true);
+            refreshDesignQa();
+        }
+        // The finished flyer was saved as a new project version
+        if (state.projectId) {
+            loadProject(state.projectId, state.version, false).catch(error => console.error('Error loading project:', error));
+        }
+        // Only report failures as they happen, not when a finished job is restored
+        if (live && state.status === 'failed') {
+            const error = state.error || {};
+            const details = Array.isArray(error.details) ? `\n- ${error.details.join('\n- ')}` : '';
+            alert(`Flyer generation failed.\n\n${error.message || 'Unknown error'}${details}`);
+        }
+    }
+
+    // Follow a flyer job over Server-Sent Events. The id is remembered so a reload reconnects.
+    function watchJob(id) {
+        stopWatching();
+        currentJobId = id;
+        localStorage.setItem(JOB_STORAGE_KEY, id);
+        cancelBtn.disabled = false;
+        cancelBtn.classList.remove('hidden');
+        setBusy(true, 'Connecting...');
+
+        const source = new ApiEventSource(`/api/flyers/${id}/events`);
+        eventSource = source;
+
+        // Sent on every (re)connect with the job's full current state
+        source.addEventListener('snapshot', event => {
+            const state = JSON.parse(event.data);
+            if (state.spec) showSpec(state.spec);
+            setCanvas(state.canvas);
+            if (state.html) showLayout(state.html, state.validation, state.images);
+            showBrandReport(state.brand);
+            if (['completed', 'failed', 'cancelled'].includes(state.status)) {
+                finishJob(state, false);
+                return;
+            }
+            if (state.projectId && (!currentProject || currentProject.id !== state.projectId)) {
+                loadProject(state.projectId, null, false).catch(error => console.error('Error loading project:', error));
+            }
+            if (state.stage === 'images') {
+                showImageProgress();
+            } else {
+                loadingText.textContent = STAGE_TEXT[state.stage] || 'Starting...';
+            }
+        });
+        source.addEventListener('status', event => {
+            const { stage } = JSON.parse(event.data);
+            loadingText.textContent = STAGE_TEXT[stage] || 'Working...';
+        });
+        source.addEventListener('spec', event => showSpec(JSON.parse(event.data).spec));
+        source.addEventListener('layout', event => {
+            const { html, validation, images, brand } = JSON.parse(event.data);
+            showLayout(html, validation, images);
+            showBrandReport(brand);
+        });
+        source.addEventListener('image', event => {
+            const image = JSON.parse(event.data);
+            jobImages[image.index] = image;
+            applyImage(image);
+            showImageProgress();
+        });
+        source.addEventListener('done', event => {
+            const { status, error, projectId, version } = JSON.parse(event.data);
+            finishJob({ status, error, projectId, version }, true);
+        });
+        // EventSource reconnects by itself; it only gives up when the job is gone (e.g. server restart)
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) return;
+            stopWatching();
+            setBusy(false);
+            localStorage.removeItem(JOB_STORAGE_KEY);
+            currentJobId = null;
+            // The job is gone but its result may have been saved
+            const projectId = localStorage.getItem(PROJECT_STORAGE_KEY);
+            if (projectId) loadProject(projectId).catch(error => console.error('Error loading project:', error));
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Projects and versions
+    // ---------------------------------------------------------------------
+
+    function formatTime(iso) {
+        return new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    async function refreshProjectList() {
+        const response = await apiFetch('/api/projects');
+        if (!response.ok) throw new Error(await readError(response, 'Failed to list projects'));
+        const { projects } = await response.json();
+        projectSelect.innerHTML = '<option value="">+ New project</option>';
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = `${project.name} (${project.versions} version${project.versions === 1 ? '' : 's'})`;
+            projectSelect.appendChild(option);
+        });
+        projectSelect.value = currentProject ? currentProject.id : '';
+    }
+
+    function updateProjectButtons() {
+        const busy = generateBtn.disabled;
+        [projectRename, projectFork, projectDelete].forEach(button => {
+            button.disabled = busy || !currentProject;
+        });
+    }
+
+    function selectedCompareVersions() {
+        return [...versionList.querySelectorAll('input[type="checkbox"]:checked')].map(box => Number(box.value));
+    }
+
+    function renderVersionList() {
+        versionList.innerHTML = '';
+        compareBtn.classList.toggle('hidden', !currentProject || currentProject.versions.length < 2);
+        compareBtn.disabled = true;
+        if (!currentProject) return;
+
+        const latest = currentProject.versions[currentProject.versions.length - 1];
+        [...currentProject.versions].reverse().forEach(version => {
+            const item = document.createElement('li');
+            item.classList.toggle('current', version.version === currentVersion);
+            item.innerHTML = `<input type="checkbox" title="Select to compare"><span class="version-label"></span><span class="version-meta"></span><button data-action="open">Open</button>`;
+            const box = item.querySelector('input');
+            box.value = version.version;
+            box.addEventListener('change', () => {
+                compareBtn.disabled = selectedCompareVersions().length !== 2;
+            });
+            const origin = version.restoredFrom ? `restored from v${version.restoredFrom}` : version.source;
+            item.querySelector('.version-label').textContent = `v${version.version} · ${origin}${version.note ? ` · ${version.note}` : ''}`;
+            item.querySelector('.version-meta').textContent = `${formatTime(version.createdAt)}${version.canvas ? ` · ${version.canvas.name}` : ''}`;
+            item.querySelector('[data-action="open"]').addEventListener('click', () => openVersion(version.version));
+            if (version !== latest) {
+                const restore = document.createElement('button');
+                restore.textContent = 'Restore';
+                restore.addEventListener('click', () => restoreVersion(version.version));
+                item.appendChild(restore);
+            }
+            versionList.appendChild(item);
+        });
+    }
+
+    // Show a saved version in the editor and preview
+    function openVersion(number) {
+        const version = currentProject.versions.find(v => v.version === number);
+        if (!version) return;
+        currentVersion = number;
+        if (version.brief) userInput.value = version.brief;
+        if (version.spec) showSpec(version.spec);
+        posterContainer.innerHTML = version.html || '';
+        setCanvas(version.canvas);
+        showLayoutReport(version.validation);
+        setFlyerReady(Boolean(version.html));
+        refreshBrandReport();
+        refreshDesignQa();
+        resetRefinements();
+        renderVersionList();
+    }
+
+    // Load a project; `show` opens `version` (default: the latest) in the editor
+    async function loadProject(id, version, show = true) {
+        if (!id) {
+            currentProject = null;
+            currentVersion = null;
+            localStorage.removeItem(PROJECT_STORAGE_KEY);
+            renderVersionList();
+            updateProjectButtons();
+            return;
+        }
+        const response = await apiFetch(`/api/projects/${id}`);
+        if (!response.ok) {
+            if (response.status === 404) localStorage.removeItem(PROJECT_STORAGE_KEY);
+            throw new Error(await readError(response, 'Failed to load project'));
+        }
+        currentProject = await response.json();
+        localStorage.setItem(PROJECT_STORAGE_KEY, id);
+        const latest = currentProject.versions[currentProject.versions.length - 1];
+        currentVersion = version || (latest ? latest.version : null);
+        await refreshProjectList();
+        updateProjectButtons();
+        if (show && currentVersion) {
+            openVersion(currentVersion);
+        } else {
+            renderVersionList();
+        }
+    }
+
+    async function restoreVersion(number) {
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}/versions/${number}/restore`, { method: 'POST' });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to restore version'));
+            const restored = await response.json();
+            await loadProject(currentProject.id, restored.version);
+        } catch (error) {
+            console.error('Error restoring version:', error);
+            alert(error.message);
+        }
+    }
+
+    projectSelect.addEventListener('change', async () => {
+        try {
+            await loadProject(projectSelect.value || null);
+            if (!projectSelect.value) {
+                posterContainer.innerHTML = '';
+                setFlyerReady(false);
+                resetRefinements();
+                showLayoutReport(null);
+            }
+        } catch (error) {
+            console.error('Error loading project:', error);
+            alert(error.message);
+        }
+    });
+
+    projectRename.addEventListener('click', async () => {
+        const name = prompt('Project name', currentProject.name);
+        if (!name || !name.trim()) return;
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to rename project'));
+            currentProject.name = (await response.json()).name;
+            await refreshProjectList();
+        } catch (error) {
+            console.error('Error renaming project:', error);
+            alert(error.message);
+        }
+    });
+
+    // Fork the version on screen into a new project
+    projectFork.addEventListener('click', async () => {
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}/fork`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ version: currentVersion || undefined })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to fork project'));
+            const fork = await response.json();
+            await loadProject(fork.id);
+        } catch (error) {
+            console.error('Error forking project:', error);
+            alert(error.message);
+        }
+    });
+
+    projectDelete.addEventListener('click', async () => {
+        if (!confirm(`Delete "${currentProject.name}" and all its versions?`)) return;
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to delete project'));
+            await loadProject(null);
+            await refreshProjectList();
+        } catch (error) {
+            console.error('Error deleting project:', error);
+            alert(error.message);
+        }
+    });
+
+    // Scale a flyer down to the width of its compare pane
+    function fitIntoFrame(frame, html) {
+        frame.innerHTML = html || '';
+        frame.style.height = '';
+        const flyer = frame.firstElementChild;
+        if (!flyer) return;
+        const scale = Math.min(1, frame.clientWidth / flyer.offsetWidth);
+        flyer.style.transform = `scale(${scale})`;
+        frame.style.height = `${flyer.offsetHeight * scale}px`;
+    }
+
+    compareBtn.addEventListener('click', () => {
+        const [newer, older] = selectedCompareVersions();
+        const find = number => currentProject.versions.find(v => v.version === number);
+        [['left', find(older)], ['right', find(newer)]].forEach(([side, version]) => {
+            document.getElementById(`compare-${side}-title`).textContent = `v${version.version} · ${formatTime(version.createdAt)}`;
+            compareSection.classList.remove('hidden');
+            fitIntoFrame(document.getElementById(`compare-${side}`), version.html);
+        });
+        compareSection.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    compareClose.addEventListener('click', () => {
+        compareSection.classList.add('hidden');
+        document.getElementById('compare-left').innerHTML = '';
+        document.getElementById('compare-right').innerHTML = '';
+    });
+
+    // ---------------------------------------------------------------------
+    // Brand kits and compliance
+    // ---------------------------------------------------------------------
+
+    const MAX_BRAND_ISSUES = 8;
+
+    async function loadBrandKits(selectId = brandKitSelect.value || localStorage.getItem(BRAND_STORAGE_KEY)) {
+        const response = await apiFetch('/api/brand-kits');
+        if (!response.ok) throw new Error(await readError(response, 'Failed to load brand kits'));
+        brandKitList = (await response.json()).brandKits;
+        brandKitSelect.innerHTML = '<option value="">No brand kit</option>';
+        brandKitList.forEach(kit => brandKitSelect.appendChild(new Option(kit.name, kit.id)));
+        brandKitSelect.value = brandKitList.some(kit => kit.id === selectId) ? selectId : '';
+        brandEdit.disabled = !brandKitSelect.value;
+    }
+
+    function selectedBrandKit() {
+        return brandKitList.find(kit => kit.id === brandKitSelect.value) || null;
+    }
+
+    brandKitSelect.addEventListener('change', () => {
+        localStorage.setItem(BRAND_STORAGE_KEY, brandKitSelect.value);
+        brandEdit.disabled = !brandKitSelect.value;
+        if (!brandSection.classList.contains('hidden')) openBrandForm(selectedBrandKit());
+    });
+
+    function showBrandError(message) {
+        brandError.textContent = message || '';
+        brandError.classList.toggle('hidden', !message);
+    }
+
+    // Fill the kit form from a kit, or empty it for a new one (kit null)
+    function openBrandForm(kit) {
+        editingKit = kit;
+        brandTitle.textContent = kit ? `Brand kit: ${kit.name}` : 'New brand kit';
+        brandName.value = kit ? kit.name : '';
+        brandColors.value = kit ? kit.colors.map(color => `${color.hex}${color.name ? ` ${color.name}` : ''}`).join('\n') : '';
+        brandFonts.value = kit ? kit.fonts.map(font => `${font.family}: ${font.weights.join(', ')}`).join('\n') : '';
+        brandTone.value = kit ? kit.tone : '';
+        brandNeutrals.checked = kit ? kit.allowNeutrals !== false : true;
+        editingLogos = kit ? kit.logos.map(logo => ({ ...logo })) : [];
+        renderBrandLogos();
+        brandDelete.classList.toggle('hidden', !kit);
+        showBrandError('');
+        brandSection.classList.remove('hidden');
+    }
+
+    function renderBrandLogos() {
+        brandLogos.innerHTML = '';
+        editingLogos.forEach((logo, i) => {
+            const item = document.createElement('li');
+            item.innerHTML = '<img alt=""><span></span><button title="Remove logo">×</button>';
+            item.querySelector('img').src = logo.url || logo.image;
+            item.querySelector('span').textContent = logo.name;
+            item.querySelector('button').addEventListener('click', () => {
+                editingLogos.splice(i, 1);
+                renderBrandLogos();
+            });
+            brandLogos.appendChild(item);
+        });
+    }
+
+    // New logos are sent as data URLs; the server stores them as assets
+    brandLogoFiles.addEventListener('change', () => {
+        [...brandLogoFiles.files].forEach(file => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                editingLogos.push({ name: file.name.replace(/\.[^.]+$/, ''), image: reader.result });
+                renderBrandLogos();
+            };
+            reader.readAsDataURL(file);
+        });
+        brandLogoFiles.value = '';
+    });
+
+    // "#1A73E8 Primary blue" lines and "Montserrat: 400, 700" lines -> kit fields.
+    // Font roles set through the API are kept for families that are still listed.
+    function readBrandForm() {
+        const lines = textarea => textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+        const roles = new Map((editingKit ? editingKit.fonts : []).map(font => [font.family.toLowerCase(), font.role]));
+        return {
+            name: brandName.value.trim(),
+            colors: lines(brandColors).map(line => {
+                const [hex, ...name] = line.split(/\s+/);
+                return { hex, name: name.join(' ') || undefined };
+            }),
+            fonts: lines(brandFonts).map(line => {
+                const [family, weights] = line.split(':');
+                const font = { family: family.trim(), role: roles.get(family.trim().toLowerCase()) || undefined };
+                if (weights && weights.trim()) font.weights = weights.split(/[\s,]+/).filter(Boolean).map(Number);
+                return font;
+            }),
+            tone: brandTone.value.trim(),
+            allowNeutrals: brandNeutrals.checked,
+            logos: editingLogos
+        };
+    }
+
+    brandSave.addEventListener('click', async () => {
+        showBrandError('');
+        brandSave.disabled = true;
+        try {
+            const response = await apiFetch(editingKit ? `/api/brand-kits/${editingKit.id}` : '/api/brand-kits', {
+                method: editingKit ? 'PATCH' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(readBrandForm())
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to save brand kit'));
+            const kit = await response.json();
+            localStorage.setItem(BRAND_STORAGE_KEY, kit.id);
+            await loadBrandKits(kit.id);
+            openBrandForm(kit);
+        } catch (error) {
+            console.error('Error saving brand kit:', error);
+            showBrandError(error.message);
+        } finally {
+            brandSave.disabled = false;
+        }
+    });
+
+    brandDelete.addEventListener('click', async () => {
+        if (!editingKit || !confirm(`Delete the brand kit "${editingKit.name}"? Flyers made with it keep their colors and fonts.`)) return;
+        try {
+            const response = await apiFetch(`/api/brand-kits/${editingKit.id}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to delete brand kit'));
+            brandSection.classList.add('hidden');
+            await loadBrandKits('');
+        } catch (error) {
+            console.error('Error deleting brand kit:', error);
+            showBrandError(error.message);
+        }
+    });
+
+    brandEdit.addEventListener('click', () => openBrandForm(selectedBrandKit()));
+    brandNew.addEventListener('click', () => openBrandForm(null));
+    brandClose.addEventListener('click', () => brandSection.classList.add('hidden'));
+
+    function describeBrandIssue(issue) {
+        if (issue.type === 'color') return `${issue.element} ${issue.property}: ${issue.value} (nearest brand color ${issue.nearest})`;
+        if (issue.type === 'font') return `${issue.element}: ${issue.value} is not a brand font`;
+        return `${issue.element}: ${issue.value} weight ${issue.weights.join(', ')} (brand weights ${issue.allowed.join(', ')})`;
+    }
+
+    // Summarize a compliance report (see /api/brand-kits/:id/check); null hides it
+    function showBrandReport(report) {
+        brandReport.classList.toggle('hidden', !report);
+        brandIssues.innerHTML = '';
+        if (!report) return;
+        const problems = [];
+        if (report.offBrandColors) problems.push(`${report.offBrandColors} off-brand color(s)`);
+        if (report.offBrandFonts) problems.push(`${report.offBrandFonts} font issue(s)`);
+        const snapped = report.snapped ? ` — ${report.snapped} color(s) snapped to the palette` : '';
+        brandReportText.textContent = report.compliant
+            ? `On brand for ${report.kit.name}${snapped}`
+            : `Brand check for ${report.kit.name}: ${problems.join(', ')}${snapped}`;
+        brandReport.classList.toggle('warning', !report.compliant);
+        report.issues.slice(0, MAX_BRAND_ISSUES).forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = describeBrandIssue(issue);
+            brandIssues.appendChild(item);
+        });
+        if (report.issues.length > MAX_BRAND_ISSUES) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${report.issues.length - MAX_BRAND_ISSUES} more`;
+            brandIssues.appendChild(more);
+        }
+        brandSnap.classList.toggle('hidden', !report.offBrandColors);
+    }
+
+    function flyerBrandKitId() {
+        return currentSpec && currentSpec.brand ? currentSpec.brand.id : null;
+    }
+
+    // Check the flyer on screen against the brand kit its spec was made with
+    async function refreshBrandReport() {
+        const kitId = flyerBrandKitId();
+        if (!kitId || !flyerReady) {
+            showBrandReport(null);
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/brand-kits/${kitId}/check`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ html: currentFlyerHtml() })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to check brand compliance'));
+            showBrandReport((await response.json()).report);
+        } catch (error) {
+            console.error('Error checking brand compliance:', error);
+            showBrandReport(null);
+        }
+    }
+
+    // Snapping is a refinement, so it is saved as a version and can be undone
+    brandSnap.addEventListener('click', async () => {
+        const kitId = flyerBrandKitId();
+        if (!kitId) return;
+        const data = await runRefinement(`/api/brand-kits/${kitId}/check`, { snap: true }, 'Snap colors to brand', 'Snapping colors...');
+        if (data) showBrandReport(data.report);
+    });
+
+    loadBrandKits().catch(error => console.error('Error loading brand kits:', error));
+
+    // ---------------------------------------------------------------------
+    // Design QA: overflowing text, stickers over text and low contrast
+    // ---------------------------------------------------------------------
+
+    const QA_IMAGE_TIMEOUT_MS = 10000;
+    const QA_TYPES = { overflow: 'Overflow', overlap: 'Sticker over text', contrast: 'Contrast' };
+
+    // Issues name elements by document order with the flyer root as 0
+    function qaElements() {
+        const root = posterContainer.firstElementChild;
+        return root ? [root, ...root.querySelectorAll('*')] : [];
+    }
+
+    function clearQaHighlights() {
+        posterContainer.querySelectorAll('[data-qa-issue]').forEach(el => el.removeAttribute('data-qa-issue'));
+        posterContainer.querySelectorAll('[data-qa-focus]').forEach(el => el.removeAttribute('data-qa-focus'));
+    }
+
+    // The elements an issue is about; skipped when the flyer on screen no longer matches the report
+    function qaIssueElements(issue) {
+        const elements = qaElements();
+        const found = [];
+        const text = elements[issue.element];
+        if (text && text.tagName.toLowerCase() === issue.tag) found.push(text);
+        const sticker = issue.sticker !== undefined ? elements[issue.sticker] : null;
+        if (sticker && sticker.tagName === 'IMG') found.push(sticker);
+        return found;
+    }
+
+    function highlightQaIssues() {
+        clearQaHighlights();
+        if (!qaReport || !qaHighlight.checked || editor.active) return;
+        // Errors win over warnings on elements with both
+        [...qaReport.issues].sort((a, b) => (a.severity === 'error') - (b.severity === 'error')).forEach(issue => {
+            qaIssueElements(issue).forEach(el => el.setAttribute('data-qa-issue', issue.severity));
+        });
+    }
+
+    function focusQaIssue(issue, focused) {
+        qaIssueElements(issue).forEach(el => el.toggleAttribute('data-qa-focus', focused && qaHighlight.checked));
+    }
+
+    // Show a QA report; null hides the panel
+    function showDesignQa(report) {
+        qaReport = report;
+        qaSection.classList.toggle('hidden', !report);
+        qaIssues.innerHTML = '';
+        highlightQaIssues();
+        if (!report) return;
+        const { error, warning } = report.bySeverity;
+        qaSummary.textContent = report.issues.length
+            ? `Score ${report.score}/100 — ${error} error(s), ${warning} warning(s)`
+            : `Score ${report.score}/100 — no overflowing text, covered text or low contrast found`;
+        qaSummary.classList.toggle('warning', !report.passed);
+        report.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.classList.toggle('error', issue.severity === 'error');
+            const text = document.createElement('span');
+            text.textContent = `${QA_TYPES[issue.type]}: ${issue.message}`;
+            item.appendChild(text);
+            if (issue.fix) {
+                const fix = document.createElement('button');
+                fix.textContent = 'Fix';
+                fix.title = issue.fix.description;
+                fix.disabled = generateBtn.disabled;
+                fix.addEventListener('click', () => runRefinement('/api/qa', { fix: [issue.id] }, `Fix: ${issue.fix.description}`, 'Fixing...'));
+                item.appendChild(fix);
+            }
+            item.addEventListener('mouseenter', () => focusQaIssue(issue, true));
+            item.addEventListener('mouseleave', () => focusQaIssue(issue, false));
+            qaIssues.appendChild(item);
+        });
+        qaFixAll.classList.toggle('hidden', !report.issues.some(issue => issue.fix));
+    }
+
+    // Resolves once every image in the flyer has loaded (or failed), or after a timeout
+    function flyerImagesLoaded() {
+        const pending = [...posterContainer.querySelectorAll('img')].filter(img => img.src && !img.complete);
+        const loaded = Promise.all(pending.map(img => new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        })));
+        return Promise.race([loaded, new Promise(resolve => setTimeout(resolve, QA_IMAGE_TIMEOUT_MS))]);
+    }
+
+    // Check the flyer on screen once its images are in; only the latest check is shown
+    async function refreshDesignQa() {
+        const request = ++qaRequest;
+        if (!flyerReady || editor.active) {
+            showDesignQa(null);
+            return;
+        }
+        await flyerImagesLoaded();
+        if (request !== qaRequest) return;
+        try {
+            const response = await apiFetch('/api/qa', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ html: currentFlyerHtml() })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to check the design'));
+            const { report } = await response.json();
+            if (request === qaRequest && flyerReady && !editor.active) showDesignQa(report);
+        } catch (error) {
+            console.error('Error checking the design:', error);
+            if (request === qaRequest) showDesignQa(null);
+        }
+    }
+
+    qaRun.addEventListener('click', refreshDesignQa);
+    qaHighlight.addEventListener('change', highlightQaIssues);
+    // Fixes are a refinement, so they are saved as a version and can be undone
+    qaFixAll.addEventListener('click', () => runRefinement('/api/qa', { fix: true }, 'Fix all design issues', 'Fixing design issues...'));
+
+    // ---------------------------------------------------------------------
+    // Canvas sizes and resizing into other formats
+    // ---------------------------------------------------------------------
+
+    const SIZE_CATEGORIES = { social: 'Social media', print: 'Print', web: 'Web banners' };
+    const DEFAULT_SIZE = 'a4';
+
+    function describeCanvas(canvas) {
+        const print = canvas.print;
+        return print
+            ? `${print.trimWidth} × ${print.trimHeight} ${print.unit} + ${print.bleed} ${print.unit} bleed`
+            : `${canvas.width} × ${canvas.height}px`;
+    }
+
+    async function loadSizePresets() {
+        const response = await apiFetch('/api/sizes');
+        if (!response.ok) throw new Error(await readError(response, 'Failed to load size presets'));
+        sizePresets = (await response.json()).presets;
+
+        sizePreset.innerHTML = '<option value="">Any size (the model decides)</option>';
+        Object.entries(SIZE_CATEGORIES).forEach(([category, label]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            sizePresets.filter(preset => preset.category === category).forEach(preset => {
+                group.appendChild(new Option(`${preset.name} (${describeCanvas(preset)})`, preset.preset));
+            });
+            sizePreset.appendChild(group);
+        });
+        sizePreset.appendChild(new Option('Custom size…', 'custom'));
+        sizePreset.value = DEFAULT_SIZE;
+        renderResizeOptions();
+    }
+
+    // The size to send with a render request (see /api/sizes)
+    function selectedSize() {
+        if (sizePreset.value !== 'custom') return sizePreset.value || undefined;
+        return {
+            preset: 'custom',
+            width: Number(customWidth.value),
+            height: Number(customHeight.value),
+            unit: customUnit.value
+        };
+    }
+
+    async function loadImageStyles() {
+        const response = await apiFetch('/api/image-styles');
+        if (!response.ok) throw new Error(await readError(response, 'Failed to load image styles'));
+        (await response.json()).styles.forEach(style => imageStyle.appendChild(new Option(style.name, style.style)));
+    }
+
+    // The image style profile to send with a render request (see /api/image-styles)
+    function selectedImageStyle() {
+        const profile = {
+            style: imageStyle.value || undefined,
+            prompt: imageStylePrompt.value.trim() || undefined,
+            negativePrompt: imageStyleNegative.value.trim() || undefined
+        };
+        return profile.style || profile.prompt || profile.negativePrompt ? profile : undefined;
+    }
+
+    sizePreset.addEventListener('change', () => {
+        customSize.classList.toggle('hidden', sizePreset.value !== 'custom');
+    });
+
+    // Scale the flyer down to the width of the preview. The scale is a CSS variable on the
+    // container, so it never ends up in the flyer HTML.
+    function fitPreview() {
+        const flyer = [...posterContainer.children].find(el => !el.hasAttribute('data-editor-ui'));
+        posterContainer.style.removeProperty('--preview-scale');
+        posterContainer.style.height = '';
+        if (flyer && flyer.offsetWidth) {
+            const scale = Math.min(1, posterContainer.clientWidth / flyer.offsetWidth);
+            posterContainer.style.setProperty('--preview-scale', scale);
+            posterContainer.style.height = `${Math.ceil(flyer.offsetHeight * scale)}px`;
+        }
+        drawCanvasGuides(flyer);
+        editor.refresh();
+    }
+
+    // Dashed trim line (for print sizes with bleed) and safe zone over the preview
+    function drawCanvasGuides(flyer) {
+        const show = Boolean(flyer && currentCanvas && flyer.offsetWidth);
+        canvasGuides.classList.toggle('hidden', !show);
+        if (!show) return;
+        const box = flyer.getBoundingClientRect();
+        const outer = previewSection.getBoundingClientRect();
+        const ratio = box.width / flyer.offsetWidth;
+        const { bleed, safe } = currentCanvas;
+        Object.assign(canvasGuides.style, {
+            left: `${box.left - outer.left + previewSection.scrollLeft}px`,
+            top: `${box.top - outer.top + previewSection.scrollTop}px`,
+            width: `${box.width}px`,
+            height: `${box.height}px`
+        });
+        guideTrim.classList.toggle('hidden', !bleed);
+        guideTrim.style.inset = `${bleed * ratio}px`;
+        guideSafe.style.inset = `${safe.top * ratio}px ${safe.right * ratio}px ${safe.bottom * ratio}px ${safe.left * ratio}px`;
+    }
+
+    // Remember the canvas of the flyer on screen; exports default to its (print) size
+    function setCanvas(canvas) {
+        currentCanvas = canvas || null;
+        const size = currentCanvas && (currentCanvas.print || { width: currentCanvas.width, height: currentCanvas.height, unit: 'px' });
+        exportWidth.value = size ? size.width : '';
+        exportHeight.value = size ? size.height : '';
+        exportUnit.value = size ? size.unit : 'px';
+        renderResizeOptions();
+        fitPreview();
+    }
+
+    // Every preset except the current one can be a resize target
+    function renderResizeOptions() {
+        resizeOptions.innerHTML = '';
+        sizePresets.filter(preset => !currentCanvas || preset.preset !== currentCanvas.preset).forEach(preset => {
+            const label = document.createElement('label');
+            label.innerHTML = '<input type="checkbox"><span></span><small></small>';
+            label.querySelector('input').value = preset.preset;
+            label.querySelector('span').textContent = preset.name;
+            label.querySelector('small').textContent = describeCanvas(preset);
+            resizeOptions.appendChild(label);
+        });
+        resizeBtn.disabled = true;
+    }
+
+    resizeOptions.addEventListener('change', () => {
+        resizeBtn.disabled = generateBtn.disabled || !resizeOptions.querySelector('input:checked');
+    });
+
+    new MutationObserver(fitPreview).observe(posterContainer, { childList: true });
+    window.addEventListener('resize', fitPreview);
+
+    resizeBtn.addEventListener('click', async () => {
+        const sizes = [...resizeOptions.querySelectorAll('input:checked')].map(box => box.value);
+        if (!sizes.length || !currentProject) return;
+        setBusy(true, 'Starting...');
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}/resize`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sizes, version: currentVersion || undefined })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to start resizing'));
+            const job = await response.json();
+            watchResizeJob(job.id);
+        } catch (error) {
+            console.error('Error resizing:', error);
+            setBusy(false);
+            alert(`Resizing failed.\n\n${error.message}`);
+        }
+    });
+
+    function showResizeProgress(targets) {
+        const finished = targets.filter(target => ['done', 'failed', 'cancelled'].includes(target.status)).length;
+        const current = targets.find(target => target.status === 'layout' || target.status === 'images');
+        loadingText.textContent = current
+            ? `Resizing to ${current.canvas.name} (${finished + 1} of ${targets.length}, ${current.status === 'layout' ? 'layout' : 'images'})...`
+            : 'Resizing...';
+    }
+
+    function finishResize(state, live) {
+        stopWatching();
+        currentJobId = null;
+        setBusy(false);
+        const failed = (state.targets || []).filter(target => target.status === 'failed');
+        if (live && state.status === 'failed') {
+            alert(`Resizing failed.\n\n${(state.error && state.error.message) || 'Unknown error'}`);
+        } else if (live && failed.length) {
+            alert(`These sizes could not be created:\n- ${failed.map(target => `${target.canvas.name}: ${target.error}`).join('\n- ')}`);
+        }
+        // Open the last new size; the others are in the version list
+        if (state.projectId) loadProject(state.projectId).catch(error => console.error('Error loading project:', error));
+    }
+
+    // Follow a resize job over Server-Sent Events (same stream as flyer jobs, with `target` events)
+    function watchResizeJob(id) {
+        stopWatching();
+        currentJobId = id;
+        cancelBtn.disabled = false;
+        cancelBtn.classList.remove('hidden');
+        let state = { targets: [] };
+
+        const source = new ApiEventSource(`/api/flyers/${id}/events`);
+        eventSource = source;
+        source.addEventListener('snapshot', event => {
+            state = JSON.parse(event.data);
+            if (['completed', 'failed', 'cancelled'].includes(state.status)) {
+                finishResize(state, false);
+                return;
+            }
+            showResizeProgress(state.targets);
+        });
+        source.addEventListener('target', event => {
+            const target = JSON.parse(event.data);
+            state.targets[target.index] = target;
+            showResizeProgress(state.targets);
+        });
+        source.addEventListener('done', event => {
+            finishResize({ ...state, ...JSON.parse(event.data) }, true);
+        });
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) return;
+            finishResize(state, false);
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Mail merge: one flyer per dataset row (see /api/mail-merge)
+    // ---------------------------------------------------------------------
+
+    const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+    // Columns of the dataset in the text box: the CSV header or the keys of the JSON rows
+    function mergeColumns() {
+        const text = mergeData.value.trim();
+        if (!text) return null;
+        if (text.startsWith('[')) {
+            try {
+                return [...new Set(JSON.parse(text).flatMap(row => Object.keys(row || {})))];
+            } catch (e) {
+                return null;
+            }
+        }
+        const header = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ',');
+        return header.split(delimiter).map(name => name.trim().replace(/^"|"$/g, ''));
+    }
+
+    // Placeholders of the flyer on screen: {{column}} in its text and spans marked as placeholders
+    function mergePlaceholders() {
+        const marks = [];
+        const fields = new Set();
+        [...posterContainer.querySelectorAll('span')].forEach((span, index) => {
+            if (span.dataset.mergeField) {
+                marks.push({ span: index, field: span.dataset.mergeField });
+                fields.add(span.dataset.mergeField);
+            } else {
+                for (const match of span.textContent.matchAll(PLACEHOLDER_PATTERN)) fields.add(match[1]);
+            }
+        });
+        return { marks, fields: [...fields] };
+    }
+
+    function renderMergeFields() {
+        const { fields } = mergePlaceholders();
+        const columns = mergeColumns();
+        mergeFields.innerHTML = '';
+        if (!fields.length) {
+            const item = document.createElement('li');
+            item.textContent = 'No placeholders yet';
+            mergeFields.appendChild(item);
+        }
+        fields.forEach(field => {
+            const item = document.createElement('li');
+            item.textContent = `{{${field}}}`;
+            if (columns && !columns.includes(field)) {
+                item.classList.add('missing');
+                item.title = 'The dataset has no column with this name';
+            }
+            const marked = posterContainer.querySelectorAll(`span[data-merge-field="${CSS.escape(field)}"]`);
+            if (marked.length) {
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = 'Stop using these texts as placeholders';
+                remove.addEventListener('click', () => marked.forEach(span => span.removeAttribute('data-merge-field')));
+                item.appendChild(remove);
+            }
+            mergeFields.appendChild(item);
+        });
+    }
+
+    new MutationObserver(renderMergeFields).observe(posterContainer, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributeFilter: ['data-merge-field']
+    });
+    mergeData.addEventListener('input', renderMergeFields);
+
+    // Mark the selected text as a placeholder; its whole text is replaced by the column's values
+    selectionPlaceholder.addEventListener('click', () => {
+        if (!selected || selected.type !== 'text') return;
+        const { element } = selected;
+        if (element.children.length) {
+            alert('This text holds other elements; choose a text without them.');
+            return;
+        }
+        const suggestion = element.dataset.mergeField || (mergeColumns() || [])[0] || element.textContent.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').slice(0, 30);
+        const field = prompt('Dataset column for this text (leave empty to stop using it as a placeholder):', suggestion);
+        if (field === null) return;
+        if (field.trim()) element.dataset.mergeField = field.trim().replace(/[{}]/g, '');
+        else element.removeAttribute('data-merge-field');
+        clearSelection();
+    });
+
+    mergeFile.addEventListener('change', () => {
+        const [file] = mergeFile.files;
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            mergeData.value = reader.result;
+            renderMergeFields();
+        };
+        reader.readAsText(file);
+    });
+
+    mergeBtn.addEventListener('click', async () => {
+        const html = currentFlyerHtml();
+        if (!html || !mergeData.value.trim()) {
+            alert('Add a CSV or JSON dataset first.');
+            return;
+        }
+        mergeBtn.disabled = true;
+        try {
+            const response = await apiFetch('/api/mail-merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    html,
+                    placeholders: mergePlaceholders().marks,
+                    data: mergeData.value,
+                    format: mergeFormat.value,
+                    filename: mergeFilename.value.trim() || undefined,
+                    width: exportWidth.value ? Number(exportWidth.value) : undefined,
+                    height: exportHeight.value ? Number(exportHeight.value) : undefined,
+                    unit: exportUnit.value
+                })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to start the mail merge'));
+            watchMergeJob(await response.json());
+        } catch (error) {
+            console.error('Error starting mail merge:', error);
+            alert(`Mail merge failed.\n\n${error.message}`);
+            mergeBtn.disabled = generateBtn.disabled;
+        }
+    });
+
+    mergeCancel.addEventListener('click', async () => {
+        if (!mergeJob) return;
+        mergeCancel.disabled = true;
+        try {
+            await apiFetch(`/api/mail-merge/jobs/${mergeJob.id}/cancel`, { method: 'POST' });
+        } finally {
+            mergeCancel.disabled = false;
+        }
+    });
+
+    // The link gets a fresh download token on every click
+    mergeDownload.addEventListener('click', event => {
+        event.preventDefault();
+        if (!mergeJob) return;
+        apiDownload(`/api/mail-merge/jobs/${mergeJob.id}/download`).catch(error => alert(`Download failed: ${error.message}`));
+    });
+
+    function showMergeProgress(state) {
+        const rows = mergeJob.rows;
+        const done = rows.filter(row => row.status === 'done').length;
+        const failed = rows.filter(row => row.status === 'failed');
+        const refitted = rows.filter(row => row.refitted).length;
+        let text = `${done} of ${rows.length} flyers made`;
+        if (failed.length) text += `, ${failed.length} failed`;
+        if (refitted) text += ` · text shrunk to fit on ${refitted}`;
+        if (state && state.status === 'failed') text = `Mail merge failed: ${(state.error && state.error.message) || 'unknown error'}`;
+        else if (state) text = `Mail merge ${state.status}: ${text}`;
+        else if (mergeJob.stage === 'layout' || mergeJob.stage === 'images') text = `Preparing the design (${mergeJob.stage})...`;
+        mergeStatus.textContent = text;
+        mergeStatus.classList.remove('hidden');
+        mergeErrors.innerHTML = '';
+        failed.forEach(row => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${row.row}: ${row.error}`;
+            mergeErrors.appendChild(item);
+        });
+        mergeDownload.classList.toggle('hidden', !done || !state);
+    }
+
+    function finishMergeJob(state) {
+        if (mergeEvents) mergeEvents.close();
+        mergeEvents = null;
+        mergeCancel.classList.add('hidden');
+        mergeBtn.disabled = generateBtn.disabled;
+        showMergeProgress(state);
+    }
+
+    // Follow a mail merge job over Server-Sent Events (`row` events carry one row's status)
+    function watchMergeJob(job) {
+        if (mergeEvents) mergeEvents.close();
+        mergeJob = { id: job.id, rows: [], stage: null };
+        mergeCancel.classList.remove('hidden');
+        mergeBtn.disabled = true;
+        mergeStatus.textContent = 'Starting...';
+        mergeStatus.classList.remove('hidden');
+
+        const source = new ApiEventSource(job.eventsUrl);
+        mergeEvents = source;
+        source.addEventListener('snapshot', event => {
+            const state = JSON.parse(event.data);
+            Object.assign(mergeJob, { rows: state.rows, stage: state.stage });
+            if (['completed', 'failed', 'cancelled'].includes(state.status)) finishMergeJob(state);
+            else showMergeProgress(null);
+        });
+        source.addEventListener('status', event => {
+            mergeJob.stage = JSON.parse(event.data).stage;
+            showMergeProgress(null);
+        });
+        source.addEventListener('row', event => {
+            const row = JSON.parse(event.data);
+            mergeJob.rows[row.index] = row;
+            showMergeProgress(null);
+        });
+        source.addEventListener('done', event => finishMergeJob(JSON.parse(event.data)));
+        source.onerror = () => {
+            if (source.readyState !== EventSource.CLOSED) return;
+            finishMergeJob(null);
+            mergeStatus.textContent = 'Lost connection to the server';
+        };
+    }
+
+    loadSizePresets().catch(error => console.error('Error loading size presets:', error));
+    loadImageStyles().catch(error => console.error('Error loading image styles:', error));
+
+    // Reconnect to the last job after a page reload, or reopen the last project
+    const savedJobId = localStorage.getItem(JOB_STORAGE_KEY);
+    const savedProjectId = localStorage.getItem(PROJECT_STORAGE_KEY);
+    refreshProjectList().catch(error => console.error('Error listing projects:', error));
+    if (savedJobId) {
+        watchJob(savedJobId);
+    } else if (savedProjectId) {
+        loadProject(savedProjectId).catch(error => console.error('Error loading project:', error));
+    }
+
+    // ---------------------------------------------------------------------
+    // Refinement: instructions, single image/text edits and undo
+    // ---------------------------------------------------------------------
+
+    // The flyer HTML without selection markers or visual editor UI
+    function currentFlyerHtml() {
+        const copy = posterContainer.cloneNode(true);
+        copy.querySelectorAll('[data-refine-selected]').forEach(el => el.removeAttribute('data-refine-selected'));
+        copy.querySelectorAll('[data-qa-issue]').forEach(el => el.removeAttribute('data-qa-issue'));
+        copy.querySelectorAll('[data-qa-focus]').forEach(el => el.removeAttribute('data-qa-focus'));
+        copy.querySelectorAll('[data-merge-field]').forEach(el => el.removeAttribute('data-merge-field'));
+        return serializeFlyer(copy);
+    }
+
+    function resetRefinements() {
+        refinements = [];
+        renderRefinements();
+    }
+
+    function renderRefinements() {
+        refineHistory.innerHTML = '';
+        refinements.forEach(entry => {
+            const item = document.createElement('li');
+            item.innerHTML = '<span class="refine-request"></span><span class="refine-outcome"></span>';
+            item.querySelector('.refine-request').textContent = entry.label;
+            item.querySelector('.refine-outcome').textContent = entry.outcome;
+            refineHistory.appendChild(item);
+        });
+        refineHistory.scrollTop = refineHistory.scrollHeight;
+        refineUndo.disabled = !refinements.length;
+    }
+
+    function clearSelection() {
+        if (selected) selected.element.removeAttribute('data-refine-selected');
+        selected = null;
+        selectionPanel.classList.add('hidden');
+    }
+
+    // Click a text or image in the flyer to edit only that element
+    posterContainer.addEventListener('click', event => {
+        if (refineSection.classList.contains('hidden') || generateBtn.disabled || editor.active) return;
+        const element = event.target.closest('span, img[x-prompt]');
+        if (!element || !posterContainer.contains(element)) return;
+        clearSelection();
+        const isImage = element.tagName === 'IMG';
+        const list = [...posterContainer.querySelectorAll(isImage ? 'img[x-prompt]' : 'span')];
+        selected = { element, type: isImage ? 'image' : 'text', index: list.indexOf(element) };
+        element.setAttribute('data-refine-selected', '');
+        selectionLabel.textContent = isImage ? `Image ${selected.index + 1}: edit the prompt and regenerate` : 'Text: edit it directly or rewrite it with AI';
+        selectionInput.value = isImage ? element.getAttribute('x-prompt') : element.textContent;
+        selectionApply.textContent = isImage ? 'Regenerate' : 'Apply';
+        selectionAi.classList.toggle('hidden', isImage);
+        selectionPlaceholder.classList.toggle('hidden', isImage);
+        showImageGeneration(isImage ? element : null);
+        selectionPanel.classList.remove('hidden');
+        selectionInput.focus();
+    });
+
+    // Show how the selected image was generated and whether its seed is locked
+    function showImageGeneration(img) {
+        const seed = img && img.getAttribute('data-x-image-seed');
+        const locked = Boolean(seed) && img.getAttribute('data-x-image-seed-locked') === 'true';
+        selectionGeneration.classList.toggle('hidden', !seed);
+        selectionGeneration.textContent = seed
+            ? `Seed ${seed}${locked ? ' (locked)' : ''} · ${img.getAttribute('data-x-image-model')} · ${img.getAttribute('data-x-image-size')}`
+            : '';
+        selectionGeneration.title = seed ? img.getAttribute('data-x-image-prompt') || '' : '';
+        selectionReroll.classList.toggle('hidden', !img);
+        selectionLock.classList.toggle('hidden', !img);
+        selectionReroll.disabled = locked;
+        selectionLock.disabled = !seed;
+        selectionLock.textContent = locked ? 'Unlock seed' : 'Lock seed';
+    }
+
+    // Send one refinement to the server and record it in the history
+    async function runRefinement(url, payload, label, busyText) {
+        const before = currentFlyerHtml();
+        const versionBefore = currentVersion;
+        setBusy(true, busyText);
+        try {
+            const response = await apiFetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...payload,
+                    html: before,
+                    spec: currentSpec || undefined,
+                    projectId: currentProject ? currentProject.id : undefined
+                })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Refinement failed'));
+            const data = await response.json();
+
+            clearSelection();
+            posterContainer.innerHTML = data.html;
+            if (data.validation) showLayoutReport(data.validation);
+            const failed = (data.images || []).filter(image => image.status === 'failed').length;
+            let outcome = data.version ? `Saved as v${data.version}` : 'Done';
+            if (failed) outcome += ` · ${failed} image(s) failed`;
+            refinements.push({ label, before, versionBefore, outcome });
+            renderRefinements();
+            refreshDesignQa();
+            if (data.version) await loadProject(currentProject.id, data.version, false);
+            return data;
+        } catch (error) {
+            console.error('Error refining:', error);
+            alert(`Refinement failed.\n\n${error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    refineBtn.addEventListener('click', async () => {
+        const instruction = refineInput.value.trim();
+        if (!instruction) return;
+        await runRefinement('/api/refine-layout', { instruction }, instruction, 'Refining layout...');
+        refineInput.value = '';
+    });
+
+    refineInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') refineBtn.click();
+    });
+
+    selectionApply.addEventListener('click', () => {
+        if (!selected) return;
+        const value = selectionInput.value.trim();
+        if (selected.type === 'image') {
+            runRefinement('/api/refine-layout/image', { index: selected.index, prompt: value },
+                `Regenerate image ${selected.index + 1}: ${value}`, 'Regenerating image...');
+        } else {
+            runRefinement('/api/refine-layout/text', { index: selected.index, text: selectionInput.value },
+                `Text → "${value}"`, 'Updating text...');
+        }
+    });
+
+    selectionReroll.addEventListener('click', () => {
+        if (!selected || selected.type !== 'image') return;
+        runRefinement('/api/refine-layout/image', { index: selected.index, reroll: true },
+            `Reroll image ${selected.index + 1}`, 'Rerolling image...');
+    });
+
+    selectionLock.addEventListener('click', () => {
+        if (!selected || selected.type !== 'image') return;
+        const locked = selected.element.getAttribute('data-x-image-seed-locked') !== 'true';
+        runRefinement('/api/refine-layout/image/lock', { index: selected.index, locked },
+            `${locked ? 'Lock' : 'Unlock'} the seed of image ${selected.index + 1}`, locked ? 'Locking seed...' : 'Unlocking seed...');
+    });
+
+    selectionAi.addEventListener('click', () => {
+        if (!selected || selected.type !== 'text') return;
+        const instruction = prompt('How should this text change?', 'Make it punchier');
+        if (!instruction || !instruction.trim()) return;
+        runRefinement('/api/refine-layout/text', { index: selected.index, instruction },
+            `Rewrite "${selected.element.textContent.trim()}": ${instruction}`, 'Rewriting text...');
+    });
+
+    selectionClear.addEventListener('click', clearSelection);
+
+    // Undo the last refinement: show the previous flyer again and make its version current
+    refineUndo.addEventListener('click', async () => {
+        const entry = refinements.pop();
+        if (!entry) return;
+        clearSelection();
+        posterContainer.innerHTML = entry.before;
+        renderRefinements();
+        refreshDesignQa();
+        if (!currentProject || !entry.versionBefore) return;
+        setBusy(true, 'Undoing...');
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}/versions/${entry.versionBefore}/restore`, { method: 'POST' });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to restore the previous version'));
+            const restored = await response.json();
+            await loadProject(currentProject.id, restored.version, false);
+        } catch (error) {
+            console.error('Error undoing:', error);
+            alert(error.message);
         } finally {
-            loadingIndicator.classList.add('hidden');
-            generateBtn.disabled = false;
+            setBusy(false);
+        }
+    });
+
+    // ---------------------------------------------------------------------
+    // Visual editor (see editor.js)
+    // ---------------------------------------------------------------------
+
+    const SELECTION_NAMES = { flyer: 'Flyer background', image: 'Image', text: 'Text', box: 'Shape' };
+
+    function updateEditorBar() {
+        editToggle.textContent = editor.active ? 'Done editing' : 'Edit layout';
+        editorActions.classList.toggle('hidden', !editor.active);
+        editorTools.classList.toggle('hidden', !editor.active);
+        refineSection.classList.toggle('hidden', !flyerReady || editor.active);
+        editorStatus.textContent = editor.isDirty() ? 'Unsaved changes' : '';
+        if (!editor.active) return;
+
+        const info = editor.selectionInfo();
+        editorUndo.disabled = !editor.canUndo();
+        editorRedo.disabled = !editor.canRedo();
+        editorSelection.textContent = info
+            ? `${SELECTION_NAMES[info.type]}${info.isRoot ? '' : ` · z-index ${info.zIndex || 0}`}`
+            : 'Click an element to select it';
+        [editorFont, editorWeight, editorColor].forEach(input => { input.disabled = !info || !info.hasText; });
+        editorFill.disabled = !info || !info.background;
+        [...editorArrange, editorDuplicate, editorDelete].forEach(button => { button.disabled = !info || info.isRoot; });
+        if (info && info.hasText) {
+            editorFont.value = info.family;
+            editorWeight.value = info.weight;
+            editorColor.value = info.color;
         }
+        if (info && info.background) editorFill.value = info.background;
+    }
+
+    // Leave edit mode and save the edited flyer as a new version of the project
+    async function finishEditing() {
+        const changed = editor.isDirty();
+        const html = editor.serialize();
+        editor.stop();
+        if (changed) refreshDesignQa();
+        else highlightQaIssues();
+        if (!changed || !currentProject) return;
+        setBusy(true, 'Saving edits...');
+        try {
+            const response = await apiFetch(`/api/projects/${currentProject.id}/versions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ html, note: 'Visual edit' })
+            });
+            if (!response.ok) throw new Error(await readError(response, 'Failed to save edits'));
+            const version = await response.json();
+            posterContainer.innerHTML = version.html;
+            showLayoutReport(version.validation);
+            // Refinement undo would skip over this version, so its history starts again here
+            resetRefinements();
+            await loadProject(currentProject.id, version.version, false);
+        } catch (error) {
+            console.error('Error saving edits:', error);
+            alert(`Your edits are still on screen but were not saved.\n\n${error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    editToggle.addEventListener('click', () => {
+        if (editor.active) {
+            finishEditing();
+        } else {
+            clearSelection();
+            clearQaHighlights();
+            // Marked placeholders are not part of the flyer, so edits would save or lose them
+            posterContainer.querySelectorAll('[data-merge-field]').forEach(el => el.removeAttribute('data-merge-field'));
+            editor.start();
+        }
+    });
+
+    editorDiscard.addEventListener('click', () => {
+        if (editor.isDirty() && !confirm('Discard all edits made in this session?')) return;
+        editor.discard();
+    });
+
+    editorUndo.addEventListener('click', () => editor.undo());
+    editorRedo.addEventListener('click', () => editor.redo());
+    editorSnap.addEventListener('change', () => editor.setSnapping(editorSnap.checked));
+    editorFont.addEventListener('change', () => editor.setFont({ family: editorFont.value }));
+    editorWeight.addEventListener('change', () => editor.setFont({ weight: editorWeight.value }));
+    editorColor.addEventListener('change', () => editor.setTextColor(editorColor.value));
+    editorFill.addEventListener('change', () => editor.setBackground(editorFill.value));
+    editorArrange.forEach(button => {
+        button.addEventListener('click', () => editor.arrange(button.dataset.arrange));
+    });
+    editorDuplicate.addEventListener('click', () => editor.duplicate());
+    editorDelete.addEventListener('click', () => editor.remove());
+
+    // Download the current flyer in the chosen format and size
+    exportButtons.forEach(button => {
+        button.addEventListener('click', async () => {
+            const html = currentFlyerHtml();
+            if (!html) return;
+
+            const format = button.dataset.format;
+            exportNote.classList.add('hidden');
+            setBusy(true, `Exporting ${format.toUpperCase()}...`);
+            try {
+                const response = await apiFetch('/api/export', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        html,
+                        format,
+                        width: exportWidth.value ? Number(exportWidth.value) : undefined,
+                        height: exportHeight.value ? Number(exportHeight.value) : undefined,
+                        unit: exportUnit.value,
+                        qa: true
+                    })
+                });
+                if (!response.ok) throw new Error(await readError(response, 'Export failed'));
+
+                const warnings = JSON.parse(response.headers.get('X-Export-Warnings') || '[]');
+                const qa = JSON.parse(response.headers.get('X-Design-QA') || 'null');
+                const notes = [];
+                if (warnings.length) notes.push(`Exported with ${warnings.length} warning(s): ${warnings.join(' · ')}`);
+                if (qa && !qa.passed) notes.push(`Design QA score ${qa.score}/100 with ${qa.errors} error(s) — see Design QA`);
+                if (notes.length) {
+                    exportNote.textContent = notes.join(' · ');
+                    exportNote.classList.remove('hidden');
+                }
+
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `flyer.${format}`;
+                const url = URL.createObjectURL(await response.blob());
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            } catch (error) {
+                console.error('Error exporting:', error);
+                alert(`Export failed.\n\n${error.message}`);
+            } finally {
+                setBusy(false);
+            }
+        });
     });
 });
@@ -1,17 +1,250 @@
+// Load .env before any module below reads its settings from process.env
+require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const cheerio = require('cheerio');
+const sharp = require('sharp');
+const { fetchRemoteImage } = require('./lib/remote-fetch');
 const { removeBackground } = require('@imgly/background-removal-node');
-dotenv.config();
+const { EXAMPLE_DESIGN_SPEC, parseDesignSpec, repairDesignSpec, validateDesignSpec } = require('./lib/design-spec');
+const { resolveTextProvider, resolveImageProvider, describeProviders } = require('./providers');
+const { exportFlyer, MAX_PAGES: EXPORT_MAX_PAGES } = require('./lib/export');
+const { sanitizeFlyerHtml, validateFlyerHtml, countByRule } = require('./lib/html-validator');
+const { parseStyle, parseLength } = require('./lib/css');
+const { sha256, putAsset, getAsset, assetHashFromUrl, cachedAsset, inspectCache, purgeCache, setAssetGuard } = require('./lib/assets');
+const projects = require('./lib/projects');
+const { resolveCanvas, listSizePresets, canvasPrompt } = require('./lib/sizes');
+const brandKits = require('./lib/brand-kits');
+const { brandSnapshot, applyBrandKit, brandPrompt, placeBrandLogos, checkBrandCompliance, snapToBrandColors } = require('./lib/brand');
+const { createJob, getJob, isFinished, emit, cancelJob, streamJob, throwIfCancelled, retryWithBackoff, runWithConcurrency, referencedAssets: jobAssets } = require('./lib/jobs');
+const { readCutoutOptions, needsProcessing, processCutout } = require('./lib/cutout');
+const { readZip, createZip } = require('./lib/zip');
+const apiKeys = require('./lib/api-keys');
+const { analyzeFlyer, fixDesign, measureTexts } = require('./lib/design-qa');
+const { listImageStyles, readImageStyle, imageStyleOf, setImageStyle, styledPrompt, randomSeed, defaultSeed, readSeed, lockedSeed, recordGeneration } = require('./lib/image-style');
+const { logger, withLogContext, currentRequestId, requestLogger } = require('./lib/logger');
+const { metrics, renderMetrics } = require('./lib/metrics');
+const { createUsage, withUsage, currentUsage, recordText, recordImage, recordBackgroundRemoval, summarizeUsage, usageSince } = require('./lib/usage');
+const { readDataset, placeholderFields, fieldsInText, markPlaceholders, checkFields, placeholderElements, mergeRow, rowFilename, formatCsv } = require('./lib/mail-merge');
+
+// Images used by saved project versions, brand kit logos and the results of kept jobs (e.g. a
+// mail merge waiting to be downloaded) must survive cache eviction and purges
+setAssetGuard(async () => new Set([...await projects.referencedAssets(), ...await brandKits.referencedAssets(), ...jobAssets()]));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
+// Browsers may call the API from CORS_ORIGINS (comma-separated, "*" for any); unset means same-origin only
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+    // Export results that are only reported in headers, and the id to quote when reporting a problem
+    exposedHeaders: ['X-Export-Warnings', 'X-Design-QA', 'X-Request-Id']
+}));
+// Flyer HTML carries its generated images as data URLs, so bodies can be large
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '50mb' }));
+// Every request gets an id (X-Request-Id) that is on every log line written while serving it
+app.use(requestLogger((req, res, durationMs) => {
+    // Matched route patterns keep the label set small; static files and 404s share one label
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+}));
+// What an API request generates is added up for its response and the version it saves (see lib/usage.js)
+app.use('/api', (req, res, next) => withUsage(createUsage(), next));
 app.use(express.static('public'));
 
+// Generated images and other stored assets; the URL is the content hash, so it never changes
+app.get('/assets/:hash', async (req, res) => {
+    try {
+        const asset = await getAsset(req.params.hash);
+        if (!asset) {
+            res.status(404).json({ error: 'Asset not found' });
+            return;
+        }
+        res.set({
+            'Content-Type': asset.mime,
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'ETag': `"${asset.hash}"`
+        });
+        res.send(asset.buffer);
+    } catch (error) {
+        logger.error('Error serving asset', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Liveness probe: the process is up and serving requests
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+const READY_CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS || '30000', 10);
+
+// Whether the default text or image provider (resolve: resolveTextProvider or resolveImageProvider) can be called
+function providerReadiness(resolve) {
+    try {
+        const { provider, model } = resolve();
+        if (provider.isConfigured()) return { ok: true, provider: provider.name, model };
+        return { ok: false, provider: provider.name, model, error: `${provider.name} has no API key or URL configured` };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// Whether the background-removal model loads, tried once on a small image. A success is
+// remembered. A failure is remembered too and tried again only after a backoff (30s, doubling
+// up to 10 minutes), so probes cannot keep the CPU busy reloading a broken model. A slow first
+// load keeps running in the background while the probe reports a timeout.
+const READY_RETRY_BASE_MS = 30 * 1000;
+const READY_RETRY_MAX_MS = 10 * 60 * 1000;
+let backgroundModelCheck = null;
+let backgroundModelFailures = 0;
+let backgroundModelRetryAt = 0;
+function backgroundRemovalReadiness() {
+    if (!backgroundModelCheck || (backgroundModelRetryAt && Date.now() >= backgroundModelRetryAt)) {
+        const started = Date.now();
+        backgroundModelRetryAt = 0;
+        backgroundModelCheck = sharp({ create: { width: 32, height: 32, channels: 3, background: '#808080' } }).png().toBuffer()
+            .then(probe => removeBackgroundBuffer(probe))
+            .then(() => {
+                backgroundModelFailures = 0;
+                return { ok: true, durationMs: Date.now() - started };
+            })
+            .catch(error => {
+                const delayMs = Math.min(READY_RETRY_MAX_MS, READY_RETRY_BASE_MS * 2 ** backgroundModelFailures);
+                backgroundModelFailures++;
+                backgroundModelRetryAt = Date.now() + delayMs;
+                logger.error('Background removal model failed to load', { error, failures: backgroundModelFailures, retryInMs: delayMs });
+                return { ok: false, error: error.message, failures: backgroundModelFailures, retryAt: new Date(backgroundModelRetryAt).toISOString() };
+            });
+    }
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ ok: false, error: `Still loading after ${READY_CHECK_TIMEOUT_MS}ms` }), READY_CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([backgroundModelCheck, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Readiness probe: 200 when the default providers are configured and the background-removal
+// model loads, 503 otherwise; every check is listed either way
+app.get('/readyz', async (req, res) => {
+    const checks = {
+        textProvider: providerReadiness(resolveTextProvider),
+        imageProvider: providerReadiness(resolveImageProvider),
+        backgroundRemoval: await backgroundRemovalReadiness()
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+// Prometheus metrics (see lib/metrics.js). Scrapers send METRICS_TOKEN as a bearer token, or
+// ADMIN_TOKEN while METRICS_TOKEN is unset: traffic, provider usage and cost are not public.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+function requireMetricsToken(req, res, next) {
+    if (!METRICS_TOKEN) return requireAdmin(req, res, next);
+    const given = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        res.status(401).json({ error: 'Metrics token required' });
+        return;
+    }
+    next();
+}
+
+app.get('/metrics', requireMetricsToken, (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+const API_AUTH = process.env.API_AUTH !== 'off';
+
+// The API key of a request: X-API-Key or Authorization: Bearer
+function readApiKey(req) {
+    return req.get('X-API-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+}
+
+// The key a request authenticates as: { key } (key null for a stream token of the admin token),
+// or { error } for the 401 answer. EventSource streams and download links, which cannot set
+// headers, send ?token= from POST /api/stream-tokens instead of the key.
+async function authenticateRequest(req) {
+    if (req.method === 'GET' && typeof req.query.token === 'string') {
+        const streamed = await apiKeys.authenticateStreamToken(req.query.token, req.baseUrl + req.path);
+        return streamed || { error: 'Invalid or expired token (get a new one from POST /api/stream-tokens)' };
+    }
+    const secret = readApiKey(req);
+    if (!secret) return { error: 'API key required (send it in the X-API-Key header)' };
+    const key = await apiKeys.authenticate(secret);
+    return key ? { key } : { error: 'Invalid API key' };
+}
+
+// Every /api route needs an API key (unless API_AUTH=off) and is rate limited per key.
+// Admin routes use ADMIN_TOKEN instead; the admin token also works on every other route, without
+// limits and with access to what every key created. Generation code charges the key's daily quotas.
+app.use('/api', async (req, res, next) => {
+    if (!API_AUTH || req.path.startsWith('/admin/') || hasAdminToken(req)) return next();
+    try {
+        const { key, error } = await authenticateRequest(req);
+        if (error) {
+            res.status(401).json({ error });
+            return;
+        }
+        if (!key) return next();
+        if (key.disabled) {
+            res.status(403).json({ error: 'This API key is disabled' });
+            return;
+        }
+        const rate = apiKeys.takeRequest(key);
+        if (rate.limit) {
+            res.set({
+                'X-RateLimit-Limit': String(rate.limit),
+                'X-RateLimit-Remaining': String(rate.remaining),
+                'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+            });
+        }
+        if (!rate.allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((rate.resetAt - Date.now()) / 1000))));
+            res.status(429).json({ error: `Rate limit of ${rate.limit} requests per minute exceeded` });
+            return;
+        }
+        req.apiKey = key;
+        apiKeys.runWithKey(key, next);
+    } catch (error) {
+        logger.error('Error checking API key', { error });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Jobs, projects and brand kits belong to the API key that created them. Other keys get a 404 as
+// if they did not exist; the admin token and API_AUTH=off (no req.apiKey) see everything.
+function ownerOf(req) {
+    return req.apiKey ? req.apiKey.id : null;
+}
+
+function ownedBy(req, record) {
+    return !req.apiKey || record.ownerId === req.apiKey.id;
+}
+
+function notFoundError(message) {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+// Load a project the request may use (404 otherwise)
+async function findProject(req, id) {
+    const project = await projects.getProject(id);
+    if (!ownedBy(req, project)) throw notFoundError('Project not found');
+    return project;
+}
+
+// Load a brand kit the request may use (404 otherwise)
+async function findBrandKit(req, id) {
+    const kit = await brandKits.getBrandKit(id);
+    if (!ownedBy(req, kit)) throw notFoundError('Brand kit not found');
+    return kit;
+}
+
 // Utility - detect mime type from first bytes of a Buffer
 function detectImageMimeFromBuffer(buffer) {
     if (!buffer || !buffer.length) return 'image/png';
@@ -21,146 +254,247 @@ function detectImageMimeFromBuffer(buffer) {
     return 'application/octet-stream';
 }
 
-// Helper to call Gemini API
-async function callGemini(prompt) {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-        throw new Error("GEMINI_API_KEY is not set.");
-    }
-
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${apiKey}`;
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            contents: [{
-                parts: [{ text: prompt }]
-            }]
-        })
+// Run one provider call (call()), recording its latency and outcome in the metrics and the log
+async function observeProvider(kind, provider, model, call) {
+    const started = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+    try {
+        const result = await call();
+        metrics.providerRequests.inc({ provider: provider.name, kind, outcome: 'success' });
+        metrics.providerDuration.observe({ provider: provider.name, kind }, seconds());
+        logger.info('Provider call finished', { provider: provider.name, model, kind, durationMs: Math.round(seconds() * 1000) });
+        return result;
+    } catch (error) {
+        const outcome = error.name === 'AbortError' ? 'aborted' : 'error';
+        metrics.providerRequests.inc({ provider: provider.name, kind, outcome });
+        metrics.providerDuration.observe({ provider: provider.name, kind }, seconds());
+        logger.warn('Provider call failed', { provider: provider.name, model, kind, outcome, durationMs: Math.round(seconds() * 1000), error });
+        throw error;
+    }
+}
+
+// Helper to generate text with the configured (or requested) text provider
+// options: { json, provider, model }
+async function generateText(prompt, options = {}) {
+    const { provider, model } = resolveTextProvider(options);
+    let text = await observeProvider('text', provider, model, () => provider.generateText({ prompt, model, json: Boolean(options.json) }));
+    recordText(provider.name, prompt, text);
+    text = text.replace(/```html/g, '').replace(/```/g, '');
+    return text;
+}
+
+// Cache keys use sizes rounded to this step, so near-identical slots share an image
+const CACHE_SIZE_STEP = 16;
+
+function roundForCache(size) {
+    return Math.max(CACHE_SIZE_STEP, Math.round(size / CACHE_SIZE_STEP) * CACHE_SIZE_STEP);
+}
+
+// Side used when a request gives no (or no numeric) width or height
+const DEFAULT_GENERATE_SIDE = 1024;
+
+// Helper to generate an image with the configured (or requested) image provider.
+// Results are stored as assets and cached, so a repeated request costs nothing.
+// options: { provider, model, style (image style profile), negativePrompt, seed, signal }.
+// Without a seed one is derived from the request, so the same request gives the same image
+// (a reroll asks for a new seed, and so misses the cache). Returns { url (/assets/:hash), hash, cached, generation },
+// generation being what was sent: { prompt, negativePrompt, seed, model, width, height }
+async function generateImage(prompt, width, height, isTransparent, options = {}) {
+    // Missing or non-numeric sides fall back to a square, so no NaN reaches the cache key,
+    // the provider or the recorded generation
+    width = Math.round(Math.max(64, Number(width) || DEFAULT_GENERATE_SIDE));
+    height = Math.round(Math.max(64, Number(height) || DEFAULT_GENERATE_SIDE));
+    const { provider, model } = resolveImageProvider(options);
+    const styled = styledPrompt(prompt, options.style, options.negativePrompt);
+    const params = {
+        provider: provider.name,
+        model,
+        prompt: styled.prompt,
+        negativePrompt: styled.negativePrompt,
+        width: roundForCache(width),
+        height: roundForCache(height),
+        transparent: Boolean(isTransparent)
+    };
+    params.seed = options.seed === undefined || options.seed === null ? defaultSeed(params) : options.seed;
+    const generation = { ...styled, seed: params.seed, model: `${provider.name}/${model}`, width, height };
+
+    const asset = await cachedAsset('image', params, async () => {
+        logger.info('Generating image', { provider: provider.name, model, width, height, seed: params.seed, transparent: Boolean(isTransparent) });
+        // Only provider calls count against the daily image quota, cache hits are free
+        const refund = apiKeys.chargeQuota('images');
+        let imageBuffer;
+        try {
+            imageBuffer = await observeProvider('image', provider, model, () => provider.generateImage({ ...styled, seed: params.seed, model, width, height, signal: options.signal }));
+        } catch (error) {
+            refund();
+            throw error;
+        }
+        recordImage(provider.name, false);
+        if (isTransparent) {
+            return removeBackgroundFun(imageBuffer, { fallback: true });
+        }
+        return { buffer: imageBuffer, mime: detectImageMimeFromBuffer(imageBuffer) };
     });
+    if (asset.cached) recordImage(provider.name, true);
+    return { ...asset, generation };
+}
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Gemini API Error: ${response.status} - ${errorText}`);
-    }
+// Run @imgly/background-removal-node on encoded image bytes (PNG/JPEG/WebP); returns PNG bytes
+async function removeBackgroundBuffer(inputBuffer) {
+    // Detect MIME type from the buffer to pass the correct blob type (default to png)
+    const detected = detectImageMimeFromBuffer(inputBuffer);
+    const mimeType = detected === 'application/octet-stream' ? 'image/png' : detected;
+    const { Blob: NodeBlob } = require('buffer');
+    const blob = new NodeBlob([inputBuffer], { type: mimeType });
 
-    const data = await response.json();
-    if (data.candidates && data.candidates[0].content) {
-        let text = data.candidates[0].content.parts[0].text;
-        text = text.replace(/```html/g, '').replace(/```/g, '');
-        return text;
+    const result = await removeBackground(blob);
+    // result may be returned as a Blob-like object or as a Buffer/Uint8Array
+    let outputBuffer;
+    if (result instanceof Buffer || ArrayBuffer.isView(result)) {
+        outputBuffer = Buffer.from(result);
     } else {
-        throw new Error("Invalid response structure from Gemini API");
+        const ab = await result.arrayBuffer();
+        outputBuffer = Buffer.from(ab);
     }
+    return outputBuffer;
 }
 
-// Helper to call Together AI (Flux-Schnell)
-async function generateImage(prompt, width, height, isTransparent) {
-    width = width < 64 ? 64 : width;
-    height = height < 64 ? 64 : height;
-    console.log({
-        'prompt' : prompt,
-        'width' : width,
-        'height' : height,
-        'isTransparent' : isTransparent
-    });
-    const apiKey = process.env.TOGETHER_API_KEY;
-    const model = 'black-forest-labs/FLUX.1-schnell-Free';
-
-    if (!apiKey) {
-        throw new Error("TOGETHER_API_KEY is not set.");
-    }
-
-    // Together AI requires dimensions to be multiples of 16
-    // Round to nearest multiple of 16
-    const roundToMultiple16 = (num) => Math.round((num || 1024) / 16) * 16;
-    const validWidth = roundToMultiple16(width);
-    const validHeight = roundToMultiple16(height);
-
-    // Together AI standard image generation endpoint
-    const url = 'https://api.together.xyz/v1/images/generations';
-
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: model,
-            prompt: prompt,
-            width: validWidth,
-            height: validHeight,
-            n: 1,
-            output_format: 'png',
-            response_format: 'base64'
-        })
+// Helper to remove a background, cached against the hash of the input image.
+// With options.fallback the original image is returned (and not cached) when removal fails;
+// otherwise the error is thrown. Returns an asset ({ url, hash, cached }).
+// Outcomes (success, fallback, error) and durations are counted in the metrics.
+async function removeBackgroundFun(inputBuffer, options = {}) {
+    return cachedAsset('remove-bg', { input: sha256(inputBuffer) }, async () => {
+        const original = { buffer: inputBuffer, mime: detectImageMimeFromBuffer(inputBuffer), uncached: true };
+        const started = process.hrtime.bigint();
+        const durationMs = () => Number(process.hrtime.bigint() - started) / 1e6;
+        recordBackgroundRemoval();
+        try {
+            const outputBuffer = await removeBackgroundBuffer(inputBuffer);
+            if (!outputBuffer.length) throw new Error('Background removal returned an empty image');
+            metrics.backgroundRemovals.inc({ outcome: 'success' });
+            metrics.backgroundRemovalDuration.observe({}, durationMs() / 1000);
+            logger.info('Background removed', { inputBytes: inputBuffer.length, outputBytes: outputBuffer.length, durationMs: Math.round(durationMs()) });
+            // The output from @imgly/background-removal-node is always a PNG (to preserve transparency)
+            return { buffer: outputBuffer, mime: 'image/png' };
+        } catch (error) {
+            metrics.backgroundRemovals.inc({ outcome: options.fallback ? 'fallback' : 'error' });
+            metrics.backgroundRemovalDuration.observe({}, durationMs() / 1000);
+            if (!options.fallback) throw error;
+            logger.warn('Background removal failed, using the original image', { inputBytes: inputBuffer.length, durationMs: Math.round(durationMs()), error });
+            return original;
+        }
     });
+}
+
+// Map /assets/:hash image sources to data URLs for the exporter
+async function resolveAssetImage(src) {
+    const hash = assetHashFromUrl(src);
+    if (!hash) return src;
+    const asset = await getAsset(hash);
+    if (!asset) throw new Error('asset not found');
+    return `data:${asset.mime};base64,${asset.buffer.toString('base64')}`;
+}
+
+const PLANNER_MAX_REPAIRS = parseInt(process.env.PLANNER_MAX_REPAIRS || '1', 10);
+
+const PLANNER_PROMPT = `Act as a Senior Art Director. Your task is to read a client's free-text brief for a flyer/poster and turn it into a **JSON Design Specification** that a frontend developer will render.
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Together AI Error: ${response.status} - ${errorText}`);
+**RULES:**
+1.  Output ONLY one JSON object. No markdown code blocks, no explanations.
+2.  Use exactly these keys:
+    * \`theme_concept\`: A short name for the overall vibe.
+    * \`colors\`: An object with HEX codes. \`background\`, \`primary_text\` and \`accent\` are required; you may add more (e.g. \`container_bg\`, \`secondary_text\`). rgba() is allowed for translucent colors.
+    * \`typography\`: An object with \`headline_font\` and \`body_font\` (exact Google Font family names) and optionally \`headline_style\` / \`body_style\` (e.g. "uppercase 700").
+    * \`visual_elements\`: An array of 1-8 sticker/graphic descriptions, each detailed enough to be an image-generation prompt.
+    * \`content\`: An object with the exact text to display. \`headline\` is required; use \`subheadline\`, \`body\`, \`details\` (array of strings) and \`call_to_action\` as needed.
+    * \`css_suggestions\`: A string of concrete CSS ideas that fit the theme.
+3.  Only use text that the brief provides or clearly implies. Do not invent dates, prices, addresses or names; leave them out instead.
+4.  If the brief contains an emoji but does not ask for it to appear, do not include it in \`content\`.
+5.  Colors must have enough contrast between \`primary_text\` and \`background\` to be readable.
+
+**EXAMPLE OUTPUT:**
+${JSON.stringify(EXAMPLE_DESIGN_SPEC, null, 2)}`;
+
+// Run a model response through parse -> repair -> validate
+function checkDesignSpecOutput(output) {
+    let spec;
+    try {
+        spec = repairDesignSpec(parseDesignSpec(output));
+    } catch (error) {
+        return { spec: null, errors: [`output is not valid JSON: ${error.message}`] };
     }
+    return { spec, errors: validateDesignSpec(spec) };
+}
 
-    const data = await response.json();
-    if (data.data && data.data[0].b64_json) {
-        if (isTransparent) {
-            return removeBackgroundFun(data.data[0].b64_json);
-        }   
-        return `data:image/jpeg;base64,${data.data[0].b64_json}`;
-    } else {
-        throw new Error("Invalid response from Together AI");
+// Helper to turn a free-text brief into a validated design spec.
+// Invalid output is sent back to the model with the list of problems, up to PLANNER_MAX_REPAIRS times.
+// textOptions: { provider, model } (see generateText). With a brand kit the plan follows the
+// kit's tone and the result is merged with it (see lib/brand.js).
+async function planDesign(requirements, textOptions = {}, kit = null) {
+    const plannerPrompt = kit ? `${PLANNER_PROMPT}\n\n${brandPrompt(brandSnapshot(kit))}` : PLANNER_PROMPT;
+    // One text generation against the daily quota, however many repair rounds it takes
+    const refund = apiKeys.chargeQuota('texts');
+    let output;
+    try {
+        output = await generateText(`${plannerPrompt}\n\nClient Brief: ${requirements}`, { ...textOptions, json: true });
+    } catch (error) {
+        refund();
+        throw error;
+    }
+    let { spec, errors } = checkDesignSpecOutput(output);
+
+    for (let attempt = 0; errors.length && attempt < PLANNER_MAX_REPAIRS; attempt++) {
+        logger.info('Design spec invalid, repairing', { repair: attempt + 1, maxRepairs: PLANNER_MAX_REPAIRS, errors });
+        const repairPrompt = `${plannerPrompt}\n\nClient Brief: ${requirements}\n\nYour previous output was:\n${output}\n\nIt has these problems:\n- ${errors.join('\n- ')}\n\nReturn the corrected JSON object only.`;
+        output = await generateText(repairPrompt, { ...textOptions, json: true });
+        ({ spec, errors } = checkDesignSpecOutput(output));
+    }
+
+    if (errors.length) {
+        const error = new Error('The model did not produce a valid design spec');
+        error.status = 422;
+        error.details = errors;
+        throw error;
     }
+    return kit ? applyBrandKit(spec, kit) : spec;
+}
+
+// Look up the brand kit a request names (brandKitId), or null when it names none
+async function readBrandKit(req, id) {
+    return id ? findBrandKit(req, id) : null;
 }
 
-// Helper to remove background using @imgly/background-removal-node
-async function removeBackgroundFun(imageBase64) {
-    console.log("Starting background removal (local)...");
+// Endpoint to list the available model providers and the defaults in effect
+app.get('/api/providers', (req, res) => {
     try {
-        // Convert Base64 to a Node.js Buffer (which is a Uint8Array)
-        const inputBuffer = Buffer.from(imageBase64, 'base64');
-        // Detect MIME type from the buffer to pass the correct blob type (default to png)
-        let mimeType = detectImageMimeFromBuffer(inputBuffer) || 'image/png';
-        const { Blob: NodeBlob } = require('buffer');
-        const blob = new NodeBlob([inputBuffer], { type: mimeType });
+        res.json(describeProviders());
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Process the image
-        console.log("Processing image... (local removeBackground) with mime:", mimeType);
-        const result = await removeBackground(blob);
-        let outputBuffer;
-        if (result instanceof Buffer || ArrayBuffer.isView(result)) {
-            outputBuffer = Buffer.from(result);
-        } else {
-            const ab = await result.arrayBuffer();
-            outputBuffer = Buffer.from(ab);
+// Endpoint to plan a design: free-text brief -> JSON design spec
+app.post('/api/plan-design', async (req, res) => {
+    try {
+        const { requirements, textProvider, textModel } = req.body;
+        if (typeof requirements !== 'string' || !requirements.trim()) {
+            res.status(400).json({ error: 'requirements must be a non-empty string' });
+            return;
         }
-        console.log('removeBackgroundFun result type:', typeof result, 'output size (bytes):', outputBuffer.length);
-        console.log("Background removed.");
 
-        // Convert the resulting Uint8Array back to a Base64 string
-        // The output format from @imgly/background-removal-node is always a PNG 
-        // (to preserve transparency).
-        const outputBase64 = outputBuffer.toString('base64');
-        // Add the appropriate PNG data URL header back
-        const outputDataUrl = `data:image/png;base64,${outputBase64}`;
-        return outputDataUrl;
+        const kit = await readBrandKit(req, req.body.brandKitId);
+        const spec = await planDesign(requirements.trim(), { provider: textProvider, model: textModel }, kit);
+        res.json({ spec, usage: summarizeUsage(currentUsage()) });
     } catch (error) {
-        console.error("Local background removal failed:", error);
-        console.error("Error details:", error.message, error.stack);
-        // Fallback - return original image as a PNG data URL since local background removal is not working
-        console.log("Returning original image as fallback (data URL)");
-        return `data:image/png;base64,${imageBase64}`;
+        logger.error('Error planning design', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
     }
-}
+});
+
+const LAYOUT_MAX_REPAIRS = parseInt(process.env.LAYOUT_MAX_REPAIRS || '1', 10);
+const LAYOUT_MAX_REPAIRS_LIMIT = 5;
 
-// Endpoint to generate layout
-app.post('/api/generate-layout', async (req, res) => {
-    try {
-        // const { requirements } = req.body;
-        
 //         const systemPrompt = `Act as a Senior Art Director and Frontend Developer. Your task is to understand the user's input, make details plan that how idea flyer/poster should be then produce final idea flyer/poster HTML. You must:
 
 // 1. Explore creative size selection strategies based on content and theme; ensure clarity and balance in your choices.
@@ -185,7 +519,7 @@ app.post('/api/generate-layout', async (req, res) => {
 // Output only HTML that renders the flyer entirely within a \`<div>\` element.`;
 
 
-        const systemPrompt = `Act as an expert Frontend Developer and HTML/CSS Renderer. Your task is to accept a **JSON Design Specification** and convert it into a pixel-perfect, single-file HTML flyer.
+const RENDERER_PROMPT = `Act as an expert Frontend Developer and HTML/CSS Renderer. Your task is to accept a **JSON Design Specification** and convert it into a pixel-perfect, single-file HTML flyer.
 
 **INPUT DATA:**
 You will receive a JSON object containing:
@@ -216,128 +550,1831 @@ You will receive a JSON object containing:
 **OUTPUT:**
 Output ONLY the raw HTML string inside a main container \`<div>\`. Do not include markdown code blocks or explanations.`;
 
-        requirements = "{\n\"theme_concept\": \"Timeless Elegance Revival\",\n\"colors\": {\n\"background\": \"#1A1A1A\",\n\"primary_text\": \"#F5F5DC\",\n\"accent\": \"#B8860B\",\n\"container_bg\": \"rgba(242, 242, 242, 0.85)\"\n},\n\"typography\": {\n\"headline_font\": \"Playfair Display\",\n\"headline_style\": \"uppercase 700\",\n\"body_font\": \"Source Sans Pro\"\n},\n\"visual_elements\": [\n\"Elegant metallic foil stamp (e.g., embossed laurel wreath or monogram)\",\n\"Whispers of abstract gilded brushstrokes\",\n\"Subtle, textured background overlay reminiscent of fine silk or linen\",\n\"Geometric accent shape with a soft, iridescent gradient (e.g., a rounded hexagon)\"\n],\n\"css_suggestions\": \"Apply subtle text-shadow to headlines for refined depth: text-shadow: 0 1px 3px rgba(0,0,0,0.2); Use box-shadow on card elements for a delicate lift: box-shadow: 0 4px 15px rgba(0,0,0,0.1); Incorporate elegant border-radius on containers for a softer feel: border-radius: 8px; Consider subtle linear gradients for backgrounds or accent elements, e.g., background: linear-gradient(135deg, #B8860B, #DAA520);\"\n}";
+// Sanitize model HTML and list its rule violations (checked on the raw output so the model
+// also hears about the scripts/handlers the sanitizer removed)
+function checkLayoutOutput(output, validatorOptions) {
+    const violations = validateFlyerHtml(output, validatorOptions);
+    const { html, removed } = sanitizeFlyerHtml(output);
+    return { html, removed, violations };
+}
+
+// Ask the model for flyer HTML and check it.
+// Rule violations are sent back to the model for up to maxRepairs rounds; the attempt with
+// the fewest violations wins. Returns { html, validation }.
+async function promptForLayout(basePrompt, textOptions, maxRepairs, validatorOptions) {
+    // One layout against the daily quota, however many repair rounds it takes
+    const refund = apiKeys.chargeQuota('layouts');
+    let output;
+    try {
+        output = await generateText(basePrompt, textOptions);
+    } catch (error) {
+        refund();
+        throw error;
+    }
+    let result = checkLayoutOutput(output, validatorOptions);
+    let best = result;
+    const attempts = [{ attempt: 0, violations: result.violations.length, byRule: countByRule(result.violations) }];
+
+    for (let attempt = 1; attempt <= maxRepairs && result.violations.length; attempt++) {
+        logger.info('Layout has rule violations, repairing', { violations: result.violations.length, byRule: countByRule(result.violations), repair: attempt, maxRepairs });
+        const problems = result.violations.map(v => `- [${v.rule}]${v.element ? ` ${v.element}:` : ''} ${v.message}`).join('\n');
+        const repairPrompt = `${basePrompt}\n\nYour previous output was:\n${output}\n\nIt breaks these rules:\n${problems}\n\nReturn the complete corrected HTML only, changing as little as possible.`;
+        output = await generateText(repairPrompt, textOptions);
+        result = checkLayoutOutput(output, validatorOptions);
+        attempts.push({ attempt, violations: result.violations.length, byRule: countByRule(result.violations) });
+        if (result.violations.length < best.violations.length) best = result;
+    }
+
+    return {
+        html: best.html,
+        validation: {
+            valid: best.violations.length === 0,
+            violations: best.violations,
+            byRule: countByRule(best.violations),
+            removed: best.removed,
+            attempts
+        }
+    };
+}
 
-        const fullPrompt = `${systemPrompt}\n\nUser Requirements: ${requirements}`;
+// Helper to render a design spec into flyer HTML, at the canvas size when one is given
+// (see lib/sizes.js) and following the spec's brand kit when it has one. Returns { html, validation }.
+async function generateLayout(spec, textOptions = {}, maxRepairs = LAYOUT_MAX_REPAIRS, canvas = null) {
+    const sizing = canvas ? `\n\n${canvasPrompt(canvas)}` : '';
+    const branding = spec.brand ? `\n\n${brandPrompt(spec.brand, { logos: true })}` : '';
+    const basePrompt = `${RENDERER_PROMPT}${sizing}${branding}\n\nUser Requirements: ${JSON.stringify(spec, null, 2)}`;
+    const { html, validation } = await promptForLayout(basePrompt, textOptions, maxRepairs, { canvas });
+    return { html: placeBrandLogos(html, spec.brand), validation };
+}
 
-        const htmlContent = await callGemini(fullPrompt);
-        res.json({ html: htmlContent });
+// Check flyer HTML against the spec's brand kit, snapping off-brand colors first when asked.
+// Returns { html, brand: report (with `snapped`, the number of colors replaced) | null }.
+function checkBrand(html, spec, snap) {
+    if (!spec.brand) return { html, brand: null };
+    const snapped = snap ? snapToBrandColors(html, spec.brand) : { html, changes: [] };
+    return { html: snapped.html, brand: { ...checkBrandCompliance(snapped.html, spec.brand), snapped: snapped.changes.length } };
+}
 
+// Parse, repair and validate a client-supplied design spec (object or JSON string).
+// Throws a 400 error listing the problems.
+function readDesignSpec(rawSpec) {
+    let spec;
+    try {
+        spec = repairDesignSpec(parseDesignSpec(rawSpec));
     } catch (error) {
-        console.error('Error generating layout:', error);
-        res.status(500).json({ error: error.message });
+        const invalid = new Error(`Invalid design spec: ${error.message}`);
+        invalid.status = 400;
+        throw invalid;
+    }
+    const errors = validateDesignSpec(spec);
+    if (errors.length) {
+        const invalid = new Error('Invalid design spec');
+        invalid.status = 400;
+        invalid.details = errors;
+        throw invalid;
+    }
+    return spec;
+}
+
+function readMaxRepairs(value) {
+    return value === undefined
+        ? LAYOUT_MAX_REPAIRS
+        : Math.min(LAYOUT_MAX_REPAIRS_LIMIT, Math.max(0, parseInt(value, 10) || 0));
+}
+
+// Endpoint to generate layout
+app.post('/api/generate-layout', async (req, res) => {
+    try {
+        // Accepts either an edited design spec or a raw brief (which is planned first)
+        const { requirements, textProvider, textModel } = req.body;
+        const textOptions = { provider: textProvider, model: textModel };
+        const canvas = resolveCanvas(req.body.size);
+        const kit = await readBrandKit(req, req.body.brandKitId);
+        let spec;
+        if (req.body.spec !== undefined) {
+            spec = readDesignSpec(req.body.spec);
+            if (kit) spec = applyBrandKit(spec, kit);
+        } else if (typeof requirements === 'string' && requirements.trim()) {
+            spec = await planDesign(requirements.trim(), textOptions, kit);
+        } else {
+            res.status(400).json({ error: 'Provide either a design spec or requirements' });
+            return;
+        }
+
+        const layout = await generateLayout(spec, textOptions, readMaxRepairs(req.body.maxRepairs), canvas);
+        const { html, brand } = checkBrand(layout.html, spec, Boolean(req.body.snapColors));
+        res.json({ html, spec, canvas, validation: layout.validation, brand, usage: summarizeUsage(currentUsage()) });
+
+    } catch (error) {
+        logger.error('Error generating layout', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
     }
 });
 
+// Endpoint to list the canvas size presets
+app.get('/api/sizes', (req, res) => {
+    res.json({ presets: listSizePresets() });
+});
+
+// Endpoint to list the image style presets
+app.get('/api/image-styles', (req, res) => {
+    res.json({ styles: listImageStyles() });
+});
+
 // Endpoint to generate image
 app.post('/api/generate-image', async (req, res) => {
     try {
-        const { prompt, width, height, isTransparent } = req.body;
-        console.log(`Generating image for prompt: ${prompt}`);
+        const { prompt, width, height, isTransparent, imageProvider, imageModel, negativePrompt } = req.body;
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            res.status(400).json({ error: 'prompt is required' });
+            return;
+        }
+        if (negativePrompt !== undefined && typeof negativePrompt !== 'string') {
+            res.status(400).json({ error: 'negativePrompt must be a string' });
+            return;
+        }
+        const badSide = [['width', width], ['height', height]].find(([, value]) => value !== undefined && value !== null && !(Number.isFinite(Number(value)) && Number(value) > 0 && String(value).trim() !== ''));
+        if (badSide) {
+            res.status(400).json({ error: `${badSide[0]} must be a positive number of pixels` });
+            return;
+        }
+        logger.info('Generating image for prompt', { prompt });
 
-        const imageUrl = await generateImage(prompt, width, height, isTransparent);
-        res.json({ url: imageUrl });
+        const image = await generateImage(prompt, width, height, isTransparent, {
+            provider: imageProvider,
+            model: imageModel,
+            style: readImageStyle(req.body.imageStyle),
+            negativePrompt,
+            seed: req.body.seed === undefined ? undefined : readSeed(req.body.seed)
+        });
+        res.json({ url: image.url, cached: image.cached, generation: image.generation, usage: summarizeUsage(currentUsage()) });
     } catch (error) {
-        console.error('Error generating image:', error);
-        res.status(500).json({ error: error.message });
+        logger.error('Error generating image', { error });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Endpoint to remove background
-app.post('/api/remove-bg', async (req, res) => {
-    try {
-        const { imageUrl } = req.body;
-        console.log(`Removing background...`);
+const IMAGE_CONCURRENCY = parseInt(process.env.IMAGE_CONCURRENCY || '3', 10);
+const IMAGE_CONCURRENCY_LIMIT = 8;
+const IMAGE_MAX_RETRIES = parseInt(process.env.IMAGE_MAX_RETRIES || '2', 10);
+const IMAGE_RETRY_BASE_MS = parseInt(process.env.IMAGE_RETRY_BASE_MS || '1000', 10);
+const DEFAULT_IMAGE_SIZE = 300;
 
-        // Check if imageUrl is a data URL and extract base64 part and mime type if so
-        let base64Data;
-        let mimeType = 'image/png'; // default
-        if (typeof imageUrl === 'string' && imageUrl.startsWith('data:')) {
-            const match = imageUrl.match(/^data:(image\/[a-zA-Z0-9.+-]+);base64,(.*)$/);
-            if (!match) {
-                res.status(400).json({ error: 'Invalid data URL format' });
-                return;
+function readConcurrency(value) {
+    return value === undefined
+        ? IMAGE_CONCURRENCY
+        : Math.min(IMAGE_CONCURRENCY_LIMIT, Math.max(1, parseInt(value, 10) || 1));
+}
+
+// Expand the inset shorthand into top/right/bottom/left (explicit longhands win)
+function expandInset(style) {
+    if (!style.inset) return style;
+    const [top, right = top, bottom = top, left = right] = style.inset.split(/\s+/);
+    return { top, right, bottom, left, ...style };
+}
+
+// Length between two opposite offsets (e.g. left and right), or null unless both are set
+function spanBetween(start, end, total) {
+    const a = parseLength(start, total);
+    const b = parseLength(end, total);
+    return a === null || b === null || total - a - b <= 0 ? null : total - a - b;
+}
+
+// List the images a layout asks for, in document order, with the size to generate them at
+// (brand logos are listed as done), their negative prompt and their seed when it is locked.
+// Sizes come from the inline width/height or from opposite offsets (left + right, top + bottom);
+// percentages are relative to the flyer's root size, or to the canvas when the root has none.
+function imageSlots(html, canvas) {
+    const $ = cheerio.load(html, null, false);
+    const root = $.root().children().first();
+    const rootStyle = parseStyle(root.attr('style'));
+    const flyerWidth = parseLength(rootStyle.width) || (canvas && canvas.width) || 800;
+    const flyerHeight = parseLength(rootStyle.height) || (canvas && canvas.height) || flyerWidth * 1.25;
+    return $('img[x-prompt]').toArray().map((el, index) => {
+        const style = expandInset(parseStyle(el.attribs.style));
+        const width = parseLength(style.width || el.attribs.width, flyerWidth) || spanBetween(style.left, style.right, flyerWidth);
+        const height = parseLength(style.height || el.attribs.height, flyerHeight) || spanBetween(style.top, style.bottom, flyerHeight);
+        // Brand logos are placed already and never generated
+        const logo = el.attribs['data-brand-logo'] && el.attribs.src;
+        return {
+            index,
+            prompt: el.attribs['x-prompt'],
+            negativePrompt: el.attribs['x-negative-prompt'] || '',
+            seed: lockedSeed(el.attribs),
+            transparent: el.attribs.transparent === 'true',
+            width: Math.round(width || height || DEFAULT_IMAGE_SIZE),
+            height: Math.round(height || width || DEFAULT_IMAGE_SIZE),
+            status: logo ? 'done' : 'pending',
+            attempts: 0,
+            error: null,
+            url: logo || null
+        };
+    });
+}
+
+// Generate one job image with retries, publishing every state change as an `image` event
+async function generateJobImage(job, image, imageOptions) {
+    const { signal } = job.controller;
+    const update = changes => emit(job, 'image', Object.assign(image, changes));
+    update({ status: 'running' });
+    try {
+        const generated = await retryWithBackoff(attempt => {
+            image.attempts = attempt;
+            return generateImage(image.prompt, image.width, image.height, image.transparent, { ...imageOptions, negativePrompt: image.negativePrompt, seed: image.seed, signal });
+        }, {
+            retries: IMAGE_MAX_RETRIES,
+            baseDelayMs: IMAGE_RETRY_BASE_MS,
+            signal,
+            onRetry: (error, attempt, delayMs) => {
+                metrics.providerRetries.inc({ provider: resolveImageProvider(imageOptions).provider.name, kind: 'image' });
+                logger.warn('Image failed, retrying', { image: image.index, attempt, delayMs, error });
+                update({ status: 'retrying', error: error.message });
             }
-            mimeType = match[1];
-            base64Data = match[2];
-        } else if (typeof imageUrl === 'string' && (imageUrl.startsWith('http://') || imageUrl.startsWith('https://'))) {
-            // Fetch the remote image and convert to base64
-            try {
-                const response = await fetch(imageUrl);
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch imageUrl: ${response.status}`);
-                }
-                const arrayBuffer = await response.arrayBuffer();
-                const buffer = Buffer.from(arrayBuffer);
-                const contentType = response.headers.get('content-type');
-                if (contentType && contentType.startsWith('image/')) {
-                    mimeType = contentType;
-                }
-                base64Data = buffer.toString('base64');
-            } catch (err) {
-                console.error('Error fetching imageUrl:', err);
-                res.status(400).json({ error: 'Invalid imageUrl or unable to fetch it' });
-                return;
+        });
+        update({ status: 'done', url: generated.url, cached: generated.cached, generation: generated.generation, error: null });
+    } catch (error) {
+        if (signal.aborted) {
+            update({ status: 'cancelled' });
+            return;
+        }
+        logger.error('Image failed', { image: image.index, attempts: image.attempts, error });
+        update({ status: 'failed', error: error.message });
+    }
+}
+
+// Fill the generated images into the layout's img[x-prompt] elements, recording how each was made
+function flyerHtmlWithImages(html, images) {
+    const $ = cheerio.load(html, null, false);
+    $('img[x-prompt]').each((i, el) => {
+        const image = images[i];
+        if (image && image.status === 'done' && image.url) {
+            $(el).attr('src', image.url).attr('data-x-image-generated', '1');
+            if (image.generation) recordGeneration($(el), image.generation);
+        }
+    });
+    return $.html();
+}
+
+// Run a job's pipeline in the background with its own usage record (see lib/usage.js); every
+// line it logs carries the job's id and the id of the request that started it
+function startJob(job, run, input) {
+    job.state.requestId = currentRequestId();
+    // Jobs start right away, so every kind answers its POST as running
+    emit(job, 'status', { status: 'running', stage: job.state.stage }, { status: 'running' });
+    withUsage(createUsage(), () => withLogContext({ jobId: job.id }, () => run(job, input)));
+}
+
+// Estimated usage of the job being run so far
+function jobUsage() {
+    return summarizeUsage(currentUsage());
+}
+
+// Record the job's result as a new version of its project. A failed save (e.g. the project
+// was deleted meanwhile) is logged and does not fail the job; returns the version number or null.
+async function saveJobVersion(job, input) {
+    const { html, images, spec, validation } = job.state;
+    try {
+        const version = await projects.addVersion(input.projectId, {
+            source: 'generate',
+            brief: input.brief,
+            spec,
+            canvas: input.canvas,
+            html: flyerHtmlWithImages(html, images),
+            validation,
+            usage: jobUsage()
+        });
+        return version.version;
+    } catch (error) {
+        logger.error('Could not save job to project', { projectId: input.projectId, error });
+        return null;
+    }
+}
+
+// Background pipeline for POST /api/flyers: plan (if needed) -> layout -> images.
+// A failed image does not fail the job; its error is reported on the image.
+// Completed (and cancelled, once there is a layout) jobs are saved as a project version.
+async function runFlyerJob(job, input) {
+    const { signal } = job.controller;
+    const setStage = stage => emit(job, 'status', { status: 'running', stage }, { status: 'running', stage });
+    try {
+        let spec = input.spec;
+        if (!spec) {
+            setStage('planning');
+            spec = await planDesign(input.requirements, input.textOptions, input.brandKit);
+            throwIfCancelled(signal);
+            emit(job, 'spec', { spec }, { spec });
+        }
+
+        setStage('layout');
+        const layout = await generateLayout(spec, input.textOptions, input.maxRepairs, input.canvas);
+        throwIfCancelled(signal);
+        const checked = checkBrand(layout.html, spec, input.snapColors);
+        const { brand } = checked;
+        // The style profile is kept on the flyer, so later edits generate images in the same style
+        const html = setImageStyle(checked.html, input.imageOptions.style);
+        const { validation } = layout;
+        const images = imageSlots(html, input.canvas);
+        emit(job, 'layout', { html, validation, images, brand }, { html, validation, images, brand });
+
+        setStage('images');
+        const pending = images.filter(image => image.status === 'pending');
+        await runWithConcurrency(pending, input.concurrency, image => generateJobImage(job, image, input.imageOptions), signal);
+        throwIfCancelled(signal);
+
+        const failedImages = images.filter(image => image.status === 'failed').length;
+        const version = await saveJobVersion(job, input);
+        emit(job, 'done', { status: 'completed', failedImages, projectId: input.projectId, version, usage: jobUsage() }, { status: 'completed', stage: null, version, usage: jobUsage() });
+    } catch (error) {
+        if (signal.aborted) {
+            for (const image of job.state.images || []) {
+                if (image.status !== 'done' && image.status !== 'failed') image.status = 'cancelled';
             }
-        } else {
-            // Assume it's already a base64 string; mimeType remains default PNG
-            base64Data = imageUrl;
+            const version = job.state.html ? await saveJobVersion(job, input) : null;
+            emit(job, 'done', { status: 'cancelled', projectId: input.projectId, version, usage: jobUsage() }, { status: 'cancelled', stage: null, version, usage: jobUsage() });
+            return;
         }
-           // Some dev code accidentally overwrote base64Data; ensure it's the incoming image value
-        if (typeof imageUrl === 'string' && imageUrl.startsWith('data:image')) {
-            base64Data = imageUrl.split(',')[1];
-        } else {
-            base64Data = imageUrl;
+        logger.error('Flyer job failed', { error });
+        const details = { message: error.message, details: error.details };
+        emit(job, 'done', { status: 'failed', error: details, usage: jobUsage() }, { status: 'failed', stage: null, error: details, usage: jobUsage() });
+    }
+}
+
+function findJobOr404(req, res) {
+    const job = getJob(req.params.id);
+    if (job && ownedBy(req, job)) return job;
+    res.status(404).json({ error: 'Flyer job not found' });
+    return null;
+}
+
+// Endpoint to start a flyer job; progress is streamed from /api/flyers/:id/events.
+// The result is saved as a new version of `projectId`, or of a new project when none is given.
+app.post('/api/flyers', async (req, res) => {
+    try {
+        const { requirements, textProvider, textModel, imageProvider, imageModel } = req.body;
+        const textOptions = { provider: textProvider, model: textModel };
+        const imageOptions = { provider: imageProvider, model: imageModel, style: readImageStyle(req.body.imageStyle) };
+        // Surface unknown providers, image styles and bad specs now rather than in the stream
+        resolveTextProvider(textOptions);
+        resolveImageProvider(imageOptions);
+
+        const canvas = resolveCanvas(req.body.size);
+        const kit = await readBrandKit(req, req.body.brandKitId);
+        let spec = null;
+        if (req.body.spec !== undefined) {
+            spec = readDesignSpec(req.body.spec);
+            if (kit) spec = applyBrandKit(spec, kit);
+        } else if (typeof requirements !== 'string' || !requirements.trim()) {
+            res.status(400).json({ error: 'Provide either a design spec or requirements' });
+            return;
+        }
+
+        const brief = typeof req.body.brief === 'string' ? req.body.brief : (spec ? null : requirements.trim());
+        const project = req.body.projectId
+            ? await findProject(req, req.body.projectId)
+            : await projects.createProject({ name: req.body.projectName || (spec && spec.content.headline) || brief }, { ownerId: ownerOf(req) });
+
+        const job = createJob({ kind: 'flyer', stage: null, projectId: project.id, version: null, spec, canvas, html: null, validation: null, brand: null, images: [], error: null }, ownerOf(req));
+        startJob(job, runFlyerJob, {
+            projectId: project.id,
+            brief,
+            spec,
+            canvas,
+            brandKit: kit,
+            snapColors: Boolean(req.body.snapColors),
+            requirements: spec ? null : requirements.trim(),
+            textOptions,
+            imageOptions,
+            maxRepairs: readMaxRepairs(req.body.maxRepairs),
+            concurrency: readConcurrency(req.body.concurrency)
+        });
+        res.status(202).json({ id: job.id, status: job.state.status, projectId: project.id, eventsUrl: `/api/flyers/${job.id}/events` });
+    } catch (error) {
+        logger.error('Error starting flyer job', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Endpoint to read a flyer job's current state
+app.get('/api/flyers/:id', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (job) res.json(job.state);
+});
+
+// Endpoint to stream a flyer job's progress (Server-Sent Events)
+app.get('/api/flyers/:id/events', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (job) streamJob(job, req, res, current => current.state);
+});
+
+// Endpoint to cancel a running flyer job
+app.post('/api/flyers/:id/cancel', (req, res) => {
+    const job = findJobOr404(req, res);
+    if (!job) return;
+    if (isFinished(job)) {
+        res.status(409).json({ error: `Flyer job is already ${job.state.status}` });
+        return;
+    }
+    cancelJob(job);
+    res.status(202).json({ id: job.id, status: job.state.status, cancelling: true });
+});
+
+const REFINE_PROMPT = `Act as an expert Frontend Developer. You will receive the HTML of an existing flyer and an instruction from the designer. Apply the instruction and return the complete updated HTML.
+
+**RULES:**
+1.  **Minimal change:** Keep every element, style, text and attribute that the instruction does not concern exactly as it is.
+2.  **Structure:** Only \`<div>\`, \`<span>\` and \`<img>\` elements. No JavaScript. Every element has an explicit integer \`z-index\`.
+3.  **Text:** Every text stays wrapped in a \`<span>\` with a \`data-font-url\` Google Fonts link and no styling other than \`z-index\`. When a text changes font, update its \`data-font-url\`.
+4.  **Images:** Keep the \`src\` of existing images unchanged. To replace a picture, change its \`x-prompt\` and set \`src=""\`. A new image needs \`src=""\`, an \`x-prompt\` and \`transparent="true"\` or \`transparent="false"\`.
+
+**OUTPUT:**
+Output ONLY the raw HTML string of the whole flyer inside its main container \`<div>\`. Do not include markdown code blocks or explanations.`;
+
+const REWRITE_TEXT_PROMPT = `You are a copywriter editing one text on a flyer. Rewrite the text as instructed, keeping roughly the same length unless told otherwise.
+
+Output ONLY the new text: no quotes, no markdown, no explanations.`;
+
+// Swap image sources for short placeholders so the model never sees (or mangles) long URLs
+function maskImageSources(html) {
+    const $ = cheerio.load(html, null, false);
+    const sources = [];
+    $('img').each((i, el) => {
+        const src = $(el).attr('src');
+        if (!src) return;
+        sources.push(src);
+        $(el).attr('src', `keep:${sources.length}`);
+    });
+    return { html: $.html(), sources };
+}
+
+// Put the original sources back; anything else the model wrote into a src is dropped
+function unmaskImageSources(html, sources) {
+    const $ = cheerio.load(html, null, false);
+    $('img').each((i, el) => {
+        const src = $(el).attr('src') || '';
+        const match = src.match(/^keep:(\d+)$/);
+        $(el).attr('src', match && sources[match[1] - 1] ? sources[match[1] - 1] : '');
+    });
+    return $.html();
+}
+
+// Generate every img[x-prompt] that has no source yet. Returns { html, images: [{ index, prompt, url, error }] }
+async function fillMissingImages(html, imageOptions) {
+    const slots = imageSlots(html);
+    const $ = cheerio.load(html, null, false);
+    const elements = $('img[x-prompt]').toArray();
+    const missing = slots.filter(slot => !elements[slot.index].attribs.src);
+    const style = imageStyleOf(html);
+    await runWithConcurrency(missing, IMAGE_CONCURRENCY, async slot => {
+        try {
+            const generated = await generateImage(slot.prompt, slot.width, slot.height, slot.transparent, {
+                ...imageOptions,
+                style,
+                negativePrompt: slot.negativePrompt,
+                seed: slot.seed
+            });
+            Object.assign(slot, { status: 'done', url: generated.url, cached: generated.cached, generation: generated.generation });
+        } catch (error) {
+            logger.error('Image failed', { image: slot.index, error });
+            Object.assign(slot, { status: 'failed', error: error.message });
         }
-        // Convert Base64 string to a Uint8Array (Node.js Buffer)
-        if (!base64Data) {
-            console.error('No image data provided in request');
-            res.status(400).json({ error: 'Invalid or missing imageUrl' });
+    });
+    return {
+        html: flyerHtmlWithImages(html, slots),
+        images: missing.map(({ index, prompt, status, url, error }) => ({ index, prompt, status, url, error }))
+    };
+}
+
+// Save an edit as a new project version when the request names a project, with the request's
+// estimated usage; returns the version number or null
+async function saveEditVersion(req, projectId, html, note) {
+    if (!projectId) return null;
+    await findProject(req, projectId);
+    const version = await projects.addVersion(projectId, { html, note, source: 'edit', usage: summarizeUsage(currentUsage()) });
+    return version.version;
+}
+
+function readFlyerHtml(html) {
+    if (typeof html !== 'string' || !html.trim()) {
+        const error = new Error('html must be the current flyer HTML');
+        error.status = 400;
+        throw error;
+    }
+    return sanitizeFlyerHtml(html).html;
+}
+
+// Pick the index-th element matching selector, or throw a 400
+function elementAt($, selector, index, label) {
+    const position = Number(index);
+    const element = Number.isInteger(position) ? $(selector).eq(position) : null;
+    if (!element || !element.length) {
+        const error = new Error(`${label} ${index} not found`);
+        error.status = 400;
+        throw error;
+    }
+    return element;
+}
+
+// Endpoint to refine a finished flyer with a natural-language instruction
+app.post('/api/refine-layout', async (req, res) => {
+    try {
+        const { instruction, spec, textProvider, textModel, imageProvider, imageModel, projectId } = req.body;
+        if (typeof instruction !== 'string' || !instruction.trim()) {
+            res.status(400).json({ error: 'instruction must be a non-empty string' });
             return;
         }
-        const inputBuffer = Buffer.from(base64Data, 'base64');
-        // Detect mime type from buffer when possible, to avoid passing incorrect mime
-        const detectedMime = detectImageMimeFromBuffer(inputBuffer);
-        if (detectedMime && detectedMime !== 'application/octet-stream') {
-            mimeType = detectedMime;
-        }
-        // sharpImage is available if we need to manipulate the input buffer, but not used here
-        // Pass the encoded image buffer directly to removeBackground.
-        // The library supports encoded images (PNG/JPEG/WebP) and will decode them internally.
-        console.log("Processing image...");
-        const { Blob: NodeBlob } = require('buffer');
-        const blob = new NodeBlob([inputBuffer], { type: mimeType });
-        const result = await removeBackground(blob);
-        // result may be returned as a Blob-like object or as a Buffer/Uint8Array.
-        // Normalize it to a Buffer so we can pipe it through sharp to get PNG bytes.
-        let outputPngBuffer;
-        if (result instanceof Buffer || ArrayBuffer.isView(result)) {
-            // If it's already a Buffer or typed array
-            outputPngBuffer = Buffer.from(result);
+        const current = readFlyerHtml(req.body.html);
+        const textOptions = { provider: textProvider, model: textModel };
+        const imageOptions = { provider: imageProvider, model: imageModel };
+
+        const masked = maskImageSources(current);
+        const context = spec ? `\n\nDesign Spec (for reference): ${JSON.stringify(spec, null, 2)}` : '';
+        const basePrompt = `${REFINE_PROMPT}${context}\n\nCurrent HTML:\n${masked.html}\n\nInstruction: ${instruction.trim()}`;
+        const layout = await promptForLayout(basePrompt, textOptions, readMaxRepairs(req.body.maxRepairs), { allowImageSrc: true });
+
+        // The model may drop the root's attributes; the flyer keeps its image style profile
+        const refined = setImageStyle(unmaskImageSources(layout.html, masked.sources), imageStyleOf(current));
+        const filled = await fillMissingImages(refined, imageOptions);
+        const version = await saveEditVersion(req, projectId, filled.html, instruction.trim());
+        res.json({ html: filled.html, validation: layout.validation, images: filled.images, version, usage: summarizeUsage(currentUsage()) });
+    } catch (error) {
+        logger.error('Error refining layout', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Endpoint to regenerate one img[x-prompt] (by index), optionally with a new prompt, negative
+// prompt or seed. `reroll` keeps everything but the seed. Without a seed a locked image keeps
+// its seed and any other gets a new one.
+app.post('/api/refine-layout/image', async (req, res) => {
+    try {
+        const { index, prompt, negativePrompt, transparent, reroll, imageProvider, imageModel, projectId } = req.body;
+        const $ = cheerio.load(readFlyerHtml(req.body.html), null, false);
+        const img = elementAt($, 'img[x-prompt]', index, 'Image');
+        const locked = lockedSeed(img.attr());
+        let seed;
+        if (reroll) {
+            if (locked !== null) {
+                res.status(409).json({ error: `Image ${Number(index) + 1} has a locked seed; unlock it to reroll` });
+                return;
+            }
+            if (prompt !== undefined || negativePrompt !== undefined || transparent !== undefined || req.body.seed !== undefined) {
+                res.status(400).json({ error: 'A reroll only changes the seed; send prompt changes without reroll' });
+                return;
+            }
+            seed = randomSeed();
         } else {
-            // Assume it's a Blob-like object (has arrayBuffer method)
-            const ab = await result.arrayBuffer();
-            outputPngBuffer = Buffer.from(ab);
-        }
-        if (!outputPngBuffer || !outputPngBuffer.length) {
-            console.error('removeBackground returned empty output; falling back to original input.');
-            // Fallback to returning original image
-            const fallbackOutputBase64 = inputBuffer.toString('base64');
-            const fallbackDataUrl = `data:image/png;base64,${fallbackOutputBase64}`;
-            res.json({ url: fallbackDataUrl });
-            return;
+            if (typeof prompt === 'string' && prompt.trim()) img.attr('x-prompt', prompt.trim());
+            if (typeof negativePrompt === 'string') {
+                if (negativePrompt.trim()) img.attr('x-negative-prompt', negativePrompt.trim());
+                else img.removeAttr('x-negative-prompt');
+            }
+            if (transparent !== undefined) img.attr('transparent', String(Boolean(transparent)));
+            seed = req.body.seed !== undefined ? readSeed(req.body.seed) : (locked !== null ? locked : randomSeed());
         }
-        console.log('removeBackground result type:', typeof result, 'output size (bytes):', outputPngBuffer.length);
-        const outputBase64 = outputPngBuffer.toString("base64");
-        console.log("Background removed.");
-        const outputDataUrl = `data:image/png;base64,${outputBase64}`;
-        res.json({ url: outputDataUrl });
+
+        const html = $.html();
+        const slot = imageSlots(html)[Number(index)];
+        const generated = await generateImage(slot.prompt, slot.width, slot.height, slot.transparent, {
+            provider: imageProvider,
+            model: imageModel,
+            style: imageStyleOf(html),
+            negativePrompt: slot.negativePrompt,
+            seed
+        });
+        img.attr('src', generated.url).attr('data-x-image-generated', '1');
+        recordGeneration(img, generated.generation);
+
+        const updated = $.html();
+        const note = reroll ? `Rerolled image ${Number(index) + 1} (seed ${seed})` : `Regenerated image ${Number(index) + 1}: ${slot.prompt}`;
+        const version = await saveEditVersion(req, projectId, updated, note);
+        res.json({ html: updated, image: { index: Number(index), prompt: slot.prompt, url: generated.url, generation: generated.generation }, version, usage: summarizeUsage(currentUsage()) });
     } catch (error) {
-        console.error('Error removing background:', error);
-        res.status(500).json({ error: error.message });
+        logger.error('Error regenerating image', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to lock (or, with locked: false, unlock) the seed of one img[x-prompt] (by index),
+// so regenerations keep it and rerolls are refused
+app.post('/api/refine-layout/image/lock', async (req, res) => {
+    try {
+        const { index, projectId } = req.body;
+        const locked = req.body.locked === undefined ? true : Boolean(req.body.locked);
+        const $ = cheerio.load(readFlyerHtml(req.body.html), null, false);
+        const img = elementAt($, 'img[x-prompt]', index, 'Image');
+        let seed = null;
+        if (locked) {
+            img.attr('data-x-image-seed-locked', 'true');
+            seed = lockedSeed(img.attr());
+            if (seed === null) {
+                res.status(409).json({ error: `Image ${Number(index) + 1} has no recorded seed; regenerate it first` });
+                return;
+            }
+        } else {
+            img.removeAttr('data-x-image-seed-locked');
+        }
+
+        const html = $.html();
+        const version = await saveEditVersion(req, projectId, html, `${locked ? 'Locked' : 'Unlocked'} the seed of image ${Number(index) + 1}`);
+        res.json({ html, image: { index: Number(index), locked, seed }, version });
+    } catch (error) {
+        logger.error('Error locking image seed', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to rewrite one span's text (by index): either the new `text`, or an `instruction` for the model
+app.post('/api/refine-layout/text', async (req, res) => {
+    try {
+        const { index, text, instruction, textProvider, textModel, projectId } = req.body;
+        const $ = cheerio.load(readFlyerHtml(req.body.html), null, false);
+        const span = elementAt($, 'span', index, 'Text');
+        const before = span.text();
+
+        let after;
+        if (typeof text === 'string') {
+            after = text;
+        } else if (typeof instruction === 'string' && instruction.trim()) {
+            const others = $('span').toArray().map(el => $(el).text().trim()).filter(Boolean);
+            const prompt = `${REWRITE_TEXT_PROMPT}\n\nOther texts on the flyer (for context):\n- ${others.join('\n- ')}\n\nText to rewrite: ${before}\n\nInstruction: ${instruction.trim()}`;
+            const refund = apiKeys.chargeQuota('texts');
+            try {
+                after = (await generateText(prompt, { provider: textProvider, model: textModel }))
+                    .trim()
+                    .replace(/^["'“”]+|["'“”]+$/g, '');
+            } catch (error) {
+                refund();
+                throw error;
+            }
+        } else {
+            res.status(400).json({ error: 'Provide the new text or an instruction' });
+            return;
+        }
+        span.text(after);
+
+        const html = $.html();
+        const version = await saveEditVersion(req, projectId, html, `Text "${before.trim().slice(0, 40)}" → "${after.trim().slice(0, 40)}"`);
+        res.json({ html, span: { index: Number(index), before, text: after }, version, usage: summarizeUsage(currentUsage()) });
+    } catch (error) {
+        logger.error('Error rewriting text', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+const MAX_RESIZE_TARGETS = 10;
+// A generated image is reused at a new size when its element keeps roughly the same shape
+// and does not need to be blown up by more than IMAGE_MAX_UPSCALE
+const IMAGE_ASPECT_TOLERANCE = 1.25;
+const IMAGE_MAX_UPSCALE = 1.5;
+
+// Whether an existing image source still looks right in a slot of the new layout
+async function imageStillFits(src, slot) {
+    const hash = assetHashFromUrl(src);
+    // Not a stored asset (e.g. an uploaded data URL); there is no prompt result to replace it with
+    if (!hash) return true;
+    const asset = await getAsset(hash);
+    if (!asset) return false;
+    const { width, height } = await sharp(asset.buffer).metadata();
+    if (!width || !height) return false;
+    const aspect = (width / height) / (slot.width / slot.height);
+    return Math.max(aspect, 1 / aspect) <= IMAGE_ASPECT_TOLERANCE
+        && slot.width <= width * IMAGE_MAX_UPSCALE
+        && slot.height <= height * IMAGE_MAX_UPSCALE;
+}
+
+function resizeInstruction(source) {
+    const from = source.canvas ? ` (it was designed for ${source.canvas.width}×${source.canvas.height}px)` : '';
+    return `Re-lay out this flyer for the new canvas above${from}. Keep every text, font, color and image, but move, resize and re-arrange the elements so the design works at the new size and aspect ratio.`;
+}
+
+// Background pipeline for POST /api/projects/:id/resize: re-lay out the source version for every
+// target size, keep the images that still fit, generate the rest and save each size as a new
+// version. A failed size does not stop the others.
+async function runResizeJob(job, input) {
+    const { signal } = job.controller;
+    const { source } = input;
+    const update = (target, changes) => emit(job, 'target', Object.assign(target, changes));
+    try {
+        emit(job, 'status', { status: 'running', stage: 'resize' }, { status: 'running', stage: 'resize' });
+        const masked = maskImageSources(source.html);
+        const context = source.spec ? `\n\nDesign Spec (for reference): ${JSON.stringify(source.spec, null, 2)}` : '';
+        for (const target of job.state.targets) {
+            throwIfCancelled(signal);
+            const usageBefore = { ...currentUsage() };
+            try {
+                update(target, { status: 'layout' });
+                const basePrompt = `${REFINE_PROMPT}\n\n${canvasPrompt(target.canvas)}${context}\n\nCurrent HTML:\n${masked.html}\n\nInstruction: ${resizeInstruction(source)}`;
+                const layout = await promptForLayout(basePrompt, input.textOptions, input.maxRepairs, { allowImageSrc: true, canvas: target.canvas });
+                throwIfCancelled(signal);
+
+                const html = setImageStyle(unmaskImageSources(layout.html, masked.sources), input.imageOptions.style);
+                const $ = cheerio.load(html, null, false);
+                const sources = $('img[x-prompt]').toArray().map(el => el.attribs.src || '');
+                const images = imageSlots(html, target.canvas).map(image => ({ ...image, target: target.index }));
+                for (const image of images) {
+                    const src = sources[image.index];
+                    if (src && await imageStillFits(src, image)) Object.assign(image, { status: 'reused', url: src });
+                }
+                update(target, { status: 'images', validation: layout.validation, images });
+
+                // Images that no longer fit keep their old source if regenerating them fails
+                const pending = images.filter(image => image.status === 'pending');
+                await runWithConcurrency(pending, input.concurrency, image => generateJobImage(job, image, input.imageOptions), signal);
+                throwIfCancelled(signal);
+
+                const version = await projects.addVersion(input.projectId, {
+                    source: 'resize',
+                    note: `Resized to ${target.canvas.name} from version ${source.version}`,
+                    brief: source.brief,
+                    spec: source.spec,
+                    canvas: target.canvas,
+                    html: flyerHtmlWithImages(html, images),
+                    validation: layout.validation,
+                    usage: usageSince(currentUsage(), usageBefore)
+                });
+                update(target, {
+                    status: 'done',
+                    version: version.version,
+                    usage: version.usage,
+                    reused: images.filter(image => image.status === 'reused').length,
+                    regenerated: pending.filter(image => image.status === 'done').length
+                });
+            } catch (error) {
+                if (signal.aborted) throw error;
+                logger.error('Resize target failed', { target: target.index, size: target.canvas.name, error });
+                update(target, { status: 'failed', error: error.message });
+            }
+        }
+
+        const versions = job.state.targets.map(target => target.version).filter(Boolean);
+        const failedTargets = job.state.targets.filter(target => target.status === 'failed').length;
+        emit(job, 'done', { status: 'completed', projectId: input.projectId, versions, failedTargets, usage: jobUsage() }, { status: 'completed', stage: null, usage: jobUsage() });
+    } catch (error) {
+        if (signal.aborted) {
+            for (const target of job.state.targets) {
+                if (target.status !== 'done' && target.status !== 'failed') target.status = 'cancelled';
+            }
+            const versions = job.state.targets.map(target => target.version).filter(Boolean);
+            emit(job, 'done', { status: 'cancelled', projectId: input.projectId, versions, usage: jobUsage() }, { status: 'cancelled', stage: null, usage: jobUsage() });
+            return;
+        }
+        logger.error('Resize job failed', { error });
+        const details = { message: error.message };
+        emit(job, 'done', { status: 'failed', error: details, usage: jobUsage() }, { status: 'failed', stage: null, error: details, usage: jobUsage() });
+    }
+}
+
+// Endpoint to re-lay out a saved version (default: the latest) for other sizes.
+// Runs as a job like POST /api/flyers; every size is saved as a new version of the project.
+app.post('/api/projects/:id/resize', async (req, res) => {
+    try {
+        const { sizes, textProvider, textModel, imageProvider, imageModel } = req.body;
+        const textOptions = { provider: textProvider, model: textModel };
+        const imageOptions = { provider: imageProvider, model: imageModel };
+        resolveTextProvider(textOptions);
+        resolveImageProvider(imageOptions);
+        if (!Array.isArray(sizes) || !sizes.length || sizes.length > MAX_RESIZE_TARGETS) {
+            res.status(400).json({ error: `sizes must list 1 to ${MAX_RESIZE_TARGETS} size presets` });
+            return;
+        }
+        const canvases = sizes.map(size => resolveCanvas(size));
+        if (canvases.includes(null)) {
+            res.status(400).json({ error: 'Every entry in sizes must be a size preset' });
+            return;
+        }
+
+        const project = await findProject(req, req.params.id);
+        const source = req.body.version !== undefined
+            ? await projects.getVersion(project.id, req.body.version)
+            : project.versions[project.versions.length - 1];
+        if (!source || !source.html) {
+            res.status(400).json({ error: 'There is no flyer to resize in this version' });
+            return;
+        }
+
+        const targets = canvases.map((canvas, index) => ({ index, canvas, status: 'pending', validation: null, images: [], version: null, error: null }));
+        const job = createJob({ kind: 'resize', stage: null, projectId: project.id, sourceVersion: source.version, targets, error: null }, ownerOf(req));
+        startJob(job, runResizeJob, {
+            projectId: project.id,
+            source,
+            textOptions,
+            imageOptions: { ...imageOptions, style: imageStyleOf(source.html) },
+            maxRepairs: readMaxRepairs(req.body.maxRepairs),
+            concurrency: readConcurrency(req.body.concurrency)
+        });
+        res.status(202).json({ id: job.id, status: job.state.status, projectId: project.id, eventsUrl: `/api/flyers/${job.id}/events` });
+    } catch (error) {
+        logger.error('Error starting resize job', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Endpoint to list the saved projects of the API key (newest first)
+app.get('/api/projects', async (req, res) => {
+    try {
+        res.json({ projects: (await projects.listProjects()).filter(project => ownedBy(req, project)) });
+    } catch (error) {
+        logger.error('Error listing projects', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Sanitize and check client-supplied version HTML like generated HTML.
+// Returns { html, validation }, both undefined when html is.
+function readVersionHtml(html) {
+    if (html === undefined) return { html: undefined, validation: undefined };
+    if (html !== null && typeof html !== 'string') {
+        const invalid = new Error('html must be a string');
+        invalid.status = 400;
+        throw invalid;
+    }
+    const checked = checkLayoutOutput(html || '', { allowImageSrc: true });
+    return {
+        html: checked.html,
+        validation: {
+            valid: checked.violations.length === 0,
+            violations: checked.violations,
+            byRule: countByRule(checked.violations),
+            removed: checked.removed,
+            attempts: []
+        }
+    };
+}
+
+// Endpoint to create a project, optionally with a first version ({ name, brief, spec, html })
+app.post('/api/projects', async (req, res) => {
+    try {
+        const { name, brief, spec } = req.body;
+        // Imported HTML and specs are sanitized and checked like edits
+        const { html, validation } = readVersionHtml(req.body.html);
+        const project = await projects.createProject({
+            name,
+            brief,
+            spec: spec === undefined || spec === null ? spec : readDesignSpec(spec),
+            html,
+            validation,
+            source: 'import'
+        }, { ownerId: ownerOf(req) });
+        res.status(201).json(project);
+    } catch (error) {
+        logger.error('Error creating project', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Endpoint to load a project with all its versions
+app.get('/api/projects/:id', async (req, res) => {
+    try {
+        res.json(await findProject(req, req.params.id));
+    } catch (error) {
+        logger.error('Error loading project', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to rename a project
+app.patch('/api/projects/:id', async (req, res) => {
+    try {
+        await findProject(req, req.params.id);
+        const project = await projects.renameProject(req.params.id, req.body.name);
+        res.json({ id: project.id, name: project.name, updatedAt: project.updatedAt });
+    } catch (error) {
+        logger.error('Error renaming project', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to delete a project and its history
+app.delete('/api/projects/:id', async (req, res) => {
+    try {
+        await findProject(req, req.params.id);
+        await projects.deleteProject(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error deleting project', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to save an edit as a new version ({ html, spec, brief, note }; omitted parts carry over)
+app.post('/api/projects/:id/versions', async (req, res) => {
+    try {
+        const { spec, brief, note } = req.body;
+        // Edited HTML (e.g. from the visual editor) is sanitized and checked like generated HTML
+        const { html, validation } = readVersionHtml(req.body.html);
+        await findProject(req, req.params.id);
+        const version = await projects.addVersion(req.params.id, {
+            html,
+            validation,
+            spec: spec === undefined ? undefined : readDesignSpec(spec),
+            brief,
+            note,
+            source: 'edit'
+        });
+        res.status(201).json(version);
+    } catch (error) {
+        logger.error('Error saving version', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Endpoint to load one version
+app.get('/api/projects/:id/versions/:version', async (req, res) => {
+    try {
+        await findProject(req, req.params.id);
+        res.json(await projects.getVersion(req.params.id, req.params.version));
+    } catch (error) {
+        logger.error('Error loading version', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to make an old version current again (appends a copy of it)
+app.post('/api/projects/:id/versions/:version/restore', async (req, res) => {
+    try {
+        await findProject(req, req.params.id);
+        res.status(201).json(await projects.restoreVersion(req.params.id, req.params.version));
+    } catch (error) {
+        logger.error('Error restoring version', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to fork a project (from its latest version, or { version }) into a new project
+app.post('/api/projects/:id/fork', async (req, res) => {
+    try {
+        await findProject(req, req.params.id);
+        const project = await projects.forkProject(req.params.id, { version: req.body.version, name: req.body.name, ownerId: ownerOf(req) });
+        res.status(201).json(project);
+    } catch (error) {
+        logger.error('Error forking project', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+const LOGO_MAX_SIDE = 2000;
+
+// Store uploaded logos ({ name, image: data URL }) as PNG assets; logos that already have an
+// asset url are kept as they are. Returns the logos as { name, url, width, height }.
+async function storeBrandLogos(logos) {
+    if (!Array.isArray(logos)) return logos;
+    return Promise.all(logos.map(async (logo, i) => {
+        if (!logo || typeof logo.image !== 'string') return logo;
+        const match = logo.image.match(/^data:image\/(?:png|jpeg|webp|svg\+xml);base64,(.+)$/);
+        if (!match) {
+            const error = new Error(`logos[${i}].image must be a PNG, JPEG, WebP or SVG data URL`);
+            error.status = 400;
+            throw error;
+        }
+        // Re-encoding also turns SVG logos into plain images that cannot carry scripts
+        let png;
+        try {
+            png = await sharp(Buffer.from(match[1], 'base64'))
+                .resize({ width: LOGO_MAX_SIDE, height: LOGO_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+                .png()
+                .toBuffer({ resolveWithObject: true });
+        } catch (err) {
+            const error = new Error(`logos[${i}].image could not be read: ${err.message}`);
+            error.status = 400;
+            throw error;
+        }
+        const asset = await putAsset(png.data, 'image/png');
+        return { name: logo.name, url: asset.url, width: png.info.width, height: png.info.height };
+    }));
+}
+
+// Endpoint to list the brand kits of the API key
+app.get('/api/brand-kits', async (req, res) => {
+    try {
+        res.json({ brandKits: (await brandKits.listBrandKits()).filter(kit => ownedBy(req, kit)) });
+    } catch (error) {
+        logger.error('Error listing brand kits', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to create a brand kit: { name, colors, fonts?, logos?, tone?, allowNeutrals? }
+app.post('/api/brand-kits', async (req, res) => {
+    try {
+        const kit = await brandKits.createBrandKit({ ...req.body, logos: await storeBrandLogos(req.body.logos) }, { ownerId: ownerOf(req) });
+        res.status(201).json(kit);
+    } catch (error) {
+        logger.error('Error creating brand kit', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.get('/api/brand-kits/:id', async (req, res) => {
+    try {
+        res.json(await findBrandKit(req, req.params.id));
+    } catch (error) {
+        logger.error('Error loading brand kit', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to change some fields of a brand kit
+app.patch('/api/brand-kits/:id', async (req, res) => {
+    try {
+        await findBrandKit(req, req.params.id);
+        const changes = req.body.logos !== undefined ? { ...req.body, logos: await storeBrandLogos(req.body.logos) } : req.body;
+        res.json(await brandKits.updateBrandKit(req.params.id, changes));
+    } catch (error) {
+        logger.error('Error updating brand kit', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.delete('/api/brand-kits/:id', async (req, res) => {
+    try {
+        await findBrandKit(req, req.params.id);
+        await brandKits.deleteBrandKit(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error deleting brand kit', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to check flyer HTML against a brand kit: { html, snap?, projectId? }.
+// With snap, off-brand colors are replaced by the nearest brand color and the result is saved
+// as a new version of projectId (when given and anything changed).
+app.post('/api/brand-kits/:id/check', async (req, res) => {
+    try {
+        const kit = await findBrandKit(req, req.params.id);
+        const { html, brand } = checkBrand(readFlyerHtml(req.body.html), { brand: brandSnapshot(kit) }, Boolean(req.body.snap));
+        const version = brand.snapped
+            ? await saveEditVersion(req, req.body.projectId, html, `Snapped ${brand.snapped} color(s) to brand kit ${kit.name}`)
+            : null;
+        res.json({ html, report: brand, version });
+    } catch (error) {
+        logger.error('Error checking brand compliance', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// Endpoint to check a flyer for overflowing text, stickers over text and low contrast (see
+// lib/design-qa.js): { html, fix?, projectId? }. fix is true for every fixable issue or a list of
+// issue ids; the fixed flyer is checked again and saved as a new version of projectId (when given).
+app.post('/api/qa', async (req, res) => {
+    try {
+        const html = readFlyerHtml(req.body.html);
+        const { fix } = req.body;
+        if (fix !== undefined && typeof fix !== 'boolean' && !Array.isArray(fix)) {
+            const error = new Error('fix must be true or a list of issue ids');
+            error.status = 400;
+            throw error;
+        }
+        if (!fix) {
+            res.json({ html, report: await analyzeFlyer(html, { resolveImage: resolveAssetImage }), changes: [], version: null });
+            return;
+        }
+        const fixed = await fixDesign(html, { ids: fix === true ? null : fix, resolveImage: resolveAssetImage });
+        const fixedIssues = new Set(fixed.changes.map(change => change.id)).size;
+        const version = fixed.changes.length
+            ? await saveEditVersion(req, req.body.projectId, fixed.html, `Design QA: fixed ${fixedIssues} issue(s)`)
+            : null;
+        res.json({ ...fixed, version });
+    } catch (error) {
+        logger.error('Error checking design', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+const REMOVE_BG_CONCURRENCY = parseInt(process.env.REMOVE_BG_CONCURRENCY || '1', 10);
+const REMOVE_BG_CONCURRENCY_LIMIT = 4;
+const REMOVE_BG_MAX_FILES = parseInt(process.env.REMOVE_BG_MAX_FILES || '50', 10);
+// Formats @imgly/background-removal-node reads directly; others are converted to PNG first
+const REMOVE_BG_INPUT_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+
+function imageInputError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Bytes of an /assets/:hash URL, a data URL, a remote http(s) URL (see lib/remote-fetch.js) or raw base64
+async function readImageInput(value, label = 'imageUrl') {
+    if (typeof value !== 'string' || !value) throw imageInputError(`Invalid or missing ${label}`);
+    let buffer;
+    const assetHash = assetHashFromUrl(value);
+    if (assetHash) {
+        const asset = await getAsset(assetHash);
+        if (!asset) throw imageInputError('Asset not found', 404);
+        buffer = asset.buffer;
+    } else if (value.startsWith('data:')) {
+        const match = value.match(/^data:[a-zA-Z0-9.+/-]*;base64,(.*)$/);
+        if (!match) throw imageInputError(`Invalid data URL format in ${label}`);
+        buffer = Buffer.from(match[1], 'base64');
+    } else if (value.startsWith('http://') || value.startsWith('https://')) {
+        try {
+            ({ buffer } = await fetchRemoteImage(value));
+        } catch (err) {
+            logger.warn('Error fetching remote image', { label, error: err.message });
+            throw imageInputError(`Could not fetch ${label}: ${err.message}`, err.status || 400);
+        }
+    } else {
+        // Assume it's already a base64 string
+        buffer = Buffer.from(value, 'base64');
+    }
+    if (!buffer.length) throw imageInputError(`Invalid or missing ${label}`);
+    return buffer;
+}
+
+async function normalizeImageInput(buffer) {
+    if (REMOVE_BG_INPUT_TYPES.has(detectImageMimeFromBuffer(buffer))) return buffer;
+    try {
+        return await sharp(buffer).png().toBuffer();
+    } catch (err) {
+        throw imageInputError('Not a supported image (use PNG, JPEG or WebP)');
+    }
+}
+
+// Load an image background and key it by hash in the options, so cache keys stay small
+async function readCutoutBackground(options) {
+    const { background } = options;
+    if (!background || background.type !== 'image') return null;
+    const buffer = await normalizeImageInput(await readImageInput(background.image, 'background.image'));
+    background.image = sha256(buffer);
+    return buffer;
+}
+
+// Remove the background of one image, then apply the cut-out options (lib/cutout.js).
+// Both steps are cached, so trying other options on the same photo skips the slow removal.
+// Returns the asset plus its width and height.
+async function cutoutImage(inputBuffer, options, backgroundImage) {
+    const input = await normalizeImageInput(inputBuffer);
+    const cutout = await removeBackgroundFun(input);
+    const asset = !needsProcessing(options) ? cutout : await cachedAsset('cutout', { cutout: cutout.hash, input: sha256(input), options }, async () => {
+        const stored = await getAsset(cutout.hash);
+        if (!stored) throw new Error('Cut-out asset went missing; try again');
+        const result = await processCutout(stored.buffer, input, options, { backgroundImage });
+        return { buffer: result.buffer, mime: result.mime };
+    });
+    const { width, height } = await sharp((await getAsset(asset.hash)).buffer).metadata();
+    return { ...asset, width, height };
+}
+
+// Endpoint to remove the background of one image: { imageUrl, options? }.
+// options: { threshold, feather, trim, padding, format, quality, background, shadow }, see lib/cutout.js
+app.post('/api/remove-bg', async (req, res) => {
+    try {
+        const options = readCutoutOptions(req.body.options);
+        const backgroundImage = await readCutoutBackground(options);
+        const inputBuffer = await readImageInput(req.body.imageUrl);
+        logger.info('Removing background', { inputBytes: inputBuffer.length });
+        const result = await cutoutImage(inputBuffer, options, backgroundImage);
+        res.json({ url: result.url, cached: result.cached, mime: result.mime, width: result.width, height: result.height });
+    } catch (error) {
+        logger.error('Error removing background', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+function isZip(buffer) {
+    return buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4B && (buffer[2] === 0x03 || buffer[2] === 0x05);
+}
+
+// Images of a batch upload ([{ name, data }], data being a data URL or any other imageUrl form).
+// ZIP archives are expanded; files that cannot be read become entries with an error.
+async function readBatchFiles(files) {
+    if (!Array.isArray(files) || !files.length) throw imageInputError('files must list at least one image or ZIP archive');
+    const entries = [];
+    for (const [i, file] of files.entries()) {
+        const name = String((file && file.name) || `image-${i + 1}`).slice(0, 200);
+        let buffer;
+        try {
+            buffer = await readImageInput(file && file.data, `files[${i}].data`);
+            if (!isZip(buffer)) {
+                entries.push({ name, buffer });
+                continue;
+            }
+            for (const entry of readZip(buffer, { maxEntries: REMOVE_BG_MAX_FILES * 4 })) {
+                const base = entry.name.split('/').pop();
+                // Skip hidden files and the resource forks macOS adds to archives
+                if (base.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue;
+                entries.push({ name: entry.name, buffer: entry.data });
+            }
+        } catch (error) {
+            entries.push({ name, error: error.message });
+        }
+    }
+    if (entries.length > REMOVE_BG_MAX_FILES) throw imageInputError(`A batch can hold at most ${REMOVE_BG_MAX_FILES} images (got ${entries.length})`);
+    return entries;
+}
+
+// Background pipeline for POST /api/remove-bg/batch. Every file succeeds or fails on its own;
+// failures carry their error message instead of falling back to the original image.
+async function runRemoveBgJob(job, input) {
+    const { signal } = job.controller;
+    const update = (file, changes) => emit(job, 'file', Object.assign(file, changes));
+    const summary = () => ({
+        succeeded: job.state.files.filter(file => file.status === 'done').length,
+        failed: job.state.files.filter(file => file.status === 'failed').length
+    });
+    try {
+        const pending = job.state.files.filter(file => file.status === 'pending');
+        await runWithConcurrency(pending, input.concurrency, async file => {
+            update(file, { status: 'running' });
+            try {
+                const result = await cutoutImage(input.buffers[file.index], input.options, input.backgroundImage);
+                update(file, { status: 'done', url: result.url, mime: result.mime, width: result.width, height: result.height, cached: result.cached });
+            } catch (error) {
+                logger.error('Background removal failed for a file', { file: file.name, error });
+                update(file, { status: 'failed', error: error.message });
+            } finally {
+                input.buffers[file.index] = null;
+            }
+        }, signal);
+        throwIfCancelled(signal);
+        emit(job, 'done', { status: 'completed', ...summary(), usage: jobUsage() }, { status: 'completed', usage: jobUsage() });
+    } catch (error) {
+        if (signal.aborted) {
+            for (const file of job.state.files) {
+                if (file.status === 'pending') file.status = 'cancelled';
+            }
+            emit(job, 'done', { status: 'cancelled', ...summary(), usage: jobUsage() }, { status: 'cancelled', usage: jobUsage() });
+            return;
+        }
+        logger.error('Background removal job failed', { error });
+        const details = { message: error.message };
+        emit(job, 'done', { status: 'failed', error: details, usage: jobUsage() }, { status: 'failed', error: details, usage: jobUsage() });
+    }
+}
+
+// Endpoint to remove the backgrounds of many images: { files: [{ name, data }], options?, concurrency? }.
+// data is a data URL of an image or a ZIP of images. Runs as a job; progress is streamed from
+// /api/remove-bg/jobs/:id/events and the results can be downloaded as one ZIP.
+app.post('/api/remove-bg/batch', async (req, res) => {
+    try {
+        const options = readCutoutOptions(req.body.options);
+        const backgroundImage = await readCutoutBackground(options);
+        const entries = await readBatchFiles(req.body.files);
+        const concurrency = req.body.concurrency === undefined
+            ? REMOVE_BG_CONCURRENCY
+            : Math.min(REMOVE_BG_CONCURRENCY_LIMIT, Math.max(1, parseInt(req.body.concurrency, 10) || 1));
+
+        const files = entries.map((entry, index) => ({
+            index,
+            name: entry.name,
+            status: entry.error ? 'failed' : 'pending',
+            error: entry.error || null,
+            url: null,
+            width: null,
+            height: null
+        }));
+        const job = createJob({ kind: 'remove-bg', options, files, error: null }, ownerOf(req));
+        startJob(job, runRemoveBgJob, { options, backgroundImage, concurrency, buffers: entries.map(entry => entry.buffer || null) });
+        res.status(202).json({ id: job.id, status: job.state.status, files: files.length, eventsUrl: `/api/remove-bg/jobs/${job.id}/events` });
+    } catch (error) {
+        logger.error('Error starting background removal job', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+function findRemoveBgJobOr404(req, res) {
+    const job = getJob(req.params.id);
+    if (job && job.state.kind === 'remove-bg' && ownedBy(req, job)) return job;
+    res.status(404).json({ error: 'Background removal job not found' });
+    return null;
+}
+
+// Endpoint to read a background removal job's current state
+app.get('/api/remove-bg/jobs/:id', (req, res) => {
+    const job = findRemoveBgJobOr404(req, res);
+    if (job) res.json(job.state);
+});
+
+// Endpoint to stream a background removal job's progress (Server-Sent Events)
+app.get('/api/remove-bg/jobs/:id/events', (req, res) => {
+    const job = findRemoveBgJobOr404(req, res);
+    if (job) streamJob(job, req, res, current => current.state);
+});
+
+// Endpoint to cancel a background removal job; files already processed are kept
+app.post('/api/remove-bg/jobs/:id/cancel', (req, res) => {
+    const job = findRemoveBgJobOr404(req, res);
+    if (!job) return;
+    if (isFinished(job)) {
+        res.status(409).json({ error: `Background removal job is already ${job.state.status}` });
+        return;
+    }
+    cancelJob(job);
+    res.status(202).json({ id: job.id, status: job.state.status, cancelling: true });
+});
+
+// Endpoint to download the finished cut-outs of a job as a ZIP, with errors.txt listing failures
+app.get('/api/remove-bg/jobs/:id/download', async (req, res) => {
+    try {
+        const job = findRemoveBgJobOr404(req, res);
+        if (!job) return;
+        const entries = [];
+        const names = new Set();
+        const errors = [];
+        for (const file of job.state.files) {
+            if (file.status === 'failed') errors.push(`${file.name}: ${file.error}`);
+            if (file.status !== 'done') continue;
+            const asset = await getAsset(assetHashFromUrl(file.url));
+            if (!asset) {
+                errors.push(`${file.name}: result is no longer stored`);
+                continue;
+            }
+            const stem = file.name.replace(/\.[^./]+$/, '');
+            const extension = asset.mime === 'image/webp' ? 'webp' : 'png';
+            let name = `${stem}.${extension}`;
+            for (let n = 2; names.has(name); n++) name = `${stem}-${n}.${extension}`;
+            names.add(name);
+            entries.push({ name, data: asset.buffer });
+        }
+        if (errors.length) entries.push({ name: 'errors.txt', data: `${errors.join('\n')}\n` });
+        if (!entries.length) {
+            res.status(409).json({ error: 'No finished images to download yet' });
+            return;
+        }
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="background-removed-${job.id.slice(0, 8)}.zip"`
+        });
+        res.send(createZip(entries));
+    } catch (error) {
+        logger.error('Error downloading background removal results', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+const MAIL_MERGE_MAX_ROWS = parseInt(process.env.MAIL_MERGE_MAX_ROWS || '200', 10);
+const MAIL_MERGE_CONCURRENCY = parseInt(process.env.MAIL_MERGE_CONCURRENCY || '1', 10);
+const MAIL_MERGE_CONCURRENCY_LIMIT = 4;
+const MAIL_MERGE_FORMATS = ['png', 'pdf'];
+
+function mailMergeError(message, details) {
+    const error = new Error(message);
+    error.status = 400;
+    if (details) error.details = details;
+    return error;
+}
+
+// Make sure the layout generated from a spec still has the placeholders the spec's text had
+function checkLayoutFields(html, specFields, columns) {
+    const fields = placeholderFields(html);
+    const lost = specFields.filter(field => !fields.includes(field));
+    if (lost.length) {
+        throw mailMergeError(`The layout lost the placeholders ${lost.map(field => `{{${field}}}`).join(', ')}; mark their spans as placeholders or start from the finished flyer`);
+    }
+    checkFields(fields, columns);
+}
+
+// Generate the template's missing images once; every row reuses them. Images the design
+// already has are kept. A failed image fails the job rather than leaving a gap on every flyer.
+async function mergeTemplateImages(job, html, input) {
+    const { signal } = job.controller;
+    const $ = cheerio.load(html, null, false);
+    const sources = $('img[x-prompt]').toArray().map(el => el.attribs.src);
+    const images = imageSlots(html, input.canvas);
+    images.forEach((image, i) => {
+        if (sources[i]) Object.assign(image, { status: 'done', url: sources[i] });
+    });
+    const pending = images.filter(image => image.status === 'pending');
+    emit(job, 'layout', { html, images }, { html, images });
+    if (!pending.length) return html;
+
+    emit(job, 'status', { status: 'running', stage: 'images' }, { status: 'running', stage: 'images' });
+    const imageOptions = { ...input.imageOptions, style: imageStyleOf(html) };
+    await runWithConcurrency(pending, input.imageConcurrency, image => generateJobImage(job, image, imageOptions), signal);
+    throwIfCancelled(signal);
+    const failed = pending.filter(image => image.status === 'failed');
+    if (failed.length) {
+        const error = new Error(`${failed.length} template image(s) could not be generated`);
+        error.details = failed.map(image => `Image ${image.index + 1}: ${image.error}`);
+        throw error;
+    }
+    return flyerHtmlWithImages(html, images.map(image => (pending.includes(image) ? image : null)));
+}
+
+// Fill one row into the template, re-fit its text (see lib/mail-merge.js) and export it.
+// The merged flyer is checked like edited HTML; layout rules it breaks that the template does
+// not (fit.violations) are reported as warnings.
+async function exportMergeRow(template, values, fit, exportOptions) {
+    const merged = await mergeRow(template, values, { ...fit, resolveImage: resolveAssetImage });
+    const checked = checkLayoutOutput(merged.html, { allowImageSrc: true });
+    const broken = checked.violations
+        .filter(violation => !fit.violations.has(violation.message))
+        .map(violation => `Layout rule ${violation.rule}: ${violation.message}`);
+    const refund = apiKeys.chargeQuota('exports');
+    let result;
+    try {
+        result = await exportFlyer({ ...exportOptions, pages: [checked.html], resolveImage: resolveAssetImage });
+    } catch (error) {
+        refund();
+        throw error;
+    }
+    const asset = await putAsset(result.buffer, result.contentType);
+    return { url: asset.url, extension: result.extension, refitted: merged.refitted, warnings: [...merged.warnings, ...broken, ...result.warnings] };
+}
+
+// Background pipeline for POST /api/mail-merge: layout (for a spec) -> template images -> rows.
+// Every row succeeds or fails on its own; rows the dataset could not provide failed up front.
+async function runMailMergeJob(job, input) {
+    const { signal } = job.controller;
+    const setStage = stage => emit(job, 'status', { status: 'running', stage }, { status: 'running', stage });
+    const update = (row, changes) => emit(job, 'row', Object.assign(row, changes));
+    const summary = () => ({
+        succeeded: job.state.rows.filter(row => row.status === 'done').length,
+        failed: job.state.rows.filter(row => row.status === 'failed').length
+    });
+    try {
+        let { design } = input;
+        if (!design) {
+            setStage('layout');
+            design = (await generateLayout(input.spec, input.textOptions, input.maxRepairs, input.canvas)).html;
+            design = setImageStyle(design, input.imageStyle);
+            throwIfCancelled(signal);
+        }
+        const html = markPlaceholders(design, input.placeholders);
+        if (input.spec) checkLayoutFields(html, input.specFields, input.columns);
+        // Filled texts are re-fitted to the size their sample text has in the design
+        const fit = { reference: await measureTexts(design, { resolveImage: resolveAssetImage }), elements: placeholderElements(html) };
+        const template = await mergeTemplateImages(job, html, input);
+        fit.violations = new Set(checkLayoutOutput(template, { allowImageSrc: true }).violations.map(violation => violation.message));
+        emit(job, 'template', { html: template }, { html: template });
+
+        setStage('rows');
+        const pending = job.state.rows.filter(row => row.status === 'pending');
+        await runWithConcurrency(pending, input.concurrency, async row => {
+            update(row, { status: 'running' });
+            try {
+                const result = await exportMergeRow(template, input.values[row.index], fit, input.exportOptions);
+                update(row, { status: 'done', file: `${row.name}.${result.extension}`, url: result.url, refitted: result.refitted, warnings: result.warnings });
+            } catch (error) {
+                logger.error('Mail merge row failed', { row: row.row, error });
+                update(row, { status: 'failed', error: error.message });
+            } finally {
+                input.values[row.index] = null;
+            }
+        }, signal);
+        throwIfCancelled(signal);
+        emit(job, 'done', { status: 'completed', ...summary(), usage: jobUsage() }, { status: 'completed', stage: null, usage: jobUsage() });
+    } catch (error) {
+        if (signal.aborted) {
+            for (const row of job.state.rows) {
+                if (row.status === 'pending') row.status = 'cancelled';
+            }
+            emit(job, 'done', { status: 'cancelled', ...summary(), usage: jobUsage() }, { status: 'cancelled', stage: null, usage: jobUsage() });
+            return;
+        }
+        logger.error('Mail merge job failed', { error });
+        const details = { message: error.message, details: error.details };
+        emit(job, 'done', { status: 'failed', error: details, usage: jobUsage() }, { status: 'failed', stage: null, error: details, usage: jobUsage() });
+    }
+}
+
+// Endpoint to generate one flyer per dataset row: { html | spec, data, placeholders?, format?,
+// filename?, width?, height?, unit?, dpi?, quality?, background?, size?, brandKitId?, imageStyle? (for a spec), concurrency? }.
+// data is CSV text or a JSON array of objects; the design's {{column}} placeholders (and the spans
+// marked in placeholders: [{ span, field }]) are filled per row. Runs as a job; progress is streamed
+// from /api/mail-merge/jobs/:id/events and the flyers are downloaded as one ZIP.
+app.post('/api/mail-merge', async (req, res) => {
+    try {
+        const { html, spec: rawSpec, data, placeholders, textProvider, textModel, imageProvider, imageModel } = req.body;
+        const format = req.body.format || 'png';
+        if (!MAIL_MERGE_FORMATS.includes(format)) throw mailMergeError(`format must be ${MAIL_MERGE_FORMATS.join(' or ')}`);
+        const textOptions = { provider: textProvider, model: textModel };
+        const imageOptions = { provider: imageProvider, model: imageModel };
+        resolveTextProvider(textOptions);
+        resolveImageProvider(imageOptions);
+        const dataset = readDataset(data, MAIL_MERGE_MAX_ROWS);
+        const imageStyle = readImageStyle(req.body.imageStyle);
+
+        const canvas = resolveCanvas(req.body.size);
+        let design = null;
+        let spec = null;
+        let specFields = [];
+        if (html !== undefined) {
+            design = readFlyerHtml(html);
+            checkFields(placeholderFields(markPlaceholders(design, placeholders)), dataset.columns);
+        } else if (rawSpec !== undefined) {
+            spec = readDesignSpec(rawSpec);
+            const kit = await readBrandKit(req, req.body.brandKitId);
+            if (kit) spec = applyBrandKit(spec, kit);
+            if (placeholders !== undefined && !Array.isArray(placeholders)) throw mailMergeError('placeholders must be a list of { span, field }');
+            specFields = fieldsInText(JSON.stringify(spec.content));
+            const marked = (placeholders || []).map(mark => String((mark && mark.field) || '').trim());
+            checkFields([...new Set([...specFields, ...marked])], dataset.columns);
+        } else {
+            throw mailMergeError('Provide the design as finished flyer html or a spec');
+        }
+
+        const filename = typeof req.body.filename === 'string' ? req.body.filename : '';
+        const digits = String(dataset.rows.length).length;
+        const names = new Set();
+        const rows = dataset.rows.map((entry, index) => {
+            const base = rowFilename(filename, entry.values, index + 1, digits);
+            let name = base;
+            for (let n = 2; names.has(name); n++) name = `${base}-${n}`;
+            names.add(name);
+            return {
+                index,
+                row: index + 1,
+                line: entry.line || null,
+                name,
+                status: entry.error ? 'failed' : 'pending',
+                error: entry.error,
+                file: null,
+                url: null,
+                refitted: 0,
+                warnings: []
+            };
+        });
+        const concurrency = req.body.concurrency === undefined
+            ? MAIL_MERGE_CONCURRENCY
+            : Math.min(MAIL_MERGE_CONCURRENCY_LIMIT, Math.max(1, parseInt(req.body.concurrency, 10) || 1));
+        const { width, height, unit, dpi, quality, background } = req.body;
+
+        const job = createJob({ kind: 'mail-merge', stage: null, format, columns: dataset.columns, html: null, images: [], rows, error: null }, ownerOf(req));
+        startJob(job, runMailMergeJob, {
+            design,
+            spec,
+            specFields,
+            placeholders,
+            columns: dataset.columns,
+            canvas,
+            textOptions,
+            imageOptions,
+            imageStyle,
+            maxRepairs: readMaxRepairs(req.body.maxRepairs),
+            imageConcurrency: IMAGE_CONCURRENCY,
+            concurrency,
+            values: dataset.rows.map(entry => entry.values),
+            exportOptions: { format, width, height, unit, dpi, quality, background }
+        });
+        res.status(202).json({ id: job.id, status: job.state.status, rows: rows.length, eventsUrl: `/api/mail-merge/jobs/${job.id}/events` });
+    } catch (error) {
+        logger.error('Error starting mail merge job', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+function findMailMergeJobOr404(req, res) {
+    const job = getJob(req.params.id);
+    if (job && job.state.kind === 'mail-merge' && ownedBy(req, job)) return job;
+    res.status(404).json({ error: 'Mail merge job not found' });
+    return null;
+}
+
+// Endpoint to read a mail merge job's current state
+app.get('/api/mail-merge/jobs/:id', (req, res) => {
+    const job = findMailMergeJobOr404(req, res);
+    if (job) res.json(job.state);
+});
+
+// Endpoint to stream a mail merge job's progress (Server-Sent Events)
+app.get('/api/mail-merge/jobs/:id/events', (req, res) => {
+    const job = findMailMergeJobOr404(req, res);
+    if (job) streamJob(job, req, res, current => current.state);
+});
+
+// Endpoint to cancel a mail merge job; flyers already made are kept
+app.post('/api/mail-merge/jobs/:id/cancel', (req, res) => {
+    const job = findMailMergeJobOr404(req, res);
+    if (!job) return;
+    if (isFinished(job)) {
+        res.status(409).json({ error: `Mail merge job is already ${job.state.status}` });
+        return;
+    }
+    cancelJob(job);
+    res.status(202).json({ id: job.id, status: job.state.status, cancelling: true });
+});
+
+// Endpoint to download the finished flyers of a job as a ZIP, with report.csv giving every row's status
+app.get('/api/mail-merge/jobs/:id/download', async (req, res) => {
+    try {
+        const job = findMailMergeJobOr404(req, res);
+        if (!job) return;
+        const entries = [];
+        const report = [['row', 'line', 'file', 'status', 'refitted', 'error', 'warnings']];
+        for (const row of job.state.rows) {
+            let { status, error } = row;
+            if (row.status === 'done') {
+                const asset = await getAsset(assetHashFromUrl(row.url));
+                if (asset) {
+                    entries.push({ name: row.file, data: asset.buffer });
+                } else {
+                    status = 'failed';
+                    error = 'Result is no longer stored';
+                }
+            }
+            report.push([row.row, row.line || '', status === 'done' ? row.file : '', status, row.refitted, error || '', row.warnings.join(' | ')]);
+        }
+        if (!entries.length) {
+            res.status(409).json({ error: 'No finished flyers to download yet' });
+            return;
+        }
+        entries.push({ name: 'report.csv', data: formatCsv(report) });
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="mail-merge-${job.id.slice(0, 8)}.zip"`
+        });
+        res.send(createZip(entries));
+    } catch (error) {
+        logger.error('Error downloading mail merge results', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Whether the request carries `Authorization: Bearer <ADMIN_TOKEN>` (never while ADMIN_TOKEN is unset)
+function hasAdminToken(req) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) return false;
+    const header = req.get('Authorization') || '';
+    const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`; they are off when ADMIN_TOKEN is unset
+function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_TOKEN) {
+        res.status(403).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+        return;
+    }
+    if (!hasAdminToken(req)) {
+        res.status(401).json({ error: 'Invalid admin token' });
+        return;
+    }
+    next();
+}
+
+// Endpoint to inspect the asset/generation cache (?kind=image|remove-bg&limit=100)
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        res.json(await inspectCache({ kind: req.query.kind, limit: req.query.limit }));
+    } catch (error) {
+        logger.error('Error inspecting cache', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to purge the cache: everything, one kind (?kind=) or one entry (?key=)
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+    try {
+        const purged = await purgeCache({ kind: req.query.kind, key: req.query.key });
+        logger.info('Cache purged', { purged });
+        res.json({ purged });
+    } catch (error) {
+        logger.error('Error purging cache', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Paths a stream token can be issued for: the event streams and downloads of jobs
+const STREAM_TOKEN_PATHS = [
+    /^\/api\/flyers\/[\w-]+\/events$/,
+    /^\/api\/(remove-bg|mail-merge)\/jobs\/[\w-]+\/(events|download)$/
+];
+
+// Endpoint to get a short-lived token for an EventSource stream or a download link: { path } ->
+// { url, token, expiresAt }. The token works on that path only, as the key that asked for it.
+app.post('/api/stream-tokens', (req, res) => {
+    try {
+        const urlPath = req.body.path;
+        if (typeof urlPath !== 'string' || !STREAM_TOKEN_PATHS.some(pattern => pattern.test(urlPath))) {
+            res.status(400).json({ error: 'path must be the events or download URL of a job' });
+            return;
+        }
+        if (!API_AUTH) {
+            res.status(201).json({ url: urlPath, token: null, expiresAt: null });
+            return;
+        }
+        const { token, expiresAt } = apiKeys.createStreamToken(ownerOf(req), urlPath);
+        res.status(201).json({ url: `${urlPath}?token=${encodeURIComponent(token)}`, token, expiresAt });
+    } catch (error) {
+        logger.error('Error creating stream token', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoint to read the calling key's limits, today's usage and remaining quota (?days=30 of history)
+app.get('/api/usage', async (req, res) => {
+    try {
+        if (!req.apiKey) {
+            res.status(404).json({ error: 'This request has no API key (API_AUTH=off or the admin token), so there is no usage to report' });
+            return;
+        }
+        res.json(await apiKeys.getUsage(req.apiKey.id, req.query.days));
+    } catch (error) {
+        logger.error('Error reading usage', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Endpoints to manage API keys
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        res.json({ keys: await apiKeys.listKeys() });
+    } catch (error) {
+        logger.error('Error listing API keys', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// { name, limits?: { requestsPerMinute, layoutsPerDay, imagesPerDay, textsPerDay, exportsPerDay } }; the key is only shown in this response
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+    try {
+        res.status(201).json(await apiKeys.createKey(req.body));
+    } catch (error) {
+        logger.error('Error creating API key', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+// { name?, limits?, disabled? }
+app.patch('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        res.json(await apiKeys.updateKey(req.params.id, req.body));
+    } catch (error) {
+        logger.error('Error updating API key', { error });
+        res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+        await apiKeys.deleteKey(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error deleting API key', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/keys/:id/usage', requireAdmin, async (req, res) => {
+    try {
+        res.json(await apiKeys.getUsage(req.params.id, req.query.days));
+    } catch (error) {
+        logger.error('Error reading API key usage', { error });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// JSON-encoded so a value survives as a single ASCII header
+function headerJson(value) {
+    return JSON.stringify(value).replace(/[^\x20-\x7e]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+const QA_HEADER_ISSUES = 10;
+
+// Short form of the design QA reports of exported pages for the X-Design-QA header
+function summarizeQa(reports) {
+    const issues = reports.flatMap((report, page) => report.issues.map(issue => (reports.length > 1 ? `Page ${page + 1}: ${issue.message}` : issue.message)));
+    return {
+        score: Math.min(...reports.map(report => report.score)),
+        passed: reports.every(report => report.passed),
+        errors: reports.reduce((sum, report) => sum + report.bySeverity.error, 0),
+        warnings: reports.reduce((sum, report) => sum + report.bySeverity.warning, 0),
+        issues: issues.slice(0, QA_HEADER_ISSUES)
+    };
+}
+
+// Endpoint to export a finished flyer as PNG, JPEG, PDF or SVG (qa: true adds an X-Design-QA header).
+// Every page counts against the daily exports quota of the API key.
+app.post('/api/export', async (req, res) => {
+    let refund = () => {};
+    try {
+        const { html, format, width, height, unit, dpi, fit, quality, background, qa } = req.body;
+        const pages = Array.isArray(req.body.pages) ? req.body.pages : [html];
+        if (pages.length <= EXPORT_MAX_PAGES) refund = apiKeys.chargeQuota('exports', pages.length);
+        const result = await exportFlyer({
+            pages,
+            format,
+            width,
+            height,
+            unit,
+            dpi,
+            fit,
+            quality,
+            background,
+            qa: Boolean(qa),
+            resolveImage: resolveAssetImage
+        });
+        if (result.warnings.length) {
+            logger.info('Export warnings', { warnings: result.warnings });
+        }
+
+        const filename = String(req.body.filename || 'flyer').replace(/[^\w.-]+/g, '-');
+        res.set({
+            'Content-Type': result.contentType,
+            'Content-Disposition': `attachment; filename="${filename}.${result.extension}"`,
+            'X-Export-Warnings': headerJson(result.warnings)
+        });
+        if (result.qa) res.set('X-Design-QA', headerJson(summarizeQa(result.qa)));
+        res.send(result.buffer);
+    } catch (error) {
+        refund();
+        logger.error('Error exporting flyer', { error });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+    logger.info('Server running', { port: Number(PORT) });
 });
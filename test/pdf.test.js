@@ -0,0 +1,72 @@
+// PDF writer and export checks: page structure, cross-reference offsets and size limits.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { buildPdf } = require('../lib/pdf');
+const { exportFlyer, resolveOutputSize, MAX_PAGES } = require('../lib/export');
+
+const FLYER = '<div style="width:200px;height:100px;background:#336699"></div>';
+
+function jpeg(width, height) {
+    return sharp({ create: { width, height, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+}
+
+// Check the xref table points at every object and return the PDF as latin1 text
+function readPdf(buffer) {
+    const text = buffer.toString('latin1');
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.ok(text.endsWith('%%EOF\n'));
+    const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(text.startsWith('xref\n', startxref));
+    const [, count] = text.slice(startxref).match(/^xref\n0 (\d+)\n/);
+    const entries = text.slice(startxref).split('\n').slice(3, 2 + Number(count));
+    entries.forEach((entry, i) => {
+        const offset = Number(entry.slice(0, 10));
+        assert.ok(text.startsWith(`${i + 1} 0 obj\n`, offset), `xref entry ${i + 1} points at its object`);
+    });
+    return text;
+}
+
+test('writes one full-bleed image page per input page', async () => {
+    const pages = [
+        { jpeg: await jpeg(4, 2), pixelWidth: 4, pixelHeight: 2, pageWidth: 612, pageHeight: 792 },
+        { jpeg: await jpeg(2, 4), pixelWidth: 2, pixelHeight: 4, pageWidth: 200, pageHeight: 100 },
+        { jpeg: await jpeg(3, 3), pixelWidth: 3, pixelHeight: 3, pageWidth: 72, pageHeight: 72 }
+    ];
+    const text = readPdf(buildPdf(pages));
+    assert.ok(text.includes('/Type /Pages /Kids ['));
+    assert.ok(text.includes('/Count 3'));
+    assert.equal(text.match(/\/Type \/Page /g).length, 3);
+    assert.ok(text.includes('/MediaBox [0 0 612.00 792.00]'));
+    assert.ok(text.includes('/MediaBox [0 0 200.00 100.00]'));
+    assert.ok(text.includes('q 72.00 0 0 72.00 0 0 cm /Im2 Do Q'));
+    assert.ok(text.includes('/Width 2 /Height 4 /ColorSpace /DeviceRGB'));
+});
+
+test('exports several flyers as a multi-page PDF', async () => {
+    const result = await exportFlyer({ pages: [FLYER, FLYER], format: 'pdf', width: 4, height: 2, unit: 'in', dpi: 10 });
+    assert.equal(result.contentType, 'application/pdf');
+    assert.equal(result.width, 40);
+    assert.equal(result.height, 20);
+    const text = readPdf(result.buffer);
+    assert.ok(text.includes('/Count 2'));
+    assert.equal(text.match(/\/MediaBox \[0 0 288\.00 144\.00\]/g).length, 2);
+});
+
+test('keeps the aspect ratio when one side is missing', () => {
+    assert.deepEqual(resolveOutputSize({ width: 400 }, 200, 100), { pixelWidth: 400, pixelHeight: 200, pageWidth: 300, pageHeight: 150 });
+    assert.deepEqual(resolveOutputSize({ height: 2, unit: 'in', dpi: 100 }, 200, 100), { pixelWidth: 400, pixelHeight: 200, pageWidth: 288, pageHeight: 144 });
+});
+
+test('rejects oversized canvases', async () => {
+    assert.throws(() => resolveOutputSize({ width: 12001, height: 10 }, 200, 100), { status: 400, message: /too large/ });
+    assert.throws(() => resolveOutputSize({ width: 8000, height: 8000 }, 200, 100), { status: 400, message: /too large/ });
+    assert.throws(() => resolveOutputSize({ width: 100, unit: 'in', dpi: 300 }, 200, 100), { status: 400, message: /too large/ });
+    await assert.rejects(exportFlyer({ pages: [FLYER], format: 'png', width: 20000 }), { status: 400, message: /too large/ });
+});
+
+test('rejects exports with too many pages', async () => {
+    const pages = new Array(MAX_PAGES + 1).fill(FLYER);
+    await assert.rejects(exportFlyer({ pages, format: 'pdf' }), { status: 400, message: new RegExp(`at most ${MAX_PAGES} pages`) });
+    await assert.rejects(exportFlyer({ pages: [FLYER, FLYER], format: 'png' }), { status: 400 });
+});
@@ -0,0 +1,76 @@
+// Renderer checks against golden SVGs in test/fixtures. Flyers here use no data-font-url and only
+// data: images, so they render offline with the fallback font metrics.
+// UPDATE_GOLDEN=1 npm test rewrites the fixtures after an intended rendering change.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { prepareFlyer, layoutFlyer, renderFlyerSvg } = require('../lib/render-svg');
+
+// 4x2 red PNG
+const RED_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAQAAAACCAIAAADwyuo0AAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEklEQVR4nGP4z8AARwjWfwYGAG+qB/lC/d2tAAAAAElFTkSuQmCC';
+
+function matchesGolden(name, svg) {
+    const file = path.join(__dirname, 'fixtures', name);
+    if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, svg);
+    assert.equal(svg, fs.readFileSync(file, 'utf8'), `${name} differs from the golden file`);
+}
+
+test('wraps text to the width of its box', async () => {
+    const prepared = await prepareFlyer('<div style="position:relative;width:400px;height:300px">'
+        + '<div style="position:absolute;left:20px;top:30px;width:120px;font-size:20px;line-height:24px">The quick brown fox jumps over the lazy dog</div>'
+        + '</div>');
+    const [block] = layoutFlyer(prepared).box.children;
+    const lines = block.children[0].layout.lines;
+    assert.deepEqual(lines.map(line => line.segments.map(segment => segment.text).join('')), ['The quick', 'brown fox', 'jumps over', 'the lazy dog']);
+    assert.ok(lines.every(line => line.width <= 120));
+    assert.deepEqual(lines.map(line => line.y), [0, 24, 48, 72]);
+    assert.equal(block.h, 96);
+    matchesGolden('text-wrap.svg', renderFlyerSvg(prepared).svg);
+});
+
+test('places absolutely positioned elements at their offsets', async () => {
+    const prepared = await prepareFlyer('<div style="position:relative;width:300px;height:200px;background:#123456">'
+        + '<div style="position:absolute;left:10px;top:20px;width:50px;height:40px;background:#ff0000"></div>'
+        + '<div style="position:absolute;right:10px;bottom:20px;width:60px;height:30px;background:#00ff00"></div>'
+        + '</div>');
+    const layout = layoutFlyer(prepared);
+    assert.equal(layout.width, 300);
+    assert.equal(layout.height, 200);
+    const [topLeft, bottomRight] = layout.box.children;
+    assert.deepEqual([topLeft.x, topLeft.y, topLeft.w, topLeft.h], [10, 20, 50, 40]);
+    assert.deepEqual([bottomRight.x, bottomRight.y, bottomRight.w, bottomRight.h], [230, 150, 60, 30]);
+    matchesGolden('absolute.svg', renderFlyerSvg(prepared).svg);
+});
+
+test('embeds images and warns about the ones it cannot load', async () => {
+    const prepared = await prepareFlyer('<div style="position:relative;width:300px;height:200px">'
+        + `<img src="${RED_PNG}" style="position:absolute;left:100px;top:50px;width:80px;height:40px">`
+        + '<img src="/not/exportable.png" style="position:absolute;left:0;top:0;width:10px;height:10px">'
+        + '</div>');
+    assert.deepEqual(prepared.images.get(RED_PNG), { href: RED_PNG, width: 4, height: 2 });
+    assert.equal(prepared.warnings.length, 1);
+    assert.match(prepared.warnings[0], /\/not\/exportable\.png/);
+    const { svg } = renderFlyerSvg(prepared);
+    assert.ok(svg.includes(`<image x="100" y="50" width="80" height="40" preserveAspectRatio="none" href="${RED_PNG}"`));
+    matchesGolden('image.svg', svg);
+});
+
+test('stops fetching remote images once the budget is spent', async () => {
+    const prepared = await prepareFlyer('<div style="width:100px;height:100px">'
+        + '<img src="https://example.com/a.png"><img src="https://example.com/b.png">'
+        + '</div>', { remoteImages: { remaining: 0 } });
+    assert.equal(prepared.images.size, 0);
+    assert.equal(prepared.warnings.length, 2);
+    assert.ok(prepared.warnings.every(warning => warning.includes('too many remote images')));
+});
+
+test('scales the flyer into the requested output size', async () => {
+    const prepared = await prepareFlyer('<div style="width:400px;height:200px;background:#000000"></div>');
+    const rendered = renderFlyerSvg(prepared, { width: 800, height: 800, fit: 'contain', background: '#ffffff' });
+    assert.equal(rendered.width, 800);
+    assert.equal(rendered.height, 800);
+    assert.equal(rendered.naturalWidth, 400);
+    assert.equal(rendered.naturalHeight, 200);
+    assert.ok(rendered.svg.includes('viewBox="0 0 400 200" preserveAspectRatio="xMidYMid meet"'));
+});